@@ -0,0 +1,291 @@
+/*
+  Gas benchmark: runs every public function of RockPaperScissors and the contracts it inherits from
+  (Balances, Pausable, Ownable, Migratable, Commission, MetaTransactions) through representative
+  scenarios, then compares the gas used with benchmark/gas-baseline.json and prints a per-function table.
+
+    npm run benchmark:gas                      fails when an entry uses over 2% more gas
+    GAS_THRESHOLD=5 npm run benchmark:gas      same, with a 5% threshold
+    npm run benchmark:gas:update               rewrites the baseline, commit it with the change
+
+  Gas depends on the hardfork and on the compiler settings: the scripts run on the benchmark network of
+  truffle-config.js, a petersburg chain, and the benchmark refuses to run on code compiled otherwise than
+  the baseline was.
+
+  Views are measured with eth_estimateGas, which includes the 21000 gas of a transaction. Secrets and
+  expiries are fixed so that every run sends the same calldata.
+*/
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
+
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+const ERC20Mock = artifacts.require("./mocks/ERC20Mock.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const { RockPaperScissorsClient } = require("../lib");
+const { loadBaseline, saveBaseline, compare, formatTable } = require("./report");
+
+const baselineFile = path.join(__dirname, "gas-baseline.json");
+const threshold = Number(process.env.GAS_THRESHOLD || 2);
+
+// What the baseline was measured with, see the compilers section of truffle-config.js
+const compiler = { version: "0.5.7", optimizer: { enabled: true, runs: 200 }, evmVersion: "petersburg" };
+
+const stake = new BN(toWei("1", "shannon"));
+const timeout = new BN("3600");
+const timeouts = [timeout, timeout, timeout];
+const expiry = "4102444800"; // 2100-01-01, far enough for any run
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+const ROCK = new BN("1");
+const PAPER = new BN("2");
+const SCISSORS = new BN("3");
+const RPSLS = new BN("1");
+
+contract("Gas benchmark", ([owner, alice, bob, relayer, ...accounts]) => {
+  const results = {};
+  let contract;
+  let nextSecret = 1000;
+
+  // Each game needs a fresh key, the secrets are the same on every run
+  const newGame = async (from = alice, hand = ROCK) => {
+    const secret = new BN(String(nextSecret++));
+    return { hand, secret, gameId: await contract.hashHand(hand, secret, { from }) };
+  };
+
+  const record = async (name, transaction) => {
+    const { receipt } = await transaction;
+    results[name] = receipt.gasUsed;
+  };
+
+  const recordCall = async (name, method, ...args) => {
+    results[name] = await method.estimateGas(...args);
+  };
+
+  const play = async (aliceHand, bobHand) => {
+    const game = await newGame(alice, aliceHand);
+    await contract.createMatch(game.gameId, ...timeouts, zero_address, { from: alice, value: stake });
+    await contract.acceptMatch(game.gameId, { from: bob, value: stake });
+    await contract.showHand(game.gameId, bobHand, { from: bob });
+    await contract.resolveMatch(game.hand, game.secret, { from: alice });
+  };
+
+  before("check the compiler settings", function() {
+    const { optimizer, evmVersion } = JSON.parse(RockPaperScissors.metadata).settings;
+    const settings = { version: RockPaperScissors.compiler.version.split("+")[0], optimizer, evmVersion };
+
+    if (!isDeepStrictEqual(settings, compiler)) {
+      throw new Error(`The baseline needs ${JSON.stringify(compiler)}, compiled with ${JSON.stringify(settings)}`);
+    }
+  });
+
+  beforeEach("deploy the contract", async function() {
+    contract = await RockPaperScissors.new(false, { from: owner });
+  });
+
+  it("plays a game won by its creator", async function() {
+    const { gameId, hand, secret } = await newGame();
+
+    await record(
+      "createMatch (open)",
+      contract.createMatch(gameId, ...timeouts, zero_address, { from: alice, value: stake })
+    );
+    await record("acceptMatch (ether)", contract.acceptMatch(gameId, { from: bob, value: stake }));
+    await record("showHand", contract.showHand(gameId, SCISSORS, { from: bob }));
+    await record("resolveMatch (win)", contract.resolveMatch(hand, secret, { from: alice }));
+    await record("withdrawTo (part, to another address)", contract.withdrawTo(bob, stake, { from: alice }));
+    await record("withdraw", contract.withdraw({ from: alice }));
+  });
+
+  it("plays a tied game reserved for an opponent", async function() {
+    const { gameId, hand, secret } = await newGame();
+
+    await record(
+      "createMatch (reserved)",
+      contract.createMatch(gameId, ...timeouts, bob, { from: alice, value: stake })
+    );
+    await contract.acceptMatch(gameId, { from: bob, value: stake });
+    await contract.showHand(gameId, ROCK, { from: bob });
+    await record("resolveMatch (tie)", contract.resolveMatch(hand, secret, { from: alice }));
+  });
+
+  it("charges the house commission", async function() {
+    await record("setCommission", contract.setCommission(250, { from: owner }));
+    const { gameId, hand, secret } = await newGame();
+    await contract.createMatch(gameId, ...timeouts, zero_address, { from: alice, value: stake });
+    await contract.acceptMatch(gameId, { from: bob, value: stake });
+    await contract.showHand(gameId, SCISSORS, { from: bob });
+
+    await record("resolveMatch (commission)", contract.resolveMatch(hand, secret, { from: alice }));
+    await record("withdrawCommission (ether)", contract.withdrawCommission(zero_address, { from: owner }));
+  });
+
+  it("plays under other rule sets", async function() {
+    // The classic rules again: bit 16 * a + b is set when a beats b
+    const beats = new BN("1")
+      .shln(16 + 3)
+      .or(new BN("1").shln(32 + 1))
+      .or(new BN("1").shln(48 + 2));
+    await record("registerRuleSet", contract.registerRuleSet(3, beats, { from: owner }));
+
+    const { gameId } = await newGame();
+    await record(
+      "createMatchWithRules (RPSLS)",
+      contract.createMatchWithRules(gameId, ...timeouts, zero_address, RPSLS, { from: alice, value: stake })
+    );
+  });
+
+  it("stakes winnings from the balance", async function() {
+    await play(ROCK, SCISSORS);
+    await play(ROCK, PAPER);
+    const { gameId } = await newGame();
+
+    await record(
+      "createMatchWithBalance (whole stake)",
+      contract.createMatchWithBalance(gameId, ...timeouts, zero_address, stake, { from: alice })
+    );
+    await record("acceptMatchWithBalance (whole stake)", contract.acceptMatchWithBalance(gameId, { from: bob }));
+  });
+
+  it("plays for tokens", async function() {
+    const token = await ERC20Mock.new({ from: owner });
+    for (const player of [alice, bob]) {
+      await token.mint(player, stake, { from: owner });
+      await token.approve(contract.address, stake, { from: player });
+    }
+    const { gameId, hand, secret } = await newGame();
+
+    await record(
+      "createTokenMatch",
+      contract.createTokenMatch(gameId, ...timeouts, zero_address, token.address, stake, { from: alice })
+    );
+    await record("acceptMatch (token)", contract.acceptMatch(gameId, { from: bob }));
+    await contract.showHand(gameId, SCISSORS, { from: bob });
+    await record("resolveMatch (token)", contract.resolveMatch(hand, secret, { from: alice }));
+    await record("withdrawToken", contract.withdrawToken(token.address, { from: alice }));
+  });
+
+  it("closes games whose deadline passed", async function() {
+    const unjoined = await newGame();
+    await contract.createMatch(unjoined.gameId, ...timeouts, zero_address, { from: alice, value: stake });
+    const unshown = await newGame();
+    await contract.createMatch(unshown.gameId, ...timeouts, zero_address, { from: alice, value: stake });
+    await contract.acceptMatch(unshown.gameId, { from: bob, value: stake });
+    const unresolved = await newGame();
+    await contract.createMatch(unresolved.gameId, ...timeouts, zero_address, { from: alice, value: stake });
+    await contract.acceptMatch(unresolved.gameId, { from: bob, value: stake });
+    await contract.showHand(unresolved.gameId, PAPER, { from: bob });
+    await time.increase(timeout.addn(1));
+
+    await record("cancelGame (not accepted)", contract.cancelGame(unjoined.hand, unjoined.secret, { from: alice }));
+    await record("cancelGame (hand not shown)", contract.cancelGame(unshown.hand, unshown.secret, { from: alice }));
+    await record("punish", contract.punish(unresolved.gameId, { from: bob }));
+  });
+
+  it("shuts the contract down", async function() {
+    const { gameId } = await newGame();
+    await contract.createMatch(gameId, ...timeouts, zero_address, { from: alice, value: stake });
+    await contract.acceptMatch(gameId, { from: bob, value: stake });
+
+    await record("pause", contract.pause({ from: owner }));
+    await record("resume", contract.resume({ from: owner }));
+    await contract.pause({ from: owner });
+    await record("kill", contract.kill({ from: owner }));
+    await record("refundGame (accepted)", contract.refundGame(gameId, { from: relayer }));
+  });
+
+  it("migrates balances to a successor", async function() {
+    const successor = await RockPaperScissors.new(false, { from: owner });
+    await play(ROCK, SCISSORS);
+    await play(ROCK, PAPER);
+    await contract.pause({ from: owner });
+    await contract.kill({ from: owner });
+
+    await record("setSuccessor", contract.setSuccessor(successor.address, { from: owner }));
+    await record("setPredecessor", successor.setPredecessor(contract.address, { from: owner }));
+    await record("migrateBalance", contract.migrateBalance({ from: alice }));
+    await record("requestMigration", contract.requestMigration({ from: bob }));
+    await record("migrateBalances (one of two)", contract.migrateBalances([alice, bob], { from: owner }));
+  });
+
+  it("hands roles over", async function() {
+    await record("proposeOwner", contract.proposeOwner(bob, { from: owner }));
+    await record("cancelOwnerProposal", contract.cancelOwnerProposal({ from: owner }));
+    await contract.proposeOwner(alice, { from: owner });
+    await record("acceptOwnership", contract.acceptOwnership({ from: alice }));
+    await record("addPauser", contract.addPauser(bob, { from: alice }));
+    await record("removePauser", contract.removePauser(bob, { from: alice }));
+  });
+
+  it("relays signed intents", async function() {
+    const options = { abi: RockPaperScissors.abi };
+    const aliceClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: alice });
+    const bobClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: bob });
+    // Bob wins a game, which gives him a balance to stake and pay fees from
+    await play(ROCK, PAPER);
+    const { gameId, hand, secret } = await newGame();
+    await contract.createMatch(gameId, ...timeouts, zero_address, { from: alice, value: stake });
+    const fee = "1000";
+
+    const relay = async (name, intent) => {
+      const { message, signature, player } = intent;
+      const args = [message.fee, message.nonce, message.expiry, signature, { from: relayer }];
+      switch (intent.type) {
+        case "AcceptMatch":
+          return record(name, contract.acceptMatchFor(player, message.gameId, ...args));
+        case "ShowHand":
+          return record(name, contract.showHandFor(player, message.gameId, message.hand, ...args));
+        case "ResolveMatch":
+          return record(name, contract.resolveMatchFor(player, message.hand, message.secret, ...args));
+        default:
+          return record(name, contract.withdrawFor(player, message.amount, message.recipient, ...args));
+      }
+    };
+
+    await relay("acceptMatchFor", await bobClient.signAcceptMatch(gameId, { fee, expiry }));
+    await relay("showHandFor", await bobClient.signShowHand(gameId, "scissors", { fee, expiry }));
+    await relay("resolveMatchFor", await aliceClient.signResolveMatch(hand.toNumber(), secret, { fee, expiry }));
+    await relay("withdrawFor", await bobClient.signWithdraw({ fee, expiry }));
+  });
+
+  it("reads the state", async function() {
+    const { gameId, hand, secret } = await newGame();
+    await contract.createMatch(gameId, ...timeouts, zero_address, { from: alice, value: stake });
+
+    await recordCall("hashHand (call)", contract.hashHand, hand, secret, { from: alice });
+    await recordCall("games (call)", contract.games, gameId);
+    await recordCall("getPhase (call)", contract.getPhase, gameId);
+    await recordCall("legalActions (call)", contract.legalActions, gameId, bob);
+    await recordCall("isValidHand (call)", contract.isValidHand, RPSLS, new BN("5"));
+    await recordCall("handBeats (call)", contract.handBeats, RPSLS, new BN("5"), ROCK);
+    await recordCall("balances (call)", contract.balances, alice);
+    await recordCall("tokenBalances (call)", contract.tokenBalances, zero_address, alice);
+    await recordCall("commissions (call)", contract.commissions, zero_address);
+    await recordCall("nonces (call)", contract.nonces, alice);
+    await recordCall("getOwner (call)", contract.getOwner);
+    await recordCall("getPendingOwner (call)", contract.getPendingOwner);
+    await recordCall("isPauser (call)", contract.isPauser, owner);
+    await recordCall("isPaused (call)", contract.isPaused);
+    await recordCall("isDead (call)", contract.isDead);
+    await recordCall("successor (call)", contract.successor);
+    await recordCall("predecessor (call)", contract.predecessor);
+  });
+
+  it(`stays within ${threshold}% of the baseline`, async function() {
+    if (process.env.GAS_BASELINE === "update") {
+      saveBaseline(baselineFile, results);
+      console.log(
+        `\n    Wrote ${Object.keys(results).length} entries to ${path.relative(process.cwd(), baselineFile)}\n`
+      );
+      return;
+    }
+
+    const rows = compare(loadBaseline(baselineFile), results, threshold);
+    console.log(`\n${formatTable(rows)}\n`);
+
+    const regressed = rows.filter(row => row.status === "regressed").map(row => row.name);
+    regressed.should.be.deep.equal([], `Gas regressed by more than ${threshold}%`);
+  });
+});
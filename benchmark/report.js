@@ -0,0 +1,73 @@
+/*
+  Compares the gas used by benchmark/gas.js with the committed baseline and prints the comparison.
+*/
+const fs = require("fs");
+
+/**
+ * @param {string} file path to the baseline
+ * @returns {Object} gas used by entry name, empty if there is no baseline yet
+ */
+const loadBaseline = file => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {});
+
+/**
+ * Writes the results sorted by entry name, so that diffs of the baseline stay readable.
+ */
+const saveBaseline = (file, results) => {
+  const sorted = Object.keys(results)
+    .sort()
+    .reduce((baseline, name) => ({ ...baseline, [name]: results[name] }), {});
+  fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+};
+
+/**
+ * @param {Object} baseline gas used by entry name
+ * @param {Object} results gas used by entry name, measured now
+ * @param {number} threshold in percent, increases above it are regressions
+ * @returns {Array<Object>} one row per entry: name, baseline, gas, change in percent and status, one of
+ * "ok", "improved", "regressed", "new" (no baseline) or "missing" (no longer measured)
+ */
+const compare = (baseline, results, threshold) => {
+  const names = [...new Set([...Object.keys(baseline), ...Object.keys(results)])].sort();
+
+  return names.map(name => {
+    const before = baseline[name];
+    const gas = results[name];
+    if (before === undefined) return { name, baseline: null, gas, change: null, status: "new" };
+    if (gas === undefined) return { name, baseline: before, gas: null, change: null, status: "missing" };
+
+    const change = ((gas - before) / before) * 100;
+    let status = "ok";
+    if (change > threshold) status = "regressed";
+    else if (gas < before) status = "improved";
+
+    return { name, baseline: before, gas, change, status };
+  });
+};
+
+const formatChange = change => (change === null ? "" : `${change > 0 ? "+" : ""}${change.toFixed(2)}%`);
+
+/**
+ * @param {Array<Object>} rows as returned by compare()
+ * @returns {string} a fixed-width table
+ */
+const formatTable = rows => {
+  const header = ["Function (scenario)", "Baseline", "Gas", "Change", ""];
+  const lines = rows.map(({ name, baseline, gas, change, status }) => [
+    name,
+    baseline === null ? "-" : String(baseline),
+    gas === null ? "-" : String(gas),
+    formatChange(change),
+    status === "ok" ? "" : status.toUpperCase()
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...lines.map(line => line[column].length)));
+  const format = line =>
+    line
+      .map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+      .join("  ")
+      .trimRight();
+  const rule = widths.map(width => "-".repeat(width));
+
+  return [format(header), format(rule), ...lines.map(format)].join("\n");
+};
+
+module.exports = { loadBaseline, saveBaseline, compare, formatTable };
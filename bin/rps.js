@@ -0,0 +1,732 @@
+#!/usr/bin/env node
+/*
+  Command-line interface for playing and administering RockPaperScissors games.
+
+  The network is read from truffle-config.js (--network, "local" by default) and the contract
+  address from the artifact in client/src/contracts unless --address is given. When RPS_PASSPHRASE is
+  set, hands and secrets of created games are kept in an encrypted vault (see lib/vault.js), so
+  resolve and cancel only need the game id.
+*/
+const fs = require("fs");
+const path = require("path");
+const program = require("commander");
+const moment = require("moment");
+const Web3 = require("web3");
+const { toWei, fromWei, toBN } = require("web3-utils");
+
+const {
+  RockPaperScissorsClient,
+  SecretVault,
+  fileStorage,
+  handName,
+  parseHand,
+  hashHand,
+  phaseName,
+  RuleSet,
+  Relayer,
+  Indexer,
+  jsonFileStore,
+  StatsServer,
+  playerStatements,
+  statementToCsv,
+  Lobby,
+  requestCandidates,
+  quickMatch,
+  DeadlineWatcher
+} = require("../lib");
+const { checkGame, checkAdmin } = require("../lib/preflight");
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+const units = ["wei", "kwei", "mwei", "gwei", "shannon", "szabo", "finney", "ether"];
+
+/*
+  Accepts "1gwei", "0.5 ether" or a plain amount of wei.
+*/
+const parseAmount = amount => {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(amount.trim());
+  if (!match || (match[2] && !units.includes(match[2].toLowerCase()))) {
+    throw new Error(`Invalid amount: ${amount}. Use e.g. 1000, 1gwei or 0.1ether`);
+  }
+  return toWei(match[1], (match[2] || "wei").toLowerCase());
+};
+
+const formatAmount = wei => `${fromWei(wei.toString(), "ether")} ether (${wei.toString()} wei)`;
+
+const formatStake = (amount, token = zero_address) =>
+  token === zero_address ? formatAmount(amount) : `${amount.toString()} of token ${token}`;
+
+const formatDeadline = deadline =>
+  `${moment.unix(Number(deadline.toString())).format("YYYY-MM-DD HH:mm:ss")} (${moment
+    .unix(Number(deadline.toString()))
+    .fromNow()})`;
+
+const loadNetwork = (configPath, name) => {
+  let config;
+  try {
+    config = require(path.resolve(configPath));
+  } catch (error) {
+    throw new Error(`Cannot load ${configPath}: ${error.message}`);
+  }
+
+  const network = (config.networks || {})[name];
+  if (!network) throw new Error(`Network "${name}" is not defined in ${configPath}`);
+
+  if (network.provider) return typeof network.provider === "function" ? network.provider() : network.provider;
+
+  const url = `${network.websockets ? "ws" : "http"}://${network.host}:${network.port}`;
+  return network.websockets ? new Web3.providers.WebsocketProvider(url) : new Web3.providers.HttpProvider(url);
+};
+
+const connect = async () => {
+  const web3 = new Web3(loadNetwork(program.config, program.network));
+  const from = program.from || (await web3.eth.getAccounts())[0];
+  if (!from) throw new Error("No account available, pass --from");
+
+  const vault = process.env.RPS_PASSPHRASE
+    ? SecretVault.open(fileStorage(path.resolve(program.vault)), process.env.RPS_PASSPHRASE)
+    : undefined;
+
+  const client = program.address
+    ? new RockPaperScissorsClient(web3, program.address, { from, vault })
+    : await RockPaperScissorsClient.at(web3, { from, vault });
+
+  return { web3, client, from, vault };
+};
+
+/*
+  Resolving and cancelling need the creator's hand and secret: either from the command line or
+  from the vault.
+*/
+const findHandAndSecret = (client, vault, gameId, options) => {
+  let hand = options.hand;
+  let secret = options.secret;
+
+  if ((hand === undefined || secret === undefined) && vault && vault.has(gameId)) {
+    ({ hand, secret } = vault.get(gameId));
+  }
+  if (hand === undefined || secret === undefined) {
+    throw new Error("Hand and secret not found in the vault, pass --hand and --secret");
+  }
+  if (hashHand(client.address, client.from, hand, secret) !== gameId) {
+    throw new Error(`Hand and secret do not match game ${gameId} for ${client.from}`);
+  }
+
+  return { hand: parseHand(hand), secret };
+};
+
+const formatCommission = basisPoints => `${basisPoints / 100}%`;
+
+const ruleSetName = ruleSet =>
+  Object.keys(RuleSet).find(name => RuleSet[name] === ruleSet) || `custom rule set ${ruleSet}`;
+
+const printGame = (game, phase, actions) => {
+  console.log(`Game:          ${game.gameId}`);
+  if (phase !== undefined) console.log(`Phase:         ${phaseName(phase)}`);
+  console.log(`Stake:         ${formatStake(game.stake, game.token)}`);
+  console.log(`Rules:         ${ruleSetName(game.ruleSet)}`);
+  console.log(`Commission:    ${formatCommission(game.commission)}`);
+  console.log(`Show hand in:  ${game.showHandTimeout.toString()} seconds once accepted`);
+  console.log(`Resolve in:    ${game.resolveTimeout.toString()} seconds once the hand is shown`);
+  console.log(`Opponent:      ${game.opponent === zero_address ? "anyone" : game.opponent}`);
+  console.log(`Second player: ${game.secondPlayer === zero_address ? "none yet" : game.secondPlayer}`);
+  console.log(`Second hand:   ${game.secondPlayerHand ? handName(game.secondPlayerHand) : "not shown"}`);
+  console.log(`Deadline:      ${game.deadline.isZero() ? "none" : formatDeadline(game.deadline)}`);
+  if (actions) {
+    const legal = Object.keys(actions).filter(action => actions[action]);
+    console.log(`You can:       ${legal.length ? legal.map(action => action.slice(3)).join(", ") : "nothing"}`);
+  }
+};
+
+const run = action => async (...args) => {
+  try {
+    await action(...args);
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.game && !error.game.deadline.isZero()) console.error(`Deadline: ${formatDeadline(error.game.deadline)}`);
+    process.exit(1);
+  }
+};
+
+program
+  .description("Play and administer RockPaperScissors games")
+  .option("-c, --config <path>", "truffle configuration", path.resolve(__dirname, "../truffle-config.js"))
+  .option("-n, --network <name>", "network from the truffle configuration", "local")
+  .option("-a, --address <address>", "contract address, read from the artifacts by default")
+  .option("-f, --from <address>", "sender, the first account of the provider by default")
+  .option("--vault <path>", "vault file, used when RPS_PASSPHRASE is set", ".rps-vault.json");
+
+program
+  .command("create")
+  .description("create a match")
+  .requiredOption("--hand <hand>", "rock, paper or scissors, lizard and spock too with --rules rpsls")
+  .option("--stake <amount>", "e.g. 1gwei, or token units with --token", "0")
+  .option("--timeout <seconds>", "seconds for each phase of the game, at least 60", "3600")
+  .option("--join-timeout <seconds>", "seconds to accept the match, --timeout by default")
+  .option("--show-hand-timeout <seconds>", "seconds to show a hand once accepted, --timeout by default")
+  .option("--resolve-timeout <seconds>", "seconds to resolve once the hand is shown, --timeout by default")
+  .option("--opponent <address>", "reserve the match for this address")
+  .option("--token <address>", "stake this ERC20 token instead of ether")
+  .option("--use-balance", "stake from your balance in the contract first")
+  .option("--rules <ruleSet>", "classic, rpsls or the ID of a custom rule set", "classic")
+  .option("--secret <secret>", "uint256 secret, a random one is generated by default")
+  .action(
+    run(async options => {
+      const { client, vault } = await connect();
+      const { gameId, hand, secret } = await client.createMatch({
+        hand: options.hand,
+        stake: parseAmount(options.stake),
+        timeout: options.timeout,
+        joinTimeout: options.joinTimeout,
+        showHandTimeout: options.showHandTimeout,
+        resolveTimeout: options.resolveTimeout,
+        opponent: options.opponent,
+        token: options.token,
+        useBalance: options.useBalance,
+        ruleSet: options.rules,
+        secret: options.secret
+      });
+
+      console.log(`Game created: ${gameId}`);
+      console.log(`Join before:  ${formatDeadline((await client.getGame(gameId)).deadline)}`);
+      if (vault) {
+        console.log(`Hand and secret saved in ${program.vault}`);
+      } else {
+        console.log(`Hand:         ${handName(hand)}`);
+        console.log(`Secret:       ${secret}`);
+        console.log("Keep hand and secret safe, you need them to resolve or cancel the game");
+      }
+    })
+  );
+
+program
+  .command("accept <gameId>")
+  .description("join a match, matching its stake")
+  .option("--stake <amount>", "ether to send, the game's stake by default (token games take none)")
+  .option("--use-balance", "stake from your balance in the contract first")
+  .action(
+    run(async (gameId, options) => {
+      const { client } = await connect();
+      const value = options.stake === undefined ? undefined : parseAmount(options.stake);
+      const game = await checkGame(client, "acceptMatch", gameId, { value });
+
+      await client.acceptMatch(gameId, {
+        stake: value === undefined ? game.stake : value,
+        useBalance: options.useBalance
+      });
+      console.log(`Joined game ${gameId} with ${formatStake(game.stake, game.token)}`);
+      console.log(`Show your hand before ${formatDeadline((await client.getGame(gameId)).deadline)}`);
+    })
+  );
+
+program
+  .command("show <gameId> <hand>")
+  .description("show your hand as second player")
+  .action(
+    run(async (gameId, hand) => {
+      const { client } = await connect();
+      await checkGame(client, "showHand", gameId);
+
+      await client.showHand(gameId, hand);
+      console.log(`Showed ${handName(parseHand(hand))} in game ${gameId}`);
+      console.log(`The creator must resolve before ${formatDeadline((await client.getGame(gameId)).deadline)}`);
+    })
+  );
+
+program
+  .command("resolve <gameId>")
+  .description("reveal your hand as creator and settle the game")
+  .option("--hand <hand>", "your hand, read from the vault by default")
+  .option("--secret <secret>", "your secret, read from the vault by default")
+  .action(
+    run(async (gameId, options) => {
+      const { client, vault } = await connect();
+      const { hand, secret } = findHandAndSecret(client, vault, gameId, options);
+      await checkGame(client, "resolveMatch", gameId);
+
+      const { events } = await client.resolveMatch(hand, secret);
+      const { winner, firstPlayerWage, secondPlayerWage } = events.LogMatchResolved.returnValues;
+
+      console.log(winner === zero_address ? "Tie" : `Winner: ${winner}`);
+      console.log(`Your wage:     ${formatAmount(firstPlayerWage)}`);
+      console.log(`Opponent wage: ${formatAmount(secondPlayerWage)}`);
+      if (vault) vault.remove(gameId);
+    })
+  );
+
+program
+  .command("punish <gameId>")
+  .description("claim the stake of a game the creator did not resolve in time")
+  .action(
+    run(async gameId => {
+      const { client } = await connect();
+      const game = await checkGame(client, "punish", gameId);
+
+      await client.punish(gameId);
+      console.log(`Punished the creator of ${gameId}, ${formatAmount(game.stake)} credited`);
+    })
+  );
+
+program
+  .command("cancel <gameId>")
+  .description("recover the stake of a game nobody joined, or whose opponent did not show a hand")
+  .option("--hand <hand>", "your hand, read from the vault by default")
+  .option("--secret <secret>", "your secret, read from the vault by default")
+  .action(
+    run(async (gameId, options) => {
+      const { client, vault } = await connect();
+      const { hand, secret } = findHandAndSecret(client, vault, gameId, options);
+      const game = await checkGame(client, "cancelGame", gameId);
+
+      await client.cancelGame(hand, secret);
+      console.log(`Cancelled ${gameId}, ${formatAmount(game.stake)} credited`);
+      if (vault) vault.remove(gameId);
+    })
+  );
+
+program
+  .command("refund <gameId>")
+  .description("give both players of a live game their own stake back, once the contract is killed")
+  .action(
+    run(async gameId => {
+      const { client, vault } = await connect();
+      const game = await checkGame(client, "refundGame", gameId);
+
+      await client.refundGame(gameId);
+      console.log(`Refunded ${gameId}, ${formatStake(game.stake, game.token)} credited back to the players`);
+      if (vault) vault.remove(gameId);
+    })
+  );
+
+program
+  .command("game <gameId>")
+  .description("print the state of a game")
+  .action(
+    run(async gameId => {
+      const { client } = await connect();
+      const [game, phase, actions] = await Promise.all([
+        client.getGame(gameId),
+        client.getPhase(gameId),
+        client.getLegalActions(gameId)
+      ]);
+      printGame(game, phase, actions);
+    })
+  );
+
+program
+  .command("balance [address]")
+  .description("print the withdrawable balance, of the sender by default")
+  .option("--token <address>", "print the balance of this token instead of ether")
+  .action(
+    run(async (address, options) => {
+      const { client, from } = await connect();
+      if (options.token) {
+        console.log(formatStake(await client.tokenBalanceOf(options.token, address || from), options.token));
+      } else {
+        console.log(formatAmount(await client.balanceOf(address || from)));
+      }
+    })
+  );
+
+program
+  .command("withdraw")
+  .description("withdraw your balance")
+  .option("--token <address>", "withdraw this token's balance instead of ether")
+  .option("--amount <amount>", "withdraw only this much ether, e.g. 1gwei")
+  .option("--to <address>", "send the ether to this address instead of yours")
+  .action(
+    run(async options => {
+      const { client } = await connect();
+      if (options.token && (options.amount || options.to)) {
+        throw new Error("Token balances are withdrawn whole, to the sender");
+      }
+      const balance = options.token ? await client.tokenBalanceOf(options.token) : await client.balanceOf();
+      if (balance.isZero()) throw new Error("Nothing to withdraw");
+      const amount = options.amount ? toBN(parseAmount(options.amount)) : balance;
+      if (amount.gt(balance)) throw new Error(`Only ${formatAmount(balance)} to withdraw`);
+
+      if (options.token) {
+        await client.withdrawToken(options.token);
+      } else {
+        await client.withdraw({ amount: options.amount ? amount : undefined, to: options.to });
+      }
+      console.log(`Withdrew ${formatStake(amount, options.token)}${options.to ? ` to ${options.to}` : ""}`);
+    })
+  );
+
+program
+  .command("migrate")
+  .description("move your ether balance to the contract that replaced this one")
+  .action(
+    run(async () => {
+      const { client } = await connect();
+      const successor = await client.getSuccessor();
+      if (successor === zero_address) throw new Error("This contract has no successor");
+      const balance = await client.balanceOf();
+      if (balance.isZero()) throw new Error("Nothing to migrate");
+
+      await client.migrateBalance();
+      console.log(`Moved ${formatAmount(balance)} to ${successor}`);
+    })
+  );
+
+["pause", "resume", "kill"].forEach(action =>
+  program
+    .command(action)
+    .description(`${action} the contract (${action === "kill" ? "owner" : "pausers"} only)`)
+    .action(
+      run(async () => {
+        const { client } = await connect();
+        await checkAdmin(client, action);
+
+        await client[action]();
+        console.log(`Contract ${action === "kill" ? "killed" : `${action}d`}`);
+      })
+    )
+);
+
+program
+  .command("propose-owner <address>")
+  .description("propose a new owner, who takes over once they accept (owner only)")
+  .action(
+    run(async newOwner => {
+      const { client } = await connect();
+      if (newOwner === zero_address) throw new Error("newOwner is empty");
+      await checkAdmin(client, "proposeOwner");
+
+      await client.proposeOwner(newOwner);
+      console.log(`Proposed ${newOwner} as owner, waiting for them to run accept-ownership`);
+    })
+  );
+
+program
+  .command("cancel-owner-proposal")
+  .description("withdraw the pending ownership proposal (owner only)")
+  .action(
+    run(async () => {
+      const { client } = await connect();
+      await checkAdmin(client, "cancelOwnerProposal");
+
+      await client.cancelOwnerProposal();
+      console.log("Ownership proposal cancelled");
+    })
+  );
+
+program
+  .command("accept-ownership")
+  .description("take over the contract after being proposed as its owner")
+  .action(
+    run(async () => {
+      const { client, from } = await connect();
+      await checkAdmin(client, "acceptOwnership");
+
+      await client.acceptOwnership();
+      console.log(`Owner is now ${from}`);
+    })
+  );
+
+[["add-pauser", "addPauser", "can now"], ["remove-pauser", "removePauser", "can no longer"]].forEach(
+  ([command, action, outcome]) =>
+    program
+      .command(`${command} <address>`)
+      .description(`${command === "add-pauser" ? "allow" : "stop"} an address to pause and resume (owner only)`)
+      .action(
+        run(async account => {
+          const { client } = await connect();
+          await checkAdmin(client, action);
+
+          await client[action](account);
+          console.log(`${account} ${outcome} pause and resume the contract`);
+        })
+      )
+);
+
+program
+  .command("commission")
+  .description("print the house's commission and what it has accrued")
+  .option("--token <address>", "print the commissions accrued in this token instead of ether")
+  .action(
+    run(async options => {
+      const { client } = await connect();
+      console.log(`Rate:    ${formatCommission(await client.getCommission())} of the pot`);
+      console.log(`Accrued: ${formatStake(await client.commissionsOf(options.token), options.token)}`);
+    })
+  );
+
+program
+  .command("set-commission <basisPoints>")
+  .description("set the commission of new games, in hundredths of a percent (owner only)")
+  .action(
+    run(async basisPoints => {
+      const { client } = await connect();
+      if (!/^\d+$/.test(basisPoints) || Number(basisPoints) > 1000) {
+        throw new Error("The commission must be between 0 and 1000 basis points");
+      }
+      await checkAdmin(client, "setCommission");
+
+      await client.setCommission(basisPoints);
+      console.log(`Commission is now ${formatCommission(Number(basisPoints))} for new games`);
+    })
+  );
+
+program
+  .command("withdraw-commission")
+  .description("withdraw the accrued commissions (owner only)")
+  .option("--token <address>", "withdraw the commissions accrued in this token instead of ether")
+  .action(
+    run(async options => {
+      const { client } = await connect();
+      await checkAdmin(client, "withdrawCommission");
+      const accrued = await client.commissionsOf(options.token);
+      if (accrued.isZero()) throw new Error("Nothing to withdraw");
+
+      await client.withdrawCommission(options.token);
+      console.log(`Withdrew ${formatStake(accrued, options.token)}`);
+    })
+  );
+
+program
+  .command("set-successor <address>")
+  .description("register the contract balances migrate to, once this one is killed (owner only)")
+  .action(
+    run(async successor => {
+      const { client } = await connect();
+      if (successor === zero_address) throw new Error("successor is empty");
+      await checkAdmin(client, "setSuccessor");
+
+      await client.setSuccessor(successor);
+      console.log(`Balances can now be migrated to ${successor}`);
+    })
+  );
+
+program
+  .command("set-predecessor <address>")
+  .description("accept the balances migrated from the contract this one replaces (owner only)")
+  .action(
+    run(async predecessor => {
+      const { client } = await connect();
+      if (predecessor === zero_address) throw new Error("predecessor is empty");
+      await checkAdmin(client, "setPredecessor");
+
+      await client.setPredecessor(predecessor);
+      console.log(`Balances can now be migrated from ${predecessor}`);
+    })
+  );
+
+program
+  .command("request-migration")
+  .description("let the owner move your ether balance to the contract that replaced this one")
+  .action(
+    run(async () => {
+      const { client } = await connect();
+      const successor = await client.getSuccessor();
+      if (successor === zero_address) throw new Error("This contract has no successor");
+
+      await client.requestMigration();
+      console.log(`The owner can now move your balance to ${successor}`);
+    })
+  );
+
+program
+  .command("migrate-balances <addresses...>")
+  .description("move the ether balances of these players to the successor, if they asked for it (owner only)")
+  .action(
+    run(async holders => {
+      const { client } = await connect();
+      await checkAdmin(client, "migrateBalances");
+
+      await client.migrateBalances(holders);
+      console.log(`Migrated the balances of ${holders.length} player(s) to ${await client.getSuccessor()}`);
+    })
+  );
+
+program
+  .command("relayer")
+  .description("relay the signed intents of players without ether, from the sender's account")
+  .option("--port <port>", "port to listen on", "8080")
+  .option("--host <host>", "interface to listen on", "127.0.0.1")
+  .option("--min-fee <amount>", "refuse intents paying less, e.g. 10gwei", "0")
+  .action(async options => {
+    // Unlike the other commands, this one keeps running until interrupted
+    try {
+      const { web3, client, from } = await connect();
+      const relayer = new Relayer(web3, client.address, { from, minFee: parseAmount(options.minFee) });
+      relayer.on("relayed", ({ intent, transactionHash }) =>
+        console.log(`Relayed ${intent.type} for ${intent.player}: ${transactionHash}`)
+      );
+      relayer.on("rejected", ({ intent, error }) =>
+        console.log(`Rejected ${(intent && intent.type) || "request"}: ${error.message}`)
+      );
+      relayer.on("error", error => console.error(error));
+
+      await relayer.listen(Number(options.port), options.host);
+      console.log(`Relaying for ${client.address} from ${from} on http://${options.host}:${options.port}`);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("stats")
+  .description("serve player statistics and leaderboards over HTTP, indexing the contract's events")
+  .option("--port <port>", "port to listen on", "8081")
+  .option("--host <host>", "interface to listen on", "127.0.0.1")
+  .option("--from-block <number>", "block the contract was deployed at", "0")
+  .option("--index <file>", "where indexed events are kept between runs", ".rps-index.json")
+  .option("--interval <seconds>", "how often to look for new events", "15")
+  .action(async options => {
+    // Keeps running until interrupted, like the relayer
+    try {
+      const { web3, client } = await connect();
+      const indexer = new Indexer(web3, client.address, {
+        store: jsonFileStore(path.resolve(options.index)),
+        fromBlock: Number(options.fromBlock)
+      });
+      indexer.on("error", error => console.error(`Indexing failed: ${error.message}`));
+      await indexer.sync();
+      indexer.start(Number(options.interval) * 1000);
+
+      const server = new StatsServer(indexer);
+      server.on("error", error => console.error(error));
+      await server.listen(Number(options.port), options.host);
+      console.log(`Serving statistics of ${client.address} on http://${options.host}:${options.port}`);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("export")
+  .description("write per-player statements of games, fees and withdrawals, indexing the contract's events")
+  .option("--player <address>", "only this player, every player by default")
+  .option("--format <format>", "csv or json", "csv")
+  .option("--out <directory>", "where the <address>.<format> files are written", ".")
+  .option("--from-block <number>", "block the contract was deployed at", "0")
+  .option("--index <file>", "where indexed events are kept between runs", ".rps-index.json")
+  .action(
+    run(async options => {
+      if (!["csv", "json"].includes(options.format)) throw new Error(`Unknown format: ${options.format}`);
+
+      const { web3, client } = await connect();
+      const indexer = new Indexer(web3, client.address, {
+        store: jsonFileStore(path.resolve(options.index)),
+        fromBlock: Number(options.fromBlock)
+      });
+      await indexer.sync();
+
+      const statements = playerStatements(indexer.getEvents());
+      const players = options.player ? [options.player.toLowerCase()] : Object.keys(statements);
+      fs.mkdirSync(path.resolve(options.out), { recursive: true });
+      players.forEach(player => {
+        const entries = statements[player] || [];
+        const file = path.resolve(options.out, `${player}.${options.format}`);
+        fs.writeFileSync(
+          file,
+          options.format === "csv" ? statementToCsv(entries) : `${JSON.stringify(entries, null, 2)}\n`
+        );
+        console.log(`${file}: ${entries.length} entries`);
+      });
+    })
+  );
+
+program
+  .command("lobby")
+  .description("serve the open games over WebSocket, for players looking for an opponent")
+  .option("--port <port>", "port to listen on", "8082")
+  .option("--host <host>", "interface to listen on", "127.0.0.1")
+  .option("--from-block <number>", "block the contract was deployed at", "0")
+  .option("--interval <seconds>", "how often to look for new games", "5")
+  .action(async options => {
+    // Keeps running until interrupted, like the relayer
+    try {
+      const { web3, client } = await connect();
+      const lobby = new Lobby(web3, client.address, { fromBlock: Number(options.fromBlock) });
+      lobby.on("added", game => console.log(`Open: ${game.gameId} for ${formatStake(game.stake, game.token)}`));
+      lobby.on("removed", ({ gameId, reason }) => console.log(`Closed: ${gameId} (${reason})`));
+      lobby.on("error", error => console.error(`Refreshing failed: ${error.message}`));
+      await lobby.refresh();
+      lobby.start(Number(options.interval) * 1000);
+
+      await lobby.listen(Number(options.port), options.host);
+      console.log(`Lobby of ${client.address} on ws://${options.host}:${options.port}`);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command("quick-match")
+  .description("join the oldest open game at the given stake, found through a lobby")
+  .requiredOption("--stake <amount>", "e.g. 1gwei, or token units with --token")
+  .option("--join-timeout <seconds>", "only join games open for this long")
+  .option("--token <address>", "join a game staking this token instead of ether")
+  .option("--lobby <url>", "the lobby to ask", "ws://127.0.0.1:8082")
+  .action(
+    run(async options => {
+      const { client, from } = await connect();
+      const stake = options.token ? options.stake : parseAmount(options.stake);
+      const games = await requestCandidates(options.lobby, {
+        player: from,
+        stake,
+        token: options.token || zero_address,
+        joinTimeout: options.joinTimeout === undefined ? undefined : Number(options.joinTimeout)
+      });
+
+      const { game } = await quickMatch(client, games);
+      const { deadline } = await client.getGame(game.gameId);
+      console.log(`Joined game ${game.gameId} against ${game.creator}`);
+      console.log(`Show your hand before ${formatDeadline(deadline)}: rps show ${game.gameId} <hand>`);
+    })
+  );
+
+program
+  .command("watch")
+  .description("resolve, cancel and punish the sender's games on time, warning before deadlines")
+  .option("--from-block <number>", "block the contract was deployed at", "0")
+  .option("--interval <seconds>", "how often to check the games", "30")
+  .option("--warn-before <minutes>", "warn this long before a deadline the sender must meet", "15")
+  .option("--retries <count>", "times a failed transaction is tried again", "3")
+  .option("--webhook <url>", "also POST every notification to this URL")
+  .option("--webhook-timeout <seconds>", "how long the webhook has to answer", "10")
+  .option("--dry-run", "print what would be sent instead of sending it")
+  .action(async options => {
+    // Keeps running until interrupted, like the relayer
+    try {
+      const { client, from, vault } = await connect();
+      if (!vault) console.log("RPS_PASSPHRASE is not set: games you created can only be watched, not resolved");
+
+      const watcher = new DeadlineWatcher(client, {
+        fromBlock: Number(options.fromBlock),
+        warnBefore: Number(options.warnBefore) * 60,
+        retries: Number(options.retries),
+        dryRun: !!options.dryRun,
+        webhook: options.webhook,
+        webhookTimeout: Number(options.webhookTimeout) * 1000
+      });
+      watcher.on("notification", ({ kind, gameId, message, transactionHash, error }) =>
+        console.log(
+          `[${kind}] ${gameId}: ${message}${transactionHash ? ` (${transactionHash})` : ""}${error ? `: ${error}` : ""}`
+        )
+      );
+      watcher.on("error", error => console.error(`Check failed: ${error.message}`));
+
+      console.log(`Watching the games of ${from} on ${client.address}`);
+      await watcher.start(Number(options.interval) * 1000);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  });
+
+program.on("command:*", () => {
+  program.outputHelp();
+  process.exit(1);
+});
+
+program.parse(process.argv);
+
+if (!process.argv.slice(2).length) program.outputHelp();
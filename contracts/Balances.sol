@@ -1,9 +1,14 @@
 pragma solidity >= 0.5.0 <0.6.0;
 import "./SafeMath.sol";
+import "./IERC20.sol";
 contract Balances {
   using SafeMath for uint256;
 
   mapping(address => uint256) public balances;
+  // token => holder => amount
+  mapping(address => mapping(address => uint256)) public tokenBalances;
+  // Set while ether is being paid out, see nonReentrant
+  bool private paying;
 
   event LogBalanceIncreased(
     address indexed sender,
@@ -13,21 +18,127 @@ contract Balances {
 
   event LogBalanceWithdraw(
     address indexed sender,
+    address indexed to,
+    uint256 amount
+  );
+
+  event LogBalanceDecreased(
+    address indexed sender,
+    uint256 amount
+  );
+
+  event LogTokenBalanceIncreased(
+    address indexed sender,
+    address indexed token,
+    address indexed to,
     uint256 amount
   );
 
+  event LogTokenBalanceWithdraw(
+    address indexed sender,
+    address indexed token,
+    uint256 amount
+  );
+
+  /*
+    @dev: Payouts forward all the gas, so that smart contract wallets with costly fallbacks can be paid.
+    Balances are updated before paying anyway, the guard also keeps the recipient from calling back in.
+  */
+  modifier nonReentrant() {
+    require(!paying, "Reentrant call");
+    paying = true;
+    _;
+    paying = false;
+  }
+
   function increaseBalance(address to, uint256 amount) internal {
     require(amount > 0);
     balances[to] = balances[to].add(amount);
     emit LogBalanceIncreased(msg.sender, to, amount);
   }
 
+  /*
+    @dev: Spends part of the sender's ether balance inside the contract, e.g. to stake a game,
+    so that it does not have to be withdrawn and sent back
+  */
+  function decreaseBalance(uint256 amount) internal {
+    decreaseBalance(msg.sender, amount);
+  }
+
+  /*
+    @dev: Same as decreaseBalance(), spending the balance of a player whose signed intent is relayed
+  */
+  function decreaseBalance(address holder, uint256 amount) internal {
+    require(balances[holder] >= amount, "Insufficient balance");
+    balances[holder] = balances[holder].sub(amount);
+    emit LogBalanceDecreased(holder, amount);
+  }
+
+  /*
+    @dev: Credits either ether (token is 0x0) or the given token
+
+    @param token address the stake currency, 0x0 for ether
+  */
+  function increaseBalance(address token, address to, uint256 amount) internal {
+    if(token == address(0)) {
+      increaseBalance(to, amount);
+      return;
+    }
+
+    require(amount > 0);
+    tokenBalances[token][to] = tokenBalances[token][to].add(amount);
+    emit LogTokenBalanceIncreased(msg.sender, token, to, amount);
+  }
+
+  /*
+    @dev: Pulls a token stake from the sender, who must have approved this contract beforehand
+  */
+  function collectToken(address token, uint256 amount) internal {
+    collectToken(token, msg.sender, amount);
+  }
+
+  function collectToken(address token, address from, uint256 amount) internal {
+    require(IERC20(token).transferFrom(from, address(this), amount), "Token transfer failed");
+  }
+
   function withdraw() public {
-    uint256 balance = balances[msg.sender];
+    withdrawBalance(msg.sender, msg.sender, balances[msg.sender]);
+  }
+
+  /*
+    @dev: Withdraws part of the sender's ether balance, or all of it, to any address
+
+    @param recipient address paid, e.g. a wallet contract or the sender's own address
+    @param amount uint256 wei, at most the sender's balance
+  */
+  function withdrawTo(address payable recipient, uint256 amount) public {
+    withdrawBalance(msg.sender, recipient, amount);
+  }
+
+  function withdrawBalance(address holder, address payable recipient, uint256 amount) internal {
+    require(recipient != address(0), "recipient is empty");
+    require(amount > 0, "Nothing to withdraw");
+    require(balances[holder] >= amount, "Insufficient balance");
+    balances[holder] = balances[holder].sub(amount);
+    emit LogBalanceWithdraw(holder, recipient, amount);
+
+    sendEther(recipient, amount);
+  }
+
+  /*
+    @dev: Every ether payout goes through here, once the books are updated, see nonReentrant
+  */
+  function sendEther(address payable recipient, uint256 amount) internal nonReentrant {
+    (bool success, ) = recipient.call.value(amount)("");
+    require(success, "Payout failed");
+  }
+
+  function withdrawToken(address token) public {
+    uint256 balance = tokenBalances[token][msg.sender];
     require(balance > 0);
-    balances[msg.sender] = 0;
-    emit LogBalanceWithdraw(msg.sender, balance);
-    msg.sender.transfer(balance);
+    tokenBalances[token][msg.sender] = 0;
+    emit LogTokenBalanceWithdraw(msg.sender, token, balance);
+    require(IERC20(token).transfer(msg.sender, balance), "Token transfer failed");
   }
 
 }
@@ -0,0 +1,88 @@
+pragma solidity >= 0.5.0 <0.6.0;
+import "./Ownable.sol";
+import "./Balances.sol";
+import "./SafeMath.sol";
+import "./IERC20.sol";
+
+/*
+  @dev: House commission, in basis points of a game's pot. Commissions are accrued per currency apart
+  from the players' balances, and only the owner can withdraw them. Ether is paid like the players' withdrawals,
+  so that the owner can be a smart contract wallet.
+*/
+contract Commission is Ownable, Balances {
+  using SafeMath for uint256;
+
+  uint16 public constant MAX_COMMISSION = 1000; // 10%
+  uint16 constant BASIS_POINTS = 10000;
+
+  // Rate applied to games created from now on
+  uint16 public commission;
+  // token => accrued commissions, 0x0 for ether
+  mapping(address => uint256) public commissions;
+
+  event LogCommissionChanged(
+    address indexed sender,
+    uint16 commission
+  );
+
+  event LogCommissionCharged(
+    address indexed sender,
+    bytes32 indexed gameId,
+    address indexed token,
+    uint256 amount
+  );
+
+  event LogCommissionWithdraw(
+    address indexed sender,
+    address indexed token,
+    uint256 amount
+  );
+
+  /*
+    @dev: Games keep the rate they were created with, so a change never applies to running games
+
+    @param basisPoints uint16 hundredths of a percent of the pot, up to MAX_COMMISSION
+  */
+  function setCommission(uint16 basisPoints) public onlyOwner {
+    require(basisPoints <= MAX_COMMISSION, "Commission too high");
+    commission = basisPoints;
+    emit LogCommissionChanged(msg.sender, basisPoints);
+  }
+
+  /*
+    @dev: Sends the commissions accrued in the given currency to the owner
+
+    @param token address the currency, 0x0 for ether
+  */
+  function withdrawCommission(address token) public onlyOwner {
+    uint256 amount = commissions[token];
+    require(amount > 0);
+    commissions[token] = 0;
+    emit LogCommissionWithdraw(msg.sender, token, amount);
+
+    if(token == address(0))
+      sendEther(msg.sender, amount);
+    else
+      require(IERC20(token).transfer(msg.sender, amount), "Token transfer failed");
+  }
+
+  /*
+    @dev: Takes the commission out of a pot. Rounds down, in favour of the players.
+
+    @param gameId bytes32 the game the pot belongs to, for the event only
+    @param token address the pot's currency, 0x0 for ether
+    @param pot uint256 the amount the commission is taken from
+    @param basisPoints uint16 the game's rate
+    @return the pot left for the players
+  */
+  function chargeCommission(bytes32 gameId, address token, uint256 pot, uint16 basisPoints) internal returns (uint256) {
+    uint256 amount = pot.mul(basisPoints).div(BASIS_POINTS);
+    if(amount == 0) return pot;
+
+    commissions[token] = commissions[token].add(amount);
+    emit LogCommissionCharged(msg.sender, gameId, token, amount);
+
+    return pot.sub(amount);
+  }
+
+}
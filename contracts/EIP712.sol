@@ -0,0 +1,57 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+/*
+  @dev: EIP-712 domain and signature recovery, shared by the contracts that accept typed data signed
+  off-chain.
+
+  solc 0.5.7 cannot read the chain ID, so the domain is made of the name, the version and this
+  contract's address only: do not deploy from the same address and nonce on two chains.
+*/
+contract EIP712 {
+
+  bytes32 constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,address verifyingContract)");
+
+  bytes32 public DOMAIN_SEPARATOR;
+
+  constructor(string memory name, string memory version) public {
+    DOMAIN_SEPARATOR = keccak256(abi.encode(
+      DOMAIN_TYPEHASH,
+      keccak256(bytes(name)),
+      keccak256(bytes(version)),
+      address(this)
+    ));
+  }
+
+  /*
+    @dev: Returns the address that signed the typed data, 0x0 if the signature is malformed
+
+    @param structHash bytes32 the EIP-712 hash of the signed struct
+    @param signature bytes 65 bytes r, s, v signature
+  */
+  function recoverTypedDataSigner(bytes32 structHash, bytes memory signature) internal view returns (address) {
+    return recoverSigner(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)), signature);
+  }
+
+  /*
+    @dev: Returns 0x0 for malformed signatures, including the malleable ones with a high s
+  */
+  function recoverSigner(bytes32 digest, bytes memory signature) internal pure returns (address) {
+    if(signature.length != 65) return address(0);
+
+    bytes32 r;
+    bytes32 s;
+    uint8 v;
+    assembly {
+      r := mload(add(signature, 32))
+      s := mload(add(signature, 64))
+      v := byte(0, mload(add(signature, 96)))
+    }
+
+    if(v < 27) v += 27;
+    if(v != 27 && v != 28) return address(0);
+    if(uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) return address(0);
+
+    return ecrecover(digest, v, r, s);
+  }
+
+}
@@ -0,0 +1,147 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+
+import "./Ownable.sol";
+import "./SafeMath.sol";
+
+/*
+  @dev: The rules every game of this repository is played by: which hands a rule set has, which hand beats
+  which, how long a player has to move and when a deadline has passed. RockPaperScissors, its series,
+  tournaments and channels all inherit them, so that they cannot drift apart.
+*/
+contract GameRules is Ownable {
+  using SafeMath for uint256;
+
+  // The hands of the built-in rule sets. Hands are passed around as uint8, the way the ABI encodes this enum,
+  // so that custom rule sets can have more of them.
+  enum Hand {NULL, ROCK, PAPER, SCISSORS, LIZARD, SPOCK}
+
+  uint8 constant MAX_HANDS = 15;
+  uint8 public constant CLASSIC = 0;
+  uint8 public constant RPSLS = 1;
+
+  // Every phase lasts at least this long, so that a move sent right away still gets mined in time
+  uint32 public constant MIN_TIMEOUT = 1 minutes;
+
+  // Hands go from 1 to hands. Bit (16 * a + b) of beats is set when hand a beats hand b,
+  // hands that beat each other in neither direction tie.
+  struct RuleSet {
+    uint8 hands;
+    uint256 beats;
+  }
+
+  mapping(uint8 => RuleSet) public ruleSets;
+  uint8 public ruleSetCount;
+
+  event LogRuleSetRegistered(
+    address indexed sender,
+    uint8 indexed ruleSet,
+    uint8 hands,
+    uint256 beats
+  );
+
+  constructor() public {
+    uint8 rock = uint8(Hand.ROCK);
+    uint8 paper = uint8(Hand.PAPER);
+    uint8 scissors = uint8(Hand.SCISSORS);
+    uint8 lizard = uint8(Hand.LIZARD);
+    uint8 spock = uint8(Hand.SPOCK);
+
+    uint256 classic = beat(rock, scissors) | beat(paper, rock) | beat(scissors, paper);
+    addRuleSet(3, classic);
+    addRuleSet(5, classic
+      | beat(rock, lizard) | beat(lizard, spock) | beat(spock, scissors) | beat(scissors, lizard)
+      | beat(lizard, paper) | beat(paper, spock) | beat(spock, rock));
+  }
+
+  /*
+    @dev: Lets the owner register a custom win matrix, which games can then be created under
+
+    @param hands uint8 number of hands, from 3 to 15
+    @param beats uint256 bit (16 * a + b) set when hand a beats hand b
+  */
+  function registerRuleSet(uint8 hands, uint256 beats) public onlyOwner returns (uint8) {
+    require(hands >= 3 && hands <= MAX_HANDS, "Invalid rule set");
+
+    for(uint8 a = 0; a < 16; a++) {
+      for(uint8 b = 0; b < 16; b++) {
+        if(beats & beat(a, b) == 0) continue;
+        // Hands out of range, hands beating themselves and pairs beating each other make no sense
+        require(a != 0 && b != 0 && a <= hands && b <= hands && a != b, "Invalid rule set");
+        require(beats & beat(b, a) == 0, "Invalid rule set");
+      }
+    }
+
+    return addRuleSet(hands, beats);
+  }
+
+  /*
+    @dev: Tells whether hand can be played in a game under ruleSet
+
+    @param ruleSet uint8 the key to the rule sets mapping
+    @param hand uint8 the weapon choice
+  */
+  function isValidHand(uint8 ruleSet, uint8 hand) public view returns (bool) {
+    return hand != uint8(Hand.NULL) && hand <= ruleSets[ruleSet].hands;
+  }
+
+  /*
+    @dev: Tells whether hand a beats hand b under ruleSet
+  */
+  function handBeats(uint8 ruleSet, uint8 a, uint8 b) public view returns (bool) {
+    return ruleSets[ruleSet].beats & beat(a, b) != 0;
+  }
+
+  /*
+    @dev: Plays one round under ruleSet, both hands being valid in it
+
+    @returns address the player whose hand beats the other's, 0x0 on a tie
+  */
+  function roundWinner(
+    uint8 ruleSet,
+    address firstPlayer,
+    uint8 firstPlayerHand,
+    address secondPlayer,
+    uint8 secondPlayerHand
+  ) internal view returns (address) {
+    if(handBeats(ruleSet, firstPlayerHand, secondPlayerHand)) return firstPlayer;
+    if(handBeats(ruleSet, secondPlayerHand, firstPlayerHand)) return secondPlayer;
+    return address(0);
+  }
+
+  function isValidTimeout(uint32 timeout) internal pure returns (bool) {
+    return timeout >= MIN_TIMEOUT;
+  }
+
+  /*
+    @dev: The deadline of a move that has timeout seconds to be made, starting now
+  */
+  function deadlineIn(uint32 timeout) internal view returns (uint256) {
+    return now.add(timeout);
+  }
+
+  /*
+    @dev: A deadline is the first second a game is expired: moves must be mined strictly before it,
+    punishing or cancelling is only possible from it on
+  */
+  function isExpired(uint256 deadline) internal view returns (bool) {
+    return now >= deadline;
+  }
+
+  function beat(uint8 a, uint8 b) internal pure returns (uint256) {
+    return uint256(1) << (uint256(a) * 16 + uint256(b));
+  }
+
+  function addRuleSet(uint8 hands, uint256 beats) internal returns (uint8) {
+    uint8 ruleSet = ruleSetCount;
+    require(ruleSet < 255, "Too many rule sets");
+
+    ruleSets[ruleSet] = RuleSet({ hands: hands, beats: beats });
+    ruleSetCount = ruleSet + 1;
+
+    emit LogRuleSetRegistered(msg.sender, ruleSet, hands, beats);
+
+    return ruleSet;
+  }
+
+}
@@ -0,0 +1,12 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+/*
+  @dev: The subset of the ERC20 interface used to hold token stakes.
+*/
+interface IERC20 {
+  function balanceOf(address account) external view returns (uint256);
+  function transfer(address to, uint256 amount) external returns (bool);
+  function transferFrom(address from, address to, uint256 amount) external returns (bool);
+  function approve(address spender, uint256 amount) external returns (bool);
+  function allowance(address owner, address spender) external view returns (uint256);
+}
@@ -0,0 +1,51 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+
+import "./EIP712.sol";
+
+/*
+  @dev: Verifies EIP-712 signed intents, so that a relayer can send a player's transaction and pay for
+  its gas. Every intent carries the player's next nonce, which makes it usable once, and an expiry.
+*/
+contract MetaTransactions is EIP712 {
+
+  // Next nonce expected from each player
+  mapping(address => uint256) public nonces;
+
+  event LogIntentRelayed(
+    address indexed relayer,
+    address indexed player,
+    uint256 nonce,
+    uint256 fee
+  );
+
+  constructor(string memory name, string memory version) EIP712(name, version) public {}
+
+  /*
+    @dev: Reverts unless player signed the intent and it can still be used, then consumes its nonce
+
+    @param player address the signer the intent is relayed for
+    @param structHash bytes32 the EIP-712 hash of the intent
+    @param nonce uint256 must be nonces[player]
+    @param expiry uint256 unix timestamp after which the intent cannot be relayed
+    @param fee uint256 what the player pays the relayer, for the event only
+    @param signature bytes 65 bytes r, s, v signature of the intent's digest
+  */
+  function verifyIntent(
+    address player,
+    bytes32 structHash,
+    uint256 nonce,
+    uint256 expiry,
+    uint256 fee,
+    bytes memory signature
+  ) internal {
+    require(now <= expiry, "Intent expired");
+    require(nonce == nonces[player], "Invalid nonce");
+    require(player != address(0) && recoverTypedDataSigner(structHash, signature) == player, "Invalid signature");
+
+    nonces[player] = nonce + 1;
+
+    emit LogIntentRelayed(msg.sender, player, nonce, fee);
+  }
+
+}
@@ -0,0 +1,113 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+
+import "./Pausable.sol";
+import "./Balances.sol";
+
+/*
+  @dev: Moves the players' ether balances to the next version of a contract, so that they do not have to
+  withdraw() from the old one and deposit into the new one. Once killed, the old contract's owner
+  registers its successor, and the successor's owner registers its predecessor: the successor only
+  accepts balances sent by the predecessor it registered. Token balances are still withdrawn with
+  withdrawToken().
+*/
+contract Migratable is Pausable, Balances {
+
+  address public successor;
+  address public predecessor;
+
+  // Players who agreed to have the owner move their balance to the successor
+  mapping(address => bool) public migrationRequested;
+
+  event LogSuccessorSet(
+    address indexed sender,
+    address indexed successor
+  );
+
+  event LogPredecessorSet(
+    address indexed sender,
+    address indexed predecessor
+  );
+
+  event LogMigrationRequested(
+    address indexed sender,
+    address indexed successor
+  );
+
+  event LogBalanceMigrated(
+    address indexed sender,
+    address indexed holder,
+    uint256 amount
+  );
+
+  /*
+    @dev: Can only be set once, after kill(), since balances keep moving out for good
+
+    @param newSuccessor address the contract balances are migrated to
+  */
+  function setSuccessor(address newSuccessor) public onlyOwner mustBeDead {
+    require(newSuccessor != address(0), "successor is empty");
+    require(successor == address(0), "Successor already set");
+    successor = newSuccessor;
+    emit LogSuccessorSet(msg.sender, newSuccessor);
+  }
+
+  /*
+    @dev: Can only be set once, so that nobody else can ever credit balances through the migration
+
+    @param newPredecessor address the only contract allowed to call receiveMigration()
+  */
+  function setPredecessor(address newPredecessor) public onlyOwner {
+    require(newPredecessor != address(0), "predecessor is empty");
+    require(predecessor == address(0), "Predecessor already set");
+    predecessor = newPredecessor;
+    emit LogPredecessorSet(msg.sender, newPredecessor);
+  }
+
+  function migrateBalance() public {
+    migrate(msg.sender);
+  }
+
+  /*
+    @dev: Lets a player agree to be part of the owner's next migrateBalances() batch, for the successor
+    registered at the time, since the owner chose it
+  */
+  function requestMigration() public {
+    require(successor != address(0), "No successor");
+    migrationRequested[msg.sender] = true;
+    emit LogMigrationRequested(msg.sender, successor);
+  }
+
+  /*
+    @dev: Lets the owner migrate the balances of players who asked for it with requestMigration(). Holders
+    who did not ask or have no balance are skipped, so that one of them does not make the whole batch revert
+
+    @param holders address[] the players whose balances are migrated
+  */
+  function migrateBalances(address[] memory holders) public onlyOwner {
+    for(uint256 i = 0; i < holders.length; i++) {
+      if(migrationRequested[holders[i]] && balances[holders[i]] > 0)
+        migrate(holders[i]);
+    }
+  }
+
+  /*
+    @dev: Called by the predecessor, with the ether attached
+
+    @param holder address the player the balance is credited to
+  */
+  function receiveMigration(address holder) external payable {
+    require(msg.sender == predecessor, "Only the predecessor can migrate");
+    increaseBalance(holder, msg.value);
+  }
+
+  function migrate(address holder) internal {
+    require(successor != address(0), "No successor");
+    uint256 amount = balances[holder];
+    require(amount > 0);
+    balances[holder] = 0;
+    emit LogBalanceMigrated(msg.sender, holder, amount);
+    Migratable(successor).receiveMigration.value(amount)(holder);
+  }
+
+}
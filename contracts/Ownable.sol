@@ -4,6 +4,17 @@ pragma solidity >= 0.5.0 <6.0.0;
 contract Ownable {
 
   address private owner;
+  address private pendingOwner;
+
+  event LogOwnerProposed(
+    address indexed sender,
+    address indexed proposedOwner
+  );
+
+  event LogOwnerProposalCancelled(
+    address indexed sender,
+    address indexed proposedOwner
+  );
 
   event LogOwnerChanged(
     address indexed sender,
@@ -23,10 +34,36 @@ contract Ownable {
     return owner;
   }
 
-  function setOwner(address newOwner) public onlyOwner {
+  function getPendingOwner() public view returns(address) {
+    return pendingOwner;
+  }
+
+  /*
+    @dev: First step of an ownership handover, which only takes effect once
+    the proposed owner accepts it. Proposing again replaces the proposal
+    @param newOwner The address that may accept the ownership
+  */
+  function proposeOwner(address newOwner) public onlyOwner {
     require(newOwner != address(0), "newOwner is empty");
-    owner = newOwner;
-    emit LogOwnerChanged(msg.sender, newOwner);
+    pendingOwner = newOwner;
+    emit LogOwnerProposed(msg.sender, newOwner);
+  }
+
+  function cancelOwnerProposal() public onlyOwner {
+    require(pendingOwner != address(0), "No ownership transfer pending");
+    emit LogOwnerProposalCancelled(msg.sender, pendingOwner);
+    pendingOwner = address(0);
+  }
+
+  /*
+    @dev: Second step of an ownership handover, proves that the new owner
+    controls the proposed address
+  */
+  function acceptOwnership() public {
+    require(msg.sender == pendingOwner, "Can only be called by the proposed owner");
+    owner = msg.sender;
+    pendingOwner = address(0);
+    emit LogOwnerChanged(msg.sender, msg.sender);
   }
 
 }
@@ -5,24 +5,47 @@ import "./Ownable.sol";
 contract Pausable is Ownable {
 
   bool private paused;
-  bool private dead;
+  uint256 private killedAt; // 0 while the contract is alive
+  mapping(address => bool) private pausers;
 
   event LogPaused(
     address indexed sender,
     bool state
   );
 
+  event LogPauserAdded(
+    address indexed sender,
+    address indexed account
+  );
+
+  event LogPauserRemoved(
+    address indexed sender,
+    address indexed account
+  );
+
   event LogKilled(
     address indexed sender
   );
 
   constructor(bool startPaused) public {
     paused = startPaused;
-    // dead = false; // Inits to false by default
+    // killedAt = 0; // Inits to 0 by default
+    pausers[msg.sender] = true;
+    emit LogPauserAdded(msg.sender, msg.sender);
+  }
+
+  modifier onlyPauser {
+    require(pausers[msg.sender], "Can only be called by a pauser");
+    _;
   }
 
   modifier mustBeAlive {
-    require(!dead);
+    require(killedAt == 0, "The contract has been killed");
+    _;
+  }
+
+  modifier mustBeDead {
+    require(killedAt != 0, "The contract must be killed");
     _;
   }
 
@@ -36,18 +59,53 @@ contract Pausable is Ownable {
     _;
   }
 
-  function pause() public mustBeAlive onlyOwner mustBeRunning {
+  /*
+    @dev: Pausers can stop and restart new games, only the owner can kill the
+    contract or change who the pausers are
+    @param account The address allowed to pause() and resume()
+  */
+  function addPauser(address account) public onlyOwner {
+    require(account != address(0), "account is empty");
+    require(!pausers[account], "Already a pauser");
+    pausers[account] = true;
+    emit LogPauserAdded(msg.sender, account);
+  }
+
+  function removePauser(address account) public onlyOwner {
+    require(pausers[account], "Not a pauser");
+    pausers[account] = false;
+    emit LogPauserRemoved(msg.sender, account);
+  }
+
+  /*
+    @dev: The pauser role of the owner goes along with the ownership, other
+    pausers keep theirs
+  */
+  function acceptOwnership() public {
+    address previousOwner = getOwner();
+    super.acceptOwnership();
+    if(pausers[previousOwner]) {
+      pausers[previousOwner] = false;
+      emit LogPauserRemoved(msg.sender, previousOwner);
+    }
+    if(!pausers[msg.sender]) {
+      pausers[msg.sender] = true;
+      emit LogPauserAdded(msg.sender, msg.sender);
+    }
+  }
+
+  function pause() public mustBeAlive onlyPauser mustBeRunning {
     paused = true;
     emit LogPaused(msg.sender, true);
   }
 
-  function resume() public mustBeAlive onlyOwner mustBePaused {
+  function resume() public mustBeAlive onlyPauser mustBePaused {
     paused = false;
     emit LogPaused(msg.sender, false);
   }
 
   function kill() public mustBeAlive onlyOwner mustBePaused {
-    dead = true;
+    killedAt = now;
     emit LogKilled(msg.sender);
   }
 
@@ -55,8 +113,16 @@ contract Pausable is Ownable {
     return paused;
   }
 
+  function isPauser(address account) public view returns (bool) {
+    return pausers[account];
+  }
+
   function isDead() public view returns (bool) {
-    return dead;
+    return killedAt != 0;
+  }
+
+  function getKilledAt() public view returns (uint256) {
+    return killedAt;
   }
 
 }
@@ -3,15 +3,43 @@ pragma solidity >= 0.5.0 <0.6.0;
 
 import "./Pausable.sol";
 import "./Balances.sol";
+import "./Migratable.sol";
+import "./Commission.sol";
+import "./MetaTransactions.sol";
+import "./GameRules.sol";
 
-contract RockPaperScissors is Pausable, Balances {
+contract RockPaperScissors is Pausable, Balances, Migratable, Commission, MetaTransactions, GameRules {
 
-  enum Hand {NULL, ROCK, PAPER, SCISSORS}
+  // Signed intents a relayer can send on a player's behalf, see MetaTransactions
+  bytes32 constant ACCEPT_MATCH_TYPEHASH = keccak256(
+    "AcceptMatch(bytes32 gameId,uint256 fee,uint256 nonce,uint256 expiry)"
+  );
+  bytes32 constant SHOW_HAND_TYPEHASH = keccak256(
+    "ShowHand(bytes32 gameId,uint8 hand,uint256 fee,uint256 nonce,uint256 expiry)"
+  );
+  bytes32 constant RESOLVE_MATCH_TYPEHASH = keccak256(
+    "ResolveMatch(uint8 hand,uint256 secret,uint256 fee,uint256 nonce,uint256 expiry)"
+  );
+  bytes32 constant WITHDRAW_TYPEHASH = keccak256(
+    "Withdraw(uint256 amount,address recipient,uint256 fee,uint256 nonce,uint256 expiry)"
+  );
+
+  // NULL: the game never existed. CLOSED: the game was resolved, punished or cancelled.
+  enum Phase {NULL, OPEN, ACCEPTED, HAND_SHOWN, EXPIRED_AWAITING_CANCEL, EXPIRED_AWAITING_PUNISH, CLOSED}
 
   struct Game {
-    Hand secondPlayerHand;
-    uint88 timeout; // We make sure that secondPlayerHand, timeout and address are tightly packed, making it 32 bytes
+    uint8 secondPlayerHand;
+    // Seconds the second player has to show a hand once the match is accepted, and the creator to resolve once
+    // it is shown. The join window only sets the first deadline, so it is not kept.
+    // We make sure that secondPlayerHand, both timeouts and address are tightly packed, making it 29 bytes
+    uint32 showHandTimeout;
+    uint32 resolveTimeout;
     address secondPlayer;
+    address firstPlayer; // Only needed to answer who may resolve or cancel, resolveMatch() relies on the hash
+    uint8 ruleSet; // Packed with firstPlayer
+    uint16 commission; // The house's rate when the game was created, in basis points. Packed with firstPlayer too
+    address opponent; // If set, only this address can accept the match
+    address token; // The stake currency, 0x0 for ether
     uint256 stake;
     uint256 deadline;
   }
@@ -23,6 +51,10 @@ contract RockPaperScissors is Pausable, Balances {
   event LogMatchCreated(
     address indexed sender,
     bytes32 indexed gameId,
+    address indexed opponent,
+    address token,
+    uint8 ruleSet,
+    uint16 commission,
     uint256 stake,
     uint256 deadline
   );
@@ -34,17 +66,26 @@ contract RockPaperScissors is Pausable, Balances {
     uint256 deadline
   );
 
+  // Tells how a player's stake was paid: with msg.value (or tokens for token games) or from the internal balance
+  event LogStakeFunded(
+    address indexed sender,
+    bytes32 indexed gameId,
+    uint256 paid,
+    uint256 fromBalance
+  );
+
   event LogHandShown(
     address indexed sender,
     bytes32 indexed gameId,
     uint256 deadline,
-    Hand hand
+    uint8 hand
   );
 
   event LogMatchResolved(
     address indexed sender,
     bytes32 indexed gameId,
     address indexed winner,
+    uint8 firstPlayerHand,
     uint256 firstPlayerWage,
     uint256 secondPlayerWage
   );
@@ -59,7 +100,15 @@ contract RockPaperScissors is Pausable, Balances {
     bytes32 indexed gameId
   );
 
-  constructor(bool startPaused) Pausable(startPaused) public {}
+  // Each player gets his / her own stake back, see refundGame()
+  event LogGameRefunded(
+    address indexed sender,
+    bytes32 indexed gameId,
+    uint256 firstPlayerRefund,
+    uint256 secondPlayerRefund
+  );
+
+  constructor(bool startPaused) Pausable(startPaused) MetaTransactions("RockPaperScissors", "1") public {}
 
   /*
     @dev: This function is the default callback for the contract.
@@ -71,54 +120,224 @@ contract RockPaperScissors is Pausable, Balances {
   }
 
   /*
-    @dev: This function lets a player create a match. He / she must specify the challenged address
-    and a hidden hand that will act as game ID (key to the mapping)
+    @dev: This function lets a player create a match. He / she must specify a hidden hand that will act
+    as game ID (key to the mapping), and can reserve the match for a challenged address.
+
+    @param bytes32 hashedHand is a hash obtained by calling hashHand() that will act as key.
+    @param joinTimeout uint32 seconds anyone (or the opponent) has to accept the match
+    @param showHandTimeout uint32 seconds the second player has to show a hand once the match is accepted
+    @param resolveTimeout uint32 seconds the creator has to resolve once the hand is shown
+    @param opponent address is the challenged player's address, or 0x0 to let anyone accept the match
+
+  */
+  function createMatch(
+    bytes32 hashedHand,
+    uint32 joinTimeout,
+    uint32 showHandTimeout,
+    uint32 resolveTimeout,
+    address opponent
+  ) public payable mustBeRunning mustBeAlive returns (bytes32) {
+    openMatch(hashedHand, joinTimeout, showHandTimeout, resolveTimeout, opponent, address(0), msg.value, CLASSIC);
+    emit LogStakeFunded(msg.sender, hashedHand, msg.value, 0);
+  }
+
+  /*
+    @dev: Same as createMatch(), played under the given rule set instead of the classic rules
 
-    @param secondPlayer address is the challenged player's address
     @param bytes32 hashedHand is a hash obtained by calling hashHand() that will act as key.
+    @param joinTimeout uint32 seconds anyone (or the opponent) has to accept the match
+    @param showHandTimeout uint32 seconds the second player has to show a hand once the match is accepted
+    @param resolveTimeout uint32 seconds the creator has to resolve once the hand is shown
+    @param opponent address is the challenged player's address, or 0x0 to let anyone accept the match
+    @param ruleSet uint8 CLASSIC, RPSLS or a rule set registered by the owner
+  */
+  function createMatchWithRules(
+    bytes32 hashedHand,
+    uint32 joinTimeout,
+    uint32 showHandTimeout,
+    uint32 resolveTimeout,
+    address opponent,
+    uint8 ruleSet
+  ) public payable mustBeRunning mustBeAlive {
+    require(ruleSet < ruleSetCount, "Invalid rule set");
+    openMatch(hashedHand, joinTimeout, showHandTimeout, resolveTimeout, opponent, address(0), msg.value, ruleSet);
+    emit LogStakeFunded(msg.sender, hashedHand, msg.value, 0);
+  }
+
+  /*
+    @dev: Same as createMatch(), with fromBalance of the stake taken from the creator's balance. The stake
+    is msg.value plus fromBalance, so winnings can be staked again without withdrawing them first.
+
+    @param bytes32 hashedHand is a hash obtained by calling hashHand() that will act as key.
+    @param joinTimeout uint32 seconds anyone (or the opponent) has to accept the match
+    @param showHandTimeout uint32 seconds the second player has to show a hand once the match is accepted
+    @param resolveTimeout uint32 seconds the creator has to resolve once the hand is shown
+    @param opponent address is the challenged player's address, or 0x0 to let anyone accept the match
+    @param fromBalance uint256 wei taken from the creator's balance
+  */
+  function createMatchWithBalance(
+    bytes32 hashedHand,
+    uint32 joinTimeout,
+    uint32 showHandTimeout,
+    uint32 resolveTimeout,
+    address opponent,
+    uint256 fromBalance
+  ) public payable mustBeRunning mustBeAlive {
+    openMatch(
+      hashedHand,
+      joinTimeout,
+      showHandTimeout,
+      resolveTimeout,
+      opponent,
+      address(0),
+      msg.value.add(fromBalance),
+      CLASSIC
+    );
+    emit LogStakeFunded(msg.sender, hashedHand, msg.value, fromBalance);
+
+    if(fromBalance > 0)
+      decreaseBalance(fromBalance);
+  }
+
+  /*
+    @dev: Same as createMatch(), staking an ERC20 token instead of ether. The stake is pulled with
+    transferFrom(), so the creator must approve this contract for at least the stake beforehand.
 
+    @param bytes32 hashedHand is a hash obtained by calling hashHand() that will act as key.
+    @param joinTimeout uint32 seconds anyone (or the opponent) has to accept the match
+    @param showHandTimeout uint32 seconds the second player has to show a hand once the match is accepted
+    @param resolveTimeout uint32 seconds the creator has to resolve once the hand is shown
+    @param opponent address is the challenged player's address, or 0x0 to let anyone accept the match
+    @param token address the ERC20 token staked by both players
+    @param stake uint256 amount of tokens each player stakes
   */
-  function createMatch(bytes32 hashedHand, uint88 timeoutInHours) public payable mustBeRunning mustBeAlive returns (bytes32) {
+  function createTokenMatch(
+    bytes32 hashedHand,
+    uint32 joinTimeout,
+    uint32 showHandTimeout,
+    uint32 resolveTimeout,
+    address opponent,
+    address token,
+    uint256 stake
+  ) public mustBeRunning mustBeAlive {
+    require(token != address(0), "Invalid token");
+    openMatch(hashedHand, joinTimeout, showHandTimeout, resolveTimeout, opponent, token, stake, CLASSIC);
+    emit LogStakeFunded(msg.sender, hashedHand, stake, 0);
+    collectToken(token, stake);
+  }
+
+  function openMatch(
+    bytes32 hashedHand,
+    uint32 joinTimeout,
+    uint32 showHandTimeout,
+    uint32 resolveTimeout,
+    address opponent,
+    address token,
+    uint256 stake,
+    uint8 ruleSet
+  ) internal {
     require(hashedHand != bytes32(0), "Invalid hashed hand");
-    require(timeoutInHours > 0, "Timeout must be at least 1 hour");
-    uint256 deadline = now.add(uint256(timeoutInHours).mul(1 hours));
+    require(
+      isValidTimeout(joinTimeout) && isValidTimeout(showHandTimeout) && isValidTimeout(resolveTimeout),
+      "Timeout must be at least 1 minute"
+    );
+    uint256 deadline = deadlineIn(joinTimeout);
     require(games[hashedHand].deadline == 0, "Password used");
 
-    uint256 stake = msg.value;
-
     games[hashedHand] = Game({
-      secondPlayerHand: Hand.NULL,
-      timeout: timeoutInHours,
+      secondPlayerHand: uint8(Hand.NULL),
+      showHandTimeout: showHandTimeout,
+      resolveTimeout: resolveTimeout,
       secondPlayer: address(0),
+      firstPlayer: msg.sender,
+      ruleSet: ruleSet,
+      commission: commission,
+      opponent: opponent,
+      token: token,
       deadline: deadline,
       stake: stake
     });
 
-    emit LogMatchCreated(msg.sender, hashedHand, stake, deadline);
+    emit LogMatchCreated(msg.sender, hashedHand, opponent, token, ruleSet, commission, stake, deadline);
+  }
+
+  /*
+    @dev: This function lets a player join the match. Ether games must be joined with the same stake
+    as msg.value, token games pull the same amount of tokens with transferFrom() and take no ether.
+    No match can be joined while the contract is paused, so that games in flight can be wound down.
+
+    @param firstPlayerHashedHand bytes32 is the game key
+  */
+  function acceptMatch(bytes32 firstPlayerHashedHand) public payable mustBeRunning mustBeAlive {
+    joinMatch(firstPlayerHashedHand, msg.sender, 0);
+  }
+
+  /*
+    @dev: Same as acceptMatch(), taking whatever msg.value does not cover from the second player's balance.
+    Only ether games can be joined this way.
+
+    @param firstPlayerHashedHand bytes32 is the game key
+  */
+  function acceptMatchWithBalance(bytes32 firstPlayerHashedHand) public payable mustBeRunning mustBeAlive {
+    uint256 stake = games[firstPlayerHashedHand].stake;
+    require(msg.value <= stake, "Invalid stake");
+    joinMatch(firstPlayerHashedHand, msg.sender, stake - msg.value);
   }
 
   /*
-    @dev: This function lets a player join the match
+    @dev: Relays a player's signed AcceptMatch intent. Ether stakes are taken from the player's balance
+    in full, token stakes are pulled from the player, who must have approved this contract beforehand.
+    The relayer is paid fee out of the player's ether balance.
 
+    @param player address the signer, who becomes the second player
     @param firstPlayerHashedHand bytes32 is the game key
+    @param fee uint256 wei credited to the relayer's balance
+    @param nonce uint256 the player's next nonce
+    @param expiry uint256 unix timestamp after which the intent cannot be relayed
+    @param signature bytes the player's EIP-712 signature
   */
-  function acceptMatch(bytes32 firstPlayerHashedHand) public payable {
+  function acceptMatchFor(
+    address player,
+    bytes32 firstPlayerHashedHand,
+    uint256 fee,
+    uint256 nonce,
+    uint256 expiry,
+    bytes memory signature
+  ) public mustBeRunning mustBeAlive {
+    bytes32 structHash = keccak256(abi.encode(ACCEPT_MATCH_TYPEHASH, firstPlayerHashedHand, fee, nonce, expiry));
+    verifyIntent(player, structHash, nonce, expiry, fee, signature);
+
+    Game storage game = games[firstPlayerHashedHand];
+    joinMatch(firstPlayerHashedHand, player, game.token == address(0) ? game.stake : 0);
+    payRelayer(player, fee);
+  }
+
+  function joinMatch(bytes32 firstPlayerHashedHand, address player, uint256 fromBalance) internal {
     uint256 deadline = games[firstPlayerHashedHand].deadline;
     require(deadline != 0, "Game does not exist");
-    require(now < deadline, "Deadline passed");
+    require(!isExpired(deadline), "Deadline passed");
     uint256 stake = games[firstPlayerHashedHand].stake;
-    require(stake == msg.value, "Invalid stake");
+    address token = games[firstPlayerHashedHand].token;
+    require(token == address(0) ? stake == msg.value.add(fromBalance) : msg.value == 0 && fromBalance == 0, "Invalid stake");
     require(games[firstPlayerHashedHand].secondPlayer == address(0), "Match contested by another player");
+    address opponent = games[firstPlayerHashedHand].opponent;
+    require(opponent == address(0) || opponent == player, "Match reserved for another player");
 
-    deadline = now.add(uint256(games[firstPlayerHashedHand].timeout).mul(1 hours));
-    stake = stake.add(msg.value);
+    deadline = deadlineIn(games[firstPlayerHashedHand].showHandTimeout);
+    stake = stake.mul(2);
 
-    games[firstPlayerHashedHand].secondPlayer = msg.sender;
+    games[firstPlayerHashedHand].secondPlayer = player;
     games[firstPlayerHashedHand].deadline = deadline;
     games[firstPlayerHashedHand].stake = stake;
 
-    emit LogMatchAccepted(msg.sender, firstPlayerHashedHand, stake, deadline);
+    emit LogMatchAccepted(player, firstPlayerHashedHand, stake, deadline);
+    emit LogStakeFunded(player, firstPlayerHashedHand, stake.div(2).sub(fromBalance), fromBalance);
+
+    if(fromBalance > 0)
+      decreaseBalance(player, fromBalance);
 
+    if(token != address(0))
+      collectToken(token, player, stake.div(2));
   }
 
   /*
@@ -127,103 +346,166 @@ contract RockPaperScissors is Pausable, Balances {
 
     @param firstPlayerHashedHand bytes32 is the game key
   */
-  function showHand(bytes32 firstPlayerHashedHand, Hand secondPlayerClearHand) public {
-    require(secondPlayerClearHand != Hand.NULL, "Invalid hand");
-    require(games[firstPlayerHashedHand].secondPlayer == msg.sender, "Invalid player address");
-    require(games[firstPlayerHashedHand].secondPlayerHand == Hand.NULL, "Cannot pick hand twice");
+  function showHand(bytes32 firstPlayerHashedHand, uint8 secondPlayerClearHand) public mustBeAlive {
+    revealHand(firstPlayerHashedHand, msg.sender, secondPlayerClearHand);
+  }
+
+  /*
+    @dev: Relays a player's signed ShowHand intent, see acceptMatchFor()
+  */
+  function showHandFor(
+    address player,
+    bytes32 firstPlayerHashedHand,
+    uint8 secondPlayerClearHand,
+    uint256 fee,
+    uint256 nonce,
+    uint256 expiry,
+    bytes memory signature
+  ) public mustBeAlive {
+    bytes32 structHash = keccak256(abi.encode(
+      SHOW_HAND_TYPEHASH,
+      firstPlayerHashedHand,
+      secondPlayerClearHand,
+      fee,
+      nonce,
+      expiry
+    ));
+    verifyIntent(player, structHash, nonce, expiry, fee, signature);
+
+    revealHand(firstPlayerHashedHand, player, secondPlayerClearHand);
+    payRelayer(player, fee);
+  }
+
+  function revealHand(bytes32 firstPlayerHashedHand, address player, uint8 secondPlayerClearHand) internal {
+    require(secondPlayerClearHand != uint8(Hand.NULL), "Invalid hand");
+    require(games[firstPlayerHashedHand].secondPlayer == player, "Invalid player address");
+    require(isValidHand(games[firstPlayerHashedHand].ruleSet, secondPlayerClearHand), "Invalid hand");
+    require(games[firstPlayerHashedHand].secondPlayerHand == uint8(Hand.NULL), "Cannot pick hand twice");
     uint256 deadline = games[firstPlayerHashedHand].deadline;
-    require(now < deadline, "Deadline passed");
+    require(!isExpired(deadline), "Deadline passed");
 
-    deadline = now.add(uint256(games[firstPlayerHashedHand].timeout).mul(1 hours));
+    deadline = deadlineIn(games[firstPlayerHashedHand].resolveTimeout);
 
     games[firstPlayerHashedHand].secondPlayerHand = secondPlayerClearHand;
     games[firstPlayerHashedHand].deadline = deadline;
 
-    emit LogHandShown(msg.sender, firstPlayerHashedHand, deadline, secondPlayerClearHand);
+    emit LogHandShown(player, firstPlayerHashedHand, deadline, secondPlayerClearHand);
 
   }
 
   /*
-    @dev: This function resolves a game, must be called by the game creator.
+    @dev: This function resolves a game under its rule set, must be called by the game creator.
+    The house's commission is taken from the pot first, winners and ties share what is left.
 
-    @param hand Hand the weapon choice
+    @param hand uint8 the weapon choice
     @param secret uint256 the secret used to hash the hand
   */
-  function resolveMatch(Hand firstPlayerHand, uint256 secret) public {
-    bytes32 hashedHand = hashHand(firstPlayerHand, secret);
+  function resolveMatch(uint8 firstPlayerHand, uint256 secret) public mustBeAlive {
+    settleMatch(msg.sender, firstPlayerHand, secret);
+  }
+
+  /*
+    @dev: Relays a creator's signed ResolveMatch intent, see acceptMatchFor(). The fee is paid once the
+    winnings are credited, so it can come out of them.
+  */
+  function resolveMatchFor(
+    address player,
+    uint8 firstPlayerHand,
+    uint256 secret,
+    uint256 fee,
+    uint256 nonce,
+    uint256 expiry,
+    bytes memory signature
+  ) public mustBeAlive {
+    bytes32 structHash = keccak256(abi.encode(RESOLVE_MATCH_TYPEHASH, firstPlayerHand, secret, fee, nonce, expiry));
+    verifyIntent(player, structHash, nonce, expiry, fee, signature);
+
+    settleMatch(player, firstPlayerHand, secret);
+    payRelayer(player, fee);
+  }
+
+  function settleMatch(address player, uint8 firstPlayerHand, uint256 secret) internal {
+    bytes32 hashedHand = hashHandFor(player, firstPlayerHand, secret);
 
-    Hand secondPlayerHand = games[hashedHand].secondPlayerHand;
-    require(secondPlayerHand != Hand.NULL, "Player two has not made a move yet");
+    uint8 secondPlayerHand = games[hashedHand].secondPlayerHand;
+    require(secondPlayerHand != uint8(Hand.NULL), "Player two has not made a move yet");
+    uint8 ruleSet = games[hashedHand].ruleSet;
+    require(isValidHand(ruleSet, firstPlayerHand), "Invalid hand");
 
     uint256 deadline = games[hashedHand].deadline;
-    require(now < deadline, "Deadline passed");
+    require(!isExpired(deadline), "Deadline passed");
 
     address secondPlayer = games[hashedHand].secondPlayer;
-    uint256 stake = games[hashedHand].stake;
+    address token = games[hashedHand].token;
+    uint256 stake = chargeCommission(hashedHand, token, games[hashedHand].stake, games[hashedHand].commission);
     uint256 firstPlayerWage;
     uint256 secondPlayerWage;
-    address winner;
+    address winner = roundWinner(ruleSet, player, firstPlayerHand, secondPlayer, secondPlayerHand);
 
-    if(firstPlayerHand == secondPlayerHand) { // Tie, we divide stake into two
+    if(winner == address(0)) { // Tie, we divide stake into two
       firstPlayerWage = stake.div(2);
-    } else {
-      // Explanation:
-      // ROCK (1) => PAPER (2) => SCISSOR (3) => ROCK(1)
-      // If player 1 is to the right of player 2, he wins. Otherwise, he loses.
-      winner = uint8(firstPlayerHand)-1 == uint8(secondPlayerHand) % 3 ? msg.sender : secondPlayer;
-      firstPlayerWage = msg.sender == winner ? stake : 0;
+    } else if(winner == player) {
+      firstPlayerWage = stake;
     }
 
-    secondPlayerWage = stake.sub(firstPlayerWage); // Player 2 will get the remaining stake
+    secondPlayerWage = stake.sub(firstPlayerWage); // Player 2 will get the remaining stake, odd wei included
 
     zeroOutGameEntry(hashedHand);
 
     emit LogMatchResolved(
-      msg.sender,
+      player,
       hashedHand,
       winner, // if 0, tie
+      firstPlayerHand,
       firstPlayerWage,
       secondPlayerWage
     );
 
     if(firstPlayerWage > 0)
-      increaseBalance(msg.sender, firstPlayerWage);
+      increaseBalance(token, player, firstPlayerWage);
 
     if(secondPlayerWage > 0)
-      increaseBalance(secondPlayer, secondPlayerWage);
+      increaseBalance(token, secondPlayer, secondPlayerWage);
 
   }
 
   /*
     @dev: This function lets the second player of a game punish the creator for not revealing
-    his / her hand.
+    his / her hand. The house's commission is taken like in resolveMatch().
 
     @param firstPlayerHashedHand the key to the game's mapping
   */
   function punish(bytes32 firstPlayerHashedHand) public {
     require(firstPlayerHashedHand != bytes32(0), "Invalid game key");
     require(games[firstPlayerHashedHand].secondPlayer == msg.sender, "Only second player can call this function");
-    require(games[firstPlayerHashedHand].secondPlayerHand != Hand.NULL, "You have to show your hand before calling");
-    require(games[firstPlayerHashedHand].deadline < now, "Deadline has not passed");
-
-    uint256 stake = games[firstPlayerHashedHand].stake;
+    require(games[firstPlayerHashedHand].secondPlayerHand != uint8(Hand.NULL), "You have to show your hand before calling");
+    require(isExpired(games[firstPlayerHashedHand].deadline), "Deadline has not passed");
+    require(!liveWhenKilled(firstPlayerHashedHand), "The contract has been killed");
+
+    address token = games[firstPlayerHashedHand].token;
+    uint256 stake = chargeCommission(
+      firstPlayerHashedHand,
+      token,
+      games[firstPlayerHashedHand].stake,
+      games[firstPlayerHashedHand].commission
+    );
 
     zeroOutGameEntry(firstPlayerHashedHand);
 
     emit LogPunishCalled(msg.sender, firstPlayerHashedHand);
 
     if(stake > 0)
-      increaseBalance(msg.sender, stake);
+      increaseBalance(token, msg.sender, stake);
   }
 
   /*
     @dev: Lets the game's creator recover the stake after the timeout, and punish the second player if no hand
         was comitted
 
-    @param hand Hand the weapon choice
+    @param hand uint8 the weapon choice
     @param secret uint256 the secret used to hash the hand
   */
-  function cancelGame(Hand firstPlayerHand, uint256 secret) public {
+  function cancelGame(uint8 firstPlayerHand, uint256 secret) public {
     bytes32 hashedHand = hashHand(firstPlayerHand, secret);
 
     uint256 stake = games[hashedHand].stake;
@@ -231,15 +513,63 @@ contract RockPaperScissors is Pausable, Balances {
     // both non-existant games and finished games.
     require(stake > 0, "No stake");
 
-    require(games[hashedHand].secondPlayerHand == Hand.NULL, "Cannot cancel, game is on");
-    require(games[hashedHand].deadline < now, "Deadline has not passed");
+    require(games[hashedHand].secondPlayerHand == uint8(Hand.NULL), "Cannot cancel, game is on");
+    require(isExpired(games[hashedHand].deadline), "Deadline has not passed");
+    require(!liveWhenKilled(hashedHand), "The contract has been killed");
+
+    address token = games[hashedHand].token;
 
     zeroOutGameEntry(hashedHand);
 
     emit LogCancelCalled(msg.sender, hashedHand);
 
     if(stake > 0)
-      increaseBalance(msg.sender, stake);
+      increaseBalance(token, msg.sender, stake);
+  }
+
+  /*
+    @dev: Once the contract is killed, games can no longer be played to the end. Anyone can unwind a
+    game that was still live at kill(): each player gets his / her own stake back, whatever the phase and
+    whether or not the deadline passed since. No commission is taken. Games whose deadline passed before
+    kill() were already decided and go through punish() or cancelGame() instead.
+
+    @param gameId bytes32 the key to the game's mapping
+  */
+  function refundGame(bytes32 gameId) public mustBeDead {
+    address firstPlayer = games[gameId].firstPlayer;
+    require(firstPlayer != address(0), "Game does not exist");
+    require(liveWhenKilled(gameId), "Deadline passed");
+
+    address secondPlayer = games[gameId].secondPlayer;
+    address token = games[gameId].token;
+    uint256 firstPlayerRefund = games[gameId].stake;
+    uint256 secondPlayerRefund;
+
+    // Both stakes are equal once the match is accepted
+    if(secondPlayer != address(0)) {
+      firstPlayerRefund = firstPlayerRefund.div(2);
+      secondPlayerRefund = firstPlayerRefund;
+    }
+
+    zeroOutGameEntry(gameId);
+
+    emit LogGameRefunded(msg.sender, gameId, firstPlayerRefund, secondPlayerRefund);
+
+    if(firstPlayerRefund > 0)
+      increaseBalance(token, firstPlayer, firstPlayerRefund);
+
+    if(secondPlayerRefund > 0)
+      increaseBalance(token, secondPlayer, secondPlayerRefund);
+  }
+
+  /*
+    @dev: Tells whether the game's deadline had not passed yet when the contract was killed. Its players
+    can no longer move, so it may only be refunded: punish() or cancelGame() would hand both stakes to one side.
+
+    @param gameId bytes32 the key to the game's mapping
+  */
+  function liveWhenKilled(bytes32 gameId) internal view returns (bool) {
+    return isDead() && games[gameId].deadline > getKilledAt();
   }
 
   /*
@@ -250,13 +580,116 @@ contract RockPaperScissors is Pausable, Balances {
     We could optimize the storage costs by adding the challenged player to the hash,
     but this would mean that the hash ought to be shared out of band.
 
-    @param hand Hand the weapon choice
+    The hand is checked against the largest rule set possible only, as the game's rule set is not known yet:
+    see isValidHand().
+
+    @param hand uint8 the weapon choice
     @param secret uint256 random secret to hide the hand
   */
-  function hashHand(Hand hand, uint256 secret) public view returns (bytes32) {
-    require(hand != Hand.NULL, "Null hand");
+  function hashHand(uint8 hand, uint256 secret) public view returns (bytes32) {
+    return hashHandFor(msg.sender, hand, secret);
+  }
+
+  function hashHandFor(address player, uint8 hand, uint256 secret) internal view returns (bytes32) {
+    require(hand != uint8(Hand.NULL), "Null hand");
+    require(hand <= MAX_HANDS, "Invalid hand");
     require(secret != 0, "Null secret");
-    return keccak256(abi.encodePacked(address(this), msg.sender, hand, secret));
+    return keccak256(abi.encodePacked(address(this), player, hand, secret));
+  }
+
+  /*
+    @dev: Relays a player's signed Withdraw intent. The fee is taken from the balance first, then the signed
+    amount is sent to the signed recipient, never to the relayer.
+
+    @param player address the signer
+    @param amount uint256 wei, 0 for whatever is left of the balance once the fee is paid
+    @param recipient address paid, e.g. a wallet contract or the player's own address
+    @param fee uint256 wei credited to the relayer's balance
+    @param nonce uint256 the player's next nonce
+    @param expiry uint256 unix timestamp after which the intent cannot be relayed
+    @param signature bytes the player's EIP-712 signature
+  */
+  function withdrawFor(
+    address player,
+    uint256 amount,
+    address payable recipient,
+    uint256 fee,
+    uint256 nonce,
+    uint256 expiry,
+    bytes memory signature
+  ) public {
+    bytes32 structHash = keccak256(abi.encode(WITHDRAW_TYPEHASH, amount, recipient, fee, nonce, expiry));
+    verifyIntent(player, structHash, nonce, expiry, fee, signature);
+
+    payRelayer(player, fee);
+    withdrawBalance(player, recipient, amount == 0 ? balances[player] : amount);
+  }
+
+  /*
+    @dev: Moves the relayer's fee from the player's ether balance to the relayer's
+
+    @param player address the signer of the relayed intent
+    @param fee uint256 wei, nothing happens if 0
+  */
+  function payRelayer(address player, uint256 fee) internal {
+    if(fee == 0) return;
+
+    decreaseBalance(player, fee);
+    increaseBalance(msg.sender, fee);
+  }
+
+  /*
+    @dev: This function tells in which phase a game is, so that frontends do not have to infer it
+    from the raw fields. Deadlines are compared with the current block's timestamp.
+
+    @param gameId bytes32 the key to the mapping
+  */
+  function getPhase(bytes32 gameId) public view returns (Phase) {
+    Game storage game = games[gameId];
+
+    if(game.deadline == 0) return Phase.NULL;
+    // zeroOutGameEntry() keeps the deadline but removes the players
+    if(game.firstPlayer == address(0)) return Phase.CLOSED;
+
+    bool expired = isExpired(game.deadline);
+
+    if(game.secondPlayerHand != uint8(Hand.NULL))
+      return expired ? Phase.EXPIRED_AWAITING_PUNISH : Phase.HAND_SHOWN;
+
+    if(expired) return Phase.EXPIRED_AWAITING_CANCEL;
+
+    return game.secondPlayer == address(0) ? Phase.OPEN : Phase.ACCEPTED;
+  }
+
+  /*
+    @dev: This function tells which of the game's functions the given address can call right now.
+    It mirrors the require() statements of each function.
+
+    Deadlines are checked with isExpired(), see GameRules. Once the contract is killed, the games still live at
+    kill() can only be refunded, by anyone.
+
+    @param gameId bytes32 the key to the mapping
+    @param player address the would-be caller
+  */
+  function legalActions(bytes32 gameId, address player) public view returns (
+    bool canAccept,
+    bool canShowHand,
+    bool canResolve,
+    bool canPunish,
+    bool canCancel,
+    bool canRefund
+  ) {
+    Game storage game = games[gameId];
+    Phase phase = getPhase(gameId);
+    bool dead = isDead();
+    bool refundOnly = liveWhenKilled(gameId);
+
+    canAccept = phase == Phase.OPEN && !isPaused() && (game.opponent == address(0) || game.opponent == player);
+    canShowHand = phase == Phase.ACCEPTED && !dead && game.secondPlayer == player;
+    canResolve = phase == Phase.HAND_SHOWN && !dead && game.firstPlayer == player;
+    canPunish = phase == Phase.EXPIRED_AWAITING_PUNISH && !refundOnly && game.secondPlayer == player;
+    canCancel = phase == Phase.EXPIRED_AWAITING_CANCEL && !refundOnly && game.firstPlayer == player && game.stake > 0;
+    canRefund = refundOnly && phase != Phase.CLOSED;
   }
 
   /*
@@ -265,10 +698,16 @@ contract RockPaperScissors is Pausable, Balances {
     @param gameId bytes32 the key to the mapping
   */
   function zeroOutGameEntry(bytes32 gameId) internal {
-    games[gameId].secondPlayerHand = Hand.NULL;
+    games[gameId].secondPlayerHand = uint8(Hand.NULL);
     games[gameId].secondPlayer = address(0);
+    games[gameId].firstPlayer = address(0);
+    games[gameId].ruleSet = CLASSIC;
+    games[gameId].commission = 0;
+    games[gameId].opponent = address(0);
+    games[gameId].token = address(0);
     games[gameId].stake = 0;
-    games[gameId].timeout = 0;
+    games[gameId].showHandTimeout = 0;
+    games[gameId].resolveTimeout = 0;
 
     // Added this to avoid a situation in which after a game has been resolved and zeroed-out,
     // a player could call acceptMatch() again. It would not have monetary impact as the stakes would
@@ -0,0 +1,444 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+
+import "./Pausable.sol";
+import "./Balances.sol";
+import "./EIP712.sol";
+import "./GameRules.sol";
+
+/*
+  @dev: Payment channels for playing many rounds between the same two players. Both players deposit once,
+  then play off-chain by exchanging channel states signed by both of them (see lib/channel.js), and the
+  channel is closed with a single transaction carrying the final balances.
+
+  A round takes three states, each one numbered one above the previous:
+    1. the first player commits a hashed hand and the round's stake
+    2. the second player adds a clear hand
+    3. the first player reveals the hand and secret off-chain, and the stake moves to the winner's balance
+
+  When a player stops answering, the other one submits the latest state signed by both. This starts a
+  dispute: during the timeout the other player can answer with a newer state, and a round left pending is
+  played on-chain like a game of RockPaperScissors. The second player shows a hand with showHand(), the
+  first player reveals with revealHand(), and whoever lets the deadline pass loses the round. Once the
+  deadline passes without any move, settle() pays out the balances.
+
+  Every round, off-chain or on-chain, is played under the channel's rule set. Hands, rule sets, timeouts and
+  deadlines follow GameRules.
+*/
+contract RockPaperScissorsChannel is Pausable, Balances, EIP712, GameRules {
+
+  bytes32 constant CHANNEL_STATE_TYPEHASH = keccak256(
+    "ChannelState(uint256 channelId,uint256 nonce,uint256 firstPlayerBalance,uint256 secondPlayerBalance,uint256 roundStake,bytes32 hashedHand,uint8 secondPlayerHand)"
+  );
+  bytes32 constant CHANNEL_CLOSE_TYPEHASH = keccak256(
+    "ChannelClose(uint256 channelId,uint256 nonce,uint256 firstPlayerBalance,uint256 secondPlayerBalance)"
+  );
+
+  struct Channel {
+    uint8 secondPlayerHand; // The pending round's hand, once shown
+    uint32 timeout; // Seconds to join the channel, then to answer a dispute
+    address firstPlayer; // secondPlayerHand, timeout and firstPlayer are tightly packed in 25 bytes
+    bool disputed;
+    uint8 ruleSet; // Packed with firstPlayer and disputed
+    address secondPlayer;
+    address opponent; // If set, only this address can join the channel
+    uint256 deposit; // Paid by each player
+    uint256 deadline; // To join the channel, then to answer a dispute
+    // The latest state known on-chain, the opening state until a dispute
+    uint256 nonce;
+    uint256 firstPlayerBalance;
+    uint256 secondPlayerBalance;
+    uint256 roundStake;
+    bytes32 hashedHand; // The first player's commitment for the pending round, if any
+  }
+
+  uint256 public channelCount;
+
+  mapping(uint256 => Channel) public channels;
+
+  event LogChannelOpened(
+    address indexed sender,
+    uint256 indexed channelId,
+    address indexed opponent,
+    uint8 ruleSet,
+    uint256 deposit,
+    uint256 deadline
+  );
+
+  event LogChannelJoined(
+    address indexed sender,
+    uint256 indexed channelId
+  );
+
+  event LogChannelCancelled(
+    address indexed sender,
+    uint256 indexed channelId
+  );
+
+  event LogDisputeStarted(
+    address indexed sender,
+    uint256 indexed channelId,
+    uint256 nonce,
+    uint256 deadline
+  );
+
+  event LogHandShown(
+    address indexed sender,
+    uint256 indexed channelId,
+    uint256 deadline,
+    uint8 hand
+  );
+
+  event LogRoundPlayed(
+    address indexed sender,
+    uint256 indexed channelId,
+    address indexed winner,
+    uint8 firstPlayerHand,
+    uint8 secondPlayerHand
+  );
+
+  event LogChannelSettled(
+    address indexed sender,
+    uint256 indexed channelId,
+    uint256 firstPlayerBalance,
+    uint256 secondPlayerBalance
+  );
+
+  constructor(bool startPaused) Pausable(startPaused) EIP712("RockPaperScissorsChannel", "1") public {}
+
+  /*
+    @dev: We do not want to accept any ether if not by the appropiate methods, so we revert by default
+  */
+  function() external {
+    revert();
+  }
+
+  /*
+    @dev: Opens a channel with the sender's deposit. The opponent must match it before the deadline.
+
+    @param opponent address is the challenged player's address, or 0x0 to let anyone join the channel
+    @param timeout uint32 seconds to join the channel, then to answer a dispute
+    @param ruleSet uint8 CLASSIC, RPSLS or a rule set registered by the owner
+  */
+  function openChannel(
+    address opponent,
+    uint32 timeout,
+    uint8 ruleSet
+  ) public payable mustBeRunning mustBeAlive returns (uint256) {
+    require(msg.value > 0, "No stake");
+    require(isValidTimeout(timeout), "Timeout must be at least 1 minute");
+    require(ruleSet < ruleSetCount, "Invalid rule set");
+
+    uint256 channelId = channelCount.add(1);
+    channelCount = channelId;
+
+    Channel storage c = channels[channelId];
+    c.timeout = timeout;
+    c.firstPlayer = msg.sender;
+    c.ruleSet = ruleSet;
+    c.opponent = opponent;
+    c.deposit = msg.value;
+    c.deadline = deadlineIn(timeout);
+
+    emit LogChannelOpened(msg.sender, channelId, opponent, ruleSet, msg.value, c.deadline);
+
+    return channelId;
+  }
+
+  /*
+    @dev: Matches the creator's deposit. Off-chain play starts from the opening state, numbered 0, in
+    which each player holds a deposit.
+
+    @param channelId uint256 the key to the mapping
+  */
+  function joinChannel(uint256 channelId) public payable mustBeRunning mustBeAlive {
+    Channel storage c = channels[channelId];
+    require(c.firstPlayer != address(0), "Channel does not exist");
+    require(!isExpired(c.deadline), "Deadline passed");
+    require(c.deposit == msg.value, "Invalid stake");
+    require(c.secondPlayer == address(0), "Match contested by another player");
+    require(c.opponent == address(0) || c.opponent == msg.sender, "Match reserved for another player");
+
+    c.secondPlayer = msg.sender;
+    c.firstPlayerBalance = msg.value;
+    c.secondPlayerBalance = msg.value;
+    c.deadline = 0;
+
+    emit LogChannelJoined(msg.sender, channelId);
+  }
+
+  /*
+    @dev: Lets the creator recover the deposit when nobody joined in time
+
+    @param channelId uint256 the key to the mapping
+  */
+  function cancelChannel(uint256 channelId) public {
+    Channel storage c = channels[channelId];
+    require(c.firstPlayer == msg.sender, "Invalid player address");
+    require(c.secondPlayer == address(0), "Cannot cancel, game is on");
+    require(isExpired(c.deadline), "Deadline has not passed");
+
+    uint256 deposit = c.deposit;
+
+    delete channels[channelId];
+
+    emit LogChannelCancelled(msg.sender, channelId);
+
+    increaseBalance(msg.sender, deposit);
+  }
+
+  /*
+    @dev: Closes the channel at once with the final balances, when both players agree to stop playing.
+    Players must not sign a ChannelClose unless they mean to end the channel.
+
+    @param channelId uint256 the key to the mapping
+    @param nonce uint256 must be above the nonce of any state submitted to a dispute
+    @param firstPlayerBalance uint256 paid to the first player
+    @param secondPlayerBalance uint256 paid to the second player
+    @param firstPlayerSignature bytes the first player's signature of the ChannelClose
+    @param secondPlayerSignature bytes the second player's signature of the ChannelClose
+  */
+  function closeChannel(
+    uint256 channelId,
+    uint256 nonce,
+    uint256 firstPlayerBalance,
+    uint256 secondPlayerBalance,
+    bytes memory firstPlayerSignature,
+    bytes memory secondPlayerSignature
+  ) public {
+    Channel storage c = channels[channelId];
+    requirePlayer(c);
+    require(nonce > c.nonce, "Stale state");
+    require(firstPlayerBalance.add(secondPlayerBalance) == c.deposit.mul(2), "Invalid state");
+
+    bytes32 structHash = keccak256(abi.encode(
+      CHANNEL_CLOSE_TYPEHASH,
+      channelId,
+      nonce,
+      firstPlayerBalance,
+      secondPlayerBalance
+    ));
+    requireSignatures(c, structHash, firstPlayerSignature, secondPlayerSignature);
+
+    payOut(channelId, firstPlayerBalance, secondPlayerBalance);
+  }
+
+  /*
+    @dev: Starts a dispute from the opening state, for a player who never got a state signed by both.
+    The other player has until the deadline to submit a newer one.
+
+    @param channelId uint256 the key to the mapping
+  */
+  function dispute(uint256 channelId) public {
+    Channel storage c = channels[channelId];
+    requirePlayer(c);
+    require(!c.disputed, "Channel already in dispute");
+
+    startDispute(channelId);
+  }
+
+  /*
+    @dev: Submits a state signed by both players, replacing an older one. The first submission starts a
+    dispute, every newer state restarts its deadline.
+
+    @param channelId uint256 the key to the mapping
+    @param nonce uint256 the state's number, above the one known on-chain
+    @param firstPlayerBalance uint256 the first player's balance, pending round's stake included
+    @param secondPlayerBalance uint256 the second player's balance, pending round's stake included
+    @param roundStake uint256 what the pending round moves from the loser to the winner, 0 without one
+    @param hashedHand bytes32 the first player's commitment for the pending round, 0x0 without one
+    @param secondPlayerHand uint8 the second player's hand in the pending round, if already shown
+    @param firstPlayerSignature bytes the first player's signature of the ChannelState
+    @param secondPlayerSignature bytes the second player's signature of the ChannelState
+  */
+  function submitState(
+    uint256 channelId,
+    uint256 nonce,
+    uint256 firstPlayerBalance,
+    uint256 secondPlayerBalance,
+    uint256 roundStake,
+    bytes32 hashedHand,
+    uint8 secondPlayerHand,
+    bytes memory firstPlayerSignature,
+    bytes memory secondPlayerSignature
+  ) public {
+    Channel storage c = channels[channelId];
+    requirePlayer(c);
+    require(nonce > c.nonce, "Stale state");
+    require(!c.disputed || !isExpired(c.deadline), "Deadline passed");
+    require(firstPlayerBalance.add(secondPlayerBalance) == c.deposit.mul(2), "Invalid state");
+    bool handShown = secondPlayerHand != uint8(Hand.NULL);
+    if(hashedHand == bytes32(0))
+      require(roundStake == 0 && !handShown, "Invalid state");
+    else
+      require(roundStake > 0 && roundStake <= firstPlayerBalance && roundStake <= secondPlayerBalance, "Invalid state");
+    require(!handShown || isValidHand(c.ruleSet, secondPlayerHand), "Invalid state");
+
+    bytes32 structHash = keccak256(abi.encode(
+      CHANNEL_STATE_TYPEHASH,
+      channelId,
+      nonce,
+      firstPlayerBalance,
+      secondPlayerBalance,
+      roundStake,
+      hashedHand,
+      secondPlayerHand
+    ));
+    requireSignatures(c, structHash, firstPlayerSignature, secondPlayerSignature);
+
+    c.nonce = nonce;
+    c.firstPlayerBalance = firstPlayerBalance;
+    c.secondPlayerBalance = secondPlayerBalance;
+    c.roundStake = roundStake;
+    c.hashedHand = hashedHand;
+    c.secondPlayerHand = secondPlayerHand;
+
+    startDispute(channelId);
+  }
+
+  /*
+    @dev: The second player shows a hand for the round left pending by the disputed state
+
+    @param channelId uint256 the key to the mapping
+    @param hand uint8 the second player's clear hand, valid under the channel's rule set
+  */
+  function showHand(uint256 channelId, uint8 hand) public {
+    Channel storage c = channels[channelId];
+    require(c.secondPlayer == msg.sender, "Invalid player address");
+    require(isValidHand(c.ruleSet, hand), "Invalid hand");
+    require(c.disputed, "Channel not in dispute");
+    require(c.hashedHand != bytes32(0), "No round in play");
+    require(c.secondPlayerHand == uint8(Hand.NULL), "Cannot pick hand twice");
+    require(!isExpired(c.deadline), "Deadline passed");
+
+    uint256 deadline = deadlineIn(c.timeout);
+
+    c.secondPlayerHand = hand;
+    c.deadline = deadline;
+
+    emit LogHandShown(msg.sender, channelId, deadline, hand);
+  }
+
+  /*
+    @dev: The first player reveals the pending round's hand, which plays the round. The deadline restarts, so
+    that a stale state cannot be played out and settled before the other player answers with a newer one.
+
+    @param channelId uint256 the key to the mapping
+    @param hand uint8 the first player's hand for the pending round
+    @param secret uint256 the secret used to hash the hand
+  */
+  function revealHand(uint256 channelId, uint8 hand, uint256 secret) public {
+    Channel storage c = channels[channelId];
+    require(c.firstPlayer == msg.sender, "Invalid player address");
+    require(c.disputed, "Channel not in dispute");
+    require(hashHand(channelId, hand, secret) == c.hashedHand, "Invalid hand or secret");
+    uint8 secondPlayerHand = c.secondPlayerHand;
+    require(secondPlayerHand != uint8(Hand.NULL), "Player two has not made a move yet");
+    require(isValidHand(c.ruleSet, hand), "Invalid hand");
+    require(!isExpired(c.deadline), "Deadline passed");
+
+    address winner = roundWinner(c.ruleSet, c.firstPlayer, hand, c.secondPlayer, secondPlayerHand);
+    if(winner != address(0))
+      awardRound(c, winner == c.firstPlayer);
+
+    c.deadline = deadlineIn(c.timeout);
+
+    emit LogRoundPlayed(msg.sender, channelId, winner, hand, secondPlayerHand);
+  }
+
+  /*
+    @dev: Settles a dispute once its deadline has passed. A round left pending is lost by the player who
+    had to move: the second player if no hand was shown, the first player otherwise.
+
+    @param channelId uint256 the key to the mapping
+  */
+  function settle(uint256 channelId) public {
+    Channel storage c = channels[channelId];
+    requirePlayer(c);
+    require(c.disputed, "Channel not in dispute");
+    require(isExpired(c.deadline), "Deadline has not passed");
+
+    if(c.hashedHand != bytes32(0))
+      awardRound(c, c.secondPlayerHand == uint8(Hand.NULL));
+
+    payOut(channelId, c.firstPlayerBalance, c.secondPlayerBalance);
+  }
+
+  /*
+    @dev: Hashes the first player's hand for a round. The commitment is bound to the channel rather than to
+    the sender, as only the first player commits. The hand is only checked against the largest rule set
+    possible, see isValidHand().
+
+    @param channelId uint256 the channel the round is played in
+    @param hand uint8 the weapon choice
+    @param secret uint256 random secret to hide the hand, a fresh one for every round
+  */
+  function hashHand(uint256 channelId, uint8 hand, uint256 secret) public view returns (bytes32) {
+    require(hand != uint8(Hand.NULL), "Null hand");
+    require(hand <= MAX_HANDS, "Invalid hand");
+    require(secret != 0, "Null secret");
+    return keccak256(abi.encodePacked(address(this), channelId, hand, secret));
+  }
+
+  function requirePlayer(Channel storage c) internal view {
+    require(c.secondPlayer != address(0), "Channel does not exist");
+    require(c.firstPlayer == msg.sender || c.secondPlayer == msg.sender, "Invalid player address");
+  }
+
+  function requireSignatures(
+    Channel storage c,
+    bytes32 structHash,
+    bytes memory firstPlayerSignature,
+    bytes memory secondPlayerSignature
+  ) internal view {
+    require(recoverTypedDataSigner(structHash, firstPlayerSignature) == c.firstPlayer, "Invalid signature");
+    require(recoverTypedDataSigner(structHash, secondPlayerSignature) == c.secondPlayer, "Invalid signature");
+  }
+
+  function startDispute(uint256 channelId) internal {
+    Channel storage c = channels[channelId];
+    uint256 deadline = deadlineIn(c.timeout);
+
+    c.disputed = true;
+    c.deadline = deadline;
+
+    emit LogDisputeStarted(msg.sender, channelId, c.nonce, deadline);
+  }
+
+  /*
+    @dev: Moves the pending round's stake to the winner and clears the round
+  */
+  function awardRound(Channel storage c, bool firstPlayerWins) internal {
+    uint256 roundStake = c.roundStake;
+    if(firstPlayerWins) {
+      c.firstPlayerBalance = c.firstPlayerBalance.add(roundStake);
+      c.secondPlayerBalance = c.secondPlayerBalance.sub(roundStake);
+    } else {
+      c.firstPlayerBalance = c.firstPlayerBalance.sub(roundStake);
+      c.secondPlayerBalance = c.secondPlayerBalance.add(roundStake);
+    }
+
+    c.roundStake = 0;
+    c.hashedHand = bytes32(0);
+    c.secondPlayerHand = uint8(Hand.NULL);
+  }
+
+  /*
+    @dev: Credits both balances and closes the channel. Channel IDs are never reused, so the entry is deleted.
+  */
+  function payOut(uint256 channelId, uint256 firstPlayerBalance, uint256 secondPlayerBalance) internal {
+    Channel storage c = channels[channelId];
+    address firstPlayer = c.firstPlayer;
+    address secondPlayer = c.secondPlayer;
+
+    delete channels[channelId];
+
+    emit LogChannelSettled(msg.sender, channelId, firstPlayerBalance, secondPlayerBalance);
+
+    if(firstPlayerBalance > 0)
+      increaseBalance(firstPlayer, firstPlayerBalance);
+    if(secondPlayerBalance > 0)
+      increaseBalance(secondPlayer, secondPlayerBalance);
+  }
+
+}
@@ -0,0 +1,315 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+
+import "./Pausable.sol";
+import "./Balances.sol";
+import "./GameRules.sol";
+
+/*
+  @dev: Best-of-N series between two players. The stake is only paid out once one side has won
+  the majority of the rounds.
+
+  Every round is a commit/reveal round like the games of RockPaperScissors: the creator commits a
+  hashed hand, the second player shows a clear hand and the creator reveals, committing the next
+  round's hand in the same transaction. Tied rounds are replayed and do not count toward the series.
+  Hands, rule sets, timeouts and deadlines follow GameRules, like the games of RockPaperScissors.
+*/
+contract RockPaperScissorsSeries is Pausable, Balances, GameRules {
+
+  struct Series {
+    uint8 secondPlayerHand;
+    uint32 timeout; // Seconds each player has to make a move
+    address secondPlayer; // secondPlayerHand, timeout and secondPlayer are tightly packed in 25 bytes
+    uint8 ruleSet; // Packed with secondPlayer
+    uint8 bestOf;
+    uint8 firstPlayerWins;
+    uint8 secondPlayerWins;
+    uint32 round; // Rounds played so far, ties included
+    address firstPlayer;
+    address opponent; // If set, only this address can accept the series
+    bytes32 hashedHand; // The creator's commitment for the current round
+    uint256 stake;
+    uint256 deadline;
+  }
+
+  // The key is the hash of the creator's hand for the first round, like the games of RockPaperScissors
+  mapping(bytes32 => Series) public series;
+
+  event LogSeriesCreated(
+    address indexed sender,
+    bytes32 indexed seriesId,
+    address indexed opponent,
+    uint8 ruleSet,
+    uint8 bestOf,
+    uint256 stake,
+    uint256 deadline
+  );
+
+  event LogSeriesAccepted(
+    address indexed sender,
+    bytes32 indexed seriesId,
+    uint256 stake,
+    uint256 deadline
+  );
+
+  event LogHandShown(
+    address indexed sender,
+    bytes32 indexed seriesId,
+    uint32 round,
+    uint256 deadline,
+    uint8 hand
+  );
+
+  event LogRoundPlayed(
+    address indexed sender,
+    bytes32 indexed seriesId,
+    address indexed winner,
+    uint32 round,
+    uint8 firstPlayerHand,
+    uint8 secondPlayerHand
+  );
+
+  event LogSeriesWon(
+    address indexed sender,
+    bytes32 indexed seriesId,
+    address indexed winner,
+    uint256 stake
+  );
+
+  event LogPunishCalled(
+    address indexed sender,
+    bytes32 indexed seriesId
+  );
+
+  event LogCancelCalled(
+    address indexed sender,
+    bytes32 indexed seriesId
+  );
+
+  constructor(bool startPaused) Pausable(startPaused) public {}
+
+  /*
+    @dev: We do not want to accept any ether if not by the appropiate methods, so we revert by default
+  */
+  function() external {
+    revert();
+  }
+
+  /*
+    @dev: This function lets a player challenge someone to a series. The hashed hand of the first round
+    acts as the series ID.
+
+    @param hashedHand bytes32 obtained by calling hashHand(), the first round's hand
+    @param bestOf uint8 number of rounds the series is played over, must be odd
+    @param timeout uint32 seconds each player has to make a move
+    @param opponent address is the challenged player's address, or 0x0 to let anyone accept the series
+    @param ruleSet uint8 CLASSIC, RPSLS or a rule set registered by the owner
+  */
+  function createSeries(
+    bytes32 hashedHand,
+    uint8 bestOf,
+    uint32 timeout,
+    address opponent,
+    uint8 ruleSet
+  ) public payable mustBeRunning mustBeAlive {
+    require(hashedHand != bytes32(0), "Invalid hashed hand");
+    require(bestOf % 2 == 1, "Series length must be odd");
+    require(isValidTimeout(timeout), "Timeout must be at least 1 minute");
+    require(ruleSet < ruleSetCount, "Invalid rule set");
+    require(series[hashedHand].deadline == 0, "Password used");
+
+    uint256 deadline = deadlineIn(timeout);
+
+    series[hashedHand] = Series({
+      secondPlayerHand: uint8(Hand.NULL),
+      timeout: timeout,
+      secondPlayer: address(0),
+      ruleSet: ruleSet,
+      bestOf: bestOf,
+      firstPlayerWins: 0,
+      secondPlayerWins: 0,
+      round: 0,
+      firstPlayer: msg.sender,
+      opponent: opponent,
+      hashedHand: hashedHand,
+      stake: msg.value,
+      deadline: deadline
+    });
+
+    emit LogSeriesCreated(msg.sender, hashedHand, opponent, ruleSet, bestOf, msg.value, deadline);
+  }
+
+  /*
+    @dev: This function lets a player join the series, matching its stake
+
+    @param seriesId bytes32 is the series key
+  */
+  function acceptSeries(bytes32 seriesId) public payable {
+    Series storage s = series[seriesId];
+    require(s.deadline != 0, "Game does not exist");
+    require(!isExpired(s.deadline), "Deadline passed");
+    require(s.stake == msg.value, "Invalid stake");
+    require(s.secondPlayer == address(0), "Match contested by another player");
+    require(s.opponent == address(0) || s.opponent == msg.sender, "Match reserved for another player");
+
+    uint256 deadline = deadlineIn(s.timeout);
+    uint256 stake = s.stake.add(msg.value);
+
+    s.secondPlayer = msg.sender;
+    s.deadline = deadline;
+    s.stake = stake;
+
+    emit LogSeriesAccepted(msg.sender, seriesId, stake, deadline);
+  }
+
+  /*
+    @dev: The second player reveals his / her hand for the current round
+
+    @param seriesId bytes32 is the series key
+    @param hand uint8 the second player's clear hand, valid under the series' rule set
+  */
+  function showHand(bytes32 seriesId, uint8 hand) public {
+    Series storage s = series[seriesId];
+    require(s.secondPlayer == msg.sender, "Invalid player address");
+    require(isValidHand(s.ruleSet, hand), "Invalid hand");
+    require(s.secondPlayerHand == uint8(Hand.NULL), "Cannot pick hand twice");
+    require(!isExpired(s.deadline), "Deadline passed");
+
+    uint256 deadline = deadlineIn(s.timeout);
+
+    s.secondPlayerHand = hand;
+    s.deadline = deadline;
+
+    emit LogHandShown(msg.sender, seriesId, s.round, deadline, hand);
+  }
+
+  /*
+    @dev: The creator reveals the current round's hand. Unless this round decides the series, the next
+    round's hidden hand is committed in the same call. A revealed secret is public: never reuse it.
+
+    @param seriesId bytes32 is the series key
+    @param hand uint8 the creator's hand for this round
+    @param secret uint256 the secret used to hash the hand
+    @param nextHashedHand bytes32 the next round's hashed hand, ignored if the series is over
+  */
+  function playRound(bytes32 seriesId, uint8 hand, uint256 secret, bytes32 nextHashedHand) public {
+    Series storage s = series[seriesId];
+    require(s.firstPlayer == msg.sender, "Invalid player address");
+    require(hashHand(hand, secret) == s.hashedHand, "Invalid hand or secret");
+    uint8 secondPlayerHand = s.secondPlayerHand;
+    require(secondPlayerHand != uint8(Hand.NULL), "Player two has not made a move yet");
+    require(isValidHand(s.ruleSet, hand), "Invalid hand");
+    require(!isExpired(s.deadline), "Deadline passed");
+
+    address winner = roundWinner(s.ruleSet, msg.sender, hand, s.secondPlayer, secondPlayerHand);
+    if(winner == msg.sender)
+      s.firstPlayerWins++;
+    else if(winner != address(0))
+      s.secondPlayerWins++;
+
+    uint32 round = s.round + 1;
+    s.round = round;
+
+    emit LogRoundPlayed(msg.sender, seriesId, winner, round, hand, secondPlayerHand);
+
+    uint8 majority = s.bestOf / 2 + 1;
+    if(s.firstPlayerWins == majority || s.secondPlayerWins == majority) {
+      uint256 stake = s.stake;
+
+      zeroOutSeriesEntry(seriesId);
+
+      emit LogSeriesWon(msg.sender, seriesId, winner, stake);
+
+      if(stake > 0)
+        increaseBalance(winner, stake);
+
+      return;
+    }
+
+    require(nextHashedHand != bytes32(0), "Invalid hashed hand");
+
+    s.hashedHand = nextHashedHand;
+    s.secondPlayerHand = uint8(Hand.NULL);
+    s.deadline = deadlineIn(s.timeout);
+  }
+
+  /*
+    @dev: Lets the second player take the whole stake when the creator does not reveal a round in time
+
+    @param seriesId bytes32 is the series key
+  */
+  function punish(bytes32 seriesId) public {
+    Series storage s = series[seriesId];
+    require(s.secondPlayer == msg.sender, "Only second player can call this function");
+    require(s.secondPlayerHand != uint8(Hand.NULL), "You have to show your hand before calling");
+    require(isExpired(s.deadline), "Deadline has not passed");
+
+    uint256 stake = s.stake;
+
+    zeroOutSeriesEntry(seriesId);
+
+    emit LogPunishCalled(msg.sender, seriesId);
+
+    if(stake > 0)
+      increaseBalance(msg.sender, stake);
+  }
+
+  /*
+    @dev: Lets the creator recover the stake when nobody joined in time, or take the whole stake when
+    the second player does not show a hand in time
+
+    @param seriesId bytes32 is the series key
+  */
+  function cancelSeries(bytes32 seriesId) public {
+    Series storage s = series[seriesId];
+    require(s.firstPlayer == msg.sender, "Invalid player address");
+    require(s.secondPlayerHand == uint8(Hand.NULL), "Cannot cancel, game is on");
+    require(isExpired(s.deadline), "Deadline has not passed");
+
+    uint256 stake = s.stake;
+
+    zeroOutSeriesEntry(seriesId);
+
+    emit LogCancelCalled(msg.sender, seriesId);
+
+    if(stake > 0)
+      increaseBalance(msg.sender, stake);
+  }
+
+  /*
+    @dev: Same hashing as RockPaperScissors.hashHand(), bound to this contract's address. The hand is only
+    checked against the largest rule set possible, see isValidHand().
+
+    @param hand uint8 the weapon choice
+    @param secret uint256 random secret to hide the hand, a fresh one for every round
+  */
+  function hashHand(uint8 hand, uint256 secret) public view returns (bytes32) {
+    require(hand != uint8(Hand.NULL), "Null hand");
+    require(hand <= MAX_HANDS, "Invalid hand");
+    require(secret != 0, "Null secret");
+    return keccak256(abi.encodePacked(address(this), msg.sender, hand, secret));
+  }
+
+  /*
+    @dev: Keeps the deadline so that the series ID cannot be used again
+
+    @param seriesId bytes32 the key to the mapping
+  */
+  function zeroOutSeriesEntry(bytes32 seriesId) internal {
+    Series storage s = series[seriesId];
+    s.secondPlayerHand = uint8(Hand.NULL);
+    s.timeout = 0;
+    s.secondPlayer = address(0);
+    s.ruleSet = CLASSIC;
+    s.bestOf = 0;
+    s.firstPlayerWins = 0;
+    s.secondPlayerWins = 0;
+    s.round = 0;
+    s.firstPlayer = address(0);
+    s.opponent = address(0);
+    s.hashedHand = bytes32(0);
+    s.stake = 0;
+    s.deadline = now;
+  }
+
+}
@@ -0,0 +1,392 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+
+import "./Pausable.sol";
+import "./Balances.sol";
+import "./GameRules.sol";
+
+/*
+  @dev: Single-elimination tournaments for 4, 8 or 16 entrants. Entry fees are pooled into a prize that
+  is credited to the champion's balance.
+
+  Every pairing is played like a game of RockPaperScissors: the first player commits a hashed hand, the
+  second player shows a clear hand and the first player resolves. Ties are replayed. When a player lets a
+  deadline pass, anyone can call forfeit() to advance the opponent. Hands, rule sets, timeouts and
+  deadlines follow GameRules.
+
+  Matches are numbered like a heap laid out round by round: with N entrants, the first round is made of
+  matches 0 to N/2 - 1, the winner of match m plays match N/2 + m/2 and the final is match N - 2.
+*/
+contract RockPaperScissorsTournament is Pausable, Balances, GameRules {
+
+  struct Tournament {
+    uint8 size;
+    uint8 entrants;
+    uint8 ruleSet; // Every match is played under it
+    uint32 timeout; // Seconds to fill the bracket, and for each player to make a move
+    uint256 entryFee;
+    uint256 registrationDeadline;
+    address champion;
+  }
+
+  struct Match {
+    uint8 secondPlayerHand;
+    address firstPlayer; // Commits a hashed hand, then resolves
+    address secondPlayer; // Shows a clear hand
+    address winner;
+    bytes32 hashedHand;
+    uint256 deadline;
+  }
+
+  uint256 public tournamentCount;
+
+  mapping(uint256 => Tournament) public tournaments;
+  mapping(uint256 => address[]) private entrants;
+  mapping(uint256 => mapping(uint8 => Match)) public matches;
+
+  event LogTournamentCreated(
+    address indexed sender,
+    uint256 indexed tournamentId,
+    uint8 size,
+    uint8 ruleSet,
+    uint256 entryFee,
+    uint256 registrationDeadline
+  );
+
+  event LogPlayerJoined(
+    address indexed sender,
+    uint256 indexed tournamentId,
+    uint8 slot
+  );
+
+  event LogTournamentCancelled(
+    address indexed sender,
+    uint256 indexed tournamentId
+  );
+
+  event LogMatchReady(
+    uint256 indexed tournamentId,
+    uint8 indexed matchIndex,
+    address firstPlayer,
+    address secondPlayer,
+    uint256 deadline
+  );
+
+  event LogHandCommitted(
+    address indexed sender,
+    uint256 indexed tournamentId,
+    uint8 indexed matchIndex,
+    uint256 deadline
+  );
+
+  event LogHandShown(
+    address indexed sender,
+    uint256 indexed tournamentId,
+    uint8 indexed matchIndex,
+    uint256 deadline,
+    uint8 hand
+  );
+
+  event LogMatchTied(
+    address indexed sender,
+    uint256 indexed tournamentId,
+    uint8 indexed matchIndex,
+    uint256 deadline
+  );
+
+  event LogMatchWon(
+    address indexed sender,
+    uint256 indexed tournamentId,
+    uint8 indexed matchIndex,
+    address winner,
+    bool forfeit
+  );
+
+  event LogTournamentWon(
+    uint256 indexed tournamentId,
+    address indexed champion,
+    uint256 prize
+  );
+
+  constructor(bool startPaused) Pausable(startPaused) public {}
+
+  /*
+    @dev: We do not want to accept any ether if not by the appropiate methods, so we revert by default
+  */
+  function() external {
+    revert();
+  }
+
+  /*
+    @dev: Opens a tournament for registration. It starts as soon as the last entrant joins.
+
+    @param size uint8 number of entrants, 4, 8 or 16
+    @param entryFee uint256 wei each entrant pays into the prize
+    @param timeout uint32 seconds to fill the bracket, and for each player to make a move
+    @param ruleSet uint8 CLASSIC, RPSLS or a rule set registered by the owner
+  */
+  function createTournament(
+    uint8 size,
+    uint256 entryFee,
+    uint32 timeout,
+    uint8 ruleSet
+  ) public mustBeRunning mustBeAlive returns (uint256) {
+    require(size == 4 || size == 8 || size == 16, "Invalid tournament size");
+    require(isValidTimeout(timeout), "Timeout must be at least 1 minute");
+    require(ruleSet < ruleSetCount, "Invalid rule set");
+
+    uint256 tournamentId = tournamentCount.add(1);
+    tournamentCount = tournamentId;
+
+    uint256 registrationDeadline = deadlineIn(timeout);
+
+    tournaments[tournamentId] = Tournament({
+      size: size,
+      entrants: 0,
+      ruleSet: ruleSet,
+      timeout: timeout,
+      entryFee: entryFee,
+      registrationDeadline: registrationDeadline,
+      champion: address(0)
+    });
+
+    emit LogTournamentCreated(msg.sender, tournamentId, size, ruleSet, entryFee, registrationDeadline);
+
+    return tournamentId;
+  }
+
+  /*
+    @dev: Registers the sender. Entrants are paired in joining order, and the last one to join
+    pays for setting up the first round.
+
+    @param tournamentId uint256 the key to the mapping
+  */
+  function join(uint256 tournamentId) public payable mustBeRunning mustBeAlive {
+    Tournament storage tournament = tournaments[tournamentId];
+    require(tournament.size != 0, "Tournament does not exist");
+    require(!isExpired(tournament.registrationDeadline), "Deadline passed");
+    require(tournament.entrants < tournament.size, "Tournament is full");
+    require(msg.value == tournament.entryFee, "Invalid stake");
+
+    address[] storage players = entrants[tournamentId];
+    for(uint8 i = 0; i < players.length; i++) {
+      require(players[i] != msg.sender, "Already joined");
+    }
+
+    uint8 slot = tournament.entrants;
+    players.push(msg.sender);
+    tournament.entrants = slot + 1;
+
+    emit LogPlayerJoined(msg.sender, tournamentId, slot);
+
+    if(tournament.entrants == tournament.size) {
+      for(uint8 m = 0; m < tournament.size / 2; m++) {
+        startMatch(tournamentId, m, players[2 * m], players[2 * m + 1]);
+      }
+    }
+  }
+
+  /*
+    @dev: Refunds the entrants of a tournament that was not filled before its registration deadline.
+    Anyone can call it.
+
+    @param tournamentId uint256 the key to the mapping
+  */
+  function cancelTournament(uint256 tournamentId) public {
+    Tournament storage tournament = tournaments[tournamentId];
+    require(tournament.size != 0, "Tournament does not exist");
+    require(tournament.entrants < tournament.size, "Cannot cancel, game is on");
+    require(isExpired(tournament.registrationDeadline), "Deadline has not passed");
+
+    address[] memory players = entrants[tournamentId];
+    uint256 entryFee = tournament.entryFee;
+
+    delete tournaments[tournamentId];
+    delete entrants[tournamentId];
+
+    emit LogTournamentCancelled(msg.sender, tournamentId);
+
+    if(entryFee > 0) {
+      for(uint8 i = 0; i < players.length; i++) {
+        increaseBalance(players[i], entryFee);
+      }
+    }
+  }
+
+  /*
+    @dev: The first player of a match commits a hand obtained by calling hashHand()
+
+    @param tournamentId uint256 the key to the mapping
+    @param matchIndex uint8 the match in the bracket
+    @param hashedHand bytes32 the hidden hand
+  */
+  function commitHand(uint256 tournamentId, uint8 matchIndex, bytes32 hashedHand) public {
+    Match storage game = matches[tournamentId][matchIndex];
+    require(hashedHand != bytes32(0), "Invalid hashed hand");
+    require(game.firstPlayer == msg.sender, "Invalid player address");
+    require(game.winner == address(0), "Match is over");
+    require(game.hashedHand == bytes32(0), "Cannot pick hand twice");
+    require(!isExpired(game.deadline), "Deadline passed");
+
+    uint256 deadline = deadlineIn(tournaments[tournamentId].timeout);
+
+    game.hashedHand = hashedHand;
+    game.deadline = deadline;
+
+    emit LogHandCommitted(msg.sender, tournamentId, matchIndex, deadline);
+  }
+
+  /*
+    @dev: The second player of a match shows a clear hand once the first player has committed
+
+    @param tournamentId uint256 the key to the mapping
+    @param matchIndex uint8 the match in the bracket
+    @param hand uint8 the second player's hand, valid under the tournament's rule set
+  */
+  function showHand(uint256 tournamentId, uint8 matchIndex, uint8 hand) public {
+    Match storage game = matches[tournamentId][matchIndex];
+    require(game.secondPlayer == msg.sender, "Invalid player address");
+    require(isValidHand(tournaments[tournamentId].ruleSet, hand), "Invalid hand");
+    require(game.winner == address(0), "Match is over");
+    require(game.hashedHand != bytes32(0), "Player one has not made a move yet");
+    require(game.secondPlayerHand == uint8(Hand.NULL), "Cannot pick hand twice");
+    require(!isExpired(game.deadline), "Deadline passed");
+
+    uint256 deadline = deadlineIn(tournaments[tournamentId].timeout);
+
+    game.secondPlayerHand = hand;
+    game.deadline = deadline;
+
+    emit LogHandShown(msg.sender, tournamentId, matchIndex, deadline, hand);
+  }
+
+  /*
+    @dev: The first player reveals the committed hand. Ties are replayed from the commit.
+
+    @param tournamentId uint256 the key to the mapping
+    @param matchIndex uint8 the match in the bracket
+    @param hand uint8 the weapon choice
+    @param secret uint256 the secret used to hash the hand
+  */
+  function resolveMatch(uint256 tournamentId, uint8 matchIndex, uint8 hand, uint256 secret) public {
+    Match storage game = matches[tournamentId][matchIndex];
+    require(game.firstPlayer == msg.sender, "Invalid player address");
+    require(game.winner == address(0), "Match is over");
+    require(hashHand(hand, secret) == game.hashedHand, "Invalid hand or secret");
+    uint8 secondPlayerHand = game.secondPlayerHand;
+    require(secondPlayerHand != uint8(Hand.NULL), "Player two has not made a move yet");
+    uint8 ruleSet = tournaments[tournamentId].ruleSet;
+    require(isValidHand(ruleSet, hand), "Invalid hand");
+    require(!isExpired(game.deadline), "Deadline passed");
+
+    address winner = roundWinner(ruleSet, msg.sender, hand, game.secondPlayer, secondPlayerHand);
+
+    if(winner == address(0)) {
+      uint256 deadline = deadlineIn(tournaments[tournamentId].timeout);
+
+      game.hashedHand = bytes32(0);
+      game.secondPlayerHand = uint8(Hand.NULL);
+      game.deadline = deadline;
+
+      emit LogMatchTied(msg.sender, tournamentId, matchIndex, deadline);
+      return;
+    }
+
+    advance(tournamentId, matchIndex, winner, false);
+  }
+
+  /*
+    @dev: Advances the player who is not to blame once a match's deadline has passed. Anyone can call it.
+
+    The first player is to blame until a hand is committed and again once the second player has shown
+    a hand; the second player in between.
+
+    @param tournamentId uint256 the key to the mapping
+    @param matchIndex uint8 the match in the bracket
+  */
+  function forfeit(uint256 tournamentId, uint8 matchIndex) public {
+    Match storage game = matches[tournamentId][matchIndex];
+    // The deadline is only set once both players are known
+    require(game.deadline != 0, "Game does not exist");
+    require(game.winner == address(0), "Match is over");
+    require(isExpired(game.deadline), "Deadline has not passed");
+
+    bool secondPlayerToBlame = game.hashedHand != bytes32(0) && game.secondPlayerHand == uint8(Hand.NULL);
+    advance(tournamentId, matchIndex, secondPlayerToBlame ? game.firstPlayer : game.secondPlayer, true);
+  }
+
+  /*
+    @dev: This function lets the user pick a hand and hash it with a random secret, generated off-chain.
+    Use a fresh secret for every commit: a revealed secret is public. The hand is only checked against the
+    largest rule set possible, see isValidHand().
+
+    @param hand uint8 the weapon choice
+    @param secret uint256 random secret to hide the hand
+  */
+  function hashHand(uint8 hand, uint256 secret) public view returns (bytes32) {
+    require(hand != uint8(Hand.NULL), "Null hand");
+    require(hand <= MAX_HANDS, "Invalid hand");
+    require(secret != 0, "Null secret");
+    return keccak256(abi.encodePacked(address(this), msg.sender, hand, secret));
+  }
+
+  /*
+    @dev: The entrants in joining order, which is also the order of the first round's pairings
+
+    @param tournamentId uint256 the key to the mapping
+  */
+  function getEntrants(uint256 tournamentId) public view returns (address[] memory) {
+    return entrants[tournamentId];
+  }
+
+  function startMatch(uint256 tournamentId, uint8 matchIndex, address firstPlayer, address secondPlayer) internal {
+    uint256 deadline = deadlineIn(tournaments[tournamentId].timeout);
+
+    Match storage game = matches[tournamentId][matchIndex];
+    game.firstPlayer = firstPlayer;
+    game.secondPlayer = secondPlayer;
+    game.deadline = deadline;
+
+    emit LogMatchReady(tournamentId, matchIndex, firstPlayer, secondPlayer, deadline);
+  }
+
+  /*
+    @dev: Records the winner of a match and moves him / her to the next one, or pays the prize
+    after the final
+  */
+  function advance(uint256 tournamentId, uint8 matchIndex, address winner, bool byForfeit) internal {
+    Tournament storage tournament = tournaments[tournamentId];
+    Match storage game = matches[tournamentId][matchIndex];
+
+    game.winner = winner;
+
+    emit LogMatchWon(msg.sender, tournamentId, matchIndex, winner, byForfeit);
+
+    uint8 size = tournament.size;
+    if(matchIndex == size - 2) {
+      uint256 prize = tournament.entryFee.mul(size);
+      tournament.champion = winner;
+
+      emit LogTournamentWon(tournamentId, winner, prize);
+
+      if(prize > 0)
+        increaseBalance(winner, prize);
+
+      return;
+    }
+
+    uint8 nextIndex = size / 2 + matchIndex / 2;
+    Match storage next = matches[tournamentId][nextIndex];
+
+    if(matchIndex % 2 == 0) {
+      next.firstPlayer = winner;
+      if(next.secondPlayer != address(0))
+        startMatch(tournamentId, nextIndex, winner, next.secondPlayer);
+    } else {
+      next.secondPlayer = winner;
+      if(next.firstPlayer != address(0))
+        startMatch(tournamentId, nextIndex, next.firstPlayer, winner);
+    }
+  }
+
+}
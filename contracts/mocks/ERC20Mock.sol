@@ -0,0 +1,54 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+import "../IERC20.sol";
+import "../SafeMath.sol";
+
+/*
+  @dev: Minimal ERC20 token for the test suite. Anyone can mint.
+*/
+contract ERC20Mock is IERC20 {
+  using SafeMath for uint256;
+
+  mapping(address => uint256) private balances;
+  mapping(address => mapping(address => uint256)) private allowances;
+
+  event Transfer(address indexed from, address indexed to, uint256 value);
+  event Approval(address indexed owner, address indexed spender, uint256 value);
+
+  function mint(address to, uint256 amount) public {
+    balances[to] = balances[to].add(amount);
+    emit Transfer(address(0), to, amount);
+  }
+
+  function balanceOf(address account) external view returns (uint256) {
+    return balances[account];
+  }
+
+  function allowance(address owner, address spender) external view returns (uint256) {
+    return allowances[owner][spender];
+  }
+
+  function approve(address spender, uint256 amount) external returns (bool) {
+    allowances[msg.sender][spender] = amount;
+    emit Approval(msg.sender, spender, amount);
+    return true;
+  }
+
+  function transfer(address to, uint256 amount) external returns (bool) {
+    move(msg.sender, to, amount);
+    return true;
+  }
+
+  function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+    allowances[from][msg.sender] = allowances[from][msg.sender].sub(amount);
+    move(from, to, amount);
+    return true;
+  }
+
+  function move(address from, address to, uint256 amount) internal {
+    require(to != address(0));
+    balances[from] = balances[from].sub(amount);
+    balances[to] = balances[to].add(amount);
+    emit Transfer(from, to, amount);
+  }
+}
@@ -0,0 +1,42 @@
+pragma solidity >= 0.5.0 <0.6.0;
+
+/*
+  @dev: Smart contract wallet for the test suite. Its fallback needs more than the 2300 gas transfer()
+  forwards, and can refuse payments or call back into the payer. execute() lets it play and withdraw.
+*/
+contract WalletMock {
+  uint256 public payments;
+  bool public refusing;
+  // Sent back to the payer on every payment when set
+  bytes public callback;
+
+  function() external payable {
+    require(!refusing, "Payment refused");
+    payments++;
+
+    if(callback.length > 0) {
+      bytes memory data = callback;
+      (bool success, bytes memory result) = msg.sender.call(data);
+      if(!success) bubble(result);
+    }
+  }
+
+  function setRefusing(bool value) public {
+    refusing = value;
+  }
+
+  function setCallback(bytes memory data) public {
+    callback = data;
+  }
+
+  function execute(address target, uint256 value, bytes memory data) public payable {
+    (bool success, bytes memory result) = target.call.value(value)(data);
+    if(!success) bubble(result);
+  }
+
+  function bubble(bytes memory result) internal pure {
+    assembly {
+      revert(add(result, 32), mload(result))
+    }
+  }
+}
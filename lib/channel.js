@@ -0,0 +1,488 @@
+/*
+  Off-chain play over a RockPaperScissorsChannel. Both players keep the latest state signed by both of
+  them and exchange updates through any transport they like: an update carries a move, the state it
+  leads to and the proposer's signature. The receiver replays the move on its own copy of the state and
+  answers with its signature of the same state.
+
+    first player    commit(hand, roundStake)   the round's stake and a hashed hand
+    second player   show(hand)                 a clear hand
+    first player    reveal()                   the hand and secret, the stake moves to the winner
+    either player   proposeClose()             then close() settles on-chain in one transaction
+
+  When the other player stops answering, dispute() submits the latest state on-chain and a pending
+  round is finished with showHand() and revealHand(), see contracts/RockPaperScissorsChannel.sol.
+*/
+const { soliditySha3, toBN } = require("web3-utils");
+
+const { generateSecret, sendTransaction } = require("./client");
+const { RuleSet, handBeats, parseHand, parseRuleSet } = require("./hands");
+const { EIP712Domain, domainSeparator, hashTypedData, requestSignature } = require("./intents");
+const { InvalidChannelStateError, InvalidHandError, InvalidPlayerError, InvalidSignatureError } = require("./errors");
+
+const domainName = "RockPaperScissorsChannel";
+const domainVersion = "1";
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+const zero_bytes32 = "0x0000000000000000000000000000000000000000000000000000000000000000";
+
+const ChannelTypes = Object.freeze({
+  ChannelState: [
+    { name: "channelId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "firstPlayerBalance", type: "uint256" },
+    { name: "secondPlayerBalance", type: "uint256" },
+    { name: "roundStake", type: "uint256" },
+    { name: "hashedHand", type: "bytes32" },
+    { name: "secondPlayerHand", type: "uint8" }
+  ],
+  ChannelClose: [
+    { name: "channelId", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "firstPlayerBalance", type: "uint256" },
+    { name: "secondPlayerBalance", type: "uint256" }
+  ]
+});
+
+// Who proposes each move, the other player countersigns
+const proposers = Object.freeze({ commit: "first", show: "second", reveal: "first" });
+
+/**
+ * @typedef {Object} ChannelState
+ * @property {string} channelId
+ * @property {string} nonce numbered from 0, the opening state, each state one above the previous
+ * @property {string} firstPlayerBalance in wei, the pending round's stake included
+ * @property {string} secondPlayerBalance in wei, the pending round's stake included
+ * @property {string} roundStake what the pending round moves from the loser to the winner, "0" without one
+ * @property {string} hashedHand the first player's commitment for the pending round, zero without one
+ * @property {number} secondPlayerHand the second player's hand in the pending round, 0 until shown
+ */
+
+/**
+ * @typedef {Object} ChannelUpdate
+ * @property {string} type "ChannelState" or "ChannelClose"
+ * @property {Object} [move] how the state was reached: { type: "commit", hashedHand, roundStake },
+ * { type: "show", hand } or { type: "reveal", hand, secret }
+ * @property {Object} message the ChannelState or ChannelClose signed
+ * @property {string} signature
+ */
+
+/**
+ * @param {Object} rules the channel's rule set, as returned by the contract's ruleSets(): { hands, beats }
+ * @param {number|string|BN} hand
+ * @returns {number} the hand, if the rule set has it
+ */
+const parseRuleSetHand = (rules, hand) => {
+  const value = parseHand(hand);
+  if (value > Number(rules.hands)) throw new InvalidHandError(`Invalid hand: ${hand}`);
+  return value;
+};
+
+/**
+ * Computes the commitment of a round exactly like RockPaperScissorsChannel.hashHand() does:
+ * keccak256(abi.encodePacked(address(this), channelId, hand, secret))
+ *
+ * @param {string} address the deployed RockPaperScissorsChannel address
+ * @param {number|string} channelId
+ * @param {number|string} hand
+ * @param {number|string|BN} secret a fresh one for every round, revealed secrets are public
+ * @returns {string} bytes32 commitment
+ */
+const hashChannelHand = (address, channelId, hand, secret) => {
+  if (toBN(secret.toString()).isZero()) throw new TypeError("Null secret");
+
+  return soliditySha3(
+    { t: "address", v: address },
+    { t: "uint256", v: toBN(channelId.toString()) },
+    { t: "uint8", v: parseHand(hand) },
+    { t: "uint256", v: toBN(secret.toString()) }
+  );
+};
+
+/**
+ * @param {number|string} channelId
+ * @param {number|string|BN} deposit paid by each player
+ * @returns {ChannelState} the state numbered 0, which needs no signature
+ */
+const openingState = (channelId, deposit) => ({
+  channelId: channelId.toString(),
+  nonce: "0",
+  firstPlayerBalance: deposit.toString(),
+  secondPlayerBalance: deposit.toString(),
+  roundStake: "0",
+  hashedHand: zero_bytes32,
+  secondPlayerHand: 0
+});
+
+const nextNonce = ({ nonce }) => String(toBN(nonce).addn(1));
+
+/**
+ * Same rule as GameRules.roundWinner()
+ *
+ * @param {Object} rules the channel's rule set, see parseRuleSetHand()
+ * @returns {string|null} "first", "second" or null for a tie
+ */
+const roundWinner = (rules, firstPlayerHand, secondPlayerHand) => {
+  if (handBeats(rules, firstPlayerHand, secondPlayerHand)) return "first";
+  if (handBeats(rules, secondPlayerHand, firstPlayerHand)) return "second";
+  return null;
+};
+
+/**
+ * Plays a move on a state. Throws InvalidChannelStateError when the move is not allowed.
+ *
+ * @param {string} address the deployed RockPaperScissorsChannel address, which the commitments are bound to
+ * @param {ChannelState} state
+ * @param {Object} move
+ * @param {Object} rules the channel's rule set, see parseRuleSetHand()
+ * @returns {ChannelState} the next state
+ */
+const applyMove = (address, state, move, rules) => {
+  const next = { ...state, nonce: nextNonce(state) };
+  const pending = state.hashedHand !== zero_bytes32;
+
+  switch (move && move.type) {
+    case "commit": {
+      const roundStake = toBN(move.roundStake.toString());
+      if (pending) throw new InvalidChannelStateError("A round is already in play");
+      if (!/^0x[0-9a-f]{64}$/i.test(move.hashedHand) || move.hashedHand === zero_bytes32) {
+        throw new InvalidChannelStateError("Invalid hashed hand");
+      }
+      if (
+        roundStake.isZero() ||
+        roundStake.gt(toBN(state.firstPlayerBalance)) ||
+        roundStake.gt(toBN(state.secondPlayerBalance))
+      ) {
+        throw new InvalidChannelStateError("Invalid round stake");
+      }
+      return { ...next, roundStake: roundStake.toString(), hashedHand: move.hashedHand.toLowerCase() };
+    }
+    case "show":
+      if (!pending || state.secondPlayerHand !== 0) throw new InvalidChannelStateError("No hand to show");
+      return { ...next, secondPlayerHand: parseRuleSetHand(rules, move.hand) };
+    case "reveal": {
+      if (!pending || state.secondPlayerHand === 0) throw new InvalidChannelStateError("No hand to reveal");
+      const hand = parseRuleSetHand(rules, move.hand);
+      if (hashChannelHand(address, state.channelId, hand, move.secret) !== state.hashedHand) {
+        throw new InvalidChannelStateError("Invalid hand or secret");
+      }
+
+      const stake = toBN(state.roundStake);
+      let first = toBN(state.firstPlayerBalance);
+      let second = toBN(state.secondPlayerBalance);
+      const winner = roundWinner(rules, hand, state.secondPlayerHand);
+      if (winner === "first") [first, second] = [first.add(stake), second.sub(stake)];
+      if (winner === "second") [first, second] = [first.sub(stake), second.add(stake)];
+
+      return {
+        ...next,
+        firstPlayerBalance: first.toString(),
+        secondPlayerBalance: second.toString(),
+        roundStake: "0",
+        hashedHand: zero_bytes32,
+        secondPlayerHand: 0
+      };
+    }
+    default:
+      throw new InvalidChannelStateError(`Unknown move: ${move && move.type}`);
+  }
+};
+
+const sameMessage = (type, a, b) =>
+  ChannelTypes[type].every(({ name }) => String(a[name]).toLowerCase() === String(b[name]).toLowerCase());
+
+/**
+ * @param {string} address the deployed RockPaperScissorsChannel address
+ * @param {string} type "ChannelState" or "ChannelClose"
+ * @param {Object} message
+ * @returns {string} the digest both players sign, as computed by the contract
+ */
+const hashChannelMessage = (address, type, message) =>
+  hashTypedData(domainSeparator(address, domainName, domainVersion), type, ChannelTypes[type], message);
+
+class ChannelPlayer {
+  /**
+   * @param {Web3} web3
+   * @param {string} address the deployed RockPaperScissorsChannel address
+   * @param {Object} options
+   * @param {string} options.from the player
+   * @param {Array} [options.abi] overrides the ABI found in client/src/contracts
+   * @param {string} [options.signMethod] "eth_signTypedData_v4" for MetaMask
+   */
+  constructor(web3, address, { from, abi, signMethod } = {}) {
+    if (!from) throw new TypeError("No player address given");
+    this.web3 = web3;
+    this.address = address;
+    this.from = from;
+    this.signMethod = signMethod;
+    // Loaded lazily, lib/index.js must not need the artifact of every contract to be compiled
+    if (!abi) ({ abi } = require("../client/src/contracts/RockPaperScissorsChannel.json"));
+    this.contract = new web3.eth.Contract(abi, address);
+  }
+
+  /**
+   * Opens a channel. The opponent joins with join(), then both players call load().
+   *
+   * @param {Object} options
+   * @param {number|string|BN} options.deposit in wei, matched by the opponent
+   * @param {string} [options.opponent] the only address allowed to join, anyone by default
+   * @param {number} [options.timeout=86400] seconds to join the channel, then to answer a dispute
+   * @param {number|string} [options.ruleSet=RuleSet.CLASSIC] every round is played under it
+   * @returns {Promise<{channelId: string, receipt: Object}>}
+   */
+  async open({ deposit, opponent = zero_address, timeout = 24 * 60 * 60, ruleSet = RuleSet.CLASSIC }) {
+    const method = this.contract.methods.openChannel(opponent, timeout, parseRuleSet(ruleSet));
+    const receipt = await sendTransaction(method, { from: this.from, value: deposit.toString() });
+    return { channelId: receipt.events.LogChannelOpened.returnValues.channelId, receipt };
+  }
+
+  async join(channelId) {
+    const { deposit } = await this.contract.methods.channels(channelId).call();
+    const receipt = await sendTransaction(this.contract.methods.joinChannel(channelId), {
+      from: this.from,
+      value: deposit
+    });
+    await this.load(channelId);
+    return receipt;
+  }
+
+  /**
+   * Starts playing on a joined channel, from the opening state or from a state saved earlier.
+   *
+   * @param {number|string} channelId
+   * @param {Object} [latest] a copy of player.latest, to resume play
+   */
+  async load(channelId, latest) {
+    const channel = await this.contract.methods.channels(channelId).call();
+    if (channel.secondPlayer === zero_address) throw new InvalidChannelStateError("Channel does not exist");
+    if (![channel.firstPlayer, channel.secondPlayer].includes(this.from)) {
+      throw new InvalidPlayerError("Invalid player address");
+    }
+
+    this.channelId = channelId.toString();
+    this.firstPlayer = channel.firstPlayer;
+    this.secondPlayer = channel.secondPlayer;
+    this.role = channel.firstPlayer === this.from ? "first" : "second";
+    const { hands, beats } = await this.contract.methods.ruleSets(channel.ruleSet).call();
+    this.rules = { hands: Number(hands), beats };
+    // The latest state signed by both players, signatures keyed by role
+    this.latest = latest || { state: openingState(channelId, channel.deposit), signatures: {} };
+    this.pending = null;
+    this.closing = null;
+  }
+
+  /**
+   * @returns {ChannelState} the latest state signed by both players
+   */
+  get state() {
+    return this.latest.state;
+  }
+
+  /**
+   * First player: commits a hand for the next round, keeping the secret until reveal()
+   *
+   * @param {number|string} hand
+   * @param {number|string|BN} roundStake in wei, moved from the loser's balance to the winner's
+   * @param {string} [secret] a fresh random one by default
+   * @returns {Promise<ChannelUpdate>} to send to the second player
+   */
+  async commit(hand, roundStake, secret = generateSecret()) {
+    const value = parseRuleSetHand(this.rules, hand);
+    const hashedHand = hashChannelHand(this.address, this.channelId, value, secret);
+    const update = await this._propose({ type: "commit", hashedHand, roundStake: roundStake.toString() });
+    this.round = { hand: value, secret };
+    return update;
+  }
+
+  /**
+   * Second player: shows a hand for the committed round
+   */
+  async show(hand) {
+    return this._propose({ type: "show", hand: parseRuleSetHand(this.rules, hand) });
+  }
+
+  /**
+   * First player: reveals the committed hand, which plays the round
+   */
+  async reveal() {
+    if (!this.round) throw new InvalidChannelStateError("No hand to reveal");
+    return this._propose({ type: "reveal", ...this.round });
+  }
+
+  /**
+   * Proposes to close the channel with the current balances, which needs no round in play
+   */
+  async proposeClose() {
+    const message = this._closeMessage();
+    return this._sign("ChannelClose", message);
+  }
+
+  /**
+   * Handles an update from the other player: either a proposal, which is checked and countersigned, or
+   * the countersignature of our own proposal.
+   *
+   * @param {ChannelUpdate} update
+   * @returns {Promise<ChannelUpdate|null>} the countersignature to send back, null if there is none
+   */
+  async receive({ type, move, message, signature }) {
+    if (!ChannelTypes.hasOwnProperty(type)) throw new InvalidChannelStateError(`Unknown update: ${type}`);
+    const other = this.role === "first" ? "second" : "first";
+
+    if (this.pending && this.pending.type === type && sameMessage(type, this.pending.message, message)) {
+      this._verify(type, this.pending.message, signature, other);
+      this._complete(type, this.pending.message, { [this.role]: this.pending.signature, [other]: signature });
+      return null;
+    }
+
+    let expected;
+    if (type === "ChannelClose") {
+      expected = this._closeMessage();
+    } else {
+      if (!move || proposers[move.type] !== other) throw new InvalidChannelStateError("Unexpected move");
+      expected = applyMove(this.address, this.latest.state, move, this.rules);
+    }
+    if (!sameMessage(type, expected, message)) throw new InvalidChannelStateError("Unexpected state");
+    this._verify(type, expected, signature, other);
+
+    const answer = await this._sign(type, expected);
+    this._complete(type, expected, { [this.role]: answer.signature, [other]: signature });
+    return answer;
+  }
+
+  /**
+   * Closes the channel with the ChannelClose both players signed
+   */
+  async close() {
+    if (!this.closing) throw new InvalidChannelStateError("No close signed by both players");
+    const { message, signatures } = this.closing;
+
+    return this._send(
+      this.contract.methods.closeChannel(
+        this.channelId,
+        message.nonce,
+        message.firstPlayerBalance,
+        message.secondPlayerBalance,
+        signatures.first,
+        signatures.second
+      )
+    );
+  }
+
+  /**
+   * Submits the latest state signed by both players, or starts a dispute from the opening state
+   */
+  async dispute() {
+    const { state, signatures } = this.latest;
+    if (state.nonce === "0") return this._send(this.contract.methods.dispute(this.channelId));
+
+    return this._send(
+      this.contract.methods.submitState(
+        this.channelId,
+        state.nonce,
+        state.firstPlayerBalance,
+        state.secondPlayerBalance,
+        state.roundStake,
+        state.hashedHand,
+        state.secondPlayerHand,
+        signatures.first,
+        signatures.second
+      )
+    );
+  }
+
+  /**
+   * Second player: shows a hand on-chain for the round pending in the disputed state
+   */
+  async showHand(hand) {
+    return this._send(this.contract.methods.showHand(this.channelId, parseRuleSetHand(this.rules, hand)));
+  }
+
+  /**
+   * First player: reveals the committed hand on-chain
+   */
+  async revealHand() {
+    if (!this.round) throw new InvalidChannelStateError("No hand to reveal");
+    return this._send(this.contract.methods.revealHand(this.channelId, this.round.hand, this.round.secret));
+  }
+
+  /**
+   * Pays out the balances once the dispute's deadline has passed
+   */
+  async settle() {
+    return this._send(this.contract.methods.settle(this.channelId));
+  }
+
+  /**
+   * Creator only: recovers the deposit when nobody joined in time
+   */
+  async cancel(channelId = this.channelId) {
+    return this._send(this.contract.methods.cancelChannel(channelId));
+  }
+
+  async getChannel(channelId = this.channelId) {
+    return this.contract.methods.channels(channelId).call();
+  }
+
+  async _propose(move) {
+    if (proposers[move.type] !== this.role)
+      throw new InvalidPlayerError(`Only the ${proposers[move.type]} player can ${move.type}`);
+    const update = await this._sign("ChannelState", applyMove(this.address, this.latest.state, move, this.rules));
+    return { ...update, move };
+  }
+
+  _closeMessage() {
+    const { state } = this.latest;
+    if (state.hashedHand !== zero_bytes32) throw new InvalidChannelStateError("A round is in play");
+    const { channelId, firstPlayerBalance, secondPlayerBalance } = state;
+    return { channelId, nonce: nextNonce(state), firstPlayerBalance, secondPlayerBalance };
+  }
+
+  async _sign(type, message) {
+    if (this.pending) throw new InvalidChannelStateError("Waiting for the other player's signature");
+    const data = {
+      types: { EIP712Domain, [type]: ChannelTypes[type] },
+      domain: { name: domainName, version: domainVersion, verifyingContract: this.address },
+      primaryType: type,
+      message
+    };
+    const signature = await requestSignature(this.web3, data, this.from, this.signMethod);
+
+    this.pending = { type, message, signature };
+    return { type, message, signature };
+  }
+
+  _verify(type, message, signature, role) {
+    const signer = role === "first" ? this.firstPlayer : this.secondPlayer;
+    let recovered;
+    try {
+      recovered = this.web3.eth.accounts.recover(hashChannelMessage(this.address, type, message), signature, true);
+    } catch (error) {
+      throw new InvalidSignatureError("Invalid signature", error);
+    }
+    if (recovered.toLowerCase() !== signer.toLowerCase()) throw new InvalidSignatureError("Invalid signature");
+  }
+
+  _complete(type, message, signatures) {
+    this.pending = null;
+    if (type === "ChannelClose") {
+      this.closing = { message, signatures };
+      return;
+    }
+
+    if (message.hashedHand === zero_bytes32) this.round = null;
+    this.latest = { state: message, signatures };
+  }
+
+  _send(method) {
+    return sendTransaction(method, { from: this.from });
+  }
+}
+
+module.exports = {
+  ChannelTypes,
+  ChannelPlayer,
+  hashChannelHand,
+  hashChannelMessage,
+  openingState,
+  applyMove,
+  roundWinner
+};
@@ -0,0 +1,564 @@
+const crypto = require("crypto");
+const { soliditySha3, toBN, BN } = require("web3-utils");
+
+const artifact = require("../client/src/contracts/RockPaperScissors.json");
+const { parseHand, parseRuleSet, RuleSet } = require("./hands");
+const { decodeRevert } = require("./errors");
+const { normalizeMessage, signTypedData, relayMethod } = require("./intents");
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+// The part of ERC20 needed to approve token stakes
+const erc20Abi = [
+  {
+    name: "approve",
+    type: "function",
+    inputs: [{ name: "spender", type: "address" }, { name: "amount", type: "uint256" }],
+    outputs: [{ name: "", type: "bool" }],
+    stateMutability: "nonpayable"
+  },
+  {
+    name: "allowance",
+    type: "function",
+    inputs: [{ name: "owner", type: "address" }, { name: "spender", type: "address" }],
+    outputs: [{ name: "", type: "uint256" }],
+    stateMutability: "view"
+  }
+];
+
+/**
+ * @typedef {Object} Game
+ * @property {string} gameId the game key, as returned by hashHand()
+ * @property {number} secondPlayerHand 0 until the second player calls showHand()
+ * @property {BN} showHandTimeout seconds the second player has to show a hand once the match is accepted
+ * @property {BN} resolveTimeout seconds the creator has to resolve once the hand is shown
+ * @property {string} secondPlayer zero address until someone calls acceptMatch()
+ * @property {string} firstPlayer the creator, zero address once the game is closed
+ * @property {string} opponent the only address allowed to accept the match, zero address if anyone can
+ * @property {string} token the ERC20 token staked, zero address for ether
+ * @property {number} ruleSet the rules the game is played under, one of the RuleSet values or a custom ID
+ * @property {number} commission the house's cut of the pot in basis points, fixed when the game was created
+ * @property {BN} stake total ether (in wei) or tokens held by the game
+ * @property {BN} deadline unix timestamp, in seconds
+ */
+
+/**
+ * @typedef {Object} CreatedMatch
+ * @property {string} gameId
+ * @property {number} hand the creator's hand, needed again by resolveMatch() and cancelGame()
+ * @property {string} secret the creator's secret, needed again by resolveMatch() and cancelGame()
+ * @property {Object} receipt
+ */
+
+/**
+ * @typedef {Object} LegalActions
+ * @property {boolean} canAccept
+ * @property {boolean} canShowHand
+ * @property {boolean} canResolve
+ * @property {boolean} canPunish
+ * @property {boolean} canCancel
+ * @property {boolean} canRefund anyone can refund the games that were live when the contract was killed
+ */
+
+/**
+ * Generates a cryptographically strong, non-zero uint256 secret.
+ *
+ * @returns {string} decimal representation of the secret
+ */
+const generateSecret = () => {
+  let secret;
+  do {
+    secret = toBN(`0x${crypto.randomBytes(32).toString("hex")}`);
+  } while (secret.isZero());
+  return secret.toString(10);
+};
+
+/**
+ * Computes the game key off-chain, exactly like RockPaperScissors.hashHand() does:
+ * keccak256(abi.encodePacked(address(this), msg.sender, hand, secret))
+ *
+ * @param {string} contractAddress
+ * @param {string} sender the address that will call createMatch() and resolveMatch()
+ * @param {number|string} hand
+ * @param {number|string|BN} secret
+ * @returns {string} bytes32 game key
+ */
+const hashHand = (contractAddress, sender, hand, secret) => {
+  if (toBN(secret).isZero()) throw new TypeError("Null secret");
+
+  return soliditySha3(
+    { t: "address", v: contractAddress },
+    { t: "address", v: sender },
+    { t: "uint8", v: parseHand(hand) },
+    { t: "uint256", v: toBN(secret) }
+  );
+};
+
+/**
+ * Dry-runs a contract method with eth_call, then sends it. Reverts are thrown as typed errors: nodes other
+ * than ganache do not return the revert reason of a mined transaction, but they do for calls.
+ *
+ * @param {Object} method a web3 contract method, e.g. contract.methods.withdraw()
+ * @param {Object} options the transaction's from and value
+ * @returns {Promise<Object>} the receipt
+ */
+const sendTransaction = async (method, options) => {
+  if (!options.from) throw new TypeError("No sender address given");
+
+  let gas;
+  try {
+    await method.call(options);
+    gas = await method.estimateGas(options);
+  } catch (error) {
+    throw decodeRevert(error);
+  }
+
+  try {
+    // Leave some room for state that changes between the estimate and the transaction being mined
+    return await method.send({ ...options, gas: Math.ceil(gas * 1.2) });
+  } catch (error) {
+    throw decodeRevert(error);
+  }
+};
+
+class RockPaperScissorsClient {
+  /**
+   * @param {Web3} web3 a web3 1.x instance connected to the network the contract lives in
+   * @param {string} address the deployed RockPaperScissors address
+   * @param {Object} [options]
+   * @param {string} [options.from] default sender for transactions
+   * @param {Array} [options.abi] overrides the ABI found in client/src/contracts
+   * @param {SecretVault} [options.vault] records the hand and secret of every game created
+   */
+  constructor(web3, address, { from, abi = artifact.abi, vault } = {}) {
+    this.web3 = web3;
+    this.address = address;
+    this.from = from;
+    this.vault = vault;
+    this.contract = new web3.eth.Contract(abi, address);
+  }
+
+  /**
+   * Loads the address from the artifact's networks section, for the network web3 is connected to.
+   */
+  static async at(web3, options = {}) {
+    const networkId = await web3.eth.net.getId();
+    const network = artifact.networks[networkId];
+    if (!network) throw new Error(`RockPaperScissors is not deployed on network ${networkId}`);
+    return new RockPaperScissorsClient(web3, network.address, options);
+  }
+
+  hashHand(hand, secret, from = this.from) {
+    return hashHand(this.address, from, hand, secret);
+  }
+
+  /**
+   * @param {string} gameId
+   * @returns {Promise<Game>}
+   */
+  async getGame(gameId) {
+    const game = await this.contract.methods.games(gameId).call();
+
+    return {
+      gameId,
+      secondPlayerHand: Number(game.secondPlayerHand),
+      showHandTimeout: toBN(game.showHandTimeout),
+      resolveTimeout: toBN(game.resolveTimeout),
+      secondPlayer: game.secondPlayer,
+      firstPlayer: game.firstPlayer,
+      opponent: game.opponent,
+      token: game.token,
+      ruleSet: Number(game.ruleSet),
+      commission: Number(game.commission),
+      stake: toBN(game.stake),
+      deadline: toBN(game.deadline)
+    };
+  }
+
+  /**
+   * @param {string} gameId
+   * @returns {Promise<number>} one of the Phase values
+   */
+  async getPhase(gameId) {
+    return Number(await this.contract.methods.getPhase(gameId).call());
+  }
+
+  /**
+   * @param {string} gameId
+   * @param {string} [player] defaults to the client's sender
+   * @returns {Promise<LegalActions>} the transactions player could send right now without reverting
+   */
+  async getLegalActions(gameId, player = this.from) {
+    const actions = await this.contract.methods.legalActions(gameId, player).call();
+    const { canAccept, canShowHand, canResolve, canPunish, canCancel, canRefund } = actions;
+    return { canAccept, canShowHand, canResolve, canPunish, canCancel, canRefund };
+  }
+
+  async balanceOf(address = this.from) {
+    return toBN(await this.contract.methods.balances(address).call());
+  }
+
+  async tokenBalanceOf(token, address = this.from) {
+    return toBN(await this.contract.methods.tokenBalances(token, address).call());
+  }
+
+  /**
+   * @returns {Promise<number>} timestamp of the latest block, which is what deadlines are compared to
+   */
+  async now() {
+    return Number((await this.web3.eth.getBlock("latest")).timestamp);
+  }
+
+  async getOwner() {
+    return this.contract.methods.getOwner().call();
+  }
+
+  /**
+   * @returns {Promise<string>} the address that may accept the ownership, the zero address if none
+   */
+  async getPendingOwner() {
+    return this.contract.methods.getPendingOwner().call();
+  }
+
+  async isPauser(address = this.from) {
+    return this.contract.methods.isPauser(address).call();
+  }
+
+  /**
+   * @returns {Promise<string>} the contract balances migrate to, the zero address until the owner sets it
+   */
+  async getSuccessor() {
+    return this.contract.methods.successor().call();
+  }
+
+  async getPredecessor() {
+    return this.contract.methods.predecessor().call();
+  }
+
+  async isPaused() {
+    return this.contract.methods.isPaused().call();
+  }
+
+  async isDead() {
+    return this.contract.methods.isDead().call();
+  }
+
+  /**
+   * @returns {Promise<BN>} unix timestamp of kill(), 0 while the contract is alive
+   */
+  async getKilledAt() {
+    return toBN(await this.contract.methods.getKilledAt().call());
+  }
+
+  /**
+   * @returns {Promise<number>} the house's rate for new games, in basis points
+   */
+  async getCommission() {
+    return Number(await this.contract.methods.commission().call());
+  }
+
+  /**
+   * @param {string} [token] defaults to ether
+   * @returns {Promise<BN>} commissions accrued and not withdrawn yet by the owner
+   */
+  async commissionsOf(token = zero_address) {
+    return toBN(await this.contract.methods.commissions(token).call());
+  }
+
+  /**
+   * Creates a match. The game key is computed locally so the hand never leaves this process
+   * before resolveMatch(). With a vault, the secret comes from it and the game is recorded
+   * before the transaction is sent.
+   *
+   * With a token, the stake is in token units and the contract is approved for it first if needed.
+   * With useBalance, as much of the stake as possible is taken from the sender's ether balance.
+   * Other rule sets than the classic one can only be played for ether sent with the transaction.
+   *
+   * @param {Object} params
+   * @param {number|string} params.hand
+   * @param {number|string} [params.ruleSet=RuleSet.CLASSIC] rule set ID or name, e.g. "rpsls"
+   * @param {number|string|BN} params.stake in wei, or token units for token games
+   * @param {string} [params.token] ERC20 token to stake instead of ether
+   * @param {boolean} [params.useBalance] stake winnings kept in the contract before sending ether
+   * @param {number|string} [params.timeout=3600] seconds for every phase, at least a minute
+   * @param {number|string} [params.joinTimeout] seconds to accept the match, timeout by default
+   * @param {number|string} [params.showHandTimeout] seconds to show a hand once accepted, timeout by default
+   * @param {number|string} [params.resolveTimeout] seconds to resolve once the hand is shown, timeout by default
+   * @param {string} [params.opponent] reserves the match for this address
+   * @param {string} [params.secret] a fresh one is generated when omitted
+   * @param {string} [params.from]
+   * @returns {Promise<CreatedMatch>}
+   */
+  async createMatch({
+    hand,
+    stake,
+    timeout = 3600,
+    joinTimeout = timeout,
+    showHandTimeout = timeout,
+    resolveTimeout = timeout,
+    opponent = zero_address,
+    token = zero_address,
+    useBalance = false,
+    ruleSet = RuleSet.CLASSIC,
+    secret,
+    from = this.from
+  }) {
+    hand = parseHand(hand);
+    ruleSet = parseRuleSet(ruleSet);
+    if (ruleSet !== RuleSet.CLASSIC && (useBalance || token !== zero_address)) {
+      throw new TypeError("Only ether games sent with the transaction can use another rule set");
+    }
+
+    let index;
+    if (secret === undefined) {
+      ({ secret, index } = this.vault ? this.vault.nextSecret(this.address, from) : { secret: generateSecret() });
+    }
+
+    const timeouts = [joinTimeout, showHandTimeout, resolveTimeout].map(String);
+    const gameId = this.hashHand(hand, secret, from);
+    if (this.vault) this.vault.record(gameId, { hand, secret, contract: this.address, player: from, index });
+
+    let receipt;
+    if (useBalance) {
+      if (token !== zero_address) throw new TypeError("Token games cannot be staked from the ether balance");
+      const fromBalance = BN.min(await this.balanceOf(from), toBN(stake.toString()));
+      const method = this.contract.methods.createMatchWithBalance(
+        gameId,
+        ...timeouts,
+        opponent,
+        fromBalance.toString()
+      );
+      receipt = await this._send(method, { from, value: toBN(stake.toString()).sub(fromBalance) });
+    } else if (ruleSet !== RuleSet.CLASSIC) {
+      const method = this.contract.methods.createMatchWithRules(gameId, ...timeouts, opponent, ruleSet);
+      receipt = await this._send(method, { from, value: stake });
+    } else if (token === zero_address) {
+      const method = this.contract.methods.createMatch(gameId, ...timeouts, opponent);
+      receipt = await this._send(method, { from, value: stake });
+    } else {
+      await this._ensureAllowance(token, stake, from);
+      const method = this.contract.methods.createTokenMatch(gameId, ...timeouts, opponent, token, stake.toString());
+      receipt = await this._send(method, { from });
+    }
+
+    return { gameId, hand, secret: secret.toString(), receipt };
+  }
+
+  /**
+   * Joins an open match. Unless given, the stake is read from the game so it always matches.
+   * Token games take no ether: the contract is approved for the stake if needed and pulls it.
+   * With useBalance, only the part of the stake the sender's balance does not cover is sent.
+   */
+  async acceptMatch(gameId, { stake, useBalance = false, from = this.from } = {}) {
+    const game = await this.getGame(gameId);
+    if (stake === undefined) stake = game.stake;
+
+    if (useBalance) {
+      const value = BN.max(toBN(stake.toString()).sub(await this.balanceOf(from)), toBN("0"));
+      return this._send(this.contract.methods.acceptMatchWithBalance(gameId), { from, value });
+    }
+
+    if (game.token === zero_address) {
+      return this._send(this.contract.methods.acceptMatch(gameId), { from, value: stake });
+    }
+
+    await this._ensureAllowance(game.token, stake, from);
+    return this._send(this.contract.methods.acceptMatch(gameId), { from });
+  }
+
+  async showHand(gameId, hand, { from = this.from } = {}) {
+    return this._send(this.contract.methods.showHand(gameId, parseHand(hand)), { from });
+  }
+
+  async resolveMatch(hand, secret, { from = this.from } = {}) {
+    return this._send(this.contract.methods.resolveMatch(parseHand(hand), secret.toString()), { from });
+  }
+
+  async punish(gameId, { from = this.from } = {}) {
+    return this._send(this.contract.methods.punish(gameId), { from });
+  }
+
+  async cancelGame(hand, secret, { from = this.from } = {}) {
+    return this._send(this.contract.methods.cancelGame(parseHand(hand), secret.toString()), { from });
+  }
+
+  /**
+   * Gives both players of a game their own stake back. Only once the contract is killed, for the games that were
+   * still live then.
+   */
+  async refundGame(gameId, { from = this.from } = {}) {
+    return this._send(this.contract.methods.refundGame(gameId), { from });
+  }
+
+  /**
+   * Withdraws the sender's ether balance, all of it to the sender unless told otherwise.
+   *
+   * @param {Object} [options]
+   * @param {number|string|BN} [options.amount] wei, the whole balance by default
+   * @param {string} [options.to] recipient, e.g. a wallet contract, the sender by default
+   * @param {string} [options.from]
+   */
+  async withdraw({ amount, to, from = this.from } = {}) {
+    if (amount === undefined && to === undefined) return this._send(this.contract.methods.withdraw(), { from });
+
+    if (amount === undefined) amount = await this.balanceOf(from);
+    return this._send(this.contract.methods.withdrawTo(to || from, amount.toString()), { from });
+  }
+
+  async withdrawToken(token, { from = this.from } = {}) {
+    return this._send(this.contract.methods.withdrawToken(token), { from });
+  }
+
+  /**
+   * Moves the sender's ether balance to the successor, once the owner registered one after kill().
+   */
+  async migrateBalance({ from = this.from } = {}) {
+    return this._send(this.contract.methods.migrateBalance(), { from });
+  }
+
+  /**
+   * Lets the owner include the sender in its next migrateBalances() batch, once a successor is registered.
+   */
+  async requestMigration({ from = this.from } = {}) {
+    return this._send(this.contract.methods.requestMigration(), { from });
+  }
+
+  /**
+   * @param {string} [address] defaults to the client's sender
+   * @returns {Promise<number>} the nonce the address' next signed intent must carry
+   */
+  async nonceOf(address = this.from) {
+    return Number(await this.contract.methods.nonces(address).call());
+  }
+
+  /**
+   * Signs an intent for a relayer to send on the sender's behalf, see lib/intents.js. The sender pays
+   * no gas, but fee wei of its balance in the contract go to the relayer.
+   *
+   * @param {string} type AcceptMatch, ShowHand, ResolveMatch or Withdraw
+   * @param {Object} fields the intent's own fields, e.g. { gameId, hand }
+   * @param {Object} [options]
+   * @param {number|string|BN} [options.fee=0] in wei
+   * @param {number} [options.nonce] read from the contract by default
+   * @param {number} [options.expiry] unix timestamp, an hour from the latest block by default
+   * @param {string} [options.method] the JSON-RPC signing method, see signTypedData()
+   * @param {string} [options.from]
+   * @returns {Promise<Intent>}
+   */
+  async signIntent(type, fields, { fee = 0, nonce, expiry, method, from = this.from } = {}) {
+    if (!from) throw new TypeError("No sender address given");
+    if (nonce === undefined) nonce = await this.nonceOf(from);
+    if (expiry === undefined) expiry = (await this.now()) + 3600;
+
+    const message = normalizeMessage(type, { ...fields, fee, nonce, expiry });
+    const signature = await signTypedData(this.web3, this.address, type, message, from, method);
+
+    return { type, player: from, message, signature };
+  }
+
+  signAcceptMatch(gameId, options) {
+    return this.signIntent("AcceptMatch", { gameId }, options);
+  }
+
+  signShowHand(gameId, hand, options) {
+    return this.signIntent("ShowHand", { gameId, hand }, options);
+  }
+
+  signResolveMatch(hand, secret, options) {
+    return this.signIntent("ResolveMatch", { hand, secret }, options);
+  }
+
+  /**
+   * @param {Object} [options] see signIntent(), plus
+   * @param {number|string|BN} [options.amount] wei, what is left of the balance after the fee by default
+   * @param {string} [options.to] recipient, the signer by default
+   */
+  signWithdraw({ amount = 0, to, ...options } = {}) {
+    return this.signIntent("Withdraw", { amount, recipient: to || options.from || this.from }, options);
+  }
+
+  /**
+   * Sends a signed intent, paying for its gas. See lib/relayer.js for the checks a relayer should run first.
+   *
+   * @param {Intent} intent
+   */
+  async relay(intent, { from = this.from } = {}) {
+    return this._send(relayMethod(this.contract, intent), { from });
+  }
+
+  /**
+   * Approves the contract to pull amount tokens, unless the current allowance already covers it.
+   */
+  async _ensureAllowance(token, amount, from) {
+    const erc20 = new this.web3.eth.Contract(erc20Abi, token);
+    const allowance = toBN(await erc20.methods.allowance(from, this.address).call());
+    if (allowance.gte(toBN(amount.toString()))) return;
+
+    await this._send(erc20.methods.approve(this.address, amount.toString()), { from });
+  }
+
+  async pause({ from = this.from } = {}) {
+    return this._send(this.contract.methods.pause(), { from });
+  }
+
+  async resume({ from = this.from } = {}) {
+    return this._send(this.contract.methods.resume(), { from });
+  }
+
+  async kill({ from = this.from } = {}) {
+    return this._send(this.contract.methods.kill(), { from });
+  }
+
+  /**
+   * Proposes a new owner, who takes over once they call acceptOwnership() from that address.
+   */
+  async proposeOwner(newOwner, { from = this.from } = {}) {
+    return this._send(this.contract.methods.proposeOwner(newOwner), { from });
+  }
+
+  async cancelOwnerProposal({ from = this.from } = {}) {
+    return this._send(this.contract.methods.cancelOwnerProposal(), { from });
+  }
+
+  async acceptOwnership({ from = this.from } = {}) {
+    return this._send(this.contract.methods.acceptOwnership(), { from });
+  }
+
+  async addPauser(account, { from = this.from } = {}) {
+    return this._send(this.contract.methods.addPauser(account), { from });
+  }
+
+  async removePauser(account, { from = this.from } = {}) {
+    return this._send(this.contract.methods.removePauser(account), { from });
+  }
+
+  async setCommission(basisPoints, { from = this.from } = {}) {
+    return this._send(this.contract.methods.setCommission(basisPoints.toString()), { from });
+  }
+
+  async withdrawCommission(token = zero_address, { from = this.from } = {}) {
+    return this._send(this.contract.methods.withdrawCommission(token), { from });
+  }
+
+  async setSuccessor(successor, { from = this.from } = {}) {
+    return this._send(this.contract.methods.setSuccessor(successor), { from });
+  }
+
+  async setPredecessor(predecessor, { from = this.from } = {}) {
+    return this._send(this.contract.methods.setPredecessor(predecessor), { from });
+  }
+
+  /**
+   * Migrates the balances of the given players, skipping those without one or who did not requestMigration().
+   * @param {string[]} holders
+   */
+  async migrateBalances(holders, { from = this.from } = {}) {
+    return this._send(this.contract.methods.migrateBalances(holders), { from });
+  }
+
+  async _send(method, options) {
+    return sendTransaction(method, options);
+  }
+}
+
+module.exports = { RockPaperScissorsClient, generateSecret, hashHand, sendTransaction };
@@ -0,0 +1,254 @@
+/*
+  Typed errors for the revert reasons emitted by RockPaperScissors, RockPaperScissorsSeries,
+  RockPaperScissorsTournament, RockPaperScissorsChannel and their parent contracts.
+
+  decodeRevert() turns whatever the provider threw (a web3 error message, a truffle-contract error
+  or raw Error(string) return data) into one of these classes, so callers can branch on
+  `instanceof` instead of matching strings.
+*/
+
+class RockPaperScissorsError extends Error {
+  constructor(reason, cause) {
+    super(reason || "Transaction reverted");
+    this.name = this.constructor.name;
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+class TransactionRevertedError extends RockPaperScissorsError {}
+class InvalidHashedHandError extends RockPaperScissorsError {}
+class InvalidTimeoutError extends RockPaperScissorsError {}
+class PasswordUsedError extends RockPaperScissorsError {}
+class GameNotFoundError extends RockPaperScissorsError {}
+class DeadlinePassedError extends RockPaperScissorsError {}
+class DeadlineNotPassedError extends RockPaperScissorsError {}
+class InvalidStakeError extends RockPaperScissorsError {}
+class MatchContestedError extends RockPaperScissorsError {}
+class MatchReservedError extends RockPaperScissorsError {}
+class InvalidHandError extends RockPaperScissorsError {}
+class InvalidSecretError extends RockPaperScissorsError {}
+class InvalidPlayerError extends RockPaperScissorsError {}
+class HandAlreadyShownError extends RockPaperScissorsError {}
+class HandNotShownError extends RockPaperScissorsError {}
+class InvalidGameKeyError extends RockPaperScissorsError {}
+class NoStakeError extends RockPaperScissorsError {}
+class GameOnError extends RockPaperScissorsError {}
+class ContractPausedError extends RockPaperScissorsError {}
+class ContractNotPausedError extends RockPaperScissorsError {}
+class NotOwnerError extends RockPaperScissorsError {}
+class NotPendingOwnerError extends RockPaperScissorsError {}
+class NotPauserError extends RockPaperScissorsError {}
+class InvalidRoleError extends RockPaperScissorsError {}
+class MigrationError extends RockPaperScissorsError {}
+class InvalidTokenError extends RockPaperScissorsError {}
+class TokenTransferError extends RockPaperScissorsError {}
+class InsufficientBalanceError extends RockPaperScissorsError {}
+class PayoutFailedError extends RockPaperScissorsError {}
+class InvalidSeriesLengthError extends RockPaperScissorsError {}
+class InvalidTournamentSizeError extends RockPaperScissorsError {}
+class TournamentFullError extends RockPaperScissorsError {}
+class AlreadyJoinedError extends RockPaperScissorsError {}
+class MatchOverError extends RockPaperScissorsError {}
+class InvalidRuleSetError extends RockPaperScissorsError {}
+class InvalidCommissionError extends RockPaperScissorsError {}
+class ContractKilledError extends RockPaperScissorsError {}
+class ContractNotKilledError extends RockPaperScissorsError {}
+class IntentExpiredError extends RockPaperScissorsError {}
+class InvalidNonceError extends RockPaperScissorsError {}
+class InvalidSignatureError extends RockPaperScissorsError {}
+class StaleStateError extends RockPaperScissorsError {}
+class InvalidChannelStateError extends RockPaperScissorsError {}
+class NotDisputedError extends RockPaperScissorsError {}
+class AlreadyDisputedError extends RockPaperScissorsError {}
+// Thrown by lib/relayer.js only, the contract leaves the fee to the player and the relayer
+class FeeTooLowError extends RockPaperScissorsError {}
+// Thrown by lib/lobby.js only, when no candidate game can still be joined
+class NoOpenGameError extends RockPaperScissorsError {}
+
+// Keep in sync with the require() messages in contracts/
+const reasons = {
+  "Invalid hashed hand": InvalidHashedHandError,
+  "Timeout must be at least 1 minute": InvalidTimeoutError,
+  "Password used": PasswordUsedError,
+  "Game does not exist": GameNotFoundError,
+  "Tournament does not exist": GameNotFoundError,
+  "Deadline passed": DeadlinePassedError,
+  "Deadline has not passed": DeadlineNotPassedError,
+  "Invalid stake": InvalidStakeError,
+  "Match contested by another player": MatchContestedError,
+  "Match reserved for another player": MatchReservedError,
+  "Invalid hand": InvalidHandError,
+  "Null hand": InvalidHandError,
+  "Null secret": InvalidSecretError,
+  "Invalid hand or secret": InvalidSecretError,
+  "Invalid player address": InvalidPlayerError,
+  "Only second player can call this function": InvalidPlayerError,
+  "Cannot pick hand twice": HandAlreadyShownError,
+  "Player two has not made a move yet": HandNotShownError,
+  "You have to show your hand before calling": HandNotShownError,
+  "Player one has not made a move yet": HandNotShownError,
+  "Invalid game key": InvalidGameKeyError,
+  "No stake": NoStakeError,
+  "Cannot cancel, game is on": GameOnError,
+  "The contract is paused": ContractPausedError,
+  "The contract must be paused": ContractNotPausedError,
+  "Can only be called by the owner": NotOwnerError,
+  "Can only be called by the proposed owner": NotPendingOwnerError,
+  "No ownership transfer pending": NotPendingOwnerError,
+  "Can only be called by a pauser": NotPauserError,
+  "newOwner is empty": InvalidPlayerError,
+  "account is empty": InvalidPlayerError,
+  "Already a pauser": InvalidRoleError,
+  "Not a pauser": InvalidRoleError,
+  "successor is empty": InvalidPlayerError,
+  "predecessor is empty": InvalidPlayerError,
+  "Successor already set": MigrationError,
+  "Predecessor already set": MigrationError,
+  "No successor": MigrationError,
+  "Only the predecessor can migrate": MigrationError,
+  "Invalid token": InvalidTokenError,
+  "Token transfer failed": TokenTransferError,
+  "Insufficient balance": InsufficientBalanceError,
+  "Nothing to withdraw": InsufficientBalanceError,
+  "recipient is empty": InvalidPlayerError,
+  "Payout failed": PayoutFailedError,
+  "Reentrant call": PayoutFailedError,
+  "Series length must be odd": InvalidSeriesLengthError,
+  "Invalid tournament size": InvalidTournamentSizeError,
+  "Tournament is full": TournamentFullError,
+  "Already joined": AlreadyJoinedError,
+  "Match is over": MatchOverError,
+  "Invalid rule set": InvalidRuleSetError,
+  "Too many rule sets": InvalidRuleSetError,
+  "Commission too high": InvalidCommissionError,
+  "The contract has been killed": ContractKilledError,
+  "The contract must be killed": ContractNotKilledError,
+  "Intent expired": IntentExpiredError,
+  "Invalid nonce": InvalidNonceError,
+  "Invalid signature": InvalidSignatureError,
+  "Channel does not exist": GameNotFoundError,
+  "Stale state": StaleStateError,
+  "Invalid state": InvalidChannelStateError,
+  "No round in play": InvalidChannelStateError,
+  "Channel not in dispute": NotDisputedError,
+  "Channel already in dispute": AlreadyDisputedError
+};
+
+// Function selector of Error(string), used by solidity to encode revert reasons
+const errorSelector = "08c379a0";
+
+const decodeErrorData = data => {
+  if (typeof data !== "string") return undefined;
+  const hex = data.replace(/^0x/, "");
+  if (hex.slice(0, 8) !== errorSelector) return undefined;
+
+  // selector (4 bytes) + offset (32 bytes) + length (32 bytes) + utf8 string
+  const length = parseInt(hex.slice(8 + 64, 8 + 128), 16);
+  return Buffer.from(hex.slice(8 + 128, 8 + 128 + length * 2), "hex").toString("utf8");
+};
+
+const findErrorData = error => {
+  if (typeof error.data === "string") return error.data;
+  // ganache reports { data: { [txHash]: { return, reason } } }
+  if (error.data && typeof error.data === "object") {
+    const entry = Object.values(error.data).find(value => value && value.return);
+    if (entry) return entry.return;
+  }
+  return undefined;
+};
+
+/**
+ * Extracts the revert reason from an error thrown by web3 or truffle-contract.
+ *
+ * @param {Error} error
+ * @returns {string|undefined}
+ */
+const getRevertReason = error => {
+  if (!error) return undefined;
+  if (error.reason) return error.reason;
+
+  const fromData = decodeErrorData(findErrorData(error));
+  if (fromData) return fromData;
+
+  // e.g. "VM Exception while processing transaction: revert Deadline passed -- Reason given: Deadline passed."
+  const match = /\brevert ([^\n]+?)(?: -- Reason given|$)/m.exec(error.message || "");
+  return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Wraps a provider error into the matching RockPaperScissorsError subclass. Errors that are not
+ * reverts (network failures, user rejected signature...) are returned untouched.
+ *
+ * @param {Error} error
+ * @returns {Error}
+ */
+const decodeRevert = error => {
+  if (error instanceof RockPaperScissorsError) return error;
+
+  const reason = getRevertReason(error);
+  if (reason) {
+    const ErrorClass = reasons[reason] || TransactionRevertedError;
+    return new ErrorClass(reason, error);
+  }
+
+  if (/revert/i.test((error && error.message) || "")) {
+    return new TransactionRevertedError(undefined, error);
+  }
+
+  return error;
+};
+
+module.exports = {
+  RockPaperScissorsError,
+  TransactionRevertedError,
+  InvalidHashedHandError,
+  InvalidTimeoutError,
+  PasswordUsedError,
+  GameNotFoundError,
+  DeadlinePassedError,
+  DeadlineNotPassedError,
+  InvalidStakeError,
+  MatchContestedError,
+  MatchReservedError,
+  InvalidHandError,
+  InvalidSecretError,
+  InvalidPlayerError,
+  HandAlreadyShownError,
+  HandNotShownError,
+  InvalidGameKeyError,
+  NoStakeError,
+  GameOnError,
+  ContractPausedError,
+  ContractNotPausedError,
+  NotOwnerError,
+  NotPendingOwnerError,
+  NotPauserError,
+  InvalidRoleError,
+  MigrationError,
+  InvalidTokenError,
+  TokenTransferError,
+  InsufficientBalanceError,
+  PayoutFailedError,
+  InvalidSeriesLengthError,
+  InvalidTournamentSizeError,
+  TournamentFullError,
+  AlreadyJoinedError,
+  MatchOverError,
+  InvalidRuleSetError,
+  InvalidCommissionError,
+  ContractKilledError,
+  ContractNotKilledError,
+  IntentExpiredError,
+  InvalidNonceError,
+  InvalidSignatureError,
+  StaleStateError,
+  InvalidChannelStateError,
+  NotDisputedError,
+  AlreadyDisputedError,
+  FeeTooLowError,
+  NoOpenGameError,
+  reasons,
+  getRevertReason,
+  decodeRevert
+};
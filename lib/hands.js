@@ -0,0 +1,93 @@
+const { toBN } = require("web3-utils");
+
+/*
+  Mirrors the Hand enum declared in contracts/GameRules.sol. The numeric values are what
+  the contract expects as uint8 in hashHand(), showHand(), resolveMatch() and cancelGame().
+  LIZARD and SPOCK only exist under the RPSLS rule set; custom rule sets number their hands up to
+  MAX_HANDS without names.
+*/
+const Hand = Object.freeze({
+  NULL: 0,
+  ROCK: 1,
+  PAPER: 2,
+  SCISSORS: 3,
+  LIZARD: 4,
+  SPOCK: 5
+});
+
+const MAX_HANDS = 15;
+
+/*
+  Rule sets registered by the contract's constructor. The owner can register more with
+  registerRuleSet(), they get the following IDs.
+*/
+const RuleSet = Object.freeze({
+  CLASSIC: 0,
+  RPSLS: 1
+});
+
+const handNames = Object.keys(Hand);
+
+/**
+ * Accepts a hand as its enum value (number, numeric string or BN) or as its name ("rock", "PAPER"...)
+ * and returns the numeric value. Throws on NULL or unknown hands. Whether the hand exists under a
+ * game's rule set is only checked by the contract.
+ *
+ * @param {number|string|BN} hand
+ * @returns {number}
+ */
+const parseHand = hand => {
+  let value;
+
+  if (typeof hand === "string" && Hand.hasOwnProperty(hand.toUpperCase())) {
+    value = Hand[hand.toUpperCase()];
+  } else {
+    value = Number(hand.toString());
+  }
+
+  if (!Number.isInteger(value) || value <= Hand.NULL || value > MAX_HANDS) {
+    throw new TypeError(`Invalid hand: ${hand}`);
+  }
+
+  return value;
+};
+
+/**
+ * @param {number|string|BN} hand numeric hand as returned by the contract
+ * @returns {string} the hand's name, e.g. "ROCK", or "HAND 7" for the unnamed hands of custom rule sets
+ */
+const handName = hand => handNames[Number(hand.toString())] || `HAND ${hand.toString()}`;
+
+/**
+ * Same check as GameRules.handBeats()
+ *
+ * @param {Object} rules a rule set as returned by the contract's ruleSets(): { hands, beats }
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean} whether hand a beats hand b
+ */
+const handBeats = ({ beats }, a, b) => toBN(beats.toString()).testn(16 * a + b);
+
+/**
+ * Accepts a rule set as its ID or as its name ("classic", "RPSLS").
+ *
+ * @param {number|string|BN} ruleSet
+ * @returns {number}
+ */
+const parseRuleSet = ruleSet => {
+  let value;
+
+  if (typeof ruleSet === "string" && RuleSet.hasOwnProperty(ruleSet.toUpperCase())) {
+    value = RuleSet[ruleSet.toUpperCase()];
+  } else {
+    value = Number(ruleSet.toString());
+  }
+
+  if (!Number.isInteger(value) || value < 0 || value > 255) {
+    throw new TypeError(`Invalid rule set: ${ruleSet}`);
+  }
+
+  return value;
+};
+
+module.exports = { Hand, MAX_HANDS, RuleSet, parseHand, handName, parseRuleSet, handBeats };
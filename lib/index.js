@@ -0,0 +1,63 @@
+const { RockPaperScissorsClient, generateSecret, hashHand } = require("./client");
+const { Hand, RuleSet, parseHand, handName, parseRuleSet } = require("./hands");
+const { Phase, phaseName } = require("./phases");
+const { SecretVault, VaultError, memoryStorage, fileStorage, generateSeed, deriveSecret } = require("./vault");
+const { Indexer, GameStatus } = require("./indexer");
+const { memoryStore, jsonFileStore } = require("./store");
+const { TournamentStatus, reconstructBracket, loadBracket } = require("./tournament");
+const { IntentTypes, typedData, hashIntent, recoverIntentSigner, signTypedData } = require("./intents");
+const { Relayer } = require("./relayer");
+const { StatsServer, playerStats, leaderboard } = require("./stats");
+const { statementEntries, playerStatements, playerStatement, statementToCsv } = require("./statements");
+const { Lobby, requestCandidates, quickMatch } = require("./lobby");
+const { DeadlineWatcher } = require("./watcher");
+const { ChannelPlayer, hashChannelHand, openingState, applyMove } = require("./channel");
+const errors = require("./errors");
+
+module.exports = {
+  RockPaperScissorsClient,
+  generateSecret,
+  hashHand,
+  Hand,
+  RuleSet,
+  parseHand,
+  handName,
+  parseRuleSet,
+  Phase,
+  phaseName,
+  SecretVault,
+  VaultError,
+  memoryStorage,
+  fileStorage,
+  generateSeed,
+  deriveSecret,
+  Indexer,
+  GameStatus,
+  memoryStore,
+  jsonFileStore,
+  TournamentStatus,
+  reconstructBracket,
+  loadBracket,
+  IntentTypes,
+  typedData,
+  hashIntent,
+  recoverIntentSigner,
+  signTypedData,
+  Relayer,
+  StatsServer,
+  playerStats,
+  leaderboard,
+  statementEntries,
+  playerStatements,
+  playerStatement,
+  statementToCsv,
+  Lobby,
+  requestCandidates,
+  quickMatch,
+  DeadlineWatcher,
+  ChannelPlayer,
+  hashChannelHand,
+  openingState,
+  applyMove,
+  ...errors
+};
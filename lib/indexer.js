@@ -0,0 +1,460 @@
+/*
+  Rebuilds the history of every game from the contract logs.
+
+  zeroOutGameEntry() wipes a game from storage once it ends, so the only durable record of what
+  happened is the event log. The indexer replays it into plain objects, checkpoints the events it has
+  seen into a store and, on restart, picks up from the last indexed block.
+
+  Reorgs are detected by remembering the hashes of the most recent blocks: if the chain no longer
+  agrees with them, the events from the fork point onwards are dropped and the state is replayed.
+*/
+const EventEmitter = require("events");
+const { toBN } = require("web3-utils");
+
+const artifact = require("../client/src/contracts/RockPaperScissors.json");
+const { Hand, RuleSet } = require("./hands");
+const { memoryStore } = require("./store");
+
+const GameStatus = Object.freeze({
+  OPEN: "open",
+  ACCEPTED: "accepted",
+  HAND_SHOWN: "hand-shown",
+  RESOLVED: "resolved",
+  PUNISHED: "punished",
+  CANCELLED: "cancelled",
+  REFUNDED: "refunded"
+});
+
+const liveStatuses = [GameStatus.OPEN, GameStatus.ACCEPTED, GameStatus.HAND_SHOWN];
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/*
+  LogMatchResolved used not to include the creator's hand. For events of those deployments, where
+  every game was played with classic rules, it follows from the second player's hand and the outcome.
+*/
+const deduceFirstPlayerHand = (secondPlayerHand, winner, creator) => {
+  if (!secondPlayerHand) return Hand.NULL;
+  if (winner === zero_address) return secondPlayerHand;
+  if (sameAddress(winner, creator)) return (secondPlayerHand % 3) + 1;
+  return secondPlayerHand === Hand.ROCK ? Hand.SCISSORS : secondPlayerHand - 1;
+};
+
+// relayed and decreased remember the last LogIntentRelayed and LogBalanceDecreased, to tell relayer fees from stakes
+const emptyState = () => ({ games: {}, balances: {}, relayed: null, decreased: null });
+
+const ensureGame = (state, gameId) => {
+  if (!state.games[gameId]) {
+    // Only happens for games created before the indexer's fromBlock
+    state.games[gameId] = {
+      gameId,
+      creator: null,
+      opponent: null,
+      token: null,
+      ruleSet: null,
+      commission: null,
+      commissionCharged: "0",
+      secondPlayer: null,
+      stake: "0",
+      pot: "0",
+      deadline: "0",
+      firstPlayerHand: Hand.NULL,
+      secondPlayerHand: Hand.NULL,
+      status: GameStatus.OPEN,
+      winner: null,
+      firstPlayerWage: null,
+      secondPlayerWage: null,
+      createdAt: null,
+      updatedAt: null,
+      history: []
+    };
+  }
+  return state.games[gameId];
+};
+
+// Ether balances are keyed by holder, token balances by token and holder
+const balanceKey = (address, token = zero_address) =>
+  sameAddress(token, zero_address) ? address.toLowerCase() : `${token.toLowerCase()}:${address.toLowerCase()}`;
+
+const ensureBalance = (state, address, token) => {
+  const key = balanceKey(address, token);
+  if (!state.balances[key]) {
+    state.balances[key] = { credited: "0", withdrawn: "0", staked: "0", feesPaid: "0", migrated: "0" };
+  }
+  return state.balances[key];
+};
+
+const add = (a, b) =>
+  toBN(a)
+    .add(toBN(b))
+    .toString(10);
+
+const sub = (a, b) =>
+  toBN(a)
+    .sub(toBN(b))
+    .toString(10);
+
+/*
+  payRelayer() moves a relayed intent's fee with a LogBalanceDecreased of the player right followed by a
+  LogBalanceIncreased of the relayer, both for the fee. Any other decrease is a stake, see lib/statements.js.
+*/
+const isRelayerFee = ({ relayed, decreased }, { to, amount }, event) =>
+  !!relayed &&
+  !!decreased &&
+  relayed.transactionHash === event.transactionHash &&
+  decreased.transactionHash === event.transactionHash &&
+  decreased.logIndex === event.logIndex - 1 &&
+  sameAddress(decreased.sender, relayed.player) &&
+  decreased.amount === relayed.fee &&
+  sameAddress(to, relayed.relayer) &&
+  amount === relayed.fee;
+
+const gameReducers = {
+  LogMatchCreated: (game, { sender, opponent, token, ruleSet, commission, stake, deadline }, event) => {
+    game.creator = sender;
+    game.opponent = opponent;
+    game.token = token;
+    game.ruleSet = ruleSet === undefined ? RuleSet.CLASSIC : Number(ruleSet);
+    game.commission = commission === undefined ? 0 : Number(commission);
+    game.stake = stake;
+    game.pot = stake;
+    game.deadline = deadline;
+    game.status = GameStatus.OPEN;
+    game.createdAt = event.timestamp;
+  },
+  LogMatchAccepted: (game, { sender, stake, deadline }) => {
+    game.secondPlayer = sender;
+    game.pot = stake;
+    game.deadline = deadline;
+    game.status = GameStatus.ACCEPTED;
+  },
+  LogHandShown: (game, { deadline, hand }) => {
+    game.secondPlayerHand = Number(hand);
+    game.deadline = deadline;
+    game.status = GameStatus.HAND_SHOWN;
+  },
+  LogMatchResolved: (game, { winner, firstPlayerHand, firstPlayerWage, secondPlayerWage }) => {
+    game.winner = winner;
+    game.firstPlayerWage = firstPlayerWage;
+    game.secondPlayerWage = secondPlayerWage;
+    game.firstPlayerHand =
+      firstPlayerHand === undefined
+        ? deduceFirstPlayerHand(game.secondPlayerHand, winner, game.creator)
+        : Number(firstPlayerHand);
+    game.status = GameStatus.RESOLVED;
+  },
+  // Emitted before LogMatchResolved and LogPunishCalled, whose wages are what is left of the pot
+  LogCommissionCharged: (game, { amount }) => {
+    game.commissionCharged = amount;
+  },
+  LogPunishCalled: (game, { sender }) => {
+    game.winner = sender;
+    game.firstPlayerWage = "0";
+    game.secondPlayerWage = toBN(game.pot)
+      .sub(toBN(game.commissionCharged))
+      .toString(10);
+    game.status = GameStatus.PUNISHED;
+  },
+  LogCancelCalled: (game, { sender }) => {
+    game.winner = game.secondPlayer ? sender : zero_address;
+    game.firstPlayerWage = game.pot;
+    game.secondPlayerWage = "0";
+    game.status = GameStatus.CANCELLED;
+  },
+  LogGameRefunded: (game, { firstPlayerRefund, secondPlayerRefund }) => {
+    game.winner = zero_address;
+    game.firstPlayerWage = firstPlayerRefund;
+    game.secondPlayerWage = secondPlayerRefund;
+    game.status = GameStatus.REFUNDED;
+  }
+};
+
+const balanceReducers = {
+  LogIntentRelayed: (state, { relayer, player, fee }, event) => {
+    state.relayed = { transactionHash: event.transactionHash, relayer, player, fee };
+  },
+  LogBalanceIncreased: (state, { to, amount }, event) => {
+    const balance = ensureBalance(state, to);
+    balance.credited = add(balance.credited, amount);
+
+    // The decrease just before was the fee, not a stake
+    if (isRelayerFee(state, { to, amount }, event)) {
+      const player = ensureBalance(state, state.decreased.sender);
+      player.staked = sub(player.staked, amount);
+      player.feesPaid = add(player.feesPaid, amount);
+    }
+  },
+  LogBalanceWithdraw: (state, { sender, amount }) => {
+    const balance = ensureBalance(state, sender);
+    balance.withdrawn = add(balance.withdrawn, amount);
+  },
+  LogBalanceDecreased: (state, { sender, amount }, event) => {
+    const balance = ensureBalance(state, sender);
+    balance.staked = add(balance.staked, amount);
+    state.decreased = { transactionHash: event.transactionHash, logIndex: event.logIndex, sender, amount };
+  },
+  // The balance left for the successor contract, see Migratable.sol
+  LogBalanceMigrated: (state, { holder, amount }) => {
+    const balance = ensureBalance(state, holder);
+    balance.migrated = add(balance.migrated, amount);
+  },
+  LogTokenBalanceIncreased: (state, { token, to, amount }) => {
+    const balance = ensureBalance(state, to, token);
+    balance.credited = add(balance.credited, amount);
+  },
+  LogTokenBalanceWithdraw: (state, { sender, token, amount }) => {
+    const balance = ensureBalance(state, sender, token);
+    balance.withdrawn = add(balance.withdrawn, amount);
+  }
+};
+
+/**
+ * Applies a single normalized event to the state. Unknown events are ignored so that indexing an
+ * older or newer contract does not break.
+ */
+const applyEvent = (state, event) => {
+  if (gameReducers[event.event]) {
+    const game = ensureGame(state, event.args.gameId);
+    gameReducers[event.event](game, event.args, event);
+    game.updatedAt = event.timestamp;
+    game.history.push({
+      event: event.event,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: event.timestamp
+    });
+  } else if (balanceReducers[event.event]) {
+    balanceReducers[event.event](state, event.args, event);
+  }
+  return state;
+};
+
+// web3 returns every argument twice, by position and by name. Only names are kept.
+const normalizeEvent = (event, timestamp) => ({
+  event: event.event,
+  blockNumber: event.blockNumber,
+  blockHash: event.blockHash,
+  transactionHash: event.transactionHash,
+  logIndex: event.logIndex,
+  timestamp,
+  args: Object.keys(event.returnValues)
+    .filter(key => isNaN(Number(key)))
+    .reduce((args, key) => ({ ...args, [key]: event.returnValues[key] }), {})
+});
+
+class Indexer extends EventEmitter {
+  /**
+   * @param {Web3} web3
+   * @param {string} address the deployed RockPaperScissors address
+   * @param {Object} [options]
+   * @param {Object} [options.store] see lib/store.js, defaults to an in-memory store
+   * @param {Array} [options.abi] overrides the ABI found in client/src/contracts
+   * @param {number} [options.fromBlock=0] usually the deployment block
+   * @param {number} [options.batchSize=1000] blocks per getPastEvents() call
+   * @param {number} [options.confirmations=0] blocks to stay behind the head of the chain
+   * @param {number} [options.reorgDepth=50] how many recent block hashes are kept to detect reorgs
+   */
+  constructor(
+    web3,
+    address,
+    {
+      store = memoryStore(),
+      abi = artifact.abi,
+      fromBlock = 0,
+      batchSize = 1000,
+      confirmations = 0,
+      reorgDepth = 50
+    } = {}
+  ) {
+    super();
+    this.web3 = web3;
+    this.address = address;
+    this.contract = new web3.eth.Contract(abi, address);
+    this.store = store;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+
+    const saved = store.load();
+    this.checkpoint = saved || { address, lastBlock: fromBlock - 1, blocks: [], events: [] };
+    if (!sameAddress(this.checkpoint.address, address)) {
+      throw new Error(`Store holds events of ${this.checkpoint.address}, not ${address}`);
+    }
+    this.state = this.checkpoint.events.reduce(applyEvent, emptyState());
+  }
+
+  get lastBlock() {
+    return this.checkpoint.lastBlock;
+  }
+
+  /**
+   * Indexes every block up to the head of the chain (minus confirmations), then saves a checkpoint.
+   *
+   * @returns {Promise<number>} the number of new events
+   */
+  async sync() {
+    await this._handleReorg();
+
+    const head = (await this.web3.eth.getBlockNumber()) - this.confirmations;
+    let count = 0;
+
+    for (let fromBlock = this.lastBlock + 1; fromBlock <= head; fromBlock += this.batchSize) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+      const events = await this.contract.getPastEvents("allEvents", { fromBlock, toBlock });
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+      const timestamps = {};
+      for (const event of events) {
+        if (timestamps[event.blockNumber] === undefined) {
+          timestamps[event.blockNumber] = Number((await this.web3.eth.getBlock(event.blockNumber)).timestamp);
+        }
+
+        const normalized = normalizeEvent(event, timestamps[event.blockNumber]);
+        this.checkpoint.events.push(normalized);
+        applyEvent(this.state, normalized);
+        this.emit("event", normalized);
+      }
+      count += events.length;
+
+      await this._rememberBlocks(Math.max(fromBlock, head - this.reorgDepth + 1), toBlock);
+      this.checkpoint.lastBlock = toBlock;
+      this.store.save(this.checkpoint);
+    }
+
+    return count;
+  }
+
+  /**
+   * Syncs every interval milliseconds until stop() is called. Errors are emitted, not thrown.
+   */
+  start(interval = 5000) {
+    this.running = true;
+
+    const loop = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.emit("error", error);
+      }
+      if (this.running) this.timer = setTimeout(loop, interval);
+    };
+
+    return loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  async _rememberBlocks(fromBlock, toBlock) {
+    for (let number = fromBlock; number <= toBlock; number++) {
+      const { hash } = await this.web3.eth.getBlock(number);
+      this.checkpoint.blocks.push({ number, hash });
+    }
+    this.checkpoint.blocks = this.checkpoint.blocks.slice(-this.reorgDepth);
+  }
+
+  async _handleReorg() {
+    const blocks = this.checkpoint.blocks;
+    let index = blocks.length - 1;
+
+    while (index >= 0) {
+      const block = await this.web3.eth.getBlock(blocks[index].number);
+      if (block && block.hash === blocks[index].hash) break;
+      index--;
+    }
+
+    if (index === blocks.length - 1) return;
+    if (index < 0) throw new Error(`Reorg deeper than ${this.reorgDepth} blocks, reindex from scratch`);
+
+    const forkPoint = blocks[index].number + 1;
+    this.checkpoint.blocks = blocks.slice(0, index + 1);
+    this.checkpoint.events = this.checkpoint.events.filter(event => event.blockNumber < forkPoint);
+    this.checkpoint.lastBlock = forkPoint - 1;
+    this.state = this.checkpoint.events.reduce(applyEvent, emptyState());
+    this.store.save(this.checkpoint);
+
+    this.emit("reorg", { forkPoint });
+  }
+
+  getGame(gameId) {
+    return this.state.games[gameId];
+  }
+
+  /**
+   * @returns {Array} every normalized event indexed so far, in the order they were seen
+   */
+  getEvents() {
+    return this.checkpoint.events;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.player] creator or second player
+   * @param {string} [filter.opponent] address the match is reserved for
+   * @param {string} [filter.token] stake currency, the zero address for ether
+   * @param {number} [filter.ruleSet] rule set ID, see RuleSet
+   * @param {string|string[]} [filter.status] one or more GameStatus values
+   * @param {boolean} [filter.expired] only live games whose deadline is (or is not) behind now
+   * @param {number|string|BN} [filter.minStake] per-player stake, in wei or token units
+   * @param {number|string|BN} [filter.maxStake]
+   * @param {number} [filter.now] unix timestamp the deadlines are compared to, defaults to the clock
+   * @returns {Array} games sorted by creation time
+   */
+  getGames({
+    player,
+    opponent,
+    token,
+    ruleSet,
+    status,
+    expired,
+    minStake,
+    maxStake,
+    now = Math.floor(Date.now() / 1000)
+  } = {}) {
+    const statuses = status === undefined ? undefined : [].concat(status);
+
+    return Object.values(this.state.games)
+      .filter(game => !player || sameAddress(game.creator, player) || sameAddress(game.secondPlayer, player))
+      .filter(game => !opponent || sameAddress(game.opponent, opponent))
+      .filter(game => !token || sameAddress(game.token, token))
+      .filter(game => ruleSet === undefined || game.ruleSet === Number(ruleSet))
+      .filter(game => !statuses || statuses.includes(game.status))
+      .filter(game => minStake === undefined || toBN(game.stake).gte(toBN(minStake.toString())))
+      .filter(game => maxStake === undefined || toBN(game.stake).lte(toBN(maxStake.toString())))
+      .map(game => ({ ...game, expired: liveStatuses.includes(game.status) && Number(game.deadline) <= now }))
+      .filter(game => expired === undefined || game.expired === expired)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  }
+
+  /**
+   * @param {string} address
+   * @param {string} [token] defaults to ether
+   * @returns {{credited: string, withdrawn: string, staked: string, feesPaid: string, migrated: string,
+   *   available: string}} amounts in wei or token units, staked being what went back into games straight from the
+   *   balance, feesPaid what relayers took for the intents they sent and migrated what was moved to the successor
+   *   contract
+   */
+  getBalance(address, token) {
+    const { credited = "0", withdrawn = "0", staked = "0", feesPaid = "0", migrated = "0" } =
+      this.state.balances[balanceKey(address, token)] || {};
+    return {
+      credited,
+      withdrawn,
+      staked,
+      feesPaid,
+      migrated,
+      available: toBN(credited)
+        .sub(toBN(withdrawn))
+        .sub(toBN(staked))
+        .sub(toBN(feesPaid))
+        .sub(toBN(migrated))
+        .toString(10)
+    };
+  }
+}
+
+module.exports = { Indexer, GameStatus, applyEvent, emptyState };
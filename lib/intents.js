@@ -0,0 +1,207 @@
+/*
+  EIP-712 signed intents, which a relayer sends to RockPaperScissors' *For() functions on behalf of
+  players who hold no ether for gas. Mirrors the typehashes of contracts/RockPaperScissors.sol and the
+  domain of contracts/MetaTransactions.sol.
+*/
+const { soliditySha3, toBN } = require("web3-utils");
+
+const { parseHand } = require("./hands");
+
+const domainName = "RockPaperScissors";
+const domainVersion = "1";
+
+const EIP712Domain = [
+  { name: "name", type: "string" },
+  { name: "version", type: "string" },
+  { name: "verifyingContract", type: "address" }
+];
+
+const intentFields = [
+  { name: "fee", type: "uint256" },
+  { name: "nonce", type: "uint256" },
+  { name: "expiry", type: "uint256" }
+];
+
+const IntentTypes = Object.freeze({
+  AcceptMatch: [{ name: "gameId", type: "bytes32" }, ...intentFields],
+  ShowHand: [{ name: "gameId", type: "bytes32" }, { name: "hand", type: "uint8" }, ...intentFields],
+  ResolveMatch: [{ name: "hand", type: "uint8" }, { name: "secret", type: "uint256" }, ...intentFields],
+  // An amount of 0 withdraws whatever is left of the balance once the fee is paid
+  Withdraw: [{ name: "amount", type: "uint256" }, { name: "recipient", type: "address" }, ...intentFields]
+});
+
+const encodeType = (type, fields) => `${type}(${fields.map(field => `${field.type} ${field.name}`).join(",")})`;
+
+// Every field of these types is a single static word, which abi.encode() pads to 32 bytes, addresses included
+const encodeField = (field, value) =>
+  field.type === "bytes32" ? { t: "bytes32", v: value } : { t: "uint256", v: toBN(value.toString()) };
+
+const hashStruct = (type, fields, message) =>
+  soliditySha3(
+    { t: "bytes32", v: soliditySha3({ t: "string", v: encodeType(type, fields) }) },
+    ...fields.map(field => encodeField(field, message[field.name]))
+  );
+
+/**
+ * @param {string} address the deployed contract's address
+ * @param {string} [name="RockPaperScissors"] the name the contract passed to EIP712's constructor
+ * @param {string} [version="1"]
+ * @returns {string} the contract's DOMAIN_SEPARATOR
+ */
+const domainSeparator = (address, name = domainName, version = domainVersion) =>
+  soliditySha3(
+    { t: "bytes32", v: soliditySha3({ t: "string", v: encodeType("EIP712Domain", EIP712Domain) }) },
+    { t: "bytes32", v: soliditySha3({ t: "string", v: name }) },
+    { t: "bytes32", v: soliditySha3({ t: "string", v: version }) },
+    { t: "uint256", v: toBN(address) }
+  );
+
+/**
+ * @param {string} domain the DOMAIN_SEPARATOR
+ * @param {string} type the struct's name
+ * @param {Array} fields the struct's fields, in order
+ * @param {Object} message the struct's values, already normalized
+ * @returns {string} the digest to sign, as computed by EIP712.recoverTypedDataSigner()
+ */
+const hashTypedData = (domain, type, fields, message) =>
+  soliditySha3(
+    { t: "bytes2", v: "0x1901" },
+    { t: "bytes32", v: domain },
+    { t: "bytes32", v: hashStruct(type, fields, message) }
+  );
+
+const checkType = type => {
+  if (!IntentTypes.hasOwnProperty(type)) throw new TypeError(`Unknown intent type: ${type}`);
+};
+
+/**
+ * Normalizes an intent's message to the strings the typed data and the contract call expect.
+ *
+ * @param {string} type one of the IntentTypes keys
+ * @param {Object} message
+ * @returns {Object}
+ */
+const normalizeMessage = (type, message) => {
+  checkType(type);
+
+  return IntentTypes[type].reduce((normalized, field) => {
+    const value = message[field.name];
+    if (value === undefined || value === null) throw new TypeError(`Missing ${type} field: ${field.name}`);
+    if (field.name === "hand") normalized.hand = parseHand(value);
+    else normalized[field.name] = field.type === "bytes32" ? value : value.toString();
+    return normalized;
+  }, {});
+};
+
+/**
+ * @param {string} address the deployed RockPaperScissors address
+ * @param {string} type one of the IntentTypes keys
+ * @param {Object} message the intent's fields
+ * @returns {Object} the typed data to sign with eth_signTypedData
+ */
+const typedData = (address, type, message) => {
+  checkType(type);
+
+  return {
+    types: { EIP712Domain, [type]: IntentTypes[type] },
+    domain: { name: domainName, version: domainVersion, verifyingContract: address },
+    primaryType: type,
+    message: normalizeMessage(type, message)
+  };
+};
+
+/**
+ * @param {string} address the deployed RockPaperScissors address
+ * @param {string} type one of the IntentTypes keys
+ * @param {Object} message the intent's fields
+ * @returns {string} the digest the player signs, as computed by MetaTransactions.verifyIntent()
+ */
+const hashIntent = (address, type, message) =>
+  hashTypedData(domainSeparator(address), type, IntentTypes[type], normalizeMessage(type, message));
+
+/**
+ * @param {Web3} web3
+ * @param {string} address the deployed RockPaperScissors address
+ * @param {Intent} intent
+ * @returns {string} the address that signed the intent
+ */
+const recoverIntentSigner = (web3, address, { type, message, signature }) =>
+  web3.eth.accounts.recover(hashIntent(address, type, message), signature, true);
+
+/**
+ * Asks the node (or wallet) holding from's key to sign the intent.
+ *
+ * @param {Web3} web3
+ * @param {string} address the deployed RockPaperScissors address
+ * @param {string} type one of the IntentTypes keys
+ * @param {Object} message the intent's fields
+ * @param {string} from the player
+ * @param {string} [method="eth_signTypedData"] "eth_signTypedData_v4" for MetaMask
+ * @returns {Promise<string>} the signature
+ */
+const signTypedData = (web3, address, type, message, from, method) =>
+  requestSignature(web3, typedData(address, type, message), from, method);
+
+/**
+ * Sends any typed data to eth_signTypedData or one of its versions.
+ *
+ * @param {Web3} web3
+ * @param {Object} data the typed data, with its types, domain, primaryType and message
+ * @param {string} from the signer
+ * @param {string} [method="eth_signTypedData"]
+ * @returns {Promise<string>} the signature
+ */
+const requestSignature = (web3, data, from, method = "eth_signTypedData") => {
+  // Wallets implementing the versioned methods expect the typed data as a JSON string
+  const params = [from, method === "eth_signTypedData" ? data : JSON.stringify(data)];
+
+  return new Promise((resolve, reject) =>
+    web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params }, (error, response) => {
+      if (error) return reject(error);
+      if (response.error) return reject(new Error(response.error.message));
+      resolve(response.result);
+    })
+  );
+};
+
+/**
+ * @typedef {Object} Intent
+ * @property {string} type one of the IntentTypes keys
+ * @property {string} player the signer
+ * @property {Object} message the intent's fields
+ * @property {string} signature
+ */
+
+/**
+ * @param {Contract} contract a web3 RockPaperScissors instance
+ * @param {Intent} intent
+ * @returns the contract method relaying the intent, ready to be sent
+ */
+const relayMethod = (contract, { type, player, message, signature }) => {
+  const { gameId, hand, secret, amount, recipient, fee, nonce, expiry } = normalizeMessage(type, message);
+
+  switch (type) {
+    case "AcceptMatch":
+      return contract.methods.acceptMatchFor(player, gameId, fee, nonce, expiry, signature);
+    case "ShowHand":
+      return contract.methods.showHandFor(player, gameId, hand, fee, nonce, expiry, signature);
+    case "ResolveMatch":
+      return contract.methods.resolveMatchFor(player, hand, secret, fee, nonce, expiry, signature);
+    default:
+      return contract.methods.withdrawFor(player, amount, recipient, fee, nonce, expiry, signature);
+  }
+};
+
+module.exports = {
+  EIP712Domain,
+  IntentTypes,
+  domainSeparator,
+  hashTypedData,
+  normalizeMessage,
+  typedData,
+  hashIntent,
+  recoverIntentSigner,
+  signTypedData,
+  requestSignature,
+  relayMethod
+};
@@ -0,0 +1,292 @@
+/*
+  A matchmaking lobby: an order book of the games that can still be joined, kept up to date from
+  LogMatchCreated and LogMatchAccepted (through lib/indexer.js) and pushed to WebSocket clients.
+
+  Messages are JSON objects with a type. Clients send:
+
+    { type: "subscribe", filter }                                  => { type: "snapshot", games }
+    { type: "quickMatch", player, stake, token, joinTimeout }      => { type: "candidates", games }
+
+  and, once subscribed, get { type: "added", game } and { type: "removed", gameId, reason } where reason is
+  accepted, cancelled, refunded or expired. Bad messages get { type: "error", error, reason }.
+
+  A filter takes stake, minStake, maxStake, token, joinTimeout (in seconds) and player, which hides the player's own
+  games and those reserved for someone else. Games are dropped a little before their deadline, since an
+  acceptance sent then would likely be mined too late. The lobby never sends transactions: quickMatch()
+  accepts one of the candidates through the player's own client.
+*/
+const http = require("http");
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+const { toBN, isAddress } = require("web3-utils");
+
+const { Indexer, GameStatus } = require("./indexer");
+const { checkGame } = require("./preflight");
+const { NoOpenGameError, MatchContestedError, DeadlinePassedError, GameNotFoundError } = require("./errors");
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+// Filters and quick match requests are a few hundred bytes
+const maxPayload = 16 * 1024;
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const toEntry = game => ({
+  gameId: game.gameId,
+  creator: game.creator,
+  opponent: game.opponent,
+  token: game.token,
+  ruleSet: game.ruleSet,
+  commission: game.commission,
+  stake: game.stake,
+  joinTimeout: Number(game.deadline) - game.createdAt,
+  deadline: game.deadline,
+  createdAt: game.createdAt
+});
+
+const removalReasons = {
+  [GameStatus.OPEN]: "expired",
+  [GameStatus.ACCEPTED]: "accepted",
+  [GameStatus.HAND_SHOWN]: "accepted",
+  [GameStatus.RESOLVED]: "accepted",
+  [GameStatus.PUNISHED]: "accepted",
+  [GameStatus.CANCELLED]: "cancelled",
+  [GameStatus.REFUNDED]: "refunded"
+};
+
+const matches = (entry, { stake, minStake, maxStake, token, joinTimeout, player } = {}) =>
+  (stake === undefined || toBN(entry.stake).eq(toBN(stake.toString()))) &&
+  (minStake === undefined || toBN(entry.stake).gte(toBN(minStake.toString()))) &&
+  (maxStake === undefined || toBN(entry.stake).lte(toBN(maxStake.toString()))) &&
+  (token === undefined || sameAddress(entry.token, token)) &&
+  (joinTimeout === undefined || entry.joinTimeout === Number(joinTimeout)) &&
+  (player === undefined ||
+    (!sameAddress(entry.creator, player) &&
+      (sameAddress(entry.opponent, zero_address) || sameAddress(entry.opponent, player))));
+
+// Filters come from the network: a bad one must be refused when received, not break every later update
+const checkFilter = filter => {
+  for (const name of ["stake", "minStake", "maxStake"]) {
+    if (filter[name] !== undefined && !/^\d+$/.test(String(filter[name]))) {
+      throw new TypeError(`${name} must be an amount in wei or token units`);
+    }
+  }
+  for (const name of ["token", "player"]) {
+    if (filter[name] !== undefined && !isAddress(filter[name])) throw new TypeError(`Invalid ${name} address`);
+  }
+  return filter;
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+};
+
+class Lobby extends EventEmitter {
+  /**
+   * @param {Web3} web3
+   * @param {string} address the deployed RockPaperScissors address
+   * @param {Object} [options] also passed to the Indexer: store, fromBlock, batchSize, confirmations...
+   * @param {Array} [options.abi] overrides the ABI found in client/src/contracts
+   * @param {number} [options.expiryMargin=60] seconds before its deadline a game leaves the book
+   */
+  constructor(web3, address, { expiryMargin = 60, ...options } = {}) {
+    super();
+    this.web3 = web3;
+    this.indexer = new Indexer(web3, address, options);
+    this.expiryMargin = expiryMargin;
+    this.games = {};
+    this.subscribers = new Map();
+  }
+
+  get address() {
+    return this.indexer.address;
+  }
+
+  /**
+   * @param {Object} [filter] see the top of this file
+   * @returns {Object[]} open games, oldest first
+   */
+  getOpenGames(filter) {
+    return Object.values(this.games)
+      .filter(entry => matches(entry, filter))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * The games a player could join at the given stake, oldest first.
+   *
+   * @param {Object} query
+   * @param {string} query.player
+   * @param {number|string|BN} query.stake in wei, or token units with a token
+   * @param {string} [query.token] defaults to ether
+   * @param {number} [query.joinTimeout] in seconds, any timeout by default
+   */
+  getCandidates({ player, stake, token = zero_address, joinTimeout } = {}) {
+    if (!player) throw new TypeError("No player given");
+    if (stake === undefined) throw new TypeError("No stake given");
+    return this.getOpenGames({ player, stake, token, joinTimeout });
+  }
+
+  /**
+   * Indexes new events and updates the book, emitting "added" and "removed" for every change.
+   */
+  async refresh() {
+    await this.indexer.sync();
+    const now = Number((await this.web3.eth.getBlock("latest")).timestamp);
+
+    const open = {};
+    for (const game of this.indexer.getGames({ status: GameStatus.OPEN })) {
+      if (game.creator && Number(game.deadline) - this.expiryMargin > now) open[game.gameId] = toEntry(game);
+    }
+
+    for (const gameId of Object.keys(this.games)) {
+      if (!open[gameId]) this._remove(gameId, removalReasons[this.indexer.getGame(gameId).status]);
+    }
+    for (const entry of Object.values(open)) {
+      if (!this.games[entry.gameId]) this._add(entry);
+    }
+  }
+
+  /**
+   * Refreshes every interval milliseconds until stop() is called. Errors are emitted, not thrown.
+   */
+  start(interval = 5000) {
+    this.running = true;
+
+    const loop = async () => {
+      try {
+        await this.refresh();
+      } catch (error) {
+        this.emit("error", error);
+      }
+      if (this.running) this.timer = setTimeout(loop, interval);
+    };
+
+    return loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Serves the book over WebSocket, see the top of this file for the messages.
+   *
+   * @param {number} [port=0] a free port by default, see server.address()
+   * @param {string} [host="127.0.0.1"]
+   * @returns {Promise<http.Server>}
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    this.server = http.createServer((request, response) => {
+      response.writeHead(426, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ error: "UpgradeRequired" }));
+    });
+    this.wss = new WebSocket.Server({ server: this.server, maxPayload });
+    this.wss.on("connection", socket => {
+      this.subscribers.set(socket, undefined);
+      socket.on("message", data => this._handle(socket, data));
+      socket.on("close", () => this.subscribers.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server));
+    });
+  }
+
+  close() {
+    this.stop();
+    if (!this.server) return Promise.resolve();
+    for (const socket of this.subscribers.keys()) socket.terminate();
+    return new Promise(resolve => this.wss.close(() => this.server.close(() => resolve())));
+  }
+
+  _handle(socket, data) {
+    try {
+      const message = JSON.parse(data);
+      if (message.type === "subscribe") {
+        const filter = checkFilter(message.filter || {});
+        this.subscribers.set(socket, filter);
+        return send(socket, { type: "snapshot", games: this.getOpenGames(filter) });
+      }
+      if (message.type === "quickMatch") {
+        return send(socket, { type: "candidates", games: this.getCandidates(checkFilter(message)) });
+      }
+      throw new TypeError(`Unknown message type: ${message.type}`);
+    } catch (error) {
+      send(socket, { type: "error", error: error.name, reason: error.message });
+    }
+  }
+
+  _add(entry) {
+    this.games[entry.gameId] = entry;
+    this.emit("added", entry);
+    for (const [socket, filter] of this.subscribers) {
+      if (filter && matches(entry, filter)) send(socket, { type: "added", game: entry });
+    }
+  }
+
+  _remove(gameId, reason) {
+    const entry = this.games[gameId];
+    delete this.games[gameId];
+    this.emit("removed", { gameId, reason });
+    for (const [socket, filter] of this.subscribers) {
+      if (filter && matches(entry, filter)) send(socket, { type: "removed", gameId, reason });
+    }
+  }
+}
+
+/**
+ * Asks a lobby over WebSocket for the games a player could join, oldest first.
+ *
+ * @param {string} url e.g. ws://127.0.0.1:8082
+ * @param {Object} query see Lobby.getCandidates()
+ * @returns {Promise<Object[]>}
+ */
+const requestCandidates = (url, { stake, ...query }) =>
+  new Promise((resolve, reject) => {
+    const message = { type: "quickMatch", stake: stake === undefined ? undefined : stake.toString(), ...query };
+    const socket = new WebSocket(url);
+    socket.on("open", () => socket.send(JSON.stringify(message)));
+    socket.on("message", data => {
+      socket.close();
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return reject(new TypeError("Invalid JSON from the lobby"));
+      }
+      if (message.type === "candidates") resolve(message.games);
+      else reject(new TypeError(message.reason || `Unexpected ${message.type} message`));
+    });
+    socket.on("error", reject);
+  });
+
+// What may have changed since the lobby last looked: someone else joined, the game was cancelled or its
+// deadline passed. Other errors, such as a paused contract, would make every candidate fail.
+const taken = [MatchContestedError, DeadlinePassedError, GameNotFoundError];
+
+/**
+ * Accepts the first candidate that can still be joined, sending acceptMatch() from the player's client.
+ *
+ * @param {RockPaperScissorsClient} client
+ * @param {Object[]} games candidates, see Lobby.getCandidates() and requestCandidates()
+ * @param {Object} [options]
+ * @param {string} [options.from] defaults to the client's sender
+ * @returns {Promise<{game: Object, receipt: Object}>}
+ */
+const quickMatch = async (client, games, { from = client.from } = {}) => {
+  for (const game of games) {
+    try {
+      await checkGame(client, "acceptMatch", game.gameId, { from });
+      const receipt = await client.acceptMatch(game.gameId, { from });
+      return { game, receipt };
+    } catch (error) {
+      if (!taken.some(ErrorClass => error instanceof ErrorClass)) throw error;
+    }
+  }
+  throw new NoOpenGameError("No open game to join");
+};
+
+module.exports = { Lobby, requestCandidates, quickMatch };
@@ -0,0 +1,26 @@
+/*
+  Mirrors the Phase enum declared in contracts/RockPaperScissors.sol, as returned by getPhase().
+*/
+const Phase = Object.freeze({
+  NULL: 0,
+  OPEN: 1,
+  ACCEPTED: 2,
+  HAND_SHOWN: 3,
+  EXPIRED_AWAITING_CANCEL: 4,
+  EXPIRED_AWAITING_PUNISH: 5,
+  CLOSED: 6
+});
+
+const phaseNames = Object.keys(Phase);
+
+/**
+ * @param {number|string|BN} phase
+ * @returns {string} e.g. "EXPIRED_AWAITING_CANCEL"
+ */
+const phaseName = phase => {
+  const name = phaseNames[Number(phase.toString())];
+  if (name === undefined) throw new TypeError(`Invalid phase: ${phase}`);
+  return name;
+};
+
+module.exports = { Phase, phaseName };
@@ -0,0 +1,189 @@
+/*
+  Checks a transaction against the games() struct before sending it, so that doomed transactions
+  (punishing before the deadline, accepting a contested game...) are refused without paying for gas.
+
+  The checks mirror the require() statements of the contract and throw the same typed errors that
+  decodeRevert() would produce, with the game attached so callers can print its deadline.
+*/
+const { toBN } = require("web3-utils");
+
+const { Hand } = require("./hands");
+const {
+  GameNotFoundError,
+  DeadlinePassedError,
+  DeadlineNotPassedError,
+  InvalidStakeError,
+  MatchContestedError,
+  MatchReservedError,
+  InvalidPlayerError,
+  HandAlreadyShownError,
+  HandNotShownError,
+  NoStakeError,
+  GameOnError,
+  ContractPausedError,
+  ContractNotPausedError,
+  ContractKilledError,
+  ContractNotKilledError,
+  NotOwnerError,
+  NotPendingOwnerError,
+  NotPauserError,
+  MigrationError
+} = require("./errors");
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Games whose players could no longer move once the contract was killed, which can only be refunded
+const liveWhenKilled = (game, killedAt) => !killedAt.isZero() && game.deadline.gt(killedAt);
+
+const fail = (ErrorClass, reason, game) => {
+  const error = new ErrorClass(reason);
+  error.game = game;
+  return error;
+};
+
+const gameChecks = {
+  acceptMatch: (game, { now, from, value, paused }) => {
+    if (paused) return fail(ContractPausedError, "The contract is paused", game);
+    if (game.deadline.isZero()) return fail(GameNotFoundError, "Game does not exist", game);
+    if (game.deadline.lte(now)) return fail(DeadlinePassedError, "Deadline passed", game);
+    const expected = game.token === zero_address ? game.stake : toBN("0");
+    if (value !== undefined && !expected.eq(toBN(value.toString()))) {
+      return fail(InvalidStakeError, "Invalid stake", game);
+    }
+    if (game.secondPlayer !== zero_address) return fail(MatchContestedError, "Match contested by another player", game);
+    if (game.opponent !== zero_address && !sameAddress(game.opponent, from)) {
+      return fail(MatchReservedError, "Match reserved for another player", game);
+    }
+  },
+  showHand: (game, { now, from, dead }) => {
+    if (dead) return fail(ContractKilledError, "The contract has been killed", game);
+    if (!sameAddress(game.secondPlayer, from)) return fail(InvalidPlayerError, "Invalid player address", game);
+    if (game.secondPlayerHand !== Hand.NULL) return fail(HandAlreadyShownError, "Cannot pick hand twice", game);
+    if (game.deadline.lte(now)) return fail(DeadlinePassedError, "Deadline passed", game);
+  },
+  resolveMatch: (game, { now, dead }) => {
+    if (dead) return fail(ContractKilledError, "The contract has been killed", game);
+    if (game.secondPlayerHand === Hand.NULL) {
+      return fail(HandNotShownError, "Player two has not made a move yet", game);
+    }
+    if (game.deadline.lte(now)) return fail(DeadlinePassedError, "Deadline passed", game);
+  },
+  punish: (game, { now, from, killedAt }) => {
+    if (!sameAddress(game.secondPlayer, from)) {
+      return fail(InvalidPlayerError, "Only second player can call this function", game);
+    }
+    if (game.secondPlayerHand === Hand.NULL) {
+      return fail(HandNotShownError, "You have to show your hand before calling", game);
+    }
+    if (game.deadline.gt(now)) return fail(DeadlineNotPassedError, "Deadline has not passed", game);
+    if (liveWhenKilled(game, killedAt)) return fail(ContractKilledError, "The contract has been killed", game);
+  },
+  cancelGame: (game, { now, killedAt }) => {
+    if (game.stake.isZero()) return fail(NoStakeError, "No stake", game);
+    if (game.secondPlayerHand !== Hand.NULL) return fail(GameOnError, "Cannot cancel, game is on", game);
+    if (game.deadline.gt(now)) return fail(DeadlineNotPassedError, "Deadline has not passed", game);
+    if (liveWhenKilled(game, killedAt)) return fail(ContractKilledError, "The contract has been killed", game);
+  },
+  refundGame: (game, { dead, killedAt }) => {
+    if (!dead) return fail(ContractNotKilledError, "The contract must be killed", game);
+    if (game.firstPlayer === zero_address) return fail(GameNotFoundError, "Game does not exist", game);
+    if (!liveWhenKilled(game, killedAt)) return fail(DeadlinePassedError, "Deadline passed", game);
+  }
+};
+
+/**
+ * Throws if the game-related transaction would revert given the current state of the game.
+ *
+ * @param {RockPaperScissorsClient} client
+ * @param {string} action one of acceptMatch, showHand, resolveMatch, punish, cancelGame or refundGame
+ * @param {string} gameId
+ * @param {Object} [options]
+ * @param {string} [options.from] defaults to the client's sender
+ * @param {number|string|BN} [options.value] ether sent along, checked by acceptMatch (none for token games)
+ * @returns {Promise<Game>} the game, when the transaction is expected to succeed
+ */
+const checkGame = async (client, action, gameId, { from = client.from, value } = {}) => {
+  const [game, now, paused, killedAt] = await Promise.all([
+    client.getGame(gameId),
+    client.now(),
+    client.isPaused(),
+    client.getKilledAt()
+  ]);
+  const dead = !killedAt.isZero();
+  const error = gameChecks[action](game, { now: toBN(now), from, value, paused, dead, killedAt });
+  if (error) throw error;
+  return game;
+};
+
+const adminChecks = {
+  pause: ({ paused }) => paused && new ContractPausedError("The contract is paused"),
+  resume: ({ paused }) => !paused && new ContractNotPausedError("The contract must be paused"),
+  kill: ({ paused }) => !paused && new ContractNotPausedError("The contract must be paused"),
+  proposeOwner: () => undefined,
+  cancelOwnerProposal: ({ pendingOwner }) =>
+    sameAddress(pendingOwner, zero_address) && new NotPendingOwnerError("No ownership transfer pending"),
+  acceptOwnership: () => undefined,
+  addPauser: () => undefined,
+  removePauser: () => undefined,
+  setCommission: () => undefined,
+  withdrawCommission: () => undefined,
+  setSuccessor: ({ dead, successor }) =>
+    (!dead && new ContractNotKilledError("The contract must be killed")) ||
+    (!sameAddress(successor, zero_address) && new MigrationError("Successor already set")),
+  setPredecessor: ({ predecessor }) =>
+    !sameAddress(predecessor, zero_address) && new MigrationError("Predecessor already set"),
+  migrateBalances: ({ successor }) => sameAddress(successor, zero_address) && new MigrationError("No successor")
+};
+
+// Functions that do not check whether the contract was killed
+const allowedWhenDead = [
+  "proposeOwner",
+  "cancelOwnerProposal",
+  "acceptOwnership",
+  "addPauser",
+  "removePauser",
+  "setCommission",
+  "withdrawCommission",
+  "setSuccessor",
+  "setPredecessor",
+  "migrateBalances"
+];
+
+// Who may call what, every other admin function is owner-only
+const checkRole = ({ owner, pendingOwner, pauser }, action, from) => {
+  if (action === "pause" || action === "resume") {
+    return !pauser && new NotPauserError("Can only be called by a pauser");
+  }
+  if (action === "acceptOwnership") {
+    return !sameAddress(pendingOwner, from) && new NotPendingOwnerError("Can only be called by the proposed owner");
+  }
+  return !sameAddress(owner, from) && new NotOwnerError("Can only be called by the owner");
+};
+
+/**
+ * Throws if an administrative transaction would revert: pause and resume (pausers), acceptOwnership (the
+ * proposed owner), kill, proposeOwner, cancelOwnerProposal, addPauser, removePauser, setCommission,
+ * withdrawCommission, setSuccessor, setPredecessor or migrateBalances (the owner).
+ */
+const checkAdmin = async (client, action, { from = client.from } = {}) => {
+  const [owner, pendingOwner, pauser, paused, dead, successor, predecessor] = await Promise.all([
+    client.getOwner(),
+    client.getPendingOwner(),
+    client.isPauser(from),
+    client.isPaused(),
+    client.isDead(),
+    client.getSuccessor(),
+    client.getPredecessor()
+  ]);
+
+  const denied = checkRole({ owner, pendingOwner, pauser }, action, from);
+  if (denied) throw denied;
+  if (dead && !allowedWhenDead.includes(action)) throw new ContractKilledError("The contract has been killed");
+
+  const error = adminChecks[action]({ paused, dead, pendingOwner, successor, predecessor });
+  if (error) throw error;
+};
+
+module.exports = { checkGame, checkAdmin };
@@ -0,0 +1,152 @@
+/*
+  A small HTTP relayer for signed intents (see lib/intents.js): players POST an intent, the relayer
+  checks it and sends it from its own account, paying for the gas. The fee signed by the player is
+  credited to the relayer's balance in the contract.
+
+    GET  /         { relayer, contract, minFee }
+    POST /intents  { type, player, message, signature } => { transactionHash }
+
+  Rejected intents get a 400 with { error, reason }, error being the name of the typed error from
+  lib/errors.js.
+*/
+const http = require("http");
+const { EventEmitter } = require("events");
+const { toBN, isAddress } = require("web3-utils");
+
+const { RockPaperScissorsClient } = require("./client");
+const { normalizeMessage, recoverIntentSigner } = require("./intents");
+const {
+  RockPaperScissorsError,
+  IntentExpiredError,
+  InvalidNonceError,
+  InvalidSignatureError,
+  FeeTooLowError
+} = require("./errors");
+
+// Intents are a few hundred bytes, anything much bigger is not one
+const maxBodySize = 16 * 1024;
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const readBody = request =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", chunk => {
+      body += chunk;
+      if (body.length > maxBodySize) {
+        reject(new TypeError("Request too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+
+const reply = (response, status, body) => {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+};
+
+class Relayer extends EventEmitter {
+  /**
+   * @param {Web3} web3
+   * @param {string} address the deployed RockPaperScissors address
+   * @param {Object} options
+   * @param {string} options.from the relayer's account, which pays for the gas and earns the fees
+   * @param {number|string|BN} [options.minFee=0] intents offering less wei are refused
+   * @param {Array} [options.abi] overrides the ABI found in client/src/contracts
+   */
+  constructor(web3, address, { from, minFee = 0, abi } = {}) {
+    super();
+    if (!from) throw new TypeError("No relayer address given");
+    this.web3 = web3;
+    this.from = from;
+    this.minFee = toBN(minFee.toString());
+    this.client = new RockPaperScissorsClient(web3, address, { from, abi });
+  }
+
+  /**
+   * Throws a typed error if the intent would not be accepted by the contract or does not pay enough.
+   *
+   * @param {Intent} intent
+   * @returns {Promise<Intent>} the intent, its message normalized
+   */
+  async check({ type, player, message, signature } = {}) {
+    if (!isAddress(player)) throw new TypeError("Invalid player address");
+    if (typeof signature !== "string") throw new TypeError("Missing signature");
+    const intent = { type, player, message: normalizeMessage(type, message || {}), signature };
+
+    let signer;
+    try {
+      signer = recoverIntentSigner(this.web3, this.client.address, intent);
+    } catch (error) {
+      throw new InvalidSignatureError("Invalid signature", error);
+    }
+    if (!sameAddress(signer, player)) throw new InvalidSignatureError("Invalid signature");
+
+    const [now, nonce] = await Promise.all([this.client.now(), this.client.nonceOf(player)]);
+    if (Number(intent.message.expiry) < now) throw new IntentExpiredError("Intent expired");
+    if (Number(intent.message.nonce) !== nonce) throw new InvalidNonceError("Invalid nonce");
+    if (toBN(intent.message.fee).lt(this.minFee)) throw new FeeTooLowError(`The fee must be at least ${this.minFee}`);
+
+    return intent;
+  }
+
+  /**
+   * Checks the intent and sends it. Reverts that the checks cannot foresee, such as a player's balance
+   * being too low for the fee, are caught by the client's dry run.
+   *
+   * @param {Intent} intent
+   * @returns {Promise<Object>} the receipt
+   */
+  async relay(intent) {
+    const checked = await this.check(intent);
+    const receipt = await this.client.relay(checked);
+    this.emit("relayed", { intent: checked, transactionHash: receipt.transactionHash });
+    return receipt;
+  }
+
+  async handle(request, response) {
+    if (request.method === "GET" && request.url === "/") {
+      return reply(response, 200, {
+        relayer: this.from,
+        contract: this.client.address,
+        minFee: this.minFee.toString(10)
+      });
+    }
+    if (request.method !== "POST" || request.url !== "/intents") return reply(response, 404, { error: "NotFound" });
+
+    let intent;
+    try {
+      intent = JSON.parse(await readBody(request));
+      const { transactionHash } = await this.relay(intent);
+      reply(response, 200, { transactionHash });
+    } catch (error) {
+      if (!(error instanceof RockPaperScissorsError) && !(error instanceof TypeError || error instanceof SyntaxError)) {
+        if (this.listenerCount("error")) this.emit("error", error);
+        return reply(response, 500, { error: "InternalError" });
+      }
+      this.emit("rejected", { intent, error });
+      reply(response, 400, { error: error.name, reason: error.reason || error.message });
+    }
+  }
+
+  /**
+   * @param {number} [port=0] a free port by default, see server.address()
+   * @param {string} [host="127.0.0.1"]
+   * @returns {Promise<http.Server>}
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+module.exports = { Relayer };
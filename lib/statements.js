@@ -0,0 +1,210 @@
+/*
+  Per-player statements for accounting, built from the events kept by lib/indexer.js.
+
+  Each game a player took part in gives one entry per step: created, accepted, hand-shown, then
+  resolved, punished, cancelled or refunded. The balance credits that follow the last step in the same
+  transaction are joined to it, since LogBalanceIncreased does not carry the game id. Relayer fees,
+  withdrawals and migrations of the balance get entries of their own.
+
+  Amounts are signed from the player's side, in wei or token units: stakes, fees paid, withdrawals and
+  migrations are negative, winnings, refunds and fees earned positive. Entries whose kind is neither
+  withdrawal nor migrated add up to the player's net result.
+*/
+const { toBN, fromWei } = require("web3-utils");
+
+const { applyEvent, emptyState } = require("./indexer");
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const columns = [
+  "timestamp",
+  "date",
+  "blockNumber",
+  "transactionHash",
+  "player",
+  "kind",
+  "gameId",
+  "counterparty",
+  "token",
+  "amount",
+  "ether"
+];
+
+const endings = {
+  LogMatchResolved: "resolved",
+  LogPunishCalled: "punished",
+  LogCancelCalled: "cancelled",
+  LogGameRefunded: "refunded"
+};
+
+const credits = ["LogBalanceIncreased", "LogTokenBalanceIncreased"];
+
+const negate = amount =>
+  toBN(amount)
+    .neg()
+    .toString(10);
+
+// The other player, or the address a match is reserved for while nobody accepted it
+const counterpartyOf = (game, player) => {
+  if (sameAddress(game.creator, player)) {
+    if (game.secondPlayer) return game.secondPlayer;
+    return sameAddress(game.opponent, zero_address) ? "" : game.opponent || "";
+  }
+  return game.creator;
+};
+
+const byChainOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+const groupByTransaction = events =>
+  events
+    .slice()
+    .sort(byChainOrder)
+    .reduce((transactions, event) => {
+      const last = transactions[transactions.length - 1];
+      if (last && last[0].transactionHash === event.transactionHash) last.push(event);
+      else transactions.push([event]);
+      return transactions;
+    }, []);
+
+/**
+ * @param {Array} events normalized events, as returned by Indexer.getEvents()
+ * @returns {Array} the entries of every player, oldest first
+ */
+const statementEntries = events => {
+  // Replayed up front, so that the creator's entries already name the player who accepted later on
+  const { games } = events
+    .slice()
+    .sort(byChainOrder)
+    .reduce(applyEvent, emptyState());
+  const entries = [];
+
+  groupByTransaction(events).forEach(transaction => {
+    const entry = (event, player, kind, fields) => {
+      const created = {
+        timestamp: event.timestamp,
+        date: new Date(event.timestamp * 1000).toISOString(),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        player,
+        kind,
+        gameId: "",
+        counterparty: "",
+        token: zero_address,
+        amount: "0",
+        ...fields
+      };
+      entries.push(created);
+      return created;
+    };
+    const gameEntry = (event, player, kind, amount = "0") => {
+      const game = games[event.args.gameId];
+      return entry(event, player, kind, {
+        gameId: event.args.gameId,
+        counterparty: counterpartyOf(game, player),
+        token: game.token || zero_address,
+        amount
+      });
+    };
+
+    let relayed;
+    let ended = [];
+    let skipped;
+
+    transaction.forEach((event, index) => {
+      const { args } = event;
+      const next = transaction[index + 1];
+
+      if (event.event === "LogIntentRelayed") {
+        relayed = args;
+      } else if (event.event === "LogMatchCreated") {
+        gameEntry(event, args.sender, "created", negate(games[args.gameId].stake));
+      } else if (event.event === "LogMatchAccepted") {
+        gameEntry(event, args.sender, "accepted", negate(games[args.gameId].stake));
+      } else if (event.event === "LogHandShown") {
+        gameEntry(event, args.sender, "hand-shown");
+      } else if (endings[event.event]) {
+        const game = games[args.gameId];
+        ended = [game.creator, game.secondPlayer]
+          .filter(player => !!player)
+          .map(player => gameEntry(event, player, endings[event.event]));
+      } else if (event.event === "LogBalanceDecreased") {
+        // Relayer fees move from the player's balance to the relayer's straight away. Other decreases
+        // are stakes taken from the balance, already in the created and accepted entries.
+        const fee =
+          relayed &&
+          sameAddress(args.sender, relayed.player) &&
+          args.amount === relayed.fee &&
+          next &&
+          next.event === "LogBalanceIncreased" &&
+          sameAddress(next.args.to, relayed.relayer) &&
+          next.args.amount === relayed.fee;
+        if (fee) {
+          entry(event, relayed.player, "fee-paid", { counterparty: relayed.relayer, amount: negate(args.amount) });
+          entry(next, relayed.relayer, "fee-earned", { counterparty: relayed.player, amount: args.amount });
+          skipped = next;
+        }
+      } else if (credits.includes(event.event) && event !== skipped) {
+        const credited = ended.find(ending => sameAddress(ending.player, args.to));
+        if (credited) {
+          credited.amount = toBN(credited.amount)
+            .add(toBN(args.amount))
+            .toString(10);
+        } else {
+          entry(event, args.to, "credited", { token: args.token || zero_address, amount: args.amount });
+        }
+      } else if (event.event === "LogBalanceWithdraw") {
+        entry(event, args.sender, "withdrawal", { counterparty: args.to, amount: negate(args.amount) });
+      } else if (event.event === "LogTokenBalanceWithdraw") {
+        entry(event, args.sender, "withdrawal", {
+          counterparty: args.sender,
+          token: args.token,
+          amount: negate(args.amount)
+        });
+      } else if (event.event === "LogBalanceMigrated") {
+        entry(event, args.holder, "migrated", { amount: negate(args.amount) });
+      }
+    });
+  });
+
+  return entries.map(entry => ({
+    ...entry,
+    ether: sameAddress(entry.token, zero_address) ? fromWei(entry.amount, "ether") : ""
+  }));
+};
+
+/**
+ * @param {Array} events normalized events, as returned by Indexer.getEvents()
+ * @returns {Object} the entries of each player, keyed by lowercased address
+ */
+const playerStatements = events =>
+  statementEntries(events).reduce((statements, entry) => {
+    const key = entry.player.toLowerCase();
+    statements[key] = (statements[key] || []).concat(entry);
+    return statements;
+  }, {});
+
+/**
+ * @param {Array} events normalized events, as returned by Indexer.getEvents()
+ * @param {string} player
+ * @returns {Array} the player's entries, oldest first
+ */
+const playerStatement = (events, player) => playerStatements(events)[player.toLowerCase()] || [];
+
+const csvValue = value => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array} entries as returned by playerStatement()
+ * @returns {string} a CSV document with a header line
+ */
+const statementToCsv = entries =>
+  [columns, ...entries.map(entry => columns.map(column => entry[column]))]
+    .map(values => values.map(csvValue).join(","))
+    .join("\n")
+    .concat("\n");
+
+module.exports = { statementEntries, playerStatements, playerStatement, statementToCsv };
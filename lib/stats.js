@@ -0,0 +1,249 @@
+/*
+  Player statistics and leaderboards, derived from the games rebuilt by lib/indexer.js out of
+  LogMatchResolved, LogPunishCalled and LogCancelCalled.
+
+  A resolved game whose winner is the zero address is a tie. A punished game is a loss for its creator,
+  who also suffered a punishment, and cancelling a game whose hand was never shown wins it for the
+  creator. Games nobody joined, refunded games and games still in play count for no one.
+
+  Net winnings are what a player got out of a game minus the stake put in, so commissions make ties
+  slightly negative. Amounts are in wei, or token units when a token is given.
+
+    GET /                    { contract, lastBlock, sorts }
+    GET /leaderboard         ?sort=net&window=7d&offset=0&limit=20 => { since, until, total, offset, limit, players }
+    GET /players/<address>   ?window=7d => { since, until, ...stats }
+
+  Time windows apply to when games ended: window is a number of hours or days ("24h", "7d"), or since and
+  until give unix timestamps. Bad queries get a 400 with { error, reason }.
+*/
+const http = require("http");
+const { EventEmitter } = require("events");
+const { toBN, isAddress } = require("web3-utils");
+
+const { GameStatus } = require("./indexer");
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const maxLimit = 100;
+
+const emptyStats = address => ({
+  address,
+  played: 0,
+  wins: 0,
+  losses: 0,
+  ties: 0,
+  punished: 0,
+  net: toBN("0"),
+  staked: toBN("0")
+});
+
+const formatStats = ({ net, staked, ...counts }) => ({
+  ...counts,
+  net: net.toString(10),
+  averageStake: counts.played ? staked.divn(counts.played).toString(10) : "0"
+});
+
+// Only games with an opponent and a winner (or a tie) have an outcome
+const outcome = game => {
+  if (!game.creator || !game.secondPlayer) return undefined;
+  if (game.status === GameStatus.RESOLVED || game.status === GameStatus.CANCELLED) {
+    return game.winner === zero_address ? "tie" : "win";
+  }
+  if (game.status === GameStatus.PUNISHED) return "punish";
+  return undefined;
+};
+
+/**
+ * @param {Array} games as returned by Indexer.getGames()
+ * @param {Object} [window]
+ * @param {string} [window.token] stake currency, ether by default: amounts in different currencies do not add up
+ * @param {number} [window.since] unix timestamp, only games that ended at or after it count
+ * @param {number} [window.until] unix timestamp, only games that ended before it count
+ * @returns {Object[]} one entry per player, amounts as decimal strings
+ */
+const playerStats = (games, { token = zero_address, since, until } = {}) => {
+  const players = {};
+  const statsOf = address => {
+    const key = address.toLowerCase();
+    if (!players[key]) players[key] = emptyStats(address);
+    return players[key];
+  };
+
+  for (const game of games) {
+    const result = outcome(game);
+    if (!result || !sameAddress(game.token, token)) continue;
+    if ((since !== undefined && game.updatedAt < since) || (until !== undefined && game.updatedAt >= until)) continue;
+
+    const first = statsOf(game.creator);
+    const second = statsOf(game.secondPlayer);
+    const stake = toBN(game.stake);
+    first.net = first.net.add(toBN(game.firstPlayerWage)).sub(stake);
+    second.net = second.net.add(toBN(game.secondPlayerWage)).sub(stake);
+
+    for (const player of [first, second]) {
+      player.played++;
+      player.staked = player.staked.add(stake);
+      if (result === "tie") player.ties++;
+      else if (sameAddress(game.winner, player.address)) player.wins++;
+      else player.losses++;
+    }
+    if (result === "punish") first.punished++;
+  }
+
+  return Object.values(players).map(formatStats);
+};
+
+const sorts = {
+  net: (a, b) => toBN(b.net).cmp(toBN(a.net)),
+  wins: (a, b) => b.wins - a.wins,
+  played: (a, b) => b.played - a.played,
+  ties: (a, b) => b.ties - a.ties,
+  losses: (a, b) => b.losses - a.losses,
+  punished: (a, b) => b.punished - a.punished,
+  averageStake: (a, b) => toBN(b.averageStake).cmp(toBN(a.averageStake))
+};
+
+/**
+ * @param {Array} games as returned by Indexer.getGames()
+ * @param {Object} [options] see playerStats() for the window
+ * @param {string} [options.sort="net"] one of the keys of sorts, highest first
+ * @param {number} [options.offset=0]
+ * @param {number} [options.limit=20] at most 100
+ * @returns {{total: number, offset: number, limit: number, players: Object[]}} players ranked from 1
+ */
+const leaderboard = (games, { sort = "net", offset = 0, limit = 20, ...window } = {}) => {
+  if (!sorts[sort]) throw new TypeError(`Cannot sort by ${sort}, use one of ${Object.keys(sorts).join(", ")}`);
+  if (!Number.isInteger(offset) || offset < 0) throw new TypeError("offset must be a positive integer");
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new TypeError(`limit must be between 1 and ${maxLimit}`);
+  }
+
+  // Equal players are listed by address, so that pages do not shuffle between requests
+  const ranked = playerStats(games, window).sort(
+    (a, b) => sorts[sort](a, b) || a.address.toLowerCase().localeCompare(b.address.toLowerCase())
+  );
+
+  return {
+    total: ranked.length,
+    offset,
+    limit,
+    players: ranked.slice(offset, offset + limit).map((player, index) => ({ rank: offset + index + 1, ...player }))
+  };
+};
+
+const units = { h: 3600, d: 86400 };
+
+const integer = (query, name) => {
+  const value = query.get(name);
+  if (value === null) return undefined;
+  if (!/^\d+$/.test(value)) throw new TypeError(`${name} must be a positive integer`);
+  return Number(value);
+};
+
+/*
+  window=7d is the same as since=<now - 7 days>. since and until win over window.
+*/
+const parseWindow = (query, now) => {
+  let since = integer(query, "since");
+  const until = integer(query, "until");
+  const window = query.get("window");
+
+  if (window !== null && window !== "all") {
+    const match = /^(\d+)([hd])$/.exec(window);
+    if (!match) throw new TypeError("window must be a number of hours or days, e.g. 24h or 7d, or all");
+    if (since === undefined) since = now - Number(match[1]) * units[match[2]];
+  }
+
+  const token = query.get("token") || undefined;
+  if (token !== undefined && !isAddress(token)) throw new TypeError("Invalid token address");
+
+  return { since, until, token };
+};
+
+const reply = (response, status, body) => {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+};
+
+class StatsServer extends EventEmitter {
+  /**
+   * Serves what the indexer has seen so far, keeping it in sync is up to the caller (see Indexer.start()).
+   *
+   * @param {Indexer} indexer
+   * @param {Object} [options]
+   * @param {Function} [options.now] returns the unix timestamp windows end at, defaults to the clock
+   */
+  constructor(indexer, { now = () => Math.floor(Date.now() / 1000) } = {}) {
+    super();
+    this.indexer = indexer;
+    this.now = now;
+  }
+
+  handle(request, response) {
+    try {
+      // Throws a TypeError on paths such as "//", which answer 400 like other bad queries
+      const url = new URL(request.url, "http://localhost");
+      const player = /^\/players\/([^/]+)$/.exec(url.pathname);
+
+      if (request.method !== "GET") return reply(response, 404, { error: "NotFound" });
+      if (url.pathname === "/") {
+        return reply(response, 200, {
+          contract: this.indexer.address,
+          lastBlock: this.indexer.lastBlock,
+          sorts: Object.keys(sorts)
+        });
+      }
+
+      const window = parseWindow(url.searchParams, this.now());
+      const games = this.indexer.getGames();
+
+      if (url.pathname === "/leaderboard") {
+        const board = leaderboard(games, {
+          ...window,
+          sort: url.searchParams.get("sort") || undefined,
+          offset: integer(url.searchParams, "offset"),
+          limit: integer(url.searchParams, "limit")
+        });
+        return reply(response, 200, { since: window.since, until: window.until, ...board });
+      }
+
+      if (player) {
+        const address = player[1];
+        if (!isAddress(address)) throw new TypeError("Invalid player address");
+        const stats =
+          playerStats(games, window).find(entry => sameAddress(entry.address, address)) ||
+          formatStats(emptyStats(address));
+        return reply(response, 200, { since: window.since, until: window.until, ...stats });
+      }
+
+      reply(response, 404, { error: "NotFound" });
+    } catch (error) {
+      if (!(error instanceof TypeError)) {
+        if (this.listenerCount("error")) this.emit("error", error);
+        return reply(response, 500, { error: "InternalError" });
+      }
+      reply(response, 400, { error: error.name, reason: error.message });
+    }
+  }
+
+  /**
+   * @param {number} [port=0] a free port by default, see server.address()
+   * @param {string} [host="127.0.0.1"]
+   * @returns {Promise<http.Server>}
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => resolve(this.server));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+module.exports = { StatsServer, playerStats, leaderboard };
@@ -0,0 +1,26 @@
+/*
+  Persistence for the indexer. A store only needs to load and save a JSON-serializable object;
+  the file store writes to a temporary file first so a crash never leaves a truncated checkpoint.
+*/
+const fs = require("fs");
+
+const memoryStore = () => {
+  let content;
+  return {
+    load: () => (content === undefined ? undefined : JSON.parse(content)),
+    save: value => {
+      content = JSON.stringify(value);
+    }
+  };
+};
+
+const jsonFileStore = path => ({
+  load: () => (fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, "utf8")) : undefined),
+  save: value => {
+    const tmp = `${path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(value));
+    fs.renameSync(tmp, path);
+  }
+});
+
+module.exports = { memoryStore, jsonFileStore };
@@ -0,0 +1,134 @@
+/*
+  Rebuilds the bracket of a RockPaperScissorsTournament from its events only, so frontends can draw it
+  without reading every match from storage.
+
+  Matches are numbered like in the contract: with N entrants the first round is made of matches 0 to
+  N/2 - 1, the winner of match m plays match N/2 + m/2 and the final is match N - 2.
+*/
+const TournamentStatus = Object.freeze({
+  REGISTERING: "registering",
+  PLAYING: "playing",
+  FINISHED: "finished",
+  CANCELLED: "cancelled"
+});
+
+/**
+ * @param {number} size number of entrants
+ * @param {number} matchIndex
+ * @returns {number} 0 for the first round, up to log2(size) - 1 for the final
+ */
+const roundOf = (size, matchIndex) => {
+  let round = 0;
+  let first = 0;
+  for (let count = size / 2; count >= 1; count /= 2) {
+    if (matchIndex < first + count) return round;
+    first += count;
+    round++;
+  }
+  throw new RangeError(`Invalid match ${matchIndex} for ${size} entrants`);
+};
+
+const emptyMatch = (size, index) => ({
+  index,
+  round: roundOf(size, index),
+  firstPlayer: null,
+  secondPlayer: null,
+  winner: null,
+  forfeit: false,
+  ties: 0,
+  deadline: null
+});
+
+const reducers = {
+  LogTournamentCreated: (bracket, { size, ruleSet, entryFee, registrationDeadline }) => {
+    bracket.size = Number(size);
+    bracket.ruleSet = Number(ruleSet);
+    bracket.entryFee = entryFee.toString();
+    bracket.registrationDeadline = registrationDeadline.toString();
+    bracket.matches = Array.from({ length: bracket.size - 1 }, (_, index) => emptyMatch(bracket.size, index));
+  },
+  LogPlayerJoined: (bracket, { sender, slot }) => {
+    bracket.entrants[Number(slot)] = sender;
+  },
+  LogTournamentCancelled: bracket => {
+    bracket.status = TournamentStatus.CANCELLED;
+  },
+  LogMatchReady: (bracket, { matchIndex, firstPlayer, secondPlayer, deadline }) => {
+    const match = bracket.matches[Number(matchIndex)];
+    match.firstPlayer = firstPlayer;
+    match.secondPlayer = secondPlayer;
+    match.deadline = deadline.toString();
+    bracket.status = TournamentStatus.PLAYING;
+  },
+  LogHandCommitted: (bracket, { matchIndex, deadline }) => {
+    bracket.matches[Number(matchIndex)].deadline = deadline.toString();
+  },
+  LogHandShown: (bracket, { matchIndex, deadline }) => {
+    bracket.matches[Number(matchIndex)].deadline = deadline.toString();
+  },
+  LogMatchTied: (bracket, { matchIndex, deadline }) => {
+    const match = bracket.matches[Number(matchIndex)];
+    match.ties++;
+    match.deadline = deadline.toString();
+  },
+  LogMatchWon: (bracket, { matchIndex, winner, forfeit }) => {
+    const match = bracket.matches[Number(matchIndex)];
+    match.winner = winner;
+    match.forfeit = forfeit;
+  },
+  LogTournamentWon: (bracket, { champion, prize }) => {
+    bracket.champion = champion;
+    bracket.prize = prize.toString();
+    bracket.status = TournamentStatus.FINISHED;
+  }
+};
+
+/**
+ * @param {Array} events of a single tournament, in chain order. Both web3 events (returnValues) and
+ *   truffle-contract logs (args) are accepted.
+ * @returns {Object} the bracket: size, ruleSet, entryFee, entrants, matches, champion, prize and status
+ */
+const reconstructBracket = events => {
+  const bracket = {
+    tournamentId: null,
+    size: 0,
+    ruleSet: 0,
+    entryFee: "0",
+    registrationDeadline: null,
+    entrants: [],
+    matches: [],
+    champion: null,
+    prize: null,
+    status: TournamentStatus.REGISTERING
+  };
+
+  events.forEach(event => {
+    const args = event.returnValues || event.args;
+    if (!reducers[event.event]) return;
+    if (bracket.tournamentId === null) bracket.tournamentId = args.tournamentId.toString();
+    reducers[event.event](bracket, args);
+  });
+
+  return bracket;
+};
+
+/**
+ * Reads the events of one tournament and rebuilds its bracket.
+ *
+ * @param {Web3} web3
+ * @param {string} address the deployed RockPaperScissorsTournament address
+ * @param {number|string} tournamentId
+ * @param {Object} options
+ * @param {Array} options.abi RockPaperScissorsTournament's ABI
+ * @param {number} [options.fromBlock=0]
+ */
+const loadBracket = async (web3, address, tournamentId, { abi, fromBlock = 0 }) => {
+  const contract = new web3.eth.Contract(abi, address);
+  const events = await contract.getPastEvents("allEvents", { fromBlock, toBlock: "latest" });
+  return reconstructBracket(
+    // Balances events do not carry a tournament ID and are dropped too
+    events.filter(event => event.returnValues.tournamentId === tournamentId.toString())
+  );
+};
+
+module.exports = { TournamentStatus, roundOf, reconstructBracket, loadBracket };
@@ -0,0 +1,273 @@
+/*
+  Keeps the creator's hand and secret for every game created, so resolveMatch() and cancelGame() can
+  still be called after a crash or a closed browser tab.
+
+  The vault is encrypted at rest with a passphrase (scrypt + aes-256-gcm). Optionally, it holds a seed
+  from which secrets are derived as keccak256(seed, contract, player, index): as long as the seed is
+  backed up, games can be recovered from LogMatchCreated events even if the vault itself is lost.
+*/
+const crypto = require("crypto");
+const fs = require("fs");
+const { soliditySha3, toBN } = require("web3-utils");
+
+const { MAX_HANDS, parseHand } = require("./hands");
+const { generateSecret, hashHand } = require("./client");
+
+const version = 1;
+const scryptParams = { N: 16384, r: 8, p: 1 };
+
+class VaultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/*
+  Storages only need to load and save a string. They are synchronous so they can be backed by
+  localStorage in the browser as well as by a file in scripts.
+*/
+const memoryStorage = (initial = undefined) => {
+  let content = initial;
+  return {
+    load: () => content,
+    save: value => {
+      content = value;
+    }
+  };
+};
+
+const fileStorage = path => ({
+  load: () => (fs.existsSync(path) ? fs.readFileSync(path, "utf8") : undefined),
+  save: value => fs.writeFileSync(path, value, { mode: 0o600 })
+});
+
+const encrypt = (plaintext, passphrase) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(passphrase, salt, 32, scryptParams);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+
+  return JSON.stringify({
+    version,
+    kdf: "scrypt",
+    salt: salt.toString("hex"),
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("hex")
+  });
+};
+
+const decrypt = (blob, passphrase) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(blob);
+  } catch (error) {
+    throw new VaultError("Vault is corrupted");
+  }
+  if (envelope.version !== version) throw new VaultError(`Unsupported vault version ${envelope.version}`);
+
+  const key = crypto.scryptSync(passphrase, Buffer.from(envelope.salt, "hex"), 32, scryptParams);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(envelope.tag, "hex"));
+
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, "hex")), decipher.final()]).toString("utf8");
+  } catch (error) {
+    throw new VaultError("Wrong passphrase");
+  }
+};
+
+const generateSeed = () => `0x${crypto.randomBytes(32).toString("hex")}`;
+
+/**
+ * Derives the secret for the index-th game a player creates on a given contract.
+ *
+ * @returns {string} decimal uint256
+ */
+const deriveSecret = (seed, contractAddress, player, index) =>
+  toBN(
+    soliditySha3(
+      { t: "bytes32", v: seed },
+      { t: "address", v: contractAddress },
+      { t: "address", v: player },
+      { t: "uint256", v: index }
+    )
+  ).toString(10);
+
+const counterKey = (contractAddress, player) => `${contractAddress.toLowerCase()}:${player.toLowerCase()}`;
+
+class SecretVault {
+  constructor(storage, passphrase, data) {
+    this.storage = storage;
+    this.passphrase = passphrase;
+    this.data = data;
+  }
+
+  /**
+   * Opens the vault held by storage, or creates an empty one if there is none yet.
+   *
+   * @param {{load: Function, save: Function}} storage see memoryStorage() and fileStorage()
+   * @param {string} passphrase
+   * @param {Object} [options]
+   * @param {string} [options.seed] bytes32 seed for deterministic secrets, only used for new vaults
+   */
+  static open(storage, passphrase, { seed } = {}) {
+    if (!passphrase) throw new VaultError("A passphrase is required");
+
+    const blob = storage.load();
+    if (blob) return new SecretVault(storage, passphrase, JSON.parse(decrypt(blob, passphrase)));
+
+    const vault = new SecretVault(storage, passphrase, { seed, counters: {}, games: {} });
+    vault.save();
+    return vault;
+  }
+
+  get seed() {
+    return this.data.seed;
+  }
+
+  save() {
+    this.storage.save(encrypt(JSON.stringify(this.data), this.passphrase));
+  }
+
+  /**
+   * Returns a fresh secret for a new game. With a seed it is derived from the player's next index,
+   * otherwise it is random and only this vault will ever know it.
+   *
+   * @returns {{secret: string, index: (number|undefined)}}
+   */
+  nextSecret(contractAddress, player) {
+    if (!this.data.seed) return { secret: generateSecret(), index: undefined };
+
+    const key = counterKey(contractAddress, player);
+    const index = this.data.counters[key] || 0;
+    this.data.counters[key] = index + 1;
+    this.save();
+
+    return { secret: deriveSecret(this.data.seed, contractAddress, player, index), index };
+  }
+
+  /**
+   * Stores a game's hand and secret. Call it before sending createMatch(): a record for a game that
+   * never got mined is harmless, a mined game without a record is not.
+   */
+  record(gameId, { hand, secret, contract, player, index }) {
+    this.data.games[gameId] = {
+      hand: parseHand(hand),
+      secret: secret.toString(),
+      contract,
+      player,
+      index,
+      createdAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  get(gameId) {
+    return this.data.games[gameId];
+  }
+
+  has(gameId) {
+    return this.data.games.hasOwnProperty(gameId);
+  }
+
+  remove(gameId) {
+    delete this.data.games[gameId];
+    this.save();
+  }
+
+  list() {
+    return Object.keys(this.data.games).map(gameId => ({ gameId, ...this.data.games[gameId] }));
+  }
+
+  changePassphrase(passphrase) {
+    if (!passphrase) throw new VaultError("A passphrase is required");
+    this.passphrase = passphrase;
+    this.save();
+  }
+
+  /**
+   * @param {string} [passphrase] defaults to the vault's own passphrase
+   * @returns {string} an encrypted copy of the vault that import() understands
+   */
+  export(passphrase = this.passphrase) {
+    return encrypt(JSON.stringify(this.data), passphrase);
+  }
+
+  /**
+   * Merges an exported vault into this one. Games already present are kept, counters keep the highest
+   * value so derived secrets are never reused.
+   */
+  import(blob, passphrase = this.passphrase) {
+    const imported = JSON.parse(decrypt(blob, passphrase));
+
+    if (imported.seed && this.data.seed && imported.seed !== this.data.seed) {
+      throw new VaultError("Cannot merge vaults with different seeds");
+    }
+    this.data.seed = this.data.seed || imported.seed;
+
+    Object.keys(imported.counters).forEach(key => {
+      this.data.counters[key] = Math.max(this.data.counters[key] || 0, imported.counters[key]);
+    });
+    Object.keys(imported.games).forEach(gameId => {
+      if (!this.has(gameId)) this.data.games[gameId] = imported.games[gameId];
+    });
+
+    this.save();
+  }
+
+  /**
+   * Rebuilds the records of a player's games from the seed, by scanning the LogMatchCreated events
+   * they sent and trying every hand for each derived secret.
+   *
+   * @param {RockPaperScissorsClient} client
+   * @param {string} player
+   * @param {Object} [options]
+   * @param {number} [options.fromBlock=0]
+   * @param {number} [options.gapLimit=20] consecutive unused indexes after which the scan stops
+   * @returns {Promise<Array>} the recovered records
+   */
+  async recover(client, player, { fromBlock = 0, gapLimit = 20 } = {}) {
+    if (!this.data.seed) throw new VaultError("Vault has no seed to recover from");
+
+    const events = await client.contract.getPastEvents("LogMatchCreated", { filter: { sender: player }, fromBlock });
+    const gameIds = new Set(events.map(event => event.returnValues.gameId));
+    // Every hand any rule set can have, RPSLS and custom ones included
+    const hands = Array.from({ length: MAX_HANDS }, (_, index) => index + 1);
+    const recovered = [];
+
+    for (let index = 0, gap = 0; gap < gapLimit; index++) {
+      const secret = deriveSecret(this.data.seed, client.address, player, index);
+      const hand = hands.find(candidate => gameIds.has(hashHand(client.address, player, candidate, secret)));
+
+      if (hand === undefined) {
+        gap++;
+        continue;
+      }
+      gap = 0;
+
+      const gameId = hashHand(client.address, player, hand, secret);
+      const key = counterKey(client.address, player);
+      this.data.counters[key] = Math.max(this.data.counters[key] || 0, index + 1);
+
+      if (!this.has(gameId)) {
+        this.data.games[gameId] = {
+          hand,
+          secret,
+          contract: client.address,
+          player,
+          index,
+          createdAt: new Date().toISOString()
+        };
+        recovered.push({ gameId, ...this.data.games[gameId] });
+      }
+    }
+
+    this.save();
+    return recovered;
+  }
+}
+
+module.exports = { SecretVault, VaultError, memoryStorage, fileStorage, generateSeed, deriveSecret };
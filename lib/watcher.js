@@ -0,0 +1,227 @@
+/*
+  Watches a player's games and acts before forgetting costs them their stake:
+
+    - as the creator, resolveMatch() as soon as the opponent shows a hand, with the vault's secret, and
+      cancelGame() once the deadline passed without an opponent or without a hand shown
+    - as the second player, punish() once the creator let the deadline pass without resolving
+
+  Moves nobody can make for the player, showing a hand or resolving without the secret, get a notification
+  when their deadline comes within warnBefore seconds. Notifications are emitted as "notification" events
+  and, with a webhook, POSTed to it as JSON:
+
+    { kind, gameId, action, deadline, message, transactionHash, error }
+
+  where kind is deadline, missing-secret, sent, dry-run, failed or abandoned. A failed transaction is tried
+  again on the following checks, up to retries times. With dryRun, what would be sent is only notified.
+
+  Webhook POSTs are not awaited by check(), so that a slow webhook never holds back a transaction, and are
+  aborted after webhookTimeout milliseconds.
+*/
+const http = require("http");
+const { EventEmitter } = require("events");
+
+const { Indexer, GameStatus } = require("./indexer");
+const { checkGame } = require("./preflight");
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const postJson = (url, body, timeout) =>
+  new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const request = http.request(
+      url,
+      { method: "POST", headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(data) } },
+      response => {
+        response.resume();
+        response.on("end", resolve);
+      }
+    );
+    request.on("error", reject);
+    request.setTimeout(timeout, () => {
+      reject(new Error(`Webhook did not answer within ${timeout} ms`));
+      request.abort();
+    });
+    request.end(data);
+  });
+
+/*
+  What the player should do about a live game: the move, whether it waits for the deadline to pass
+  (or must happen before it) and whether the watcher can make it.
+*/
+const nextMove = (game, player, vault) => {
+  const hasSecret = !!vault && vault.has(game.gameId);
+  if (sameAddress(game.creator, player)) {
+    if (game.status === GameStatus.HAND_SHOWN) return { action: "resolveMatch", afterDeadline: false, hasSecret };
+    return { action: "cancelGame", afterDeadline: true, hasSecret };
+  }
+  if (game.status === GameStatus.ACCEPTED) return { action: "showHand", afterDeadline: false, manual: true };
+  if (game.status === GameStatus.HAND_SHOWN) return { action: "punish", afterDeadline: true, hasSecret: true };
+  return undefined;
+};
+
+class DeadlineWatcher extends EventEmitter {
+  /**
+   * @param {RockPaperScissorsClient} client the player's client, with a vault to resolve and cancel
+   * @param {Object} [options]
+   * @param {Indexer} [options.indexer] defaults to one over the client's contract
+   * @param {number} [options.fromBlock=0] where the default indexer starts, usually the deployment block
+   * @param {number} [options.warnBefore=900] seconds before a deadline the player is warned
+   * @param {number} [options.retries=3] times a failed transaction is tried again
+   * @param {boolean} [options.dryRun=false] notify instead of sending
+   * @param {string} [options.webhook] URL notifications are POSTed to
+   * @param {number} [options.webhookTimeout=10000] milliseconds after which a POST is aborted
+   */
+  constructor(
+    client,
+    { indexer, fromBlock = 0, warnBefore = 900, retries = 3, dryRun = false, webhook, webhookTimeout = 10000 } = {}
+  ) {
+    super();
+    this.client = client;
+    this.indexer =
+      indexer || new Indexer(client.web3, client.address, { abi: client.contract.options.jsonInterface, fromBlock });
+    this.warnBefore = warnBefore;
+    this.retries = retries;
+    this.dryRun = dryRun;
+    this.webhook = webhook;
+    this.webhookTimeout = webhookTimeout;
+    // POSTs still in flight, see flush()
+    this.deliveries = new Set();
+    // Keys of what was notified or done already, so that every check does not repeat it
+    this.done = new Set();
+    this.attempts = {};
+  }
+
+  /**
+   * Indexes new events and acts on every live game of the player.
+   */
+  async check() {
+    await this.indexer.sync();
+    const now = await this.client.now();
+    const live = this.indexer.getGames({
+      player: this.client.from,
+      status: [GameStatus.OPEN, GameStatus.ACCEPTED, GameStatus.HAND_SHOWN]
+    });
+
+    for (const game of live) {
+      const move = nextMove(game, this.client.from, this.client.vault);
+      if (!move) continue;
+
+      const deadline = Number(game.deadline);
+      const key = `${game.gameId}:${game.status}:${move.action}`;
+      const due = move.afterDeadline ? deadline <= now : deadline > now;
+
+      if (!move.manual && move.hasSecret && due) {
+        await this._act(game, move.action, key);
+      } else if (!move.afterDeadline && due && deadline - now <= this.warnBefore) {
+        const kind = move.manual ? "deadline" : "missing-secret";
+        this._notifyOnce(`${key}:${kind}`, {
+          kind,
+          gameId: game.gameId,
+          action: move.action,
+          deadline,
+          message: `${move.action} before ${new Date(deadline * 1000).toISOString()}`
+        });
+      } else if (move.afterDeadline && due && !move.hasSecret) {
+        this._notifyOnce(`${key}:missing-secret`, {
+          kind: "missing-secret",
+          gameId: game.gameId,
+          action: move.action,
+          deadline,
+          message: `${move.action} needs the hand and secret, which are not in the vault`
+        });
+      }
+    }
+  }
+
+  /**
+   * Checks every interval milliseconds until stop() is called. Errors are emitted, not thrown.
+   */
+  start(interval = 15000) {
+    this.running = true;
+
+    const loop = async () => {
+      try {
+        await this.check();
+      } catch (error) {
+        this.emit("error", error);
+      }
+      if (this.running) this.timer = setTimeout(loop, interval);
+    };
+
+    return loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Resolves once the webhook POSTs started so far succeeded, failed or timed out.
+   */
+  async flush() {
+    await Promise.all(Array.from(this.deliveries));
+  }
+
+  async _act(game, action, key) {
+    if (this.done.has(key)) return;
+    const notification = { gameId: game.gameId, action, deadline: Number(game.deadline) };
+
+    // The indexer may lag behind the chain: a game that changed since needs no action
+    try {
+      await checkGame(this.client, action, game.gameId);
+    } catch (error) {
+      return;
+    }
+
+    if (this.dryRun) {
+      this.done.add(key);
+      this._notify({ ...notification, kind: "dry-run", message: `Would send ${action}` });
+      return;
+    }
+
+    try {
+      const { transactionHash } = await this._send(game, action);
+      this.done.add(key);
+      this._notify({ ...notification, kind: "sent", message: `Sent ${action}`, transactionHash });
+    } catch (error) {
+      const attempts = (this.attempts[key] || 0) + 1;
+      this.attempts[key] = attempts;
+      const abandoned = attempts > this.retries;
+      if (abandoned) this.done.add(key);
+      this._notify({
+        ...notification,
+        kind: abandoned ? "abandoned" : "failed",
+        message: abandoned ? `Gave up on ${action} after ${attempts} attempts` : `${action} failed, will retry`,
+        error: error.message
+      });
+    }
+  }
+
+  _send(game, action) {
+    if (action === "punish") return this.client.punish(game.gameId);
+
+    const { hand, secret } = this.client.vault.get(game.gameId);
+    return action === "resolveMatch" ? this.client.resolveMatch(hand, secret) : this.client.cancelGame(hand, secret);
+  }
+
+  _notifyOnce(key, notification) {
+    if (this.done.has(key)) return;
+    this.done.add(key);
+    this._notify(notification);
+  }
+
+  _notify(notification) {
+    this.emit("notification", notification);
+    if (!this.webhook) return;
+
+    const delivery = postJson(this.webhook, notification, this.webhookTimeout)
+      .catch(error => {
+        if (this.listenerCount("error")) this.emit("error", error);
+      })
+      .then(() => this.deliveries.delete(delivery));
+    this.deliveries.add(delivery);
+  }
+}
+
+module.exports = { DeadlineWatcher };
@@ -0,0 +1,5 @@
+const RockPaperScissors = artifacts.require("RockPaperScissors");
+
+module.exports = function(deployer) {
+  deployer.deploy(RockPaperScissors, false);
+};
@@ -0,0 +1,5 @@
+const RockPaperScissorsSeries = artifacts.require("RockPaperScissorsSeries");
+
+module.exports = function(deployer) {
+  deployer.deploy(RockPaperScissorsSeries, false);
+};
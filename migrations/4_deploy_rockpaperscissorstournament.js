@@ -0,0 +1,5 @@
+const RockPaperScissorsTournament = artifacts.require("RockPaperScissorsTournament");
+
+module.exports = function(deployer) {
+  deployer.deploy(RockPaperScissorsTournament, false);
+};
@@ -0,0 +1,5 @@
+const RockPaperScissorsChannel = artifacts.require("RockPaperScissorsChannel");
+
+module.exports = function(deployer) {
+  deployer.deploy(RockPaperScissorsChannel, false);
+};
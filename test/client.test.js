@@ -0,0 +1,256 @@
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+const ERC20Mock = artifacts.require("./mocks/ERC20Mock.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const {
+  RockPaperScissorsClient,
+  generateSecret,
+  Hand,
+  RuleSet,
+  Phase,
+  parseHand,
+  decodeRevert,
+  InvalidStakeError,
+  DeadlineNotPassedError,
+  GameNotFoundError,
+  MatchReservedError,
+  InvalidCommissionError,
+  InsufficientBalanceError,
+  TransactionRevertedError
+} = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+
+const expectRejection = async (promise, ErrorClass) => {
+  try {
+    await promise;
+  } catch (error) {
+    error.should.be.instanceOf(ErrorClass);
+    return;
+  }
+  throw new Error(`Expected a ${ErrorClass.name}`);
+};
+
+contract("RockPaperScissorsClient", ([alice, bob, mallory, ...accounts]) => {
+  let contract;
+  let aliceClient;
+  let bobClient;
+
+  beforeEach("deploy the contract", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    aliceClient = new RockPaperScissorsClient(web3, contract.address, { from: alice, abi: RockPaperScissors.abi });
+    bobClient = new RockPaperScissorsClient(web3, contract.address, { from: bob, abi: RockPaperScissors.abi });
+  });
+
+  describe("hashHand()", () => {
+    it("matches the contract's hashHand()", async function() {
+      const secret = generateSecret();
+
+      for (const hand of [Hand.ROCK, Hand.PAPER, Hand.SCISSORS]) {
+        aliceClient.hashHand(hand, secret).should.be.equal(await contract.hashHand(hand, secret, { from: alice }));
+      }
+    });
+
+    it("rejects null hands and secrets", async function() {
+      (() => aliceClient.hashHand(Hand.NULL, "1234")).should.throw(TypeError);
+      (() => aliceClient.hashHand(Hand.ROCK, "0")).should.throw(TypeError);
+    });
+  });
+
+  describe("generateSecret()", () => {
+    it("generates distinct non-zero secrets", async function() {
+      const first = generateSecret();
+      const second = generateSecret();
+
+      new BN(first).should.be.bignumber.not.equal(new BN("0"));
+      first.should.be.not.equal(second);
+    });
+  });
+
+  describe("parseHand()", () => {
+    it("accepts names and values", async function() {
+      parseHand("rock").should.be.equal(Hand.ROCK);
+      parseHand("PAPER").should.be.equal(Hand.PAPER);
+      parseHand(new BN("3")).should.be.equal(Hand.SCISSORS);
+      parseHand("lizard").should.be.equal(Hand.LIZARD);
+      parseHand("7").should.be.equal(7);
+      (() => parseHand("well")).should.throw(TypeError);
+      (() => parseHand(16)).should.throw(TypeError);
+    });
+  });
+
+  describe("game flow", () => {
+    it("plays a full match", async function() {
+      const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "rock", stake });
+
+      (await aliceClient.getGame(gameId)).stake.should.be.bignumber.equal(stake);
+
+      await bobClient.acceptMatch(gameId);
+      await bobClient.showHand(gameId, "scissors");
+      await aliceClient.resolveMatch(hand, secret);
+
+      (await aliceClient.balanceOf()).should.be.bignumber.equal(stake.mul(new BN("2")));
+      (await bobClient.balanceOf()).should.be.bignumber.equal(new BN("0"));
+    });
+
+    it("withdraws part of the balance to another address", async function() {
+      const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "rock", stake });
+      await bobClient.acceptMatch(gameId);
+      await bobClient.showHand(gameId, "scissors");
+      await aliceClient.resolveMatch(hand, secret);
+      const before = new BN(await web3.eth.getBalance(mallory));
+
+      await aliceClient.withdraw({ amount: stake, to: mallory });
+      new BN(await web3.eth.getBalance(mallory)).sub(before).should.be.bignumber.equal(stake);
+      (await aliceClient.balanceOf()).should.be.bignumber.equal(stake);
+
+      await expectRejection(aliceClient.withdraw({ amount: stake.addn(1) }), InsufficientBalanceError);
+      await aliceClient.withdraw();
+      (await aliceClient.balanceOf()).should.be.bignumber.equal(new BN("0"));
+    });
+
+    it("plays a match staking tokens", async function() {
+      const token = await ERC20Mock.new({ from: alice });
+      await token.mint(alice, stake, { from: alice });
+      await token.mint(bob, stake, { from: alice });
+
+      const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "rock", stake, token: token.address });
+      (await aliceClient.getGame(gameId)).token.should.be.equal(token.address);
+
+      await bobClient.acceptMatch(gameId);
+      await bobClient.showHand(gameId, "rock");
+      await aliceClient.resolveMatch(hand, secret);
+
+      (await bobClient.tokenBalanceOf(token.address)).should.be.bignumber.equal(stake);
+      (await bobClient.balanceOf()).should.be.bignumber.equal(new BN("0"));
+      await bobClient.withdrawToken(token.address);
+      (await token.balanceOf(bob)).should.be.bignumber.equal(stake);
+    });
+
+    it("plays a match under RPSLS rules", async function() {
+      const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "spock", stake, ruleSet: "rpsls" });
+      (await aliceClient.getGame(gameId)).ruleSet.should.be.equal(RuleSet.RPSLS);
+
+      await bobClient.acceptMatch(gameId);
+      await bobClient.showHand(gameId, "lizard");
+      await aliceClient.resolveMatch(hand, secret);
+
+      (await bobClient.balanceOf()).should.be.bignumber.equal(stake.mul(new BN("2")));
+    });
+
+    it("refuses other rule sets for token games", async function() {
+      await expectRejection(
+        aliceClient.createMatch({ hand: "rock", stake, token: alice, ruleSet: RuleSet.RPSLS }),
+        TypeError
+      );
+    });
+
+    it("stakes winnings from the balance", async function() {
+      const first = await aliceClient.createMatch({ hand: "rock", stake });
+      await bobClient.acceptMatch(first.gameId);
+      await bobClient.showHand(first.gameId, "rock");
+      await aliceClient.resolveMatch(first.hand, first.secret);
+
+      const second = await aliceClient.createMatch({ hand: "paper", stake: stake.mul(new BN("2")), useBalance: true });
+      (await aliceClient.balanceOf()).should.be.bignumber.equal(new BN("0"));
+      (await aliceClient.getGame(second.gameId)).stake.should.be.bignumber.equal(stake.mul(new BN("2")));
+
+      await bobClient.acceptMatch(second.gameId, { useBalance: true });
+      (await bobClient.balanceOf()).should.be.bignumber.equal(new BN("0"));
+      (await web3.eth.getBalance(contract.address)).should.be.equal(stake.mul(new BN("4")).toString());
+    });
+
+    it("reports the phase and the legal actions", async function() {
+      const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+
+      (await aliceClient.getGame(gameId)).firstPlayer.should.be.equal(alice);
+      (await aliceClient.getPhase(gameId)).should.be.equal(Phase.OPEN);
+      (await bobClient.getLegalActions(gameId)).should.be.deep.equal({
+        canAccept: true,
+        canShowHand: false,
+        canResolve: false,
+        canPunish: false,
+        canCancel: false,
+        canRefund: false
+      });
+
+      await bobClient.acceptMatch(gameId);
+      (await aliceClient.getPhase(gameId)).should.be.equal(Phase.ACCEPTED);
+      (await aliceClient.getLegalActions(gameId, bob)).canShowHand.should.be.equal(true);
+    });
+  });
+
+  describe("shutdown", () => {
+    it("refunds live games once the contract is killed", async function() {
+      const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+      await bobClient.acceptMatch(gameId);
+      await aliceClient.pause();
+      await aliceClient.kill();
+
+      (await bobClient.getLegalActions(gameId)).canRefund.should.be.equal(true);
+      await bobClient.refundGame(gameId);
+
+      (await aliceClient.balanceOf()).should.be.bignumber.equal(stake);
+      (await bobClient.balanceOf()).should.be.bignumber.equal(stake);
+      await expectRejection(bobClient.refundGame(gameId), GameNotFoundError);
+    });
+  });
+
+  describe("house commission", () => {
+    it("sets, charges and withdraws the commission", async function() {
+      await aliceClient.setCommission(500);
+      (await aliceClient.getCommission()).should.be.equal(500);
+      await expectRejection(aliceClient.setCommission(1001), InvalidCommissionError);
+
+      const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "rock", stake });
+      (await aliceClient.getGame(gameId)).commission.should.be.equal(500);
+      await bobClient.acceptMatch(gameId);
+      await bobClient.showHand(gameId, "scissors");
+      await aliceClient.resolveMatch(hand, secret);
+
+      const fee = stake.mul(new BN("2")).div(new BN("20"));
+      (await aliceClient.commissionsOf()).should.be.bignumber.equal(fee);
+      (await aliceClient.balanceOf()).should.be.bignumber.equal(stake.mul(new BN("2")).sub(fee));
+
+      await aliceClient.withdrawCommission();
+      (await aliceClient.commissionsOf()).should.be.bignumber.equal(new BN("0"));
+    });
+  });
+
+  describe("revert decoding", () => {
+    it("throws typed errors", async function() {
+      const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+
+      await expectRejection(bobClient.acceptMatch(gameId, { stake: "0" }), InvalidStakeError);
+      await expectRejection(bobClient.acceptMatch(aliceClient.hashHand("paper", "1")), GameNotFoundError);
+
+      await bobClient.acceptMatch(gameId);
+      await bobClient.showHand(gameId, "paper");
+      await expectRejection(bobClient.punish(gameId), DeadlineNotPassedError);
+
+      await time.increase(time.duration.hours(1).add(new BN("1")));
+      await bobClient.punish(gameId);
+    });
+
+    it("rejects accepting a match reserved for someone else", async function() {
+      const { gameId } = await aliceClient.createMatch({ hand: "rock", stake, opponent: mallory });
+
+      (await aliceClient.getGame(gameId)).opponent.should.be.equal(mallory);
+      await expectRejection(bobClient.acceptMatch(gameId), MatchReservedError);
+    });
+
+    it("decodes Error(string) return data", async function() {
+      const data = web3.eth.abi.encodeFunctionCall(
+        { name: "Error", type: "function", inputs: [{ type: "string", name: "reason" }] },
+        ["Invalid stake"]
+      );
+
+      decodeRevert({ message: "reverted", data }).should.be.instanceOf(InvalidStakeError);
+      decodeRevert({ message: "VM Exception while processing transaction: revert" }).should.be.instanceOf(
+        TransactionRevertedError
+      );
+    });
+  });
+});
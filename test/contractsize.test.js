@@ -0,0 +1,20 @@
+// EIP-170: contracts whose runtime code is larger than this cannot be deployed
+const MAX_CODE_SIZE = 24576;
+
+const contracts = [
+  "RockPaperScissors",
+  "RockPaperScissorsSeries",
+  "RockPaperScissorsTournament",
+  "RockPaperScissorsChannel"
+];
+
+contract("Contract sizes", () => {
+  contracts.forEach(name => {
+    it(`keeps ${name} under the EIP-170 limit`, function() {
+      const { deployedBytecode } = artifacts.require(name);
+      const size = (deployedBytecode.length - 2) / 2;
+
+      size.should.be.at.most(MAX_CODE_SIZE, `${name} is ${size} bytes`);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const { compare, formatTable } = require("../benchmark/report");
+
+describe("Gas report", () => {
+  const baseline = { acceptMatch: 40000, showHand: 30000, withdraw: 20000, punish: 35000 };
+
+  it("flags entries over the threshold only", function() {
+    const rows = compare(baseline, { acceptMatch: 40400, showHand: 30601, withdraw: 19000, createMatch: 140000 }, 2);
+
+    rows
+      .map(({ name, status }) => [name, status])
+      .should.be.deep.equal([
+        ["acceptMatch", "ok"],
+        ["createMatch", "new"],
+        ["punish", "missing"],
+        ["showHand", "regressed"],
+        ["withdraw", "improved"]
+      ]);
+    rows[0].change.should.be.equal(1);
+  });
+
+  it("prints one line per entry", function() {
+    const table = formatTable(compare(baseline, { ...baseline, showHand: 33000 }, 2));
+    const lines = table.split("\n");
+
+    lines.should.have.lengthOf(6);
+    lines[4].should.match(/^showHand\s+30000\s+33000\s+\+10\.00%\s+REGRESSED$/);
+  });
+});
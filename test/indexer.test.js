@@ -0,0 +1,260 @@
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+const ERC20Mock = artifacts.require("./mocks/ERC20Mock.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const { RockPaperScissorsClient, Indexer, GameStatus, Hand, RuleSet, memoryStore } = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+
+const rpc = (method, params = []) =>
+  new Promise((resolve, reject) =>
+    web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params }, (error, response) =>
+      error ? reject(error) : resolve(response.result)
+    )
+  );
+
+contract("Indexer", ([alice, bob, carol, ...accounts]) => {
+  let contract;
+  let fromBlock;
+  let aliceClient;
+  let bobClient;
+  let store;
+  let indexer;
+
+  beforeEach("deploy the contract", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    fromBlock = await web3.eth.getBlockNumber();
+    const options = { abi: RockPaperScissors.abi };
+    aliceClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: alice });
+    bobClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: bob });
+    store = memoryStore();
+    indexer = new Indexer(web3, contract.address, { ...options, store, fromBlock });
+  });
+
+  it("follows a game through its lifecycle", async function() {
+    const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "paper", stake });
+    await indexer.sync();
+    indexer.getGame(gameId).status.should.be.equal(GameStatus.OPEN);
+    indexer.getGame(gameId).creator.should.be.equal(alice);
+
+    await bobClient.acceptMatch(gameId);
+    await indexer.sync();
+    indexer.getGame(gameId).status.should.be.equal(GameStatus.ACCEPTED);
+    indexer.getGame(gameId).secondPlayer.should.be.equal(bob);
+
+    await bobClient.showHand(gameId, "rock");
+    await indexer.sync();
+    indexer.getGame(gameId).status.should.be.equal(GameStatus.HAND_SHOWN);
+
+    await aliceClient.resolveMatch(hand, secret);
+    await indexer.sync();
+
+    const game = indexer.getGame(gameId);
+    game.status.should.be.equal(GameStatus.RESOLVED);
+    game.winner.should.be.equal(alice);
+    game.firstPlayerHand.should.be.equal(Hand.PAPER);
+    game.secondPlayerHand.should.be.equal(Hand.ROCK);
+    game.firstPlayerWage.should.be.equal(stake.mul(new BN("2")).toString());
+    game.history
+      .map(entry => entry.event)
+      .should.be.deep.equal(["LogMatchCreated", "LogMatchAccepted", "LogHandShown", "LogMatchResolved"]);
+
+    indexer.getBalance(alice).available.should.be.equal(stake.mul(new BN("2")).toString());
+    await aliceClient.withdraw();
+    await indexer.sync();
+    indexer.getBalance(alice).withdrawn.should.be.equal(stake.mul(new BN("2")).toString());
+    indexer.getBalance(alice).available.should.be.equal("0");
+  });
+
+  it("records punishments and cancellations", async function() {
+    const punished = await aliceClient.createMatch({ hand: "rock", stake });
+    await bobClient.acceptMatch(punished.gameId);
+    await bobClient.showHand(punished.gameId, "rock");
+
+    const cancelled = await aliceClient.createMatch({ hand: "rock", stake });
+
+    await time.increase(time.duration.hours(1).add(new BN("1")));
+    await bobClient.punish(punished.gameId);
+    await aliceClient.cancelGame(cancelled.hand, cancelled.secret);
+    await indexer.sync();
+
+    indexer.getGame(punished.gameId).status.should.be.equal(GameStatus.PUNISHED);
+    indexer.getGame(punished.gameId).winner.should.be.equal(bob);
+    indexer.getGame(cancelled.gameId).status.should.be.equal(GameStatus.CANCELLED);
+    indexer.getBalance(bob).credited.should.be.equal(stake.mul(new BN("2")).toString());
+    indexer.getBalance(alice).credited.should.be.equal(stake.toString());
+  });
+
+  it("subtracts stakes taken from the balance", async function() {
+    const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "rock", stake });
+    await bobClient.acceptMatch(gameId);
+    await bobClient.showHand(gameId, "rock");
+    await aliceClient.resolveMatch(hand, secret);
+    await aliceClient.createMatch({ hand: "paper", stake: stake.mul(new BN("3")), useBalance: true });
+    await indexer.sync();
+
+    const balance = indexer.getBalance(alice);
+    balance.credited.should.be.equal(stake.toString());
+    balance.staked.should.be.equal(stake.toString());
+    balance.available.should.be.equal("0");
+  });
+
+  it("tells relayer fees from stakes taken from the balance", async function() {
+    const carolClient = new RockPaperScissorsClient(web3, contract.address, {
+      abi: RockPaperScissors.abi,
+      from: carol
+    });
+    const won = await aliceClient.createMatch({ hand: "paper", stake });
+    await bobClient.acceptMatch(won.gameId);
+    await bobClient.showHand(won.gameId, "rock");
+    await aliceClient.resolveMatch(won.hand, won.secret);
+    // The stake and the fee are taken from alice's balance in the same transaction, for the same amount
+    const { gameId } = await bobClient.createMatch({ hand: "rock", stake });
+    await carolClient.relay(await aliceClient.signAcceptMatch(gameId, { fee: stake }));
+    await indexer.sync();
+
+    const balance = indexer.getBalance(alice);
+    balance.credited.should.be.equal(stake.mul(new BN("2")).toString());
+    balance.staked.should.be.equal(stake.toString());
+    balance.feesPaid.should.be.equal(stake.toString());
+    balance.available.should.be.equal("0");
+    indexer.getBalance(carol).credited.should.be.equal(stake.toString());
+    indexer.getBalance(carol).feesPaid.should.be.equal("0");
+  });
+
+  it("subtracts balances migrated to the successor", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+    await bobClient.acceptMatch(gameId);
+    await aliceClient.pause();
+    await aliceClient.kill();
+    await aliceClient.refundGame(gameId);
+    const successor = await RockPaperScissors.new(false, { from: alice });
+    await aliceClient.setSuccessor(successor.address);
+    await successor.setPredecessor(contract.address, { from: alice });
+    await bobClient.migrateBalance();
+    await indexer.sync();
+
+    const balance = indexer.getBalance(bob);
+    balance.credited.should.be.equal(stake.toString());
+    balance.migrated.should.be.equal(stake.toString());
+    balance.available.should.be.equal("0");
+    indexer.getBalance(alice).available.should.be.equal(stake.toString());
+  });
+
+  it("keeps token balances apart from ether", async function() {
+    const token = await ERC20Mock.new({ from: alice });
+    await token.mint(alice, stake, { from: alice });
+    await token.mint(bob, stake, { from: alice });
+
+    const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "paper", stake, token: token.address });
+    await bobClient.acceptMatch(gameId);
+    await bobClient.showHand(gameId, "rock");
+    await aliceClient.resolveMatch(hand, secret);
+    await aliceClient.withdrawToken(token.address);
+    await indexer.sync();
+
+    indexer.getGame(gameId).token.should.be.equal(token.address);
+    indexer.getGames({ token: token.address }).length.should.be.equal(1);
+    indexer.getBalance(alice).credited.should.be.equal("0");
+    indexer.getBalance(alice, token.address).credited.should.be.equal(stake.mul(new BN("2")).toString());
+    indexer.getBalance(alice, token.address).available.should.be.equal("0");
+  });
+
+  it("records the rule set and the creator's hand of RPSLS games", async function() {
+    const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "lizard", stake, ruleSet: RuleSet.RPSLS });
+    await bobClient.acceptMatch(gameId);
+    await bobClient.showHand(gameId, "spock");
+    await aliceClient.resolveMatch(hand, secret);
+    await indexer.sync();
+
+    const game = indexer.getGame(gameId);
+    game.ruleSet.should.be.equal(RuleSet.RPSLS);
+    game.firstPlayerHand.should.be.equal(Hand.LIZARD);
+    game.winner.should.be.equal(alice);
+    indexer.getGames({ ruleSet: RuleSet.CLASSIC }).length.should.be.equal(0);
+  });
+
+  it("leaves the commission out of punishment wages", async function() {
+    await aliceClient.setCommission(1000);
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+    await bobClient.acceptMatch(gameId);
+    await bobClient.showHand(gameId, "rock");
+    await time.increase(time.duration.hours(1).add(new BN("1")));
+    await bobClient.punish(gameId);
+    await indexer.sync();
+
+    const game = indexer.getGame(gameId);
+    const fee = stake.mul(new BN("2")).div(new BN("10"));
+    game.commission.should.be.equal(1000);
+    game.commissionCharged.should.be.equal(fee.toString());
+    game.secondPlayerWage.should.be.equal(
+      stake
+        .mul(new BN("2"))
+        .sub(fee)
+        .toString()
+    );
+    indexer.getBalance(bob).credited.should.be.equal(game.secondPlayerWage);
+  });
+
+  it("answers queries by player, status and stake", async function() {
+    const small = await aliceClient.createMatch({ hand: "rock", stake });
+    const big = await aliceClient.createMatch({ hand: "rock", stake: stake.mul(new BN("10")) });
+    const bobs = await bobClient.createMatch({ hand: "rock", stake, opponent: carol });
+    await bobClient.acceptMatch(small.gameId);
+    await indexer.sync();
+
+    const ids = games => games.map(game => game.gameId);
+
+    ids(indexer.getGames({ player: alice })).should.be.deep.equal([small.gameId, big.gameId]);
+    ids(indexer.getGames({ player: bob })).should.be.deep.equal([small.gameId, bobs.gameId]);
+    ids(indexer.getGames({ status: GameStatus.OPEN })).should.be.deep.equal([big.gameId, bobs.gameId]);
+    ids(indexer.getGames({ minStake: stake.mul(new BN("2")) })).should.be.deep.equal([big.gameId]);
+    ids(indexer.getGames({ player: alice, maxStake: stake })).should.be.deep.equal([small.gameId]);
+    ids(indexer.getGames({ opponent: carol })).should.be.deep.equal([bobs.gameId]);
+
+    const later = (await time.latest()).add(time.duration.hours(2)).toNumber();
+    indexer.getGames({ expired: true, now: later }).length.should.be.equal(3);
+  });
+
+  it("resumes from its checkpoint", async function() {
+    const first = await aliceClient.createMatch({ hand: "rock", stake });
+    await indexer.sync();
+    const lastBlock = indexer.lastBlock;
+
+    const second = await aliceClient.createMatch({ hand: "paper", stake });
+
+    const restarted = new Indexer(web3, contract.address, { abi: RockPaperScissors.abi, store, fromBlock });
+    restarted.lastBlock.should.be.equal(lastBlock);
+    should.exist(restarted.getGame(first.gameId));
+
+    // LogMatchCreated and LogStakeFunded
+    (await restarted.sync()).should.be.equal(2);
+    should.exist(restarted.getGame(second.gameId));
+  });
+
+  it("drops the events of orphaned blocks", async function() {
+    const kept = await aliceClient.createMatch({ hand: "rock", stake });
+    await indexer.sync();
+
+    const snapshot = await rpc("evm_snapshot");
+    const orphaned = await aliceClient.createMatch({ hand: "paper", stake });
+    await indexer.sync();
+    should.exist(indexer.getGame(orphaned.gameId));
+
+    await rpc("evm_revert", [snapshot]);
+    const replacement = await bobClient.createMatch({ hand: "scissors", stake });
+
+    let reorg;
+    indexer.on("reorg", event => {
+      reorg = event;
+    });
+    await indexer.sync();
+
+    should.exist(reorg);
+    should.exist(indexer.getGame(kept.gameId));
+    should.not.exist(indexer.getGame(orphaned.gameId));
+    should.exist(indexer.getGame(replacement.gameId));
+  });
+});
@@ -0,0 +1,264 @@
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+
+/*
+  Randomized sequences of createMatch, acceptMatch, showHand, resolveMatch, punish, cancelGame, withdraw and
+  time jumps across many players, valid or not. A model of the rules predicts whether each call succeeds and
+  what it credits; after every step the contract's ether must equal the balances plus the stakes of live
+  games plus the commissions, and no player may have withdrawn more than deposited plus winnings.
+
+  INVARIANT_SEED replays a failing run, INVARIANT_RUNS and INVARIANT_STEPS make runs more thorough.
+*/
+const seed = Number(process.env.INVARIANT_SEED || Date.now() % 2 ** 31);
+const runs = Number(process.env.INVARIANT_RUNS || 3);
+const steps = Number(process.env.INVARIANT_STEPS || 60);
+
+const timeout = new BN("3600");
+const timeouts = [timeout, timeout, timeout];
+// Jumps never land within minutes of a one hour deadline, see nearDeadline()
+const jump = 1500;
+const margin = 120;
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+
+const Status = { OPEN: "open", ACCEPTED: "accepted", SHOWN: "shown", CLOSED: "closed" };
+
+// mulberry32, good enough to pick actions and reproducible from the seed
+const prng = state => () => {
+  state = (state + 0x6d2b79f5) | 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// ROCK (1) => PAPER (2) => SCISSOR (3) => ROCK(1), like the contract's classic rule set
+const beats = (a, b) => a - 1 === b % 3;
+
+contract("RockPaperScissors invariants", ([owner, ...accounts]) => {
+  const players = accounts.slice(0, 6);
+
+  for (let run = 0; run < runs; run++) {
+    it(`conserves funds over ${steps} random steps (seed ${seed}, run ${run})`, async function() {
+      const random = prng(seed + run);
+      const pick = list => list[Math.floor(random() * list.length)];
+      const chance = p => random() < p;
+
+      const contract = await RockPaperScissors.new(false, { from: owner });
+      const commission = pick([0, 0, 250, 333]);
+      if (commission > 0) await contract.setCommission(commission, { from: owner });
+
+      const games = [];
+      const model = {};
+      for (const player of players) {
+        model[player] = { balance: new BN("0"), deposited: new BN("0"), won: new BN("0"), withdrawn: new BN("0") };
+      }
+      let nextSecret = 1;
+
+      const credit = (player, amount, ownStake) => {
+        model[player].balance = model[player].balance.add(amount);
+        if (amount.gt(ownStake)) model[player].won = model[player].won.add(amount.sub(ownStake));
+      };
+      // Mostly games the action applies to, so that sequences go further than the first move
+      const pickGame = (...statuses) => {
+        const candidates = games.filter(game => statuses.includes(game.status));
+        return candidates.length > 0 && chance(0.8) ? pick(candidates) : pick(games);
+      };
+      const nearDeadline = (game, now) => Math.abs(game.deadline - now) < margin;
+      const refreshDeadline = async game => {
+        game.deadline = (await contract.games(game.gameId)).deadline.toNumber();
+      };
+
+      // Each action returns whether the model expects it to succeed, a description and the call to make
+      const actions = {
+        create: async () => {
+          const sender = pick(players);
+          const hand = 1 + Math.floor(random() * 3);
+          const secret = new BN(String(nextSecret++));
+          const stake = new BN(String(1 + Math.floor(random() * 1000)));
+          const opponent = chance(0.3) ? pick(players) : zero_address;
+          const gameId = await contract.hashHand(hand, secret, { from: sender });
+
+          return {
+            valid: true,
+            description: `createMatch by ${sender} for ${stake} wei`,
+            call: () => contract.createMatch(gameId, ...timeouts, opponent, { from: sender, value: stake }),
+            apply: async () => {
+              const game = { gameId, hand, secret, stake, opponent, commission, first: sender, second: null };
+              game.status = Status.OPEN;
+              await refreshDeadline(game);
+              games.push(game);
+              model[sender].deposited = model[sender].deposited.add(stake);
+            }
+          };
+        },
+        accept: async now => {
+          const game = pickGame(Status.OPEN);
+          const sender = game.opponent !== zero_address && chance(0.7) ? game.opponent : pick(players);
+          const value = chance(0.85) ? game.stake : game.stake.addn(1);
+          if (game.status === Status.OPEN && nearDeadline(game, now)) return null;
+
+          return {
+            valid:
+              game.status === Status.OPEN &&
+              now < game.deadline &&
+              value.eq(game.stake) &&
+              (game.opponent === zero_address || game.opponent === sender),
+            description: `acceptMatch by ${sender} with ${value} wei`,
+            call: () => contract.acceptMatch(game.gameId, { from: sender, value }),
+            apply: async () => {
+              game.second = sender;
+              game.status = Status.ACCEPTED;
+              await refreshDeadline(game);
+              model[sender].deposited = model[sender].deposited.add(value);
+            }
+          };
+        },
+        show: async now => {
+          const game = pickGame(Status.ACCEPTED);
+          const sender = game.second && chance(0.8) ? game.second : pick(players);
+          const hand = 1 + Math.floor(random() * 3);
+          if (game.status === Status.ACCEPTED && nearDeadline(game, now)) return null;
+
+          return {
+            valid: game.status === Status.ACCEPTED && sender === game.second && now < game.deadline,
+            description: `showHand by ${sender}`,
+            call: () => contract.showHand(game.gameId, hand, { from: sender }),
+            apply: async () => {
+              game.secondHand = hand;
+              game.status = Status.SHOWN;
+              await refreshDeadline(game);
+            }
+          };
+        },
+        resolve: async now => {
+          const game = pickGame(Status.SHOWN);
+          const sender = chance(0.8) ? game.first : pick(players);
+          if (game.status === Status.SHOWN && nearDeadline(game, now)) return null;
+
+          return {
+            valid: game.status === Status.SHOWN && sender === game.first && now < game.deadline,
+            description: `resolveMatch by ${sender}`,
+            call: () => contract.resolveMatch(game.hand, game.secret, { from: sender }),
+            apply: async () => {
+              const pot = game.stake.muln(2);
+              const rest = pot.sub(pot.muln(game.commission).divn(10000));
+              let firstWage = new BN("0");
+              if (beats(game.hand, game.secondHand)) firstWage = rest;
+              else if (!beats(game.secondHand, game.hand)) firstWage = rest.divn(2);
+
+              credit(game.first, firstWage, game.stake);
+              credit(game.second, rest.sub(firstWage), game.stake);
+              game.status = Status.CLOSED;
+            }
+          };
+        },
+        punish: async now => {
+          const game = pickGame(Status.SHOWN);
+          const sender = game.second && chance(0.8) ? game.second : pick(players);
+          if (game.status === Status.SHOWN && nearDeadline(game, now)) return null;
+
+          return {
+            valid: game.status === Status.SHOWN && sender === game.second && game.deadline <= now,
+            description: `punish by ${sender}`,
+            call: () => contract.punish(game.gameId, { from: sender }),
+            apply: async () => {
+              const pot = game.stake.muln(2);
+              credit(game.second, pot.sub(pot.muln(game.commission).divn(10000)), game.stake);
+              game.status = Status.CLOSED;
+            }
+          };
+        },
+        cancel: async now => {
+          const game = pickGame(Status.OPEN, Status.ACCEPTED);
+          const sender = chance(0.8) ? game.first : pick(players);
+          const cancellable = game.status === Status.OPEN || game.status === Status.ACCEPTED;
+          if (cancellable && nearDeadline(game, now)) return null;
+
+          return {
+            valid: cancellable && sender === game.first && game.deadline <= now,
+            description: `cancelGame by ${sender}`,
+            call: () => contract.cancelGame(game.hand, game.secret, { from: sender }),
+            apply: async () => {
+              credit(game.first, game.status === Status.OPEN ? game.stake : game.stake.muln(2), game.stake);
+              game.status = Status.CLOSED;
+            }
+          };
+        },
+        withdraw: async () => {
+          const holders = players.filter(player => model[player].balance.gtn(0));
+          const sender = holders.length > 0 && chance(0.8) ? pick(holders) : pick(players);
+
+          return {
+            valid: model[sender].balance.gtn(0),
+            description: `withdraw by ${sender}`,
+            call: () => contract.withdraw({ from: sender }),
+            apply: async ({ logs }) => {
+              const { amount } = logs.find(log => log.event === "LogBalanceWithdraw").args;
+              model[sender].withdrawn = model[sender].withdrawn.add(amount);
+              model[sender].balance = new BN("0");
+            }
+          };
+        }
+      };
+      const weights = [
+        ["create", 3],
+        ["accept", 3],
+        ["show", 3],
+        ["resolve", 3],
+        ["punish", 1],
+        ["cancel", 1],
+        ["withdraw", 2],
+        ["jump", 1]
+      ];
+      const choose = () => {
+        let r = random() * weights.reduce((total, [, weight]) => total + weight, 0);
+        for (const [name, weight] of weights) {
+          if ((r -= weight) < 0) return name;
+        }
+      };
+
+      const checkInvariants = async step => {
+        const context = `after step ${step} (seed ${seed}, run ${run})`;
+        // Closed games must hold nothing: if they did, the ether would not add up
+        let held = await contract.commissions(zero_address);
+        for (const game of games.filter(game => game.status !== Status.CLOSED)) {
+          held = held.add((await contract.games(game.gameId)).stake);
+        }
+        for (const player of players) {
+          const balance = await contract.balances(player);
+          const { deposited, won, withdrawn } = model[player];
+          balance.should.be.bignumber.equal(model[player].balance, `balance of ${player} ${context}`);
+          withdrawn.should.be.bignumber.at.most(deposited.add(won), `withdrawals of ${player} ${context}`);
+          held = held.add(balance);
+        }
+
+        new BN(await web3.eth.getBalance(contract.address)).should.be.bignumber.equal(held, `ether held ${context}`);
+      };
+
+      for (let step = 0; step < steps; step++) {
+        const name = games.length === 0 ? "create" : choose();
+        if (name === "jump") {
+          await time.increase(jump * (1 + Math.floor(random() * 2)));
+          continue;
+        }
+
+        const action = await actions[name](Number(await time.latest()));
+        if (!action) continue;
+
+        let result;
+        try {
+          result = await action.call();
+        } catch (error) {
+          action.valid.should.be.equal(false, `${action.description} reverted at step ${step}: ${error.message}`);
+          await checkInvariants(step);
+          continue;
+        }
+        action.valid.should.be.equal(true, `${action.description} succeeded at step ${step}, seed ${seed}`);
+        await action.apply(result);
+
+        await checkInvariants(step);
+      }
+    });
+  }
+});
@@ -0,0 +1,213 @@
+const WebSocket = require("ws");
+
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const {
+  RockPaperScissorsClient,
+  Lobby,
+  requestCandidates,
+  quickMatch,
+  memoryStore,
+  NoOpenGameError
+} = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+
+const expectRejection = async (promise, ErrorClass) => {
+  try {
+    await promise;
+  } catch (error) {
+    error.should.be.an.instanceof(ErrorClass);
+    return error;
+  }
+  throw new Error(`Expected a ${ErrorClass.name}`);
+};
+
+// Collects the messages of a lobby connection, next() waits for the following one
+const connect = server =>
+  new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}`);
+    const received = [];
+    const waiting = [];
+    socket.on("message", data => {
+      const message = JSON.parse(data);
+      if (waiting.length) waiting.shift()(message);
+      else received.push(message);
+    });
+    socket.next = () => (received.length ? Promise.resolve(received.shift()) : new Promise(r => waiting.push(r)));
+    socket.pending = () => received.length;
+    socket.on("open", () => resolve(socket));
+    socket.on("error", reject);
+  });
+
+contract("Lobby", ([alice, bob, carol, ...accounts]) => {
+  let contract;
+  let aliceClient;
+  let bobClient;
+  let carolClient;
+  let lobby;
+  let server;
+
+  beforeEach("deploy the contract and open a lobby", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    const fromBlock = await web3.eth.getBlockNumber();
+    const options = { abi: RockPaperScissors.abi };
+    aliceClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: alice });
+    bobClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: bob });
+    carolClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: carol });
+    lobby = new Lobby(web3, contract.address, { ...options, store: memoryStore(), fromBlock });
+    server = await lobby.listen();
+  });
+
+  afterEach("close the lobby", async function() {
+    await lobby.close();
+  });
+
+  it("keeps the open games, oldest first, filtered by stake and timeout", async function() {
+    const first = await aliceClient.createMatch({ hand: "rock", stake });
+    const bigger = await aliceClient.createMatch({ hand: "rock", stake: stake.muln(2) });
+    const longer = await bobClient.createMatch({ hand: "rock", stake, timeout: 3 * 3600 });
+    await lobby.refresh();
+
+    lobby
+      .getOpenGames()
+      .map(game => game.gameId)
+      .should.be.deep.equal([first.gameId, bigger.gameId, longer.gameId]);
+    lobby
+      .getOpenGames({ stake })
+      .map(game => game.gameId)
+      .should.be.deep.equal([first.gameId, longer.gameId]);
+    lobby
+      .getOpenGames({ minStake: stake.addn(1) })
+      .map(game => game.gameId)
+      .should.be.deep.equal([bigger.gameId]);
+    lobby.getOpenGames({ joinTimeout: 3 * 3600 }).should.be.deep.equal([
+      {
+        gameId: longer.gameId,
+        creator: bob,
+        opponent: "0x0000000000000000000000000000000000000000",
+        token: "0x0000000000000000000000000000000000000000",
+        ruleSet: 0,
+        commission: 0,
+        stake: stake.toString(),
+        joinTimeout: 3 * 3600,
+        deadline: lobby.indexer.getGame(longer.gameId).deadline,
+        createdAt: lobby.indexer.getGame(longer.gameId).createdAt
+      }
+    ]);
+  });
+
+  it("drops games once accepted, cancelled or close to their deadline", async function() {
+    const accepted = await aliceClient.createMatch({ hand: "rock", stake });
+    const cancelled = await aliceClient.createMatch({ hand: "rock", stake });
+    const longer = await aliceClient.createMatch({ hand: "rock", stake, timeout: 2 * 3600 });
+    await lobby.refresh();
+    const removed = [];
+    lobby.on("removed", event => removed.push(event));
+
+    await bobClient.acceptMatch(accepted.gameId);
+    // An hour minus the margin: the one hour games are about to expire
+    await time.increase(3600 - 30);
+    await lobby.refresh();
+    await time.increase(60);
+    await aliceClient.cancelGame(cancelled.hand, cancelled.secret);
+    await lobby.refresh();
+
+    removed.should.be.deep.equal([
+      { gameId: accepted.gameId, reason: "accepted" },
+      { gameId: cancelled.gameId, reason: "expired" }
+    ]);
+    lobby
+      .getOpenGames()
+      .map(game => game.gameId)
+      .should.be.deep.equal([longer.gameId]);
+  });
+
+  it("pushes the games matching a subscription", async function() {
+    const socket = await connect(server);
+    const open = await aliceClient.createMatch({ hand: "rock", stake });
+    await lobby.refresh();
+
+    socket.send(JSON.stringify({ type: "subscribe", filter: { stake: stake.toString() } }));
+    const snapshot = await socket.next();
+    snapshot.type.should.be.equal("snapshot");
+    snapshot.games.map(game => game.gameId).should.be.deep.equal([open.gameId]);
+
+    await aliceClient.createMatch({ hand: "rock", stake: stake.muln(2) });
+    const added = await bobClient.createMatch({ hand: "paper", stake });
+    await carolClient.acceptMatch(open.gameId);
+    await lobby.refresh();
+
+    (await socket.next()).should.be.deep.equal({ type: "removed", gameId: open.gameId, reason: "accepted" });
+    const update = await socket.next();
+    update.type.should.be.equal("added");
+    update.game.gameId.should.be.equal(added.gameId);
+    socket.pending().should.be.equal(0);
+
+    socket.send("not json");
+    (await socket.next()).should.include({ type: "error", error: "SyntaxError" });
+    socket.send(JSON.stringify({ type: "subscribe", filter: { minStake: "lots" } }));
+    (await socket.next()).should.include({ type: "error", error: "TypeError" });
+    socket.close();
+  });
+
+  it("quick matches the oldest game a player can join", async function() {
+    const reserved = await aliceClient.createMatch({ hand: "rock", stake, opponent: carol });
+    const own = await bobClient.createMatch({ hand: "rock", stake });
+    const oldest = await aliceClient.createMatch({ hand: "rock", stake });
+    const newest = await carolClient.createMatch({ hand: "rock", stake });
+    await lobby.refresh();
+    const url = `ws://127.0.0.1:${server.address().port}`;
+
+    const games = await requestCandidates(url, { player: bob, stake });
+    games.map(game => game.gameId).should.be.deep.equal([oldest.gameId, newest.gameId]);
+    lobby
+      .getCandidates({ player: carol, stake })
+      .map(game => game.gameId)
+      .should.include(reserved.gameId);
+    lobby
+      .getCandidates({ player: carol, stake })
+      .map(game => game.gameId)
+      .should.not.include(newest.gameId);
+
+    // Carol takes the oldest game before bob's acceptance, which falls back on the next one
+    await carolClient.acceptMatch(oldest.gameId);
+    const { game } = await quickMatch(bobClient, games);
+
+    game.gameId.should.be.equal(newest.gameId);
+    (await bobClient.getGame(newest.gameId)).secondPlayer.should.be.equal(bob);
+    (await bobClient.getGame(own.gameId)).secondPlayer.should.be.equal("0x0000000000000000000000000000000000000000");
+  });
+
+  it("fails a quick match when no game is left", async function() {
+    const taken = await aliceClient.createMatch({ hand: "rock", stake });
+    await lobby.refresh();
+    const games = lobby.getCandidates({ player: bob, stake });
+    await carolClient.acceptMatch(taken.gameId);
+
+    await expectRejection(quickMatch(bobClient, games), NoOpenGameError);
+    await expectRejection(
+      requestCandidates(`ws://127.0.0.1:${server.address().port}`, { player: bob, stake: undefined }),
+      TypeError
+    );
+  });
+
+  it("rejects a quick match when the lobby answers garbage", async function() {
+    const impostor = new WebSocket.Server({ host: "127.0.0.1", port: 0 });
+    await new Promise(resolve => impostor.once("listening", resolve));
+    impostor.on("connection", socket => socket.on("message", () => socket.send("not json")));
+
+    try {
+      const error = await expectRejection(
+        requestCandidates(`ws://127.0.0.1:${impostor.address().port}`, { player: bob, stake }),
+        TypeError
+      );
+      error.message.should.be.equal("Invalid JSON from the lobby");
+    } finally {
+      await new Promise(resolve => impostor.close(resolve));
+    }
+  });
+});
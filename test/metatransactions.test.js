@@ -0,0 +1,184 @@
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+const ERC20Mock = artifacts.require("./mocks/ERC20Mock.sol");
+
+const { BN, expectEvent, expectRevert, balance, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const { RockPaperScissorsClient, Hand, hashIntent, recoverIntentSigner } = require("../lib");
+const { domainSeparator } = require("../lib/intents");
+
+const stake = new BN(toWei("1", "shannon"));
+const fee = new BN(toWei("1", "kwei"));
+const zero_address = "0x0000000000000000000000000000000000000000";
+const zero_uint256 = new BN("0");
+const secret = "1234";
+
+contract("RockPaperScissors meta-transactions", ([alice, bob, relayer, mallory, ...accounts]) => {
+  let contract;
+  let aliceClient;
+  let bobClient;
+  let gameId;
+
+  // Relays an intent the way lib/relayer.js does, from the relayer's account
+  const relay = intent => new RockPaperScissorsClient(web3, contract.address, clientOptions(relayer)).relay(intent);
+  const relayTx = ({ type, player, message, signature }) => {
+    const { gameId, hand, secret, amount, recipient, fee, nonce, expiry } = message;
+    const options = { from: relayer };
+    switch (type) {
+      case "AcceptMatch":
+        return contract.acceptMatchFor(player, gameId, fee, nonce, expiry, signature, options);
+      case "ShowHand":
+        return contract.showHandFor(player, gameId, hand, fee, nonce, expiry, signature, options);
+      case "ResolveMatch":
+        return contract.resolveMatchFor(player, hand, secret, fee, nonce, expiry, signature, options);
+      default:
+        return contract.withdrawFor(player, amount, recipient, fee, nonce, expiry, signature, options);
+    }
+  };
+  const clientOptions = from => ({ from, abi: RockPaperScissors.abi });
+
+  // Gives player a balance in the contract by letting him / her win a game against mallory
+  const creditBalance = async (player, amount) => {
+    const malloryClient = new RockPaperScissorsClient(web3, contract.address, clientOptions(mallory));
+    const { gameId, hand, secret } = await malloryClient.createMatch({ hand: "rock", stake: amount });
+    await contract.acceptMatch(gameId, { from: player, value: amount });
+    await contract.showHand(gameId, Hand.PAPER, { from: player });
+    await malloryClient.resolveMatch(hand, secret);
+  };
+
+  beforeEach("deploy the contract and create a match", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    aliceClient = new RockPaperScissorsClient(web3, contract.address, clientOptions(alice));
+    bobClient = new RockPaperScissorsClient(web3, contract.address, clientOptions(bob));
+    ({ gameId } = await aliceClient.createMatch({ hand: "rock", stake, secret }));
+  });
+
+  it("computes the same domain separator as the contract", async function() {
+    (await contract.DOMAIN_SEPARATOR()).should.be.equal(domainSeparator(contract.address));
+  });
+
+  it("signs intents the node and the library agree on", async function() {
+    const intent = await bobClient.signAcceptMatch(gameId, { fee });
+
+    recoverIntentSigner(web3, contract.address, intent).should.be.equal(bob);
+    hashIntent(contract.address, intent.type, intent.message).should.be.not.equal(
+      hashIntent(contract.address, intent.type, { ...intent.message, fee: "0" })
+    );
+  });
+
+  it("plays a whole game for a player without ether, paying the relayer from the balance", async function() {
+    await creditBalance(bob, stake);
+    const bobBalance = await balance.tracker(bob);
+
+    const { logs } = await relayTx(await bobClient.signAcceptMatch(gameId, { fee }));
+    await expectEvent.inLogs(logs, "LogIntentRelayed", { relayer, player: bob, nonce: zero_uint256, fee });
+    await expectEvent.inLogs(logs, "LogMatchAccepted", { sender: bob, gameId });
+    await expectEvent.inLogs(logs, "LogStakeFunded", { sender: bob, paid: zero_uint256, fromBalance: stake });
+
+    await relayTx(await bobClient.signShowHand(gameId, "paper", { fee }));
+    (await contract.games(gameId)).secondPlayerHand.should.be.bignumber.equal(new BN(Hand.PAPER));
+
+    (await bobBalance.delta()).should.be.bignumber.equal(zero_uint256);
+    (await contract.nonces(bob)).should.be.bignumber.equal(new BN("2"));
+    (await contract.balances(relayer)).should.be.bignumber.equal(fee.mul(new BN("2")));
+    (await contract.balances(bob)).should.be.bignumber.equal(stake.sub(fee.mul(new BN("2"))));
+  });
+
+  it("relays the creator's resolution and takes the fee from the winnings", async function() {
+    await contract.acceptMatch(gameId, { from: bob, value: stake });
+    await contract.showHand(gameId, Hand.SCISSORS, { from: bob });
+
+    const { logs } = await relayTx(await aliceClient.signResolveMatch("rock", secret, { fee }));
+
+    await expectEvent.inLogs(logs, "LogMatchResolved", { sender: alice, gameId, winner: alice });
+    (await contract.balances(alice)).should.be.bignumber.equal(stake.mul(new BN("2")).sub(fee));
+    (await contract.balances(relayer)).should.be.bignumber.equal(fee);
+  });
+
+  it("sends relayed withdrawals to the player", async function() {
+    await creditBalance(bob, stake);
+    const bobBalance = await balance.tracker(bob);
+
+    const { logs } = await relayTx(await bobClient.signWithdraw({ fee }));
+
+    await expectEvent.inLogs(logs, "LogBalanceWithdraw", { sender: bob, amount: stake.mul(new BN("2")).sub(fee) });
+    (await bobBalance.delta()).should.be.bignumber.equal(stake.mul(new BN("2")).sub(fee));
+    (await contract.balances(relayer)).should.be.bignumber.equal(fee);
+  });
+
+  it("sends the signed part of the balance to the signed recipient only", async function() {
+    await creditBalance(bob, stake);
+    const malloryBalance = await balance.tracker(mallory);
+    const intent = await bobClient.signWithdraw({ amount: stake, to: mallory, fee });
+
+    await expectRevert(relayTx({ ...intent, message: { ...intent.message, recipient: relayer } }), "Invalid signature");
+    await expectRevert(relayTx({ ...intent, message: { ...intent.message, amount: "0" } }), "Invalid signature");
+    const { logs } = await relayTx(intent);
+
+    await expectEvent.inLogs(logs, "LogBalanceWithdraw", { sender: bob, to: mallory, amount: stake });
+    (await malloryBalance.delta()).should.be.bignumber.equal(stake);
+    (await contract.balances(bob)).should.be.bignumber.equal(stake.sub(fee));
+    (await contract.balances(relayer)).should.be.bignumber.equal(fee);
+  });
+
+  it("pulls token stakes from the player", async function() {
+    const token = await ERC20Mock.new({ from: alice });
+    for (const player of [alice, bob]) {
+      await token.mint(player, stake, { from: alice });
+      await token.approve(contract.address, stake, { from: player });
+    }
+    const tokenGame = await aliceClient.createMatch({ hand: "paper", stake, token: token.address });
+
+    await relay(await bobClient.signAcceptMatch(tokenGame.gameId));
+
+    (await token.balanceOf(bob)).should.be.bignumber.equal(zero_uint256);
+    (await contract.games(tokenGame.gameId)).secondPlayer.should.be.equal(bob);
+  });
+
+  it("rejects replayed intents", async function() {
+    await creditBalance(bob, stake);
+    const intent = await bobClient.signAcceptMatch(gameId);
+    await relayTx(intent);
+
+    await expectRevert(relayTx(intent), "Invalid nonce");
+  });
+
+  it("rejects expired intents", async function() {
+    await creditBalance(bob, stake);
+    const intent = await bobClient.signAcceptMatch(gameId, { expiry: (await time.latest()).toNumber() + 60 });
+    await time.increase(time.duration.minutes(2));
+
+    await expectRevert(relayTx(intent), "Intent expired");
+  });
+
+  it("rejects tampered intents and intents signed by someone else", async function() {
+    await creditBalance(bob, stake);
+    const intent = await bobClient.signAcceptMatch(gameId, { fee });
+
+    await expectRevert(
+      relayTx({ ...intent, message: { ...intent.message, fee: fee.mul(new BN("2")) } }),
+      "Invalid signature"
+    );
+    await expectRevert(relayTx({ ...intent, player: mallory }), "Invalid signature");
+    await expectRevert(relayTx({ ...intent, signature: "0x" }), "Invalid signature");
+  });
+
+  it("rejects fees the player's balance cannot cover", async function() {
+    await creditBalance(bob, stake);
+    (await contract.balances(bob)).should.be.bignumber.equal(stake.mul(new BN("2")));
+
+    await expectRevert(
+      relayTx(await bobClient.signAcceptMatch(gameId, { fee: stake.mul(new BN("2")) })),
+      "Insufficient balance"
+    );
+  });
+
+  it("stops relayed acceptances while paused", async function() {
+    await creditBalance(bob, stake);
+    const intent = await bobClient.signAcceptMatch(gameId);
+    await contract.pause({ from: alice });
+
+    await expectRevert(relayTx(intent), "The contract is paused");
+    (await contract.games(gameId)).secondPlayer.should.be.equal(zero_address);
+  });
+});
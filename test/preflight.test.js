@@ -0,0 +1,172 @@
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+const ERC20Mock = artifacts.require("./mocks/ERC20Mock.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const {
+  RockPaperScissorsClient,
+  GameNotFoundError,
+  DeadlinePassedError,
+  DeadlineNotPassedError,
+  InvalidStakeError,
+  MatchContestedError,
+  MatchReservedError,
+  InvalidPlayerError,
+  HandNotShownError,
+  GameOnError,
+  ContractPausedError,
+  ContractNotPausedError,
+  NotOwnerError,
+  NotPendingOwnerError,
+  NotPauserError,
+  MigrationError,
+  ContractKilledError,
+  ContractNotKilledError
+} = require("../lib");
+const { checkGame, checkAdmin } = require("../lib/preflight");
+
+const stake = new BN(toWei("1", "shannon"));
+
+const expectRejection = async (promise, ErrorClass) => {
+  try {
+    await promise;
+  } catch (error) {
+    error.should.be.instanceOf(ErrorClass);
+    return;
+  }
+  throw new Error(`Expected a ${ErrorClass.name}`);
+};
+
+contract("preflight", ([alice, bob, mallory, ...accounts]) => {
+  let aliceClient;
+  let bobClient;
+  let gameId;
+
+  beforeEach("deploy the contract and create a match", async function() {
+    const contract = await RockPaperScissors.new(false, { from: alice });
+    const options = { abi: RockPaperScissors.abi };
+    aliceClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: alice });
+    bobClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: bob });
+    ({ gameId } = await aliceClient.createMatch({ hand: "rock", stake, secret: "1234" }));
+  });
+
+  describe("checkGame()", () => {
+    it("lets valid transactions through", async function() {
+      (await checkGame(bobClient, "acceptMatch", gameId, { value: stake })).stake.should.be.bignumber.equal(stake);
+      await bobClient.acceptMatch(gameId);
+      await checkGame(bobClient, "showHand", gameId);
+    });
+
+    it("refuses to accept doomed games", async function() {
+      await expectRejection(checkGame(bobClient, "acceptMatch", aliceClient.hashHand("paper", "1")), GameNotFoundError);
+      await expectRejection(checkGame(bobClient, "acceptMatch", gameId, { value: "1" }), InvalidStakeError);
+
+      await bobClient.acceptMatch(gameId);
+      await expectRejection(checkGame(aliceClient, "acceptMatch", gameId), MatchContestedError);
+    });
+
+    it("refuses to accept a match reserved for someone else", async function() {
+      const reserved = await aliceClient.createMatch({ hand: "paper", stake, opponent: mallory });
+
+      await expectRejection(checkGame(bobClient, "acceptMatch", reserved.gameId), MatchReservedError);
+      await checkGame(bobClient, "acceptMatch", reserved.gameId, { from: mallory });
+    });
+
+    it("refuses to send ether to a token game", async function() {
+      const token = await ERC20Mock.new({ from: alice });
+      await token.mint(alice, stake, { from: alice });
+      const tokenGame = await aliceClient.createMatch({ hand: "paper", stake, token: token.address });
+
+      await expectRejection(checkGame(bobClient, "acceptMatch", tokenGame.gameId, { value: stake }), InvalidStakeError);
+      await checkGame(bobClient, "acceptMatch", tokenGame.gameId, { value: "0" });
+    });
+
+    it("refuses to accept after the deadline", async function() {
+      await time.increase(time.duration.hours(1));
+      await expectRejection(checkGame(bobClient, "acceptMatch", gameId), DeadlinePassedError);
+    });
+
+    it("refuses to punish or cancel before the deadline", async function() {
+      await expectRejection(checkGame(aliceClient, "cancelGame", gameId), DeadlineNotPassedError);
+
+      await bobClient.acceptMatch(gameId);
+      await expectRejection(checkGame(bobClient, "punish", gameId), HandNotShownError);
+      await bobClient.showHand(gameId, "paper");
+
+      await expectRejection(checkGame(bobClient, "punish", gameId), DeadlineNotPassedError);
+      await expectRejection(checkGame(bobClient, "punish", gameId, { from: mallory }), InvalidPlayerError);
+      await expectRejection(checkGame(aliceClient, "cancelGame", gameId), GameOnError);
+
+      await time.increase(time.duration.hours(1).add(new BN("1")));
+      await checkGame(bobClient, "punish", gameId);
+      await expectRejection(checkGame(aliceClient, "resolveMatch", gameId), DeadlinePassedError);
+    });
+  });
+
+  describe("shutdown", () => {
+    it("refuses acceptances while paused and refunds before the kill", async function() {
+      await expectRejection(checkGame(bobClient, "refundGame", gameId), ContractNotKilledError);
+
+      await aliceClient.pause();
+      await expectRejection(checkGame(bobClient, "acceptMatch", gameId, { value: stake }), ContractPausedError);
+
+      await aliceClient.kill();
+      await checkGame(bobClient, "refundGame", gameId);
+      await bobClient.refundGame(gameId);
+      await expectRejection(checkGame(bobClient, "refundGame", gameId), GameNotFoundError);
+    });
+
+    it("refuses refunds of games whose deadline passed before the kill", async function() {
+      await time.increase(time.duration.hours(1).add(new BN("1")));
+      await aliceClient.pause();
+      await aliceClient.kill();
+
+      await expectRejection(checkGame(bobClient, "refundGame", gameId), DeadlinePassedError);
+      await checkGame(aliceClient, "cancelGame", gameId);
+    });
+
+    it("only refunds games that were live at the kill, even once their deadline passed", async function() {
+      await bobClient.acceptMatch(gameId);
+      await aliceClient.pause();
+      await aliceClient.kill();
+      await time.increase(time.duration.hours(1).add(new BN("1")));
+
+      await expectRejection(checkGame(aliceClient, "cancelGame", gameId), ContractKilledError);
+      await checkGame(bobClient, "refundGame", gameId);
+    });
+  });
+
+  describe("checkAdmin()", () => {
+    it("checks the role each function needs", async function() {
+      await expectRejection(checkAdmin(bobClient, "acceptOwnership"), NotPendingOwnerError);
+      await expectRejection(checkAdmin(aliceClient, "cancelOwnerProposal"), NotPendingOwnerError);
+      await aliceClient.proposeOwner(bob);
+      await checkAdmin(bobClient, "acceptOwnership");
+      await checkAdmin(aliceClient, "cancelOwnerProposal");
+
+      await expectRejection(checkAdmin(bobClient, "resume"), NotPauserError);
+      await aliceClient.addPauser(bob);
+      await checkAdmin(bobClient, "pause");
+      await expectRejection(checkAdmin(bobClient, "kill"), NotOwnerError);
+    });
+
+    it("refuses doomed owner transactions", async function() {
+      await expectRejection(checkAdmin(bobClient, "pause"), NotPauserError);
+      await expectRejection(checkAdmin(aliceClient, "kill"), ContractNotPausedError);
+      await expectRejection(checkAdmin(aliceClient, "setSuccessor"), ContractNotKilledError);
+      await checkAdmin(aliceClient, "pause");
+    });
+
+    it("lets the owner withdraw commissions from a killed contract", async function() {
+      await aliceClient.pause();
+      await aliceClient.kill();
+
+      await checkAdmin(aliceClient, "withdrawCommission");
+      await expectRejection(checkAdmin(aliceClient, "resume"), ContractKilledError);
+      await expectRejection(checkAdmin(bobClient, "withdrawCommission"), NotOwnerError);
+      await expectRejection(checkAdmin(aliceClient, "migrateBalances"), MigrationError);
+      await checkAdmin(aliceClient, "setSuccessor");
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const http = require("http");
+
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+
+const { BN, balance } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const { RockPaperScissorsClient, Relayer } = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+const fee = new BN(toWei("1", "kwei"));
+
+const request = (server, method, path, body) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.request({ host: "127.0.0.1", port, method, path }, res => {
+      let data = "";
+      res.on("data", chunk => (data += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on("error", reject);
+    if (body !== undefined) req.write(typeof body === "string" ? body : JSON.stringify(body));
+    req.end();
+  });
+
+contract("Relayer", ([alice, bob, relayerAccount, ...accounts]) => {
+  let contract;
+  let aliceClient;
+  let bobClient;
+  let relayer;
+  let server;
+
+  beforeEach("deploy the contract and start a relayer", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    const options = { abi: RockPaperScissors.abi };
+    aliceClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: alice });
+    bobClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: bob });
+    relayer = new Relayer(web3, contract.address, { ...options, from: relayerAccount, minFee: fee });
+    server = await relayer.listen();
+  });
+
+  afterEach("stop the relayer", async function() {
+    await relayer.close();
+  });
+
+  it("describes itself", async function() {
+    const { status, body } = await request(server, "GET", "/");
+
+    status.should.be.equal(200);
+    body.should.be.deep.equal({ relayer: relayerAccount, contract: contract.address, minFee: fee.toString() });
+  });
+
+  it("plays and withdraws for players who send no transaction", async function() {
+    const { gameId, hand, secret } = await aliceClient.createMatch({ hand: "rock", stake });
+    // Bob gets a balance from a game he wins, then plays and withdraws through the relayer only
+    const first = await aliceClient.createMatch({ hand: "rock", stake });
+    await bobClient.acceptMatch(first.gameId);
+    await bobClient.showHand(first.gameId, "paper");
+    await aliceClient.resolveMatch(first.hand, first.secret);
+
+    const bobBalance = await balance.tracker(bob);
+    const post = async intent => {
+      const { status, body } = await request(server, "POST", "/intents", intent);
+      status.should.be.equal(200, JSON.stringify(body));
+      return body;
+    };
+
+    (await post(await bobClient.signAcceptMatch(gameId, { fee }))).transactionHash.should.match(/^0x[0-9a-f]{64}$/);
+    await post(await bobClient.signShowHand(gameId, "rock", { fee }));
+    await post(await aliceClient.signResolveMatch(hand, secret, { fee }));
+    await post(await bobClient.signWithdraw({ fee }));
+
+    (await contract.balances(relayerAccount)).should.be.bignumber.equal(fee.mul(new BN("4")));
+    // A tie: bob gets his stake back and his balance, minus three fees, is withdrawn
+    (await bobBalance.delta()).should.be.bignumber.equal(stake.mul(new BN("2")).sub(fee.mul(new BN("3"))));
+    (await contract.balances(bob)).should.be.bignumber.equal(new BN("0"));
+  });
+
+  it("refuses intents paying less than the minimum fee", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+
+    const { status, body } = await request(server, "POST", "/intents", await bobClient.signAcceptMatch(gameId));
+
+    status.should.be.equal(400);
+    body.error.should.be.equal("FeeTooLowError");
+  });
+
+  it("refuses forged, replayed and malformed intents before sending them", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+    const intent = await bobClient.signAcceptMatch(gameId, { fee });
+
+    let response = await request(server, "POST", "/intents", { ...intent, player: alice });
+    response.status.should.be.equal(400);
+    response.body.should.be.deep.equal({ error: "InvalidSignatureError", reason: "Invalid signature" });
+
+    response = await request(server, "POST", "/intents", { ...intent, message: { ...intent.message, nonce: "1" } });
+    response.body.error.should.be.equal("InvalidSignatureError");
+
+    response = await request(server, "POST", "/intents", await bobClient.signAcceptMatch(gameId, { fee, nonce: 1 }));
+    response.body.should.be.deep.equal({ error: "InvalidNonceError", reason: "Invalid nonce" });
+
+    response = await request(server, "POST", "/intents", "{");
+    response.status.should.be.equal(400);
+    response.body.error.should.be.equal("SyntaxError");
+
+    response = await request(server, "POST", "/intents", { ...intent, type: "Transfer" });
+    response.body.error.should.be.equal("TypeError");
+  });
+
+  it("reports the contract's revert reason", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+
+    // Bob has no balance to stake from
+    const { status, body } = await request(
+      server,
+      "POST",
+      "/intents",
+      await bobClient.signAcceptMatch(gameId, { fee })
+    );
+
+    status.should.be.equal(400);
+    body.should.be.deep.equal({ error: "InsufficientBalanceError", reason: "Insufficient balance" });
+  });
+
+  it("answers 404 elsewhere", async function() {
+    (await request(server, "GET", "/intents")).status.should.be.equal(404);
+  });
+});
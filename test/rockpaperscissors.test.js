@@ -1,4 +1,6 @@
 const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+const ERC20Mock = artifacts.require("./mocks/ERC20Mock.sol");
+const WalletMock = artifacts.require("./mocks/WalletMock.sol");
 
 const { BN, expectEvent, expectRevert, balance, time } = require("openzeppelin-test-helpers");
 const { toWei, fromWei } = require("web3-utils");
@@ -13,14 +15,77 @@ const NULL = zero_uint256;
 const ROCK = new BN("1");
 const PAPER = new BN("2");
 const SCISSORS = new BN("3");
+const LIZARD = new BN("4");
+const SPOCK = new BN("5");
 const secret = new BN("1234");
-const timeoutInHours = new BN("1");
+const timeout = new BN("3600");
+const timeouts = [timeout, timeout, timeout];
+
+const Phase = {
+  NULL: new BN("0"),
+  OPEN: new BN("1"),
+  ACCEPTED: new BN("2"),
+  HAND_SHOWN: new BN("3"),
+  EXPIRED_AWAITING_CANCEL: new BN("4"),
+  EXPIRED_AWAITING_PUNISH: new BN("5"),
+  CLOSED: new BN("6")
+};
+
+const CLASSIC = new BN("0");
+const RPSLS = new BN("1");
+
+// Who beats whom in Rock-Paper-Scissors-Lizard-Spock, written out independently from the contract's bitmask
+const rpslsWins = [
+  ["SCISSORS", "PAPER"],
+  ["PAPER", "ROCK"],
+  ["ROCK", "LIZARD"],
+  ["LIZARD", "SPOCK"],
+  ["SPOCK", "SCISSORS"],
+  ["SCISSORS", "LIZARD"],
+  ["LIZARD", "PAPER"],
+  ["PAPER", "SPOCK"],
+  ["SPOCK", "ROCK"],
+  ["ROCK", "SCISSORS"]
+];
+const rpslsHands = { ROCK, PAPER, SCISSORS, LIZARD, SPOCK };
+
+// Bit (16 * a + b) of a rule set's matrix is set when hand a beats hand b
+const beat = (a, b) => new BN("1").shln(16 * a + b);
+
+const rpc = (method, params = []) =>
+  new Promise((resolve, reject) =>
+    web3.currentProvider.send({ jsonrpc: "2.0", id: Date.now(), method, params }, (error, response) =>
+      error ? reject(error) : resolve(response.result)
+    )
+  );
+
+// Ganache stamps blocks with the wall clock plus an offset. Waiting for a fresh second, then moving the offset so
+// that the clock reads timestamp, leaves most of a second to get the next transaction mined exactly at it.
+const mineNextAt = async timestamp => {
+  await new Promise(resolve => setTimeout(resolve, 1020 - (Date.now() % 1000)));
+  const offset = await rpc("evm_increaseTime", [0]);
+  await rpc("evm_increaseTime", [Number(timestamp) - Math.floor(Date.now() / 1000) - offset]);
+};
+
+const noActions = {
+  canAccept: false,
+  canShowHand: false,
+  canResolve: false,
+  canPunish: false,
+  canCancel: false,
+  canRefund: false
+};
 
 const gameIsZeroedOut = game => {
   game.stake.should.be.bignumber.equal(zero_uint256);
   game.secondPlayer.should.be.equal(zero_address);
+  game.firstPlayer.should.be.equal(zero_address);
+  game.opponent.should.be.equal(zero_address);
+  game.token.should.be.equal(zero_address);
   game.secondPlayerHand.should.be.bignumber.equal(zero_uint256);
-  game.timeout.should.be.bignumber.equal(zero_uint256);
+  game.showHandTimeout.should.be.bignumber.equal(zero_uint256);
+  game.resolveTimeout.should.be.bignumber.equal(zero_uint256);
+  game.commission.should.be.bignumber.equal(zero_uint256);
 };
 
 contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
@@ -34,6 +99,8 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
   it("initializes correctly", async function() {
     (await contract.getOwner()).should.be.equal(alice);
     (await contract.isPaused()).should.be.equal(false);
+    (await contract.isPauser(alice)).should.be.equal(true);
+    (await contract.getPendingOwner()).should.be.equal(zero_address);
   });
 
   describe("hashHand()", () => {
@@ -66,6 +133,16 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
     it("rejects null secret", async function() {
       await expectRevert(contract.hashHand(ROCK, "0", { from: alice }), "Null secret");
     });
+
+    it("accepts the hands of every rule set", async function() {
+      (await contract.hashHand(SPOCK, secret, { from: alice })).should.be.not.equal(
+        await contract.hashHand(LIZARD, secret, { from: alice })
+      );
+    });
+
+    it("rejects hands beyond the largest rule set", async function() {
+      await expectRevert(contract.hashHand(new BN("16"), secret, { from: alice }), "Invalid hand");
+    });
   });
 
   describe("createMatch()", () => {
@@ -74,40 +151,83 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
     });
 
     it("allows to create a match", async function() {
-      const { tx, logs } = await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+      const { tx, logs } = await contract.createMatch(hashedHand, ...timeouts, zero_address, {
+        from: alice,
+        value: stake
+      });
 
       const match = await contract.games(hashedHand);
 
       const currentTime = await time.latest(); // Gets the last block timestamp
-      const deadline = currentTime.add(time.duration.hours(timeoutInHours)); // deadline should be currentTime + 1 hour
+      const deadline = currentTime.add(timeout); // deadline should be currentTime + 1 hour
 
       match.stake.should.be.bignumber.equal(stake);
-      match.timeout.should.be.bignumber.equal(timeoutInHours);
+      match.showHandTimeout.should.be.bignumber.equal(timeout);
+      match.resolveTimeout.should.be.bignumber.equal(timeout);
       match.deadline.should.be.bignumber.equal(deadline);
       match.secondPlayer.should.be.equal(zero_address);
+      match.firstPlayer.should.be.equal(alice);
+      match.opponent.should.be.equal(zero_address);
+      match.token.should.be.equal(zero_address);
       match.secondPlayerHand.should.be.bignumber.equal(zero_uint256);
 
-      await expectEvent.inLogs(logs, "LogMatchCreated", { sender: alice, gameId: hashedHand, stake, deadline });
+      await expectEvent.inLogs(logs, "LogMatchCreated", {
+        sender: alice,
+        gameId: hashedHand,
+        opponent: zero_address,
+        token: zero_address,
+        stake,
+        deadline
+      });
+      await expectEvent.inLogs(logs, "LogStakeFunded", {
+        sender: alice,
+        gameId: hashedHand,
+        paid: stake,
+        fromBalance: "0"
+      });
+    });
+
+    it("allows to create a match reserved for an opponent", async function() {
+      const { tx, logs } = await contract.createMatch(hashedHand, ...timeouts, bob, { from: alice, value: stake });
+
+      const match = await contract.games(hashedHand);
+
+      const currentTime = await time.latest(); // Gets the last block timestamp
+      const deadline = currentTime.add(timeout); // deadline should be currentTime + 1 hour
+
+      match.opponent.should.be.equal(bob);
+      match.secondPlayer.should.be.equal(zero_address);
+
+      await expectEvent.inLogs(logs, "LogMatchCreated", {
+        sender: alice,
+        gameId: hashedHand,
+        opponent: bob,
+        token: zero_address,
+        stake,
+        deadline
+      });
     });
 
     it("rejects passing a hashedHand of 0x0", async function() {
       await expectRevert(
-        contract.createMatch("0x0", timeoutInHours, { from: alice, value: stake }),
+        contract.createMatch("0x0", ...timeouts, zero_address, { from: alice, value: stake }),
         "Invalid hashed hand"
       );
     });
 
-    it("rejects passing a timeout of 0", async function() {
-      await expectRevert(
-        contract.createMatch(hashedHand, "0", { from: alice, value: stake }),
-        "Timeout must be at least 1 hour"
-      );
+    it("rejects timeouts shorter than a minute", async function() {
+      for (const short of [[59, 60, 60], [60, 59, 60], [60, 60, 59], [0, 0, 0]]) {
+        await expectRevert(
+          contract.createMatch(hashedHand, ...short, zero_address, { from: alice, value: stake }),
+          "Timeout must be at least 1 minute"
+        );
+      }
     });
 
     it("rejects using a hashed hand twice", async function() {
-      await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
       await expectRevert(
-        contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake }),
+        contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake }),
         "Password used"
       );
     });
@@ -116,7 +236,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
   describe("acceptMatch()", async function() {
     beforeEach("create a match", async function() {
       hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-      await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
     });
 
     it("allows to accept a match", async function() {
@@ -125,7 +245,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       const game = await contract.games(hashedHand);
 
       const currentTime = await time.latest(); // Gets the last block timestamp
-      const deadline = currentTime.add(time.duration.hours(timeoutInHours)); // deadline should be currentTime + 1 hour
+      const deadline = currentTime.add(timeout); // deadline should be currentTime + 1 hour
 
       game.secondPlayer.should.be.equal(bob);
       game.stake.should.be.bignumber.equal(stake.mul(new BN("2")));
@@ -137,6 +257,12 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
         stake: stake.mul(new BN("2")),
         deadline
       });
+      await expectEvent.inLogs(logs, "LogStakeFunded", {
+        sender: bob,
+        gameId: hashedHand,
+        paid: stake,
+        fromBalance: "0"
+      });
     });
 
     it("rejects joining a non existant game", async function() {
@@ -146,7 +272,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
     });
 
     it("rejects joining after deadline has passed", async function() {
-      await time.increase(time.duration.hours(timeoutInHours));
+      await time.increase(timeout);
       await expectRevert(contract.acceptMatch(hashedHand, { from: mallory, value: stake }), "Deadline passed");
     });
 
@@ -163,10 +289,76 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
     });
   });
 
+  describe("acceptMatch() with a designated opponent", async function() {
+    beforeEach("create a match reserved for bob", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, bob, { from: alice, value: stake });
+    });
+
+    it("allows the opponent to accept the match", async function() {
+      const { tx, logs } = await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+
+      const game = await contract.games(hashedHand);
+
+      const currentTime = await time.latest(); // Gets the last block timestamp
+      const deadline = currentTime.add(timeout); // deadline should be currentTime + 1 hour
+
+      game.secondPlayer.should.be.equal(bob);
+      game.stake.should.be.bignumber.equal(stake.mul(new BN("2")));
+      game.deadline.should.be.bignumber.equal(deadline);
+
+      await expectEvent.inLogs(logs, "LogMatchAccepted", {
+        sender: bob,
+        gameId: hashedHand,
+        stake: stake.mul(new BN("2")),
+        deadline
+      });
+    });
+
+    it("rejects joining if the caller is not the opponent", async function() {
+      await expectRevert(
+        contract.acceptMatch(hashedHand, { from: mallory, value: stake }),
+        "Match reserved for another player"
+      );
+    });
+
+    it("rejects the creator joining his / her own match", async function() {
+      await expectRevert(
+        contract.acceptMatch(hashedHand, { from: alice, value: stake }),
+        "Match reserved for another player"
+      );
+    });
+
+    it("rejects the opponent joining after deadline has passed", async function() {
+      await time.increase(timeout);
+      await expectRevert(contract.acceptMatch(hashedHand, { from: bob, value: stake }), "Deadline passed");
+    });
+
+    it("rejects the opponent joining if stake is not matched", async function() {
+      await expectRevert(contract.acceptMatch(hashedHand, { from: bob, value: "0" }), "Invalid stake");
+    });
+
+    it("rejects the opponent joining twice", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await expectRevert(
+        contract.acceptMatch(hashedHand, { from: bob, value: stake.mul(new BN("2")) }),
+        "Match contested by another player"
+      );
+    });
+
+    it("lets the creator cancel if the opponent never joins", async function() {
+      await time.increase(timeout.add(new BN("1")));
+      await contract.cancelGame(ROCK, secret, { from: alice });
+
+      (await contract.balances(alice)).should.be.bignumber.equal(stake);
+      gameIsZeroedOut(await contract.games(hashedHand));
+    });
+  });
+
   describe("showHand()", () => {
     beforeEach("create a match and let a player join", async function() {
       hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-      await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
       await contract.acceptMatch(hashedHand, { from: bob, value: stake });
     });
 
@@ -176,7 +368,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       const game = await contract.games(hashedHand);
 
       const currentTime = await time.latest(); // Gets the last block timestamp
-      const deadline = currentTime.add(time.duration.hours(timeoutInHours)); // deadline should be currentTime + 1 hour
+      const deadline = currentTime.add(timeout); // deadline should be currentTime + 1 hour
 
       game.secondPlayerHand.should.be.bignumber.equal(ROCK);
       game.deadline.should.be.bignumber.equal(deadline);
@@ -201,7 +393,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       await expectRevert(contract.showHand(hashedHand, ROCK, { from: bob }), "Cannot pick hand twice");
     });
     it("rejects showing hand if deadline has passed", async function() {
-      await time.increase(time.duration.hours(timeoutInHours));
+      await time.increase(timeout);
       await expectRevert(contract.showHand(hashedHand, ROCK, { from: bob }), "Deadline passed");
     });
   });
@@ -211,7 +403,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = ROCK & Bob = ROCK", async function() {
         it("ties", async function() {
           hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, ROCK, { from: bob });
 
@@ -236,7 +428,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = PAPER & Bob = PAPER", async function() {
         it("ties", async function() {
           hashedHand = await contract.hashHand(PAPER, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, PAPER, { from: bob });
 
@@ -261,7 +453,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = SCISSORS & Bob = SCISSORS", async function() {
         it("ties", async function() {
           hashedHand = await contract.hashHand(SCISSORS, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, SCISSORS, { from: bob });
 
@@ -286,7 +478,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = ROCK & Bob = PAPER", async function() {
         it("Bob wins", async function() {
           hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, PAPER, { from: bob });
 
@@ -314,7 +506,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = ROCK & Bob = SCISSORS", async function() {
         it("Alice wins", async function() {
           hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, SCISSORS, { from: bob });
 
@@ -342,7 +534,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = PAPER & Bob = ROCK", async function() {
         it("Alice wins", async function() {
           hashedHand = await contract.hashHand(PAPER, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, ROCK, { from: bob });
 
@@ -370,7 +562,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = PAPER & Bob = SCISSORS", async function() {
         it("Bob wins", async function() {
           hashedHand = await contract.hashHand(PAPER, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, SCISSORS, { from: bob });
 
@@ -398,7 +590,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = SCISSORS & Bob = ROCK", async function() {
         it("Bob wins", async function() {
           hashedHand = await contract.hashHand(SCISSORS, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, ROCK, { from: bob });
 
@@ -426,7 +618,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       describe("Alice = SCISSORS & Bob = PAPER", async function() {
         it("Alice wins", async function() {
           hashedHand = await contract.hashHand(SCISSORS, secret, { from: alice });
-          await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+          await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
           await contract.acceptMatch(hashedHand, { from: bob, value: stake });
           await contract.showHand(hashedHand, PAPER, { from: bob });
 
@@ -459,7 +651,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
     describe("Prohibited operation", () => {
       beforeEach("create a match", async function() {
         hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-        await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+        await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
       });
 
       it("rejects if second player has not joined", async function() {
@@ -469,7 +661,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       it("rejects if deadline has passed", async function() {
         await contract.acceptMatch(hashedHand, { from: bob, value: stake });
         await contract.showHand(hashedHand, ROCK, { from: bob });
-        await time.increase(time.duration.hours(timeoutInHours).add(new BN("1")));
+        await time.increase(timeout.add(new BN("1")));
         await expectRevert(contract.resolveMatch(ROCK, secret, { from: alice }), "Deadline passed");
       });
 
@@ -486,7 +678,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
   describe("punish()", () => {
     beforeEach("create a match", async function() {
       hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-      await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
     });
 
     describe("Normal operation", () => {
@@ -496,7 +688,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       });
 
       it("allows to punish the creator of the game", async function() {
-        await time.increase(time.duration.hours(timeoutInHours).add(new BN("1")));
+        await time.increase(timeout.add(new BN("1")));
         const { tx, logs } = await contract.punish(hashedHand, { from: bob });
 
         (await contract.balances(bob)).should.be.bignumber.equal(stake.mul(new BN("2")));
@@ -571,12 +763,12 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
   describe("cancelGame()", () => {
     beforeEach("create a game", async function() {
       hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
-      await contract.createMatch(hashedHand, timeoutInHours, { from: alice, value: stake });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
     });
 
     describe("Normal operation", () => {
       it("allows to cancel a game if a player has not joined", async function() {
-        await time.increase(time.duration.hours(timeoutInHours).add(new BN("1")));
+        await time.increase(timeout.add(new BN("1")));
         const { tx, logs } = await contract.cancelGame(ROCK, secret, { from: alice });
 
         (await contract.balances(alice)).should.be.bignumber.equal(stake);
@@ -587,7 +779,7 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
 
       it("allows to punish the second player if a hand was not shown", async function() {
         await contract.acceptMatch(hashedHand, { from: bob, value: stake });
-        await time.increase(time.duration.hours(timeoutInHours).add(new BN("1")));
+        await time.increase(timeout.add(new BN("1")));
         const { tx, logs } = await contract.cancelGame(ROCK, secret, { from: alice });
 
         (await contract.balances(alice)).should.be.bignumber.equal(stake.mul(new BN("2")));
@@ -631,4 +823,1307 @@ contract("RockPaperScissors", ([alice, bob, mallory, ...accounts]) => {
       });
     });
   });
+  describe("per-phase timeouts", () => {
+    const joinTimeout = new BN("120");
+    const showHandTimeout = new BN("300");
+    const resolveTimeout = new BN("600");
+
+    const deadlineOf = async gameId => (await contract.games(gameId)).deadline;
+
+    beforeEach("create a quick match", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, joinTimeout, showHandTimeout, resolveTimeout, zero_address, {
+        from: alice,
+        value: stake
+      });
+    });
+
+    it("gives each phase its own window", async function() {
+      const game = await contract.games(hashedHand);
+      game.showHandTimeout.should.be.bignumber.equal(showHandTimeout);
+      game.resolveTimeout.should.be.bignumber.equal(resolveTimeout);
+      game.deadline.should.be.bignumber.equal((await time.latest()).add(joinTimeout));
+
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      (await deadlineOf(hashedHand)).should.be.bignumber.equal((await time.latest()).add(showHandTimeout));
+
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      (await deadlineOf(hashedHand)).should.be.bignumber.equal((await time.latest()).add(resolveTimeout));
+    });
+
+    it("lets a match be accepted up to a second before the join deadline", async function() {
+      await mineNextAt((await deadlineOf(hashedHand)).subn(1));
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+
+      (await contract.games(hashedHand)).secondPlayer.should.be.equal(bob);
+    });
+
+    it("cancels instead of accepting at exactly the join deadline", async function() {
+      const deadline = await deadlineOf(hashedHand);
+
+      await mineNextAt(deadline);
+      await expectRevert(contract.acceptMatch(hashedHand, { from: bob, value: stake }), "Deadline passed");
+      (await time.latest()).should.be.bignumber.equal(deadline);
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_CANCEL);
+
+      await mineNextAt(deadline.addn(1));
+      await contract.cancelGame(ROCK, secret, { from: alice });
+      gameIsZeroedOut(await contract.games(hashedHand));
+    });
+
+    it("refuses cancelling a second before the join deadline", async function() {
+      await mineNextAt((await deadlineOf(hashedHand)).subn(1));
+      await expectRevert(contract.cancelGame(ROCK, secret, { from: alice }), "Deadline has not passed");
+    });
+
+    it("lets the creator cancel at exactly the show hand deadline", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      const deadline = await deadlineOf(hashedHand);
+
+      await mineNextAt(deadline);
+      await contract.cancelGame(ROCK, secret, { from: alice });
+
+      (await time.latest()).should.be.bignumber.equal(deadline);
+      (await contract.balances(alice)).should.be.bignumber.equal(stake.muln(2));
+    });
+
+    it("refuses showing a hand at exactly the show hand deadline", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      const deadline = await deadlineOf(hashedHand);
+
+      await mineNextAt(deadline);
+      await expectRevert(contract.showHand(hashedHand, PAPER, { from: bob }), "Deadline passed");
+      (await time.latest()).should.be.bignumber.equal(deadline);
+    });
+
+    it("lets the second player punish at exactly the resolve deadline", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      const deadline = await deadlineOf(hashedHand);
+
+      await mineNextAt(deadline.subn(1));
+      await expectRevert(contract.punish(hashedHand, { from: bob }), "Deadline has not passed");
+      await mineNextAt(deadline);
+      await contract.punish(hashedHand, { from: bob });
+
+      (await time.latest()).should.be.bignumber.equal(deadline);
+      (await contract.balances(bob)).should.be.bignumber.equal(stake.muln(2));
+    });
+
+    it("refuses resolving at exactly the resolve deadline", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      const deadline = await deadlineOf(hashedHand);
+
+      await mineNextAt(deadline);
+      await expectRevert(contract.resolveMatch(ROCK, secret, { from: alice }), "Deadline passed");
+      (await time.latest()).should.be.bignumber.equal(deadline);
+      (await contract.legalActions(hashedHand, bob)).canPunish.should.be.equal(true);
+    });
+  });
+
+  describe("token stakes", () => {
+    const tokenStake = new BN("1000");
+    let token;
+
+    beforeEach("deploy a token and approve the contract", async function() {
+      token = await ERC20Mock.new({ from: alice });
+      for (const player of [alice, bob]) {
+        await token.mint(player, tokenStake.mul(new BN("10")), { from: alice });
+        await token.approve(contract.address, tokenStake.mul(new BN("10")), { from: player });
+      }
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+    });
+
+    const createAndAccept = async () => {
+      await contract.createTokenMatch(hashedHand, ...timeouts, zero_address, token.address, tokenStake, {
+        from: alice
+      });
+      await contract.acceptMatch(hashedHand, { from: bob });
+    };
+
+    it("allows to create a match staking tokens", async function() {
+      const { tx, logs } = await contract.createTokenMatch(
+        hashedHand,
+        ...timeouts,
+        zero_address,
+        token.address,
+        tokenStake,
+        { from: alice }
+      );
+
+      const match = await contract.games(hashedHand);
+      const deadline = (await time.latest()).add(timeout);
+
+      match.token.should.be.equal(token.address);
+      match.stake.should.be.bignumber.equal(tokenStake);
+      (await token.balanceOf(contract.address)).should.be.bignumber.equal(tokenStake);
+
+      await expectEvent.inLogs(logs, "LogMatchCreated", {
+        sender: alice,
+        gameId: hashedHand,
+        opponent: zero_address,
+        token: token.address,
+        stake: tokenStake,
+        deadline
+      });
+    });
+
+    it("pulls the matching amount of tokens on acceptMatch()", async function() {
+      await createAndAccept();
+
+      (await contract.games(hashedHand)).stake.should.be.bignumber.equal(tokenStake.mul(new BN("2")));
+      (await token.balanceOf(contract.address)).should.be.bignumber.equal(tokenStake.mul(new BN("2")));
+      (await token.balanceOf(bob)).should.be.bignumber.equal(tokenStake.mul(new BN("9")));
+    });
+
+    it("credits token balances, not ether balances", async function() {
+      await createAndAccept();
+      await contract.showHand(hashedHand, SCISSORS, { from: bob });
+
+      const { tx, logs } = await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      (await contract.tokenBalances(token.address, alice)).should.be.bignumber.equal(tokenStake.mul(new BN("2")));
+      (await contract.balances(alice)).should.be.bignumber.equal(zero_uint256);
+      await expectEvent.inLogs(logs, "LogTokenBalanceIncreased", {
+        sender: alice,
+        token: token.address,
+        to: alice,
+        amount: tokenStake.mul(new BN("2"))
+      });
+      gameIsZeroedOut(await contract.games(hashedHand));
+    });
+
+    it("allows to withdraw a token balance", async function() {
+      await createAndAccept();
+      await contract.showHand(hashedHand, ROCK, { from: bob });
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      const { tx, logs } = await contract.withdrawToken(token.address, { from: bob });
+
+      (await contract.tokenBalances(token.address, bob)).should.be.bignumber.equal(zero_uint256);
+      (await token.balanceOf(bob)).should.be.bignumber.equal(tokenStake.mul(new BN("10")));
+      await expectEvent.inLogs(logs, "LogTokenBalanceWithdraw", {
+        sender: bob,
+        token: token.address,
+        amount: tokenStake
+      });
+    });
+
+    it("credits tokens on punish() and cancelGame()", async function() {
+      await createAndAccept();
+      await contract.showHand(hashedHand, ROCK, { from: bob });
+
+      const cancelled = await contract.hashHand(PAPER, secret, { from: alice });
+      await contract.createTokenMatch(cancelled, ...timeouts, zero_address, token.address, tokenStake, {
+        from: alice
+      });
+
+      await time.increase(timeout.add(new BN("1")));
+      await contract.punish(hashedHand, { from: bob });
+      await contract.cancelGame(PAPER, secret, { from: alice });
+
+      (await contract.tokenBalances(token.address, bob)).should.be.bignumber.equal(tokenStake.mul(new BN("2")));
+      (await contract.tokenBalances(token.address, alice)).should.be.bignumber.equal(tokenStake);
+    });
+
+    it("rejects creating a token match without a token", async function() {
+      await expectRevert(
+        contract.createTokenMatch(hashedHand, ...timeouts, zero_address, zero_address, tokenStake, { from: alice }),
+        "Invalid token"
+      );
+    });
+
+    it("rejects creating a token match without allowance", async function() {
+      await token.approve(contract.address, zero_uint256, { from: alice });
+      await expectRevert.unspecified(
+        contract.createTokenMatch(hashedHand, ...timeouts, zero_address, token.address, tokenStake, { from: alice })
+      );
+    });
+
+    it("rejects joining a token match with ether", async function() {
+      await contract.createTokenMatch(hashedHand, ...timeouts, zero_address, token.address, tokenStake, {
+        from: alice
+      });
+      await expectRevert(contract.acceptMatch(hashedHand, { from: bob, value: tokenStake }), "Invalid stake");
+    });
+
+    it("rejects joining a token match without allowance", async function() {
+      await contract.createTokenMatch(hashedHand, ...timeouts, zero_address, token.address, tokenStake, {
+        from: alice
+      });
+      await token.approve(contract.address, zero_uint256, { from: bob });
+      await expectRevert.unspecified(contract.acceptMatch(hashedHand, { from: bob }));
+    });
+
+    it("rejects withdrawing an empty token balance", async function() {
+      await expectRevert.unspecified(contract.withdrawToken(token.address, { from: bob }));
+    });
+  });
+
+  describe("staking from the balance", () => {
+    const half = stake.div(new BN("2"));
+    let gameIds;
+
+    // The ether held by the contract must always cover every balance and every live ether stake
+    const contractIsSolvent = async () => {
+      let owed = zero_uint256;
+      for (const player of [alice, bob, mallory]) owed = owed.add(await contract.balances(player));
+      for (const gameId of gameIds) {
+        const game = await contract.games(gameId);
+        if (game.token === zero_address) owed = owed.add(game.stake);
+      }
+      (await balance.current(contract.address)).should.be.bignumber.equal(owed);
+    };
+
+    const newGameId = async hand => {
+      const gameId = await contract.hashHand(hand, secret, { from: alice });
+      gameIds.push(gameId);
+      return gameId;
+    };
+
+    beforeEach("tie a game so that alice and bob have a balance of one stake each", async function() {
+      gameIds = [];
+      const tied = await newGameId(SCISSORS);
+      await contract.createMatch(tied, ...timeouts, zero_address, { from: alice, value: stake });
+      await contract.acceptMatch(tied, { from: bob, value: stake });
+      await contract.showHand(tied, SCISSORS, { from: bob });
+      await contract.resolveMatch(SCISSORS, secret, { from: alice });
+      await contractIsSolvent();
+    });
+
+    it("allows to create a match with the whole stake from the balance", async function() {
+      hashedHand = await newGameId(ROCK);
+      const { tx, logs } = await contract.createMatchWithBalance(hashedHand, ...timeouts, zero_address, stake, {
+        from: alice
+      });
+
+      (await contract.games(hashedHand)).stake.should.be.bignumber.equal(stake);
+      (await contract.balances(alice)).should.be.bignumber.equal(zero_uint256);
+      await expectEvent.inLogs(logs, "LogStakeFunded", {
+        sender: alice,
+        gameId: hashedHand,
+        paid: "0",
+        fromBalance: stake
+      });
+      await expectEvent.inLogs(logs, "LogBalanceDecreased", { sender: alice, amount: stake });
+      await contractIsSolvent();
+    });
+
+    it("allows to create a match with part of the stake from the balance", async function() {
+      hashedHand = await newGameId(ROCK);
+      const { tx, logs } = await contract.createMatchWithBalance(hashedHand, ...timeouts, zero_address, half, {
+        from: alice,
+        value: stake
+      });
+
+      (await contract.games(hashedHand)).stake.should.be.bignumber.equal(stake.add(half));
+      (await contract.balances(alice)).should.be.bignumber.equal(stake.sub(half));
+      await expectEvent.inLogs(logs, "LogStakeFunded", {
+        sender: alice,
+        gameId: hashedHand,
+        paid: stake,
+        fromBalance: half
+      });
+      await contractIsSolvent();
+    });
+
+    it("allows to accept a match with the whole stake from the balance", async function() {
+      hashedHand = await newGameId(ROCK);
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+
+      const { tx, logs } = await contract.acceptMatchWithBalance(hashedHand, { from: bob });
+
+      (await contract.games(hashedHand)).stake.should.be.bignumber.equal(stake.mul(new BN("2")));
+      (await contract.balances(bob)).should.be.bignumber.equal(zero_uint256);
+      await expectEvent.inLogs(logs, "LogStakeFunded", {
+        sender: bob,
+        gameId: hashedHand,
+        paid: "0",
+        fromBalance: stake
+      });
+      await expectEvent.inLogs(logs, "LogBalanceDecreased", { sender: bob, amount: stake });
+      await contractIsSolvent();
+    });
+
+    it("allows to accept a match with part of the stake from the balance", async function() {
+      hashedHand = await newGameId(ROCK);
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+
+      const { tx, logs } = await contract.acceptMatchWithBalance(hashedHand, { from: bob, value: half });
+
+      (await contract.balances(bob)).should.be.bignumber.equal(half);
+      await expectEvent.inLogs(logs, "LogStakeFunded", {
+        sender: bob,
+        gameId: hashedHand,
+        paid: half,
+        fromBalance: stake.sub(half)
+      });
+      await contractIsSolvent();
+    });
+
+    it("stays solvent through a whole game staked from balances", async function() {
+      hashedHand = await newGameId(ROCK);
+      await contract.createMatchWithBalance(hashedHand, ...timeouts, zero_address, stake, { from: alice });
+      await contractIsSolvent();
+      await contract.acceptMatchWithBalance(hashedHand, { from: bob, value: half });
+      await contractIsSolvent();
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+      await contractIsSolvent();
+
+      (await contract.balances(bob)).should.be.bignumber.equal(stake.mul(new BN("2")).add(half));
+      await contract.withdraw({ from: bob });
+      await contractIsSolvent();
+      (await balance.current(contract.address)).should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("rejects creating a match with more than the balance", async function() {
+      hashedHand = await newGameId(ROCK);
+      await expectRevert(
+        contract.createMatchWithBalance(hashedHand, ...timeouts, zero_address, stake.add(new BN("1")), {
+          from: alice
+        }),
+        "Insufficient balance"
+      );
+      await expectRevert(
+        contract.createMatchWithBalance(hashedHand, ...timeouts, zero_address, stake, { from: mallory }),
+        "Insufficient balance"
+      );
+    });
+
+    it("rejects accepting a match with more than the balance", async function() {
+      hashedHand = await newGameId(ROCK);
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, {
+        from: alice,
+        value: stake.mul(new BN("2"))
+      });
+
+      await expectRevert(contract.acceptMatchWithBalance(hashedHand, { from: bob }), "Insufficient balance");
+    });
+
+    it("rejects sending more than the stake", async function() {
+      hashedHand = await newGameId(ROCK);
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+
+      await expectRevert(
+        contract.acceptMatchWithBalance(hashedHand, { from: bob, value: stake.add(new BN("1")) }),
+        "Invalid stake"
+      );
+    });
+
+    it("rejects accepting a token match from the ether balance", async function() {
+      const token = await ERC20Mock.new({ from: alice });
+      await token.mint(alice, stake, { from: alice });
+      await token.approve(contract.address, stake, { from: alice });
+      hashedHand = await newGameId(ROCK);
+      await contract.createTokenMatch(hashedHand, ...timeouts, zero_address, token.address, stake, { from: alice });
+
+      await expectRevert(contract.acceptMatchWithBalance(hashedHand, { from: bob }), "Invalid stake");
+    });
+  });
+
+  describe("rule sets", () => {
+    it("registers classic and RPSLS rules", async function() {
+      (await contract.ruleSetCount()).should.be.bignumber.equal(new BN("2"));
+      (await contract.ruleSets(CLASSIC)).hands.should.be.bignumber.equal(new BN("3"));
+      (await contract.ruleSets(RPSLS)).hands.should.be.bignumber.equal(new BN("5"));
+      (await contract.isValidHand(CLASSIC, LIZARD)).should.be.equal(false);
+      (await contract.isValidHand(RPSLS, LIZARD)).should.be.equal(true);
+    });
+
+    it("allows to create a match under a rule set", async function() {
+      hashedHand = await contract.hashHand(SPOCK, secret, { from: alice });
+      const { logs } = await contract.createMatchWithRules(hashedHand, ...timeouts, zero_address, RPSLS, {
+        from: alice,
+        value: stake
+      });
+
+      (await contract.games(hashedHand)).ruleSet.should.be.bignumber.equal(RPSLS);
+      await expectEvent.inLogs(logs, "LogMatchCreated", { sender: alice, gameId: hashedHand, ruleSet: RPSLS, stake });
+    });
+
+    it("rejects unknown rule sets", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await expectRevert(
+        contract.createMatchWithRules(hashedHand, ...timeouts, zero_address, new BN("2"), {
+          from: alice,
+          value: stake
+        }),
+        "Invalid rule set"
+      );
+    });
+
+    it("rejects showing a hand the game's rules do not have", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+
+      await expectRevert(contract.showHand(hashedHand, LIZARD, { from: bob }), "Invalid hand");
+    });
+
+    it("rejects resolving with a hand the game's rules do not have", async function() {
+      hashedHand = await contract.hashHand(SPOCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, ROCK, { from: bob });
+
+      await expectRevert(contract.resolveMatch(SPOCK, secret, { from: alice }), "Invalid hand");
+    });
+
+    describe("RPSLS", () => {
+      Object.keys(rpslsHands).forEach(aliceHand => {
+        Object.keys(rpslsHands).forEach(bobHand => {
+          const aliceWins = rpslsWins.some(([winner, loser]) => winner === aliceHand && loser === bobHand);
+          const bobWins = rpslsWins.some(([winner, loser]) => winner === bobHand && loser === aliceHand);
+          const outcome = aliceWins ? "alice wins" : bobWins ? "bob wins" : "ties";
+
+          it(`Alice = ${aliceHand} & Bob = ${bobHand}: ${outcome}`, async function() {
+            hashedHand = await contract.hashHand(rpslsHands[aliceHand], secret, { from: alice });
+            await contract.createMatchWithRules(hashedHand, ...timeouts, zero_address, RPSLS, {
+              from: alice,
+              value: stake
+            });
+            await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+            await contract.showHand(hashedHand, rpslsHands[bobHand], { from: bob });
+
+            const { logs } = await contract.resolveMatch(rpslsHands[aliceHand], secret, { from: alice });
+
+            const winner = aliceWins ? alice : bobWins ? bob : zero_address;
+            const aliceWage = aliceWins ? stake.mul(new BN("2")) : bobWins ? zero_uint256 : stake;
+            await expectEvent.inLogs(logs, "LogMatchResolved", {
+              sender: alice,
+              gameId: hashedHand,
+              winner,
+              firstPlayerHand: rpslsHands[aliceHand],
+              firstPlayerWage: aliceWage,
+              secondPlayerWage: stake.mul(new BN("2")).sub(aliceWage)
+            });
+          });
+        });
+      });
+    });
+
+    describe("registerRuleSet()", () => {
+      // Four hands where 1 beats 2, 2 beats 3, 3 beats 4 and 4 beats 1; 1 and 3, 2 and 4 tie
+      const cycle = beat(1, 2)
+        .or(beat(2, 3))
+        .or(beat(3, 4))
+        .or(beat(4, 1));
+
+      it("lets the owner register a custom win matrix", async function() {
+        const { logs } = await contract.registerRuleSet(new BN("4"), cycle, { from: alice });
+
+        await expectEvent.inLogs(logs, "LogRuleSetRegistered", {
+          sender: alice,
+          ruleSet: new BN("2"),
+          hands: new BN("4"),
+          beats: cycle
+        });
+        (await contract.handBeats(new BN("2"), new BN("4"), new BN("1"))).should.be.equal(true);
+        (await contract.handBeats(new BN("2"), new BN("1"), new BN("4"))).should.be.equal(false);
+      });
+
+      it("resolves games under the custom win matrix", async function() {
+        await contract.registerRuleSet(new BN("4"), cycle, { from: alice });
+
+        const ties = await contract.hashHand(new BN("1"), secret, { from: alice });
+        await contract.createMatchWithRules(ties, ...timeouts, zero_address, new BN("2"), {
+          from: alice,
+          value: stake
+        });
+        await contract.acceptMatch(ties, { from: bob, value: stake });
+        await contract.showHand(ties, new BN("3"), { from: bob });
+        let { logs } = await contract.resolveMatch(new BN("1"), secret, { from: alice });
+        await expectEvent.inLogs(logs, "LogMatchResolved", { winner: zero_address, firstPlayerWage: stake });
+
+        const loses = await contract.hashHand(new BN("1"), new BN("5678"), { from: alice });
+        await contract.createMatchWithRules(loses, ...timeouts, zero_address, new BN("2"), {
+          from: alice,
+          value: stake
+        });
+        await contract.acceptMatch(loses, { from: bob, value: stake });
+        await contract.showHand(loses, new BN("4"), { from: bob });
+        ({ logs } = await contract.resolveMatch(new BN("1"), new BN("5678"), { from: alice }));
+        await expectEvent.inLogs(logs, "LogMatchResolved", { winner: bob, firstPlayerWage: zero_uint256 });
+      });
+
+      it("rejects registrations from anyone but the owner", async function() {
+        await expectRevert(
+          contract.registerRuleSet(new BN("4"), cycle, { from: mallory }),
+          "Can only be called by the owner"
+        );
+      });
+
+      it("rejects inconsistent matrices", async function() {
+        await expectRevert(contract.registerRuleSet(new BN("2"), beat(1, 2), { from: alice }), "Invalid rule set");
+        await expectRevert(contract.registerRuleSet(new BN("3"), beat(1, 4), { from: alice }), "Invalid rule set");
+        await expectRevert(contract.registerRuleSet(new BN("3"), beat(2, 2), { from: alice }), "Invalid rule set");
+        await expectRevert(
+          contract.registerRuleSet(new BN("3"), beat(1, 2).or(beat(2, 1)), { from: alice }),
+          "Invalid rule set"
+        );
+      });
+    });
+  });
+
+  describe("withdrawals", () => {
+    let wallet;
+
+    const execute = (method, value = "0") =>
+      wallet.execute(contract.address, value, method.encodeABI(), { from: mallory, value });
+
+    // Alice beats bob and the wallet, which beats alice in turn: both hold twice the stake
+    beforeEach("let alice and a wallet contract win a game each", async function() {
+      wallet = await WalletMock.new({ from: mallory });
+
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, SCISSORS, { from: bob });
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      const walletGame = await contract.hashHand(SCISSORS, secret, { from: alice });
+      await contract.createMatch(walletGame, ...timeouts, zero_address, { from: alice, value: stake });
+      await execute(contract.contract.methods.acceptMatch(walletGame), stake);
+      await execute(contract.contract.methods.showHand(walletGame, ROCK.toString()));
+      await contract.resolveMatch(SCISSORS, secret, { from: alice });
+    });
+
+    it("withdraws part of the balance", async function() {
+      const aliceBalance = await balance.tracker(alice);
+      const { receipt, logs } = await contract.withdrawTo(alice, stake, { from: alice, gasPrice: 1 });
+
+      (await aliceBalance.delta()).should.be.bignumber.equal(stake.sub(new BN(receipt.gasUsed)));
+      (await contract.balances(alice)).should.be.bignumber.equal(stake);
+      await expectEvent.inLogs(logs, "LogBalanceWithdraw", { sender: alice, to: alice, amount: stake });
+    });
+
+    it("withdraws to another address", async function() {
+      const malloryBalance = await balance.tracker(mallory);
+      const { logs } = await contract.withdrawTo(mallory, stake.muln(2), { from: alice });
+
+      (await malloryBalance.delta()).should.be.bignumber.equal(stake.muln(2));
+      (await contract.balances(alice)).should.be.bignumber.equal(zero_uint256);
+      await expectEvent.inLogs(logs, "LogBalanceWithdraw", { sender: alice, to: mallory, amount: stake.muln(2) });
+    });
+
+    it("pays wallets whose fallback needs more than 2300 gas", async function() {
+      await contract.withdrawTo(wallet.address, stake, { from: alice });
+      await execute(contract.contract.methods.withdraw());
+
+      (await balance.current(wallet.address)).should.be.bignumber.equal(stake.muln(3));
+      (await wallet.payments()).should.be.bignumber.equal(new BN("2"));
+      (await contract.balances(wallet.address)).should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("keeps the balance when the recipient refuses the payment", async function() {
+      await wallet.setRefusing(true);
+
+      await expectRevert(contract.withdrawTo(wallet.address, stake, { from: alice }), "Payout failed");
+      (await contract.balances(alice)).should.be.bignumber.equal(stake.muln(2));
+    });
+
+    it("rejects recipients calling back in while being paid", async function() {
+      // Paying out to mallory would succeed on its own, only the guard stops it from within the payment
+      await wallet.setCallback(contract.contract.methods.withdrawTo(mallory, "1").encodeABI());
+
+      await expectRevert(
+        execute(contract.contract.methods.withdrawTo(wallet.address, stake.toString())),
+        "Payout failed"
+      );
+      (await contract.balances(wallet.address)).should.be.bignumber.equal(stake.muln(2));
+
+      await wallet.setCallback("0x");
+      await execute(contract.contract.methods.withdrawTo(wallet.address, stake.toString()));
+      (await contract.balances(wallet.address)).should.be.bignumber.equal(stake);
+    });
+
+    it("rejects withdrawing more than the balance, nothing or to the zero address", async function() {
+      await expectRevert(contract.withdrawTo(alice, stake.muln(2).addn(1), { from: alice }), "Insufficient balance");
+      await expectRevert(contract.withdrawTo(alice, "0", { from: alice }), "Nothing to withdraw");
+      await expectRevert(contract.withdrawTo(zero_address, stake, { from: alice }), "recipient is empty");
+      await expectRevert(contract.withdraw({ from: mallory }), "Nothing to withdraw");
+    });
+  });
+
+  describe("house commission", () => {
+    // An odd stake and a rate that do not divide evenly: 2.5% of 2468 wei is 61.7 wei
+    const oddStake = new BN("1234");
+    const rate = new BN("250");
+    const pot = oddStake.mul(new BN("2"));
+    const fee = new BN("61");
+
+    const playGame = async (aliceHand, bobHand) => {
+      hashedHand = await contract.hashHand(aliceHand, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: oddStake });
+      await contract.acceptMatch(hashedHand, { from: bob, value: oddStake });
+      await contract.showHand(hashedHand, bobHand, { from: bob });
+    };
+
+    beforeEach("set a commission", async function() {
+      await contract.setCommission(rate, { from: alice });
+    });
+
+    it("lets the owner set the commission", async function() {
+      const { logs } = await contract.setCommission(new BN("1000"), { from: alice });
+
+      (await contract.commission()).should.be.bignumber.equal(new BN("1000"));
+      await expectEvent.inLogs(logs, "LogCommissionChanged", { sender: alice, commission: new BN("1000") });
+    });
+
+    it("rejects commissions above the cap", async function() {
+      await expectRevert(contract.setCommission(new BN("1001"), { from: alice }), "Commission too high");
+    });
+
+    it("rejects commission changes from anyone but the owner", async function() {
+      await expectRevert(contract.setCommission(new BN("0"), { from: mallory }), "Can only be called by the owner");
+    });
+
+    it("takes the commission from the winner's pot", async function() {
+      await playGame(ROCK, SCISSORS);
+      const { logs } = await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      await expectEvent.inLogs(logs, "LogCommissionCharged", {
+        sender: alice,
+        gameId: hashedHand,
+        token: zero_address,
+        amount: fee
+      });
+      await expectEvent.inLogs(logs, "LogMatchResolved", {
+        winner: alice,
+        firstPlayerWage: new BN("2407"),
+        secondPlayerWage: zero_uint256
+      });
+      (await contract.balances(alice)).should.be.bignumber.equal(new BN("2407"));
+      (await contract.commissions(zero_address)).should.be.bignumber.equal(fee);
+    });
+
+    it("gives the odd wei of a tie to the second player", async function() {
+      await playGame(PAPER, PAPER);
+      const { logs } = await contract.resolveMatch(PAPER, secret, { from: alice });
+
+      await expectEvent.inLogs(logs, "LogMatchResolved", {
+        winner: zero_address,
+        firstPlayerWage: new BN("1203"),
+        secondPlayerWage: new BN("1204")
+      });
+      (await contract.commissions(zero_address)).should.be.bignumber.equal(fee);
+    });
+
+    it("takes the commission when punishing", async function() {
+      await playGame(ROCK, PAPER);
+      await time.increase(timeout.add(new BN("1")));
+      const { logs } = await contract.punish(hashedHand, { from: bob });
+
+      await expectEvent.inLogs(logs, "LogCommissionCharged", { sender: bob, amount: fee });
+      (await contract.balances(bob)).should.be.bignumber.equal(pot.sub(fee));
+    });
+
+    it("does not take a commission on cancelled games", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: oddStake });
+      await time.increase(timeout.add(new BN("1")));
+      await contract.cancelGame(ROCK, secret, { from: alice });
+
+      (await contract.balances(alice)).should.be.bignumber.equal(oddStake);
+      (await contract.commissions(zero_address)).should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("charges nothing when the commission rounds down to zero", async function() {
+      // 2.5% of 20 wei is half a wei
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: new BN("10") });
+      await contract.acceptMatch(hashedHand, { from: bob, value: new BN("10") });
+      await contract.showHand(hashedHand, SCISSORS, { from: bob });
+      const { logs } = await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      logs.filter(log => log.event === "LogCommissionCharged").length.should.be.equal(0);
+      (await contract.balances(alice)).should.be.bignumber.equal(new BN("20"));
+    });
+
+    it("applies the rate a game was created with", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      const { logs } = await contract.createMatch(hashedHand, ...timeouts, zero_address, {
+        from: alice,
+        value: oddStake
+      });
+      await expectEvent.inLogs(logs, "LogMatchCreated", { commission: rate });
+
+      await contract.setCommission(new BN("1000"), { from: alice });
+      await contract.acceptMatch(hashedHand, { from: bob, value: oddStake });
+      await contract.showHand(hashedHand, SCISSORS, { from: bob });
+      (await contract.games(hashedHand)).commission.should.be.bignumber.equal(rate);
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      (await contract.commissions(zero_address)).should.be.bignumber.equal(fee);
+    });
+
+    it("lets the owner withdraw the commissions", async function() {
+      await playGame(ROCK, SCISSORS);
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+      await contract.proposeOwner(bob, { from: alice });
+      await contract.acceptOwnership({ from: bob });
+
+      await expectRevert(contract.withdrawCommission(zero_address, { from: alice }), "Can only be called by the owner");
+
+      const bobBalance = await balance.tracker(bob);
+      const contractBalance = await balance.tracker(contract.address);
+      const { receipt, logs } = await contract.withdrawCommission(zero_address, { from: bob, gasPrice: 1 });
+
+      await expectEvent.inLogs(logs, "LogCommissionWithdraw", { sender: bob, token: zero_address, amount: fee });
+      (await bobBalance.delta()).should.be.bignumber.equal(fee.sub(new BN(receipt.gasUsed)));
+      (await contractBalance.delta()).should.be.bignumber.equal(fee.neg());
+      (await contract.commissions(zero_address)).should.be.bignumber.equal(zero_uint256);
+      // The players' balances are untouched
+      (await contract.balances(alice)).should.be.bignumber.equal(pot.sub(fee));
+    });
+
+    it("pays the commissions to an owner that is a smart contract wallet", async function() {
+      const wallet = await WalletMock.new();
+      await playGame(ROCK, SCISSORS);
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+      await contract.proposeOwner(wallet.address, { from: alice });
+      await wallet.execute(contract.address, 0, contract.contract.methods.acceptOwnership().encodeABI());
+
+      await wallet.execute(contract.address, 0, contract.contract.methods.withdrawCommission(zero_address).encodeABI());
+
+      (await balance.current(wallet.address)).should.be.bignumber.equal(fee);
+      (await wallet.payments()).should.be.bignumber.equal(new BN("1"));
+      (await contract.commissions(zero_address)).should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("accrues token commissions apart from ether", async function() {
+      const token = await ERC20Mock.new({ from: alice });
+      for (const player of [alice, bob]) {
+        await token.mint(player, oddStake, { from: alice });
+        await token.approve(contract.address, oddStake, { from: player });
+      }
+
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createTokenMatch(hashedHand, ...timeouts, zero_address, token.address, oddStake, {
+        from: alice
+      });
+      await contract.acceptMatch(hashedHand, { from: bob });
+      await contract.showHand(hashedHand, SCISSORS, { from: bob });
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      (await contract.commissions(token.address)).should.be.bignumber.equal(fee);
+      (await contract.commissions(zero_address)).should.be.bignumber.equal(zero_uint256);
+      (await contract.tokenBalances(token.address, alice)).should.be.bignumber.equal(pot.sub(fee));
+
+      await contract.withdrawCommission(token.address, { from: alice });
+      (await token.balanceOf(alice)).should.be.bignumber.equal(fee);
+    });
+  });
+
+  describe("getPhase() and legalActions()", () => {
+    const isClosed = async () => {
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.CLOSED);
+      await actionsAre(alice, noActions);
+      await actionsAre(bob, noActions);
+    };
+
+    const actionsAre = async (player, expected) => {
+      const actions = await contract.legalActions(hashedHand, player);
+      Object.keys(noActions).forEach(action => actions[action].should.be.equal(expected[action], action));
+    };
+
+    beforeEach("create a match", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+    });
+
+    it("reports NULL for a game that does not exist", async function() {
+      const gameId = await contract.hashHand(PAPER, secret, { from: alice });
+
+      (await contract.getPhase(gameId)).should.be.bignumber.equal(Phase.NULL);
+      const actions = await contract.legalActions(gameId, alice);
+      Object.keys(noActions).forEach(action => actions[action].should.be.equal(false));
+    });
+
+    it("reports OPEN after createMatch()", async function() {
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.OPEN);
+      await actionsAre(bob, { ...noActions, canAccept: true });
+      await actionsAre(mallory, { ...noActions, canAccept: true });
+    });
+
+    it("only lets the designated opponent accept a reserved match", async function() {
+      hashedHand = await contract.hashHand(PAPER, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, bob, { from: alice, value: stake });
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.OPEN);
+      await actionsAre(bob, { ...noActions, canAccept: true });
+      await actionsAre(mallory, noActions);
+    });
+
+    it("goes from OPEN to EXPIRED_AWAITING_CANCEL when nobody joins", async function() {
+      await time.increase(timeout.add(new BN("1")));
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_CANCEL);
+      await actionsAre(alice, { ...noActions, canCancel: true });
+      await actionsAre(bob, noActions);
+    });
+
+    it("goes from OPEN to ACCEPTED on acceptMatch()", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.ACCEPTED);
+      await actionsAre(bob, { ...noActions, canShowHand: true });
+      await actionsAre(alice, noActions);
+      await actionsAre(mallory, noActions);
+    });
+
+    it("goes from ACCEPTED to EXPIRED_AWAITING_CANCEL when no hand is shown", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await time.increase(timeout.add(new BN("1")));
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_CANCEL);
+      await actionsAre(alice, { ...noActions, canCancel: true });
+      await actionsAre(bob, noActions);
+    });
+
+    it("goes from ACCEPTED to HAND_SHOWN on showHand()", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.HAND_SHOWN);
+      await actionsAre(alice, { ...noActions, canResolve: true });
+      await actionsAre(bob, noActions);
+    });
+
+    it("goes from HAND_SHOWN to EXPIRED_AWAITING_PUNISH when the creator does not resolve", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await time.increase(timeout.add(new BN("1")));
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_PUNISH);
+      await actionsAre(bob, { ...noActions, canPunish: true });
+      await actionsAre(alice, noActions);
+    });
+
+    it("goes from HAND_SHOWN to CLOSED on resolveMatch()", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      await isClosed();
+    });
+
+    it("goes from EXPIRED_AWAITING_PUNISH to CLOSED on punish()", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await time.increase(timeout.add(new BN("1")));
+      await contract.punish(hashedHand, { from: bob });
+
+      await isClosed();
+    });
+
+    it("goes from EXPIRED_AWAITING_CANCEL to CLOSED on cancelGame()", async function() {
+      await time.increase(timeout.add(new BN("1")));
+      await contract.cancelGame(ROCK, secret, { from: alice });
+
+      await isClosed();
+    });
+  });
+
+  describe("ownership", () => {
+    it("hands the ownership over once the proposed owner accepts it", async function() {
+      const proposal = await contract.proposeOwner(bob, { from: alice });
+      await expectEvent.inLogs(proposal.logs, "LogOwnerProposed", { sender: alice, proposedOwner: bob });
+      (await contract.getOwner()).should.be.equal(alice);
+      (await contract.getPendingOwner()).should.be.equal(bob);
+
+      const { logs } = await contract.acceptOwnership({ from: bob });
+
+      await expectEvent.inLogs(logs, "LogOwnerChanged", { sender: bob, newOwner: bob });
+      (await contract.getOwner()).should.be.equal(bob);
+      (await contract.getPendingOwner()).should.be.equal(zero_address);
+      await expectRevert(contract.setCommission(new BN("100"), { from: alice }), "Can only be called by the owner");
+      await contract.setCommission(new BN("100"), { from: bob });
+    });
+
+    it("lets the owner replace or cancel a proposal", async function() {
+      await contract.proposeOwner(mallory, { from: alice });
+      await contract.proposeOwner(bob, { from: alice });
+      await expectRevert(contract.acceptOwnership({ from: mallory }), "Can only be called by the proposed owner");
+
+      const { logs } = await contract.cancelOwnerProposal({ from: alice });
+
+      await expectEvent.inLogs(logs, "LogOwnerProposalCancelled", { sender: alice, proposedOwner: bob });
+      (await contract.getPendingOwner()).should.be.equal(zero_address);
+      await expectRevert(contract.acceptOwnership({ from: bob }), "Can only be called by the proposed owner");
+      await expectRevert(contract.cancelOwnerProposal({ from: alice }), "No ownership transfer pending");
+      (await contract.getOwner()).should.be.equal(alice);
+    });
+
+    it("only lets the owner propose or cancel", async function() {
+      await expectRevert(contract.proposeOwner(mallory, { from: mallory }), "Can only be called by the owner");
+      await expectRevert(contract.proposeOwner(zero_address, { from: alice }), "newOwner is empty");
+      await contract.proposeOwner(bob, { from: alice });
+
+      await expectRevert(contract.cancelOwnerProposal({ from: bob }), "Can only be called by the owner");
+      await expectRevert(contract.acceptOwnership({ from: alice }), "Can only be called by the proposed owner");
+    });
+
+    it("can be handed over after the contract is killed", async function() {
+      await contract.pause({ from: alice });
+      await contract.kill({ from: alice });
+
+      await contract.proposeOwner(bob, { from: alice });
+      await contract.acceptOwnership({ from: bob });
+
+      (await contract.getOwner()).should.be.equal(bob);
+    });
+  });
+
+  describe("pausers", () => {
+    it("lets pausers pause and resume but not kill", async function() {
+      const { logs } = await contract.addPauser(bob, { from: alice });
+      await expectEvent.inLogs(logs, "LogPauserAdded", { sender: alice, account: bob });
+      (await contract.isPauser(bob)).should.be.equal(true);
+
+      await contract.pause({ from: bob });
+      await expectRevert(contract.kill({ from: bob }), "Can only be called by the owner");
+      await contract.resume({ from: bob });
+
+      (await contract.isPaused()).should.be.equal(false);
+    });
+
+    it("refuses pause() and resume() from anyone else, the owner included once removed", async function() {
+      await expectRevert(contract.pause({ from: mallory }), "Can only be called by a pauser");
+
+      const { logs } = await contract.removePauser(alice, { from: alice });
+
+      await expectEvent.inLogs(logs, "LogPauserRemoved", { sender: alice, account: alice });
+      (await contract.isPauser(alice)).should.be.equal(false);
+      await expectRevert(contract.pause({ from: alice }), "Can only be called by a pauser");
+      await contract.addPauser(bob, { from: alice });
+      await contract.pause({ from: bob });
+      await expectRevert(contract.resume({ from: mallory }), "Can only be called by a pauser");
+      await contract.kill({ from: alice });
+    });
+
+    it("only lets the owner grant and revoke the role", async function() {
+      await expectRevert(contract.addPauser(mallory, { from: mallory }), "Can only be called by the owner");
+      await contract.addPauser(bob, { from: alice });
+      await expectRevert(contract.removePauser(bob, { from: bob }), "Can only be called by the owner");
+      await expectRevert(contract.addPauser(bob, { from: alice }), "Already a pauser");
+      await expectRevert(contract.removePauser(mallory, { from: alice }), "Not a pauser");
+      await expectRevert(contract.addPauser(zero_address, { from: alice }), "account is empty");
+    });
+
+    it("hand the owner's role over along with the ownership", async function() {
+      await contract.addPauser(accounts[0], { from: alice });
+      await contract.proposeOwner(bob, { from: alice });
+      const { logs } = await contract.acceptOwnership({ from: bob });
+
+      await expectEvent.inLogs(logs, "LogPauserRemoved", { sender: bob, account: alice });
+      await expectEvent.inLogs(logs, "LogPauserAdded", { sender: bob, account: bob });
+      (await contract.isPauser(alice)).should.be.equal(false);
+      (await contract.isPauser(bob)).should.be.equal(true);
+      (await contract.isPauser(accounts[0])).should.be.equal(true);
+      await expectRevert(contract.pause({ from: alice }), "Can only be called by a pauser");
+      await contract.pause({ from: bob });
+      await contract.resume({ from: accounts[0] });
+    });
+
+    it("make the new owner a pauser even if the previous one was not", async function() {
+      await contract.removePauser(alice, { from: alice });
+      await contract.proposeOwner(bob, { from: alice });
+      const { logs } = await contract.acceptOwnership({ from: bob });
+
+      logs.filter(({ event }) => event === "LogPauserRemoved").should.have.lengthOf(0);
+      await expectEvent.inLogs(logs, "LogPauserAdded", { sender: bob, account: bob });
+      await contract.pause({ from: bob });
+    });
+  });
+
+  describe("shutdown", () => {
+    const shutDown = async () => {
+      await contract.pause({ from: alice });
+      await contract.kill({ from: alice });
+    };
+
+    const refunds = async (aliceRefund, bobRefund) => {
+      const { logs } = await contract.refundGame(hashedHand, { from: mallory });
+
+      await expectEvent.inLogs(logs, "LogGameRefunded", {
+        sender: mallory,
+        gameId: hashedHand,
+        firstPlayerRefund: aliceRefund,
+        secondPlayerRefund: bobRefund
+      });
+      (await contract.balances(alice)).should.be.bignumber.equal(aliceRefund);
+      (await contract.balances(bob)).should.be.bignumber.equal(bobRefund);
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.CLOSED);
+      gameIsZeroedOut(await contract.games(hashedHand));
+    };
+
+    beforeEach("create a match", async function() {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+    });
+
+    it("stops acceptances while paused", async function() {
+      await contract.pause({ from: alice });
+
+      await expectRevert(contract.acceptMatch(hashedHand, { from: bob, value: stake }), "The contract is paused");
+      await expectRevert(
+        contract.acceptMatchWithBalance(hashedHand, { from: bob, value: stake }),
+        "The contract is paused"
+      );
+      (await contract.legalActions(hashedHand, bob)).canAccept.should.be.equal(false);
+    });
+
+    it("lets games in flight finish while paused", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.pause({ from: alice });
+      await contract.showHand(hashedHand, SCISSORS, { from: bob });
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+
+      await expectRevert(contract.refundGame(hashedHand, { from: alice }), "The contract must be killed");
+    });
+
+    it("refunds the creator of an OPEN game", async function() {
+      await shutDown();
+
+      (await contract.legalActions(hashedHand, mallory)).canRefund.should.be.equal(true);
+      await expectRevert(contract.acceptMatch(hashedHand, { from: bob, value: stake }), "The contract is paused");
+      await refunds(stake, zero_uint256);
+    });
+
+    it("refunds both players of an ACCEPTED game", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await shutDown();
+
+      await expectRevert(contract.showHand(hashedHand, PAPER, { from: bob }), "The contract has been killed");
+      await refunds(stake, stake);
+    });
+
+    it("refunds both players of a HAND_SHOWN game", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await shutDown();
+
+      await expectRevert(contract.resolveMatch(ROCK, secret, { from: alice }), "The contract has been killed");
+      await refunds(stake, stake);
+    });
+
+    it("does not refund an EXPIRED_AWAITING_CANCEL game", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await time.increase(timeout.add(new BN("1")));
+      await shutDown();
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_CANCEL);
+      (await contract.legalActions(hashedHand, mallory)).canRefund.should.be.equal(false);
+      await expectRevert(contract.refundGame(hashedHand, { from: mallory }), "Deadline passed");
+      await contract.cancelGame(ROCK, secret, { from: alice });
+      (await contract.balances(alice)).should.be.bignumber.equal(stake.mul(new BN("2")));
+    });
+
+    it("does not refund an EXPIRED_AWAITING_PUNISH game", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await time.increase(timeout.add(new BN("1")));
+      await shutDown();
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_PUNISH);
+      (await contract.legalActions(hashedHand, mallory)).canRefund.should.be.equal(false);
+      await expectRevert(contract.refundGame(hashedHand, { from: mallory }), "Deadline passed");
+    });
+
+    it("refunds games that were live at the kill once their deadline passed", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await shutDown();
+      await time.increase(timeout.add(new BN("1")));
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_PUNISH);
+      const actions = await contract.legalActions(hashedHand, bob);
+      actions.canPunish.should.be.equal(false);
+      actions.canRefund.should.be.equal(true);
+      await expectRevert(contract.punish(hashedHand, { from: bob }), "The contract has been killed");
+      await refunds(stake, stake);
+    });
+
+    it("does not let the creator cancel an ACCEPTED game frozen by the kill", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await shutDown();
+      await time.increase(timeout.add(new BN("1")));
+
+      (await contract.getPhase(hashedHand)).should.be.bignumber.equal(Phase.EXPIRED_AWAITING_CANCEL);
+      (await contract.legalActions(hashedHand, alice)).canCancel.should.be.equal(false);
+      await expectRevert(contract.cancelGame(ROCK, secret, { from: alice }), "The contract has been killed");
+      await refunds(stake, stake);
+    });
+
+    it("still lets expired games be punished instead", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await time.increase(timeout.add(new BN("1")));
+      await shutDown();
+
+      await contract.punish(hashedHand, { from: bob });
+      (await contract.balances(bob)).should.be.bignumber.equal(stake.mul(new BN("2")));
+      await expectRevert(contract.refundGame(hashedHand, { from: bob }), "Game does not exist");
+    });
+
+    it("does not refund CLOSED or unknown games", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.showHand(hashedHand, PAPER, { from: bob });
+      await contract.resolveMatch(ROCK, secret, { from: alice });
+      await shutDown();
+
+      (await contract.legalActions(hashedHand, mallory)).canRefund.should.be.equal(false);
+      await expectRevert(contract.refundGame(hashedHand, { from: mallory }), "Game does not exist");
+      await expectRevert(contract.refundGame(zero_bytes32, { from: mallory }), "Game does not exist");
+    });
+
+    it("refunds token stakes and takes no commission", async function() {
+      const token = await ERC20Mock.new({ from: alice });
+      for (const player of [alice, bob]) {
+        await token.mint(player, stake, { from: alice });
+        await token.approve(contract.address, stake, { from: player });
+      }
+      await contract.setCommission(new BN("1000"), { from: alice });
+      hashedHand = await contract.hashHand(PAPER, secret, { from: alice });
+      await contract.createTokenMatch(hashedHand, ...timeouts, zero_address, token.address, stake, {
+        from: alice
+      });
+      await contract.acceptMatch(hashedHand, { from: bob });
+      await shutDown();
+
+      await contract.refundGame(hashedHand, { from: bob });
+      (await contract.tokenBalances(token.address, alice)).should.be.bignumber.equal(stake);
+      (await contract.tokenBalances(token.address, bob)).should.be.bignumber.equal(stake);
+      (await contract.commissions(token.address)).should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("keeps withdrawals working", async function() {
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await shutDown();
+      await contract.refundGame(hashedHand, { from: mallory });
+
+      const bobBalance = await balance.tracker(bob);
+      const { receipt } = await contract.withdraw({ from: bob, gasPrice: 1 });
+
+      (await bobBalance.delta()).should.be.bignumber.equal(stake.sub(new BN(receipt.gasUsed)));
+      (await contract.balances(bob)).should.be.bignumber.equal(zero_uint256);
+    });
+  });
+
+  describe("migration", () => {
+    let successor;
+
+    // Both players get their stake back as a balance on the killed contract
+    const killWithBalances = async () => {
+      hashedHand = await contract.hashHand(ROCK, secret, { from: alice });
+      await contract.createMatch(hashedHand, ...timeouts, zero_address, { from: alice, value: stake });
+      await contract.acceptMatch(hashedHand, { from: bob, value: stake });
+      await contract.pause({ from: alice });
+      await contract.kill({ from: alice });
+      await contract.refundGame(hashedHand, { from: mallory });
+    };
+
+    beforeEach("deploy the successor", async function() {
+      successor = await RockPaperScissors.new(false, { from: alice });
+    });
+
+    it("moves a player's balance to the successor in one call", async function() {
+      await killWithBalances();
+      const setSuccessor = await contract.setSuccessor(successor.address, { from: alice });
+      await expectEvent.inLogs(setSuccessor.logs, "LogSuccessorSet", { sender: alice, successor: successor.address });
+      const setPredecessor = await successor.setPredecessor(contract.address, { from: alice });
+      await expectEvent.inLogs(setPredecessor.logs, "LogPredecessorSet", {
+        sender: alice,
+        predecessor: contract.address
+      });
+
+      const contractBalance = await balance.tracker(contract.address);
+      const successorBalance = await balance.tracker(successor.address);
+      const { logs } = await contract.migrateBalance({ from: bob });
+
+      await expectEvent.inLogs(logs, "LogBalanceMigrated", { sender: bob, holder: bob, amount: stake });
+      (await contract.balances(bob)).should.be.bignumber.equal(zero_uint256);
+      (await successor.balances(bob)).should.be.bignumber.equal(stake);
+      (await contractBalance.delta()).should.be.bignumber.equal(stake.neg());
+      (await successorBalance.delta()).should.be.bignumber.equal(stake);
+      // Alice did not ask for anything
+      (await contract.balances(alice)).should.be.bignumber.equal(stake);
+      await successor.withdraw({ from: bob });
+      await expectRevert.unspecified(contract.migrateBalance({ from: bob }));
+    });
+
+    it("only lets the owner register a successor, once and after kill()", async function() {
+      await expectRevert(contract.setSuccessor(successor.address, { from: alice }), "The contract must be killed");
+      await killWithBalances();
+      await expectRevert(contract.migrateBalance({ from: alice }), "No successor");
+      await expectRevert(
+        contract.setSuccessor(successor.address, { from: mallory }),
+        "Can only be called by the owner"
+      );
+      await expectRevert(contract.setSuccessor(zero_address, { from: alice }), "successor is empty");
+
+      await contract.setSuccessor(successor.address, { from: alice });
+
+      await expectRevert(contract.setSuccessor(mallory, { from: alice }), "Successor already set");
+      (await contract.successor()).should.be.equal(successor.address);
+    });
+
+    it("only accepts balances from the registered predecessor", async function() {
+      await killWithBalances();
+      await contract.setSuccessor(successor.address, { from: alice });
+      await expectRevert(contract.migrateBalance({ from: alice }), "Only the predecessor can migrate");
+      (await contract.balances(alice)).should.be.bignumber.equal(stake);
+
+      await expectRevert(
+        successor.setPredecessor(contract.address, { from: mallory }),
+        "Can only be called by the owner"
+      );
+      await successor.setPredecessor(contract.address, { from: alice });
+      await expectRevert(successor.setPredecessor(mallory, { from: alice }), "Predecessor already set");
+      await expectRevert(
+        successor.receiveMigration(mallory, { from: mallory, value: stake }),
+        "Only the predecessor can migrate"
+      );
+    });
+
+    it("lets the owner migrate a batch of balances, skipping empty ones", async function() {
+      await killWithBalances();
+      await expectRevert(contract.requestMigration({ from: bob }), "No successor");
+      await contract.setSuccessor(successor.address, { from: alice });
+      await successor.setPredecessor(contract.address, { from: alice });
+      const { logs: requested } = await contract.requestMigration({ from: bob });
+      await expectEvent.inLogs(requested, "LogMigrationRequested", { sender: bob, successor: successor.address });
+      await contract.requestMigration({ from: alice });
+      await contract.requestMigration({ from: mallory });
+      await expectRevert(contract.migrateBalances([alice, bob], { from: mallory }), "Can only be called by the owner");
+
+      const { logs } = await contract.migrateBalances([alice, mallory, bob], { from: alice });
+
+      logs.filter(log => log.event === "LogBalanceMigrated").length.should.be.equal(2);
+      await expectEvent.inLogs(logs, "LogBalanceMigrated", { sender: alice, holder: bob, amount: stake });
+      (await successor.balances(alice)).should.be.bignumber.equal(stake);
+      (await successor.balances(bob)).should.be.bignumber.equal(stake);
+      (await successor.balances(mallory)).should.be.bignumber.equal(zero_uint256);
+      new BN(await web3.eth.getBalance(contract.address)).should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("skips the balances of players who did not request the migration", async function() {
+      await killWithBalances();
+      await contract.setSuccessor(successor.address, { from: alice });
+      await successor.setPredecessor(contract.address, { from: alice });
+      await contract.requestMigration({ from: alice });
+      (await contract.migrationRequested(alice)).should.be.equal(true);
+      (await contract.migrationRequested(bob)).should.be.equal(false);
+
+      const { logs } = await contract.migrateBalances([alice, bob], { from: alice });
+
+      logs.filter(log => log.event === "LogBalanceMigrated").length.should.be.equal(1);
+      await expectEvent.inLogs(logs, "LogBalanceMigrated", { sender: alice, holder: alice, amount: stake });
+      (await contract.balances(bob)).should.be.bignumber.equal(stake);
+      (await successor.balances(bob)).should.be.bignumber.equal(zero_uint256);
+    });
+  });
 });
@@ -0,0 +1,356 @@
+const RockPaperScissorsChannel = artifacts.require("./RockPaperScissorsChannel.sol");
+
+const { BN, expectEvent, expectRevert, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const {
+  ChannelPlayer,
+  InvalidChannelStateError,
+  InvalidSignatureError,
+  InvalidPlayerError,
+  StaleStateError,
+  HandNotShownError,
+  HandAlreadyShownError,
+  DeadlinePassedError,
+  InvalidHandError
+} = require("../lib");
+
+const deposit = new BN(toWei("10", "shannon"));
+const roundStake = new BN(toWei("1", "shannon"));
+const timeout = time.duration.hours(1);
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+const zero_uint256 = new BN("0");
+
+const ROCK = new BN("1");
+const PAPER = new BN("2");
+const SCISSORS = new BN("3");
+const LIZARD = new BN("4");
+const SPOCK = new BN("5");
+const CLASSIC = new BN("0");
+const RPSLS = new BN("1");
+
+// Checks that promise is rejected with an instance of ErrorClass
+const expectRejection = async (promise, ErrorClass) => {
+  try {
+    await promise;
+  } catch (error) {
+    error.should.be.an.instanceof(ErrorClass);
+    return error;
+  }
+  throw new Error(`Expected a ${ErrorClass.name}`);
+};
+
+contract("RockPaperScissorsChannel", ([alice, bob, mallory, ...accounts]) => {
+  let contract;
+  let alicePlayer;
+  let bobPlayer;
+  let channelId;
+
+  const player = from => new ChannelPlayer(web3, contract.address, { from, abi: RockPaperScissorsChannel.abi });
+
+  // The proposer sends an update, the receiver sends its countersignature back
+  const exchange = async (proposer, receiver, update) => proposer.receive(await receiver.receive(update));
+
+  const playRound = async (aliceHand, bobHand, stake = roundStake) => {
+    await exchange(alicePlayer, bobPlayer, await alicePlayer.commit(aliceHand, stake));
+    await exchange(bobPlayer, alicePlayer, await bobPlayer.show(bobHand));
+    await exchange(alicePlayer, bobPlayer, await alicePlayer.reveal());
+  };
+
+  beforeEach("deploy the contract", async function() {
+    contract = await RockPaperScissorsChannel.new(false, { from: alice });
+    alicePlayer = player(alice);
+    bobPlayer = player(bob);
+  });
+
+  const openAndJoin = async (ruleSet = CLASSIC) => {
+    ({ channelId } = await alicePlayer.open({ deposit, opponent: bob, timeout: timeout.toNumber(), ruleSet }));
+    await bobPlayer.join(channelId);
+    await alicePlayer.load(channelId);
+  };
+
+  describe("openChannel() and joinChannel()", () => {
+    it("opens a channel and lets the opponent match the deposit", async function() {
+      let { logs } = await contract.openChannel(bob, timeout, CLASSIC, { from: alice, value: deposit });
+      channelId = new BN("1");
+      const deadline = (await time.latest()).add(timeout);
+      await expectEvent.inLogs(logs, "LogChannelOpened", {
+        sender: alice,
+        channelId,
+        opponent: bob,
+        ruleSet: CLASSIC,
+        deposit,
+        deadline
+      });
+
+      ({ logs } = await contract.joinChannel(channelId, { from: bob, value: deposit }));
+      await expectEvent.inLogs(logs, "LogChannelJoined", { sender: bob, channelId });
+
+      const channel = await contract.channels(channelId);
+      channel.firstPlayer.should.be.equal(alice);
+      channel.secondPlayer.should.be.equal(bob);
+      channel.firstPlayerBalance.should.be.bignumber.equal(deposit);
+      channel.secondPlayerBalance.should.be.bignumber.equal(deposit);
+      channel.nonce.should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("rejects anyone but the opponent and a different deposit", async function() {
+      await contract.openChannel(bob, timeout, CLASSIC, { from: alice, value: deposit });
+
+      await expectRevert(
+        contract.joinChannel(new BN("1"), { from: mallory, value: deposit }),
+        "Match reserved for another player"
+      );
+      await expectRevert(contract.joinChannel(new BN("1"), { from: bob, value: roundStake }), "Invalid stake");
+      await expectRevert(contract.joinChannel(new BN("2"), { from: bob, value: deposit }), "Channel does not exist");
+    });
+
+    it("lets the creator cancel a channel nobody joined in time", async function() {
+      await contract.openChannel(zero_address, timeout, CLASSIC, { from: alice, value: deposit });
+      await expectRevert(contract.cancelChannel(new BN("1"), { from: alice }), "Deadline has not passed");
+      await time.increase(timeout.addn(1));
+
+      const { logs } = await contract.cancelChannel(new BN("1"), { from: alice });
+
+      await expectEvent.inLogs(logs, "LogChannelCancelled", { sender: alice, channelId: new BN("1") });
+      (await contract.balances(alice)).should.be.bignumber.equal(deposit);
+      (await contract.channels(new BN("1"))).firstPlayer.should.be.equal(zero_address);
+    });
+  });
+
+  describe("off-chain play", () => {
+    beforeEach("open and join a channel", () => openAndJoin());
+
+    it("plays many rounds off-chain and settles them in one transaction", async function() {
+      await playRound("rock", "scissors");
+      await playRound("rock", "paper");
+      await playRound("paper", "paper");
+      await playRound("scissors", "paper", roundStake.muln(3));
+
+      alicePlayer.state.should.be.deep.equal(bobPlayer.state);
+      alicePlayer.state.nonce.should.be.equal("12");
+      alicePlayer.state.firstPlayerBalance.should.be.equal(deposit.add(roundStake.muln(3)).toString());
+
+      await exchange(bobPlayer, alicePlayer, await bobPlayer.proposeClose());
+      const { events } = await alicePlayer.close();
+
+      events.LogChannelSettled.returnValues.firstPlayerBalance.should.be.equal(
+        deposit.add(roundStake.muln(3)).toString()
+      );
+      (await contract.balances(alice)).should.be.bignumber.equal(deposit.add(roundStake.muln(3)));
+      (await contract.balances(bob)).should.be.bignumber.equal(deposit.sub(roundStake.muln(3)));
+      (await contract.channels(channelId)).secondPlayer.should.be.equal(zero_address);
+    });
+
+    it("refuses moves out of turn and states that do not follow from the move", async function() {
+      await expectRejection(bobPlayer.commit("rock", roundStake), InvalidPlayerError);
+      await expectRejection(alicePlayer.commit("rock", deposit.addn(1)), InvalidChannelStateError);
+
+      const update = await alicePlayer.commit("rock", roundStake);
+      const tampered = { ...update, message: { ...update.message, firstPlayerBalance: deposit.muln(2).toString() } };
+      await expectRejection(bobPlayer.receive(tampered), InvalidChannelStateError);
+      await expectRejection(
+        bobPlayer.receive({ ...update, move: { type: "show", hand: 1 } }),
+        InvalidChannelStateError
+      );
+      await expectRejection(alicePlayer.show("paper"), InvalidPlayerError);
+    });
+
+    it("refuses reveals that do not match the commitment and forged signatures", async function() {
+      const update = await alicePlayer.commit("rock", roundStake);
+      const forged = await player(mallory)._sign("ChannelState", update.message);
+      await expectRejection(bobPlayer.receive({ ...update, signature: forged.signature }), InvalidSignatureError);
+
+      await exchange(alicePlayer, bobPlayer, update);
+      await exchange(bobPlayer, alicePlayer, await bobPlayer.show("paper"));
+      const reveal = await alicePlayer.reveal();
+
+      await expectRejection(
+        bobPlayer.receive({ ...reveal, move: { ...reveal.move, hand: SCISSORS.toNumber() } }),
+        InvalidChannelStateError
+      );
+      (await bobPlayer.receive(reveal)).message.secondPlayerBalance.should.be.equal(deposit.add(roundStake).toString());
+    });
+  });
+
+  describe("rule sets", () => {
+    beforeEach("open and join a channel played under RPSLS", () => openAndJoin(RPSLS));
+
+    it("plays rounds off-chain under the channel's rule set", async function() {
+      await playRound("spock", "scissors");
+      await playRound("lizard", "rock");
+
+      alicePlayer.state.should.be.deep.equal(bobPlayer.state);
+      alicePlayer.state.firstPlayerBalance.should.be.equal(deposit.toString());
+    });
+
+    it("plays a pending round on-chain under the channel's rule set", async function() {
+      await exchange(alicePlayer, bobPlayer, await alicePlayer.commit("lizard", roundStake));
+      await exchange(bobPlayer, alicePlayer, await bobPlayer.show("spock"));
+      await bobPlayer.dispute();
+
+      const { logs } = await contract.revealHand(channelId, LIZARD, alicePlayer.round.secret, { from: alice });
+      await expectEvent.inLogs(logs, "LogRoundPlayed", {
+        winner: alice,
+        firstPlayerHand: LIZARD,
+        secondPlayerHand: SPOCK
+      });
+    });
+
+    it("refuses hands the classic rules do not have in a classic channel", async function() {
+      await openAndJoin(CLASSIC);
+      await expectRejection(alicePlayer.commit("spock", roundStake), InvalidHandError);
+    });
+  });
+
+  describe("disputes", () => {
+    beforeEach("open and join a channel", () => openAndJoin());
+
+    it("settles the latest state once the deadline has passed", async function() {
+      await playRound("rock", "scissors");
+
+      const { events } = await bobPlayer.dispute();
+      events.LogDisputeStarted.returnValues.nonce.should.be.equal("3");
+      await expectRevert(contract.settle(channelId, { from: bob }), "Deadline has not passed");
+      // Settling is possible from the deadline's very second on, like punish() in RockPaperScissors
+      await time.increase(timeout);
+
+      await alicePlayer.settle();
+
+      (await contract.balances(alice)).should.be.bignumber.equal(deposit.add(roundStake));
+      (await contract.balances(bob)).should.be.bignumber.equal(deposit.sub(roundStake));
+    });
+
+    it("lets the other player answer a stale state with a newer one", async function() {
+      await playRound("rock", "scissors");
+      const stale = alicePlayer.latest;
+      await playRound("rock", "paper");
+      await playRound("rock", "paper");
+
+      // Alice was ahead after the first round
+      alicePlayer.latest = stale;
+      await alicePlayer.dispute();
+      await bobPlayer.dispute();
+      await expectRejection(alicePlayer.dispute(), StaleStateError);
+      await time.increase(timeout.addn(1));
+      await expectRejection(bobPlayer.dispute(), StaleStateError);
+
+      await bobPlayer.settle();
+
+      (await contract.balances(bob)).should.be.bignumber.equal(deposit.add(roundStake));
+    });
+
+    it("plays a pending round on-chain when the other player stops answering", async function() {
+      await exchange(alicePlayer, bobPlayer, await alicePlayer.commit("rock", roundStake));
+      // Alice never countersigns Bob's hand, so Bob shows it on-chain
+      await bobPlayer.show("paper");
+
+      await bobPlayer.dispute();
+      await expectRejection(alicePlayer.revealHand(), HandNotShownError);
+      const { events } = await bobPlayer.showHand("paper");
+      events.LogHandShown.returnValues.hand.should.be.equal(PAPER.toString());
+      await expectRejection(bobPlayer.showHand("paper"), HandAlreadyShownError);
+
+      const { logs } = await contract.revealHand(channelId, ROCK, alicePlayer.round.secret, { from: alice });
+      await expectEvent.inLogs(logs, "LogRoundPlayed", {
+        sender: alice,
+        channelId,
+        winner: bob,
+        firstPlayerHand: ROCK,
+        secondPlayerHand: PAPER
+      });
+      await time.increase(timeout.addn(1));
+      await alicePlayer.settle();
+
+      (await contract.balances(bob)).should.be.bignumber.equal(deposit.add(roundStake));
+    });
+
+    it("gives the round to the second player when the first one does not reveal", async function() {
+      await exchange(alicePlayer, bobPlayer, await alicePlayer.commit("scissors", roundStake));
+      await exchange(bobPlayer, alicePlayer, await bobPlayer.show("rock"));
+
+      await bobPlayer.dispute();
+      await time.increase(timeout.addn(1));
+      await expectRejection(alicePlayer.revealHand(), DeadlinePassedError);
+      await bobPlayer.settle();
+
+      (await contract.balances(alice)).should.be.bignumber.equal(deposit.sub(roundStake));
+      (await contract.balances(bob)).should.be.bignumber.equal(deposit.add(roundStake));
+    });
+
+    it("gives the round to the first player when the second one does not show a hand", async function() {
+      await exchange(alicePlayer, bobPlayer, await alicePlayer.commit("rock", roundStake));
+
+      await alicePlayer.dispute();
+      await time.increase(timeout.addn(1));
+      await alicePlayer.settle();
+
+      (await contract.balances(alice)).should.be.bignumber.equal(deposit.add(roundStake));
+    });
+
+    it("starts a dispute from the opening state", async function() {
+      const { logs } = await contract.dispute(channelId, { from: bob });
+
+      await expectEvent.inLogs(logs, "LogDisputeStarted", { sender: bob, channelId, nonce: zero_uint256 });
+      await expectRevert(contract.dispute(channelId, { from: alice }), "Channel already in dispute");
+      await expectRevert(contract.dispute(channelId, { from: mallory }), "Invalid player address");
+      await expectRevert(contract.showHand(channelId, ROCK, { from: bob }), "No round in play");
+    });
+
+    it("rejects states not signed by both players", async function() {
+      await exchange(alicePlayer, bobPlayer, await alicePlayer.commit("rock", roundStake));
+      const { state, signatures } = bobPlayer.latest;
+      const submit = (firstPlayerSignature, secondPlayerSignature, firstPlayerBalance = state.firstPlayerBalance) =>
+        contract.submitState(
+          channelId,
+          state.nonce,
+          firstPlayerBalance,
+          state.secondPlayerBalance,
+          state.roundStake,
+          state.hashedHand,
+          state.secondPlayerHand,
+          firstPlayerSignature,
+          secondPlayerSignature,
+          { from: bob }
+        );
+
+      await expectRevert(submit(signatures.second, signatures.second), "Invalid signature");
+      await expectRevert(submit(signatures.first, signatures.second, deposit.muln(2)), "Invalid state");
+      await submit(signatures.first, signatures.second);
+    });
+
+    it("rejects states with a hand the rule set does not have", async function() {
+      await exchange(alicePlayer, bobPlayer, await alicePlayer.commit("rock", roundStake));
+      const state = { ...bobPlayer.latest.state, nonce: "2", secondPlayerHand: LIZARD.toNumber() };
+      const first = await alicePlayer._sign("ChannelState", state);
+      const second = await bobPlayer._sign("ChannelState", state);
+
+      await expectRevert(
+        contract.submitState(
+          channelId,
+          state.nonce,
+          state.firstPlayerBalance,
+          state.secondPlayerBalance,
+          state.roundStake,
+          state.hashedHand,
+          state.secondPlayerHand,
+          first.signature,
+          second.signature,
+          { from: bob }
+        ),
+        "Invalid state"
+      );
+    });
+
+    it("closes a disputed channel with a newer close signed by both", async function() {
+      await playRound("rock", "scissors");
+      await exchange(alicePlayer, bobPlayer, await alicePlayer.proposeClose());
+      await bobPlayer.dispute();
+
+      await bobPlayer.close();
+
+      (await contract.balances(alice)).should.be.bignumber.equal(deposit.add(roundStake));
+    });
+  });
+});
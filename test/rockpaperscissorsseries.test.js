@@ -0,0 +1,337 @@
+const RockPaperScissorsSeries = artifacts.require("./RockPaperScissorsSeries.sol");
+
+const { BN, expectEvent, expectRevert, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const stake = new BN(toWei("1", "shannon"));
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+const zero_bytes32 = "0x0000000000000000000000000000000000000000000000000000000000000000";
+const zero_uint256 = new BN("0");
+
+const ROCK = new BN("1");
+const PAPER = new BN("2");
+const SCISSORS = new BN("3");
+const LIZARD = new BN("4");
+const SPOCK = new BN("5");
+const CLASSIC = new BN("0");
+const RPSLS = new BN("1");
+const bestOf = new BN("3");
+const timeout = time.duration.hours(1);
+
+// A fresh secret for every round: revealed secrets are public
+const secrets = [new BN("1111"), new BN("2222"), new BN("3333"), new BN("4444"), new BN("5555")];
+
+const seriesIsZeroedOut = s => {
+  s.stake.should.be.bignumber.equal(zero_uint256);
+  s.firstPlayer.should.be.equal(zero_address);
+  s.secondPlayer.should.be.equal(zero_address);
+  s.opponent.should.be.equal(zero_address);
+  s.hashedHand.should.be.equal(zero_bytes32);
+  s.bestOf.should.be.bignumber.equal(zero_uint256);
+  s.round.should.be.bignumber.equal(zero_uint256);
+};
+
+contract("RockPaperScissorsSeries", ([alice, bob, mallory, ...accounts]) => {
+  let contract;
+  let seriesId;
+
+  beforeEach("deploy the contract", async function() {
+    contract = await RockPaperScissorsSeries.new(false, { from: alice });
+  });
+
+  const hashHand = (hand, round) => contract.hashHand(hand, secrets[round], { from: alice });
+
+  const createAndAccept = async (hand = ROCK) => {
+    seriesId = await hashHand(hand, 0);
+    await contract.createSeries(seriesId, bestOf, timeout, zero_address, CLASSIC, { from: alice, value: stake });
+    await contract.acceptSeries(seriesId, { from: bob, value: stake });
+  };
+
+  // Plays the current round, whose hand was committed with secrets[round], and commits the next one
+  const playRound = async (round, aliceHand, bobHand, nextHand = ROCK) => {
+    await contract.showHand(seriesId, bobHand, { from: bob });
+    const next = await hashHand(nextHand, round + 1);
+    return contract.playRound(seriesId, aliceHand, secrets[round], next, { from: alice });
+  };
+
+  describe("createSeries()", () => {
+    it("allows to create a series", async function() {
+      seriesId = await hashHand(ROCK, 0);
+      const { logs } = await contract.createSeries(seriesId, bestOf, timeout, bob, CLASSIC, {
+        from: alice,
+        value: stake
+      });
+
+      const deadline = (await time.latest()).add(timeout);
+      const s = await contract.series(seriesId);
+
+      s.firstPlayer.should.be.equal(alice);
+      s.opponent.should.be.equal(bob);
+      s.hashedHand.should.be.equal(seriesId);
+      s.bestOf.should.be.bignumber.equal(bestOf);
+      s.stake.should.be.bignumber.equal(stake);
+      s.deadline.should.be.bignumber.equal(deadline);
+
+      await expectEvent.inLogs(logs, "LogSeriesCreated", {
+        sender: alice,
+        seriesId,
+        opponent: bob,
+        ruleSet: CLASSIC,
+        bestOf,
+        stake,
+        deadline
+      });
+    });
+
+    it("rejects an even series length", async function() {
+      seriesId = await hashHand(ROCK, 0);
+      await expectRevert(
+        contract.createSeries(seriesId, new BN("2"), timeout, zero_address, CLASSIC, { from: alice, value: stake }),
+        "Series length must be odd"
+      );
+    });
+
+    it("rejects a used hashed hand", async function() {
+      seriesId = await hashHand(ROCK, 0);
+      await contract.createSeries(seriesId, bestOf, timeout, zero_address, CLASSIC, { from: alice, value: stake });
+      await expectRevert(
+        contract.createSeries(seriesId, bestOf, timeout, zero_address, CLASSIC, { from: alice, value: stake }),
+        "Password used"
+      );
+    });
+
+    it("rejects a timeout under a minute", async function() {
+      seriesId = await hashHand(ROCK, 0);
+      await expectRevert(
+        contract.createSeries(seriesId, bestOf, new BN("59"), zero_address, CLASSIC, { from: alice, value: stake }),
+        "Timeout must be at least 1 minute"
+      );
+    });
+
+    it("rejects an unknown rule set", async function() {
+      seriesId = await hashHand(ROCK, 0);
+      await expectRevert(
+        contract.createSeries(seriesId, bestOf, timeout, zero_address, new BN("2"), { from: alice, value: stake }),
+        "Invalid rule set"
+      );
+    });
+  });
+
+  describe("acceptSeries()", () => {
+    beforeEach("create a series reserved for bob", async function() {
+      seriesId = await hashHand(ROCK, 0);
+      await contract.createSeries(seriesId, bestOf, timeout, bob, CLASSIC, { from: alice, value: stake });
+    });
+
+    it("allows the opponent to accept", async function() {
+      const { logs } = await contract.acceptSeries(seriesId, { from: bob, value: stake });
+
+      (await contract.series(seriesId)).stake.should.be.bignumber.equal(stake.mul(new BN("2")));
+      await expectEvent.inLogs(logs, "LogSeriesAccepted", { sender: bob, seriesId, stake: stake.mul(new BN("2")) });
+    });
+
+    it("rejects anyone else", async function() {
+      await expectRevert(
+        contract.acceptSeries(seriesId, { from: mallory, value: stake }),
+        "Match reserved for another player"
+      );
+    });
+
+    it("rejects a different stake", async function() {
+      await expectRevert(
+        contract.acceptSeries(seriesId, { from: bob, value: stake.add(new BN("1")) }),
+        "Invalid stake"
+      );
+    });
+  });
+
+  describe("playRound()", () => {
+    beforeEach("create and accept a best of 3", async function() {
+      await createAndAccept();
+    });
+
+    it("pays the stake to the creator after two won rounds", async function() {
+      let { logs } = await playRound(0, ROCK, SCISSORS, PAPER);
+      await expectEvent.inLogs(logs, "LogRoundPlayed", {
+        sender: alice,
+        seriesId,
+        winner: alice,
+        round: new BN("1"),
+        firstPlayerHand: ROCK,
+        secondPlayerHand: SCISSORS
+      });
+
+      const s = await contract.series(seriesId);
+      s.firstPlayerWins.should.be.bignumber.equal(new BN("1"));
+      s.hashedHand.should.be.equal(await hashHand(PAPER, 1));
+      s.secondPlayerHand.should.be.bignumber.equal(zero_uint256);
+      (await contract.balances(alice)).should.be.bignumber.equal(zero_uint256);
+
+      ({ logs } = await playRound(1, PAPER, ROCK));
+      await expectEvent.inLogs(logs, "LogSeriesWon", {
+        sender: alice,
+        seriesId,
+        winner: alice,
+        stake: stake.mul(new BN("2"))
+      });
+
+      (await contract.balances(alice)).should.be.bignumber.equal(stake.mul(new BN("2")));
+      seriesIsZeroedOut(await contract.series(seriesId));
+    });
+
+    it("pays the stake to the second player after two won rounds", async function() {
+      await playRound(0, ROCK, PAPER);
+      await playRound(1, ROCK, ROCK);
+      await playRound(2, ROCK, SCISSORS);
+      await playRound(3, ROCK, PAPER);
+
+      (await contract.balances(bob)).should.be.bignumber.equal(stake.mul(new BN("2")));
+      (await contract.balances(alice)).should.be.bignumber.equal(zero_uint256);
+    });
+
+    it("does not count ties toward the series", async function() {
+      const { logs } = await playRound(0, ROCK, ROCK);
+      await expectEvent.inLogs(logs, "LogRoundPlayed", { winner: zero_address, round: new BN("1") });
+      await playRound(1, ROCK, ROCK);
+
+      const s = await contract.series(seriesId);
+      s.round.should.be.bignumber.equal(new BN("2"));
+      s.firstPlayerWins.should.be.bignumber.equal(zero_uint256);
+      s.secondPlayerWins.should.be.bignumber.equal(zero_uint256);
+      s.stake.should.be.bignumber.equal(stake.mul(new BN("2")));
+    });
+
+    it("rejects a wrong secret", async function() {
+      await contract.showHand(seriesId, ROCK, { from: bob });
+      await expectRevert(
+        contract.playRound(seriesId, ROCK, secrets[1], await hashHand(ROCK, 1), { from: alice }),
+        "Invalid hand or secret"
+      );
+    });
+
+    it("rejects revealing before the second player shows a hand", async function() {
+      await expectRevert(
+        contract.playRound(seriesId, ROCK, secrets[0], await hashHand(ROCK, 1), { from: alice }),
+        "Player two has not made a move yet"
+      );
+    });
+
+    it("rejects continuing the series without a next hand", async function() {
+      await contract.showHand(seriesId, SCISSORS, { from: bob });
+      await expectRevert(
+        contract.playRound(seriesId, ROCK, secrets[0], zero_bytes32, { from: alice }),
+        "Invalid hashed hand"
+      );
+    });
+
+    it("rejects revealing after the deadline", async function() {
+      await contract.showHand(seriesId, SCISSORS, { from: bob });
+      await time.increase(timeout);
+      await expectRevert(
+        contract.playRound(seriesId, ROCK, secrets[0], await hashHand(ROCK, 1), { from: alice }),
+        "Deadline passed"
+      );
+    });
+
+    it("rejects anyone but the creator", async function() {
+      await contract.showHand(seriesId, SCISSORS, { from: bob });
+      await expectRevert(
+        contract.playRound(seriesId, ROCK, secrets[0], await hashHand(ROCK, 1), { from: bob }),
+        "Invalid player address"
+      );
+    });
+  });
+
+  describe("rule sets", () => {
+    beforeEach("create and accept a best of 3 played under RPSLS", async function() {
+      seriesId = await hashHand(SPOCK, 0);
+      await contract.createSeries(seriesId, bestOf, timeout, zero_address, RPSLS, { from: alice, value: stake });
+      await contract.acceptSeries(seriesId, { from: bob, value: stake });
+    });
+
+    it("decides rounds with the series' rule set", async function() {
+      let { logs } = await playRound(0, SPOCK, SCISSORS, LIZARD);
+      await expectEvent.inLogs(logs, "LogRoundPlayed", { winner: alice, firstPlayerHand: SPOCK });
+
+      ({ logs } = await playRound(1, LIZARD, ROCK));
+      await expectEvent.inLogs(logs, "LogRoundPlayed", { winner: bob, secondPlayerHand: ROCK });
+    });
+
+    it("rejects hands the rule set does not have", async function() {
+      await expectRevert(contract.showHand(seriesId, new BN("6"), { from: bob }), "Invalid hand");
+    });
+  });
+
+  describe("showHand()", () => {
+    beforeEach("create and accept a best of 3", async function() {
+      await createAndAccept();
+    });
+
+    it("rejects hands the classic rules do not have", async function() {
+      await expectRevert(contract.showHand(seriesId, LIZARD, { from: bob }), "Invalid hand");
+    });
+
+    it("rejects showing twice in a round", async function() {
+      await contract.showHand(seriesId, ROCK, { from: bob });
+      await expectRevert(contract.showHand(seriesId, PAPER, { from: bob }), "Cannot pick hand twice");
+    });
+
+    it("rejects anyone but the second player", async function() {
+      await expectRevert(contract.showHand(seriesId, ROCK, { from: mallory }), "Invalid player address");
+    });
+
+    it("resets the deadline every round", async function() {
+      await playRound(0, ROCK, SCISSORS);
+      const deadline = (await time.latest()).add(timeout);
+      (await contract.series(seriesId)).deadline.should.be.bignumber.equal(deadline);
+    });
+  });
+
+  describe("punish() and cancelSeries()", () => {
+    beforeEach("create and accept a best of 3, alice wins the first round", async function() {
+      await createAndAccept();
+      await playRound(0, ROCK, SCISSORS);
+    });
+
+    it("lets the second player take the stake when the creator does not reveal", async function() {
+      await contract.showHand(seriesId, ROCK, { from: bob });
+      await expectRevert(contract.punish(seriesId, { from: bob }), "Deadline has not passed");
+
+      // The deadline itself is already too late to reveal, like in RockPaperScissors
+      await time.increase(timeout);
+      const { logs } = await contract.punish(seriesId, { from: bob });
+
+      await expectEvent.inLogs(logs, "LogPunishCalled", { sender: bob, seriesId });
+      (await contract.balances(bob)).should.be.bignumber.equal(stake.mul(new BN("2")));
+      seriesIsZeroedOut(await contract.series(seriesId));
+    });
+
+    it("lets the creator take the stake when the second player does not show a hand", async function() {
+      await expectRevert(contract.cancelSeries(seriesId, { from: alice }), "Deadline has not passed");
+
+      await time.increase(timeout.add(new BN("1")));
+      await expectRevert(contract.cancelSeries(seriesId, { from: bob }), "Invalid player address");
+      const { logs } = await contract.cancelSeries(seriesId, { from: alice });
+
+      await expectEvent.inLogs(logs, "LogCancelCalled", { sender: alice, seriesId });
+      (await contract.balances(alice)).should.be.bignumber.equal(stake.mul(new BN("2")));
+      seriesIsZeroedOut(await contract.series(seriesId));
+    });
+
+    it("rejects cancelling once the second player has shown a hand", async function() {
+      await contract.showHand(seriesId, ROCK, { from: bob });
+      await time.increase(timeout.add(new BN("1")));
+      await expectRevert(contract.cancelSeries(seriesId, { from: alice }), "Cannot cancel, game is on");
+    });
+  });
+
+  it("lets the creator recover the stake when nobody joins", async function() {
+    seriesId = await hashHand(ROCK, 0);
+    await contract.createSeries(seriesId, bestOf, timeout, zero_address, CLASSIC, { from: alice, value: stake });
+    await time.increase(timeout.add(new BN("1")));
+
+    await contract.cancelSeries(seriesId, { from: alice });
+    (await contract.balances(alice)).should.be.bignumber.equal(stake);
+  });
+});
@@ -0,0 +1,283 @@
+const RockPaperScissorsTournament = artifacts.require("./RockPaperScissorsTournament.sol");
+
+const { BN, expectEvent, expectRevert, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const { loadBracket, TournamentStatus } = require("../lib");
+
+const entryFee = new BN(toWei("1", "shannon"));
+
+const zero_address = "0x0000000000000000000000000000000000000000";
+const zero_uint256 = new BN("0");
+
+const ROCK = new BN("1");
+const PAPER = new BN("2");
+const SCISSORS = new BN("3");
+const LIZARD = new BN("4");
+const SPOCK = new BN("5");
+const CLASSIC = new BN("0");
+const RPSLS = new BN("1");
+const secret = new BN("1234");
+const timeout = time.duration.hours(1);
+const tournamentId = new BN("1");
+
+contract("RockPaperScissorsTournament", ([owner, alice, bob, carol, dave, mallory, ...accounts]) => {
+  let contract;
+
+  beforeEach("deploy the contract", async function() {
+    contract = await RockPaperScissorsTournament.new(false, { from: owner });
+  });
+
+  const fill = async players => {
+    for (const player of players) await contract.join(tournamentId, { from: player, value: entryFee });
+  };
+
+  // The first player commits, the second shows and the first resolves
+  const play = async (matchIndex, firstPlayer, firstHand, secondPlayer, secondHand, handSecret = secret) => {
+    const hashedHand = await contract.hashHand(firstHand, handSecret, { from: firstPlayer });
+    await contract.commitHand(tournamentId, matchIndex, hashedHand, { from: firstPlayer });
+    await contract.showHand(tournamentId, matchIndex, secondHand, { from: secondPlayer });
+    return contract.resolveMatch(tournamentId, matchIndex, firstHand, handSecret, { from: firstPlayer });
+  };
+
+  // Deadlines are expired from their very second on
+  const expire = () => time.increase(timeout);
+
+  describe("createTournament()", () => {
+    it("allows to create a tournament", async function() {
+      const { logs } = await contract.createTournament(new BN("4"), entryFee, timeout, CLASSIC, { from: owner });
+      const registrationDeadline = (await time.latest()).add(timeout);
+
+      const tournament = await contract.tournaments(tournamentId);
+      tournament.size.should.be.bignumber.equal(new BN("4"));
+      tournament.entryFee.should.be.bignumber.equal(entryFee);
+      tournament.registrationDeadline.should.be.bignumber.equal(registrationDeadline);
+
+      await expectEvent.inLogs(logs, "LogTournamentCreated", {
+        sender: owner,
+        tournamentId,
+        size: new BN("4"),
+        ruleSet: CLASSIC,
+        entryFee,
+        registrationDeadline
+      });
+    });
+
+    it("rejects sizes other than 4, 8 or 16", async function() {
+      await expectRevert(
+        contract.createTournament(new BN("6"), entryFee, timeout, CLASSIC, { from: owner }),
+        "Invalid tournament size"
+      );
+    });
+
+    it("rejects a timeout under a minute", async function() {
+      await expectRevert(
+        contract.createTournament(new BN("4"), entryFee, new BN("59"), CLASSIC, { from: owner }),
+        "Timeout must be at least 1 minute"
+      );
+    });
+
+    it("rejects an unknown rule set", async function() {
+      await expectRevert(
+        contract.createTournament(new BN("4"), entryFee, timeout, new BN("2"), { from: owner }),
+        "Invalid rule set"
+      );
+    });
+  });
+
+  describe("join()", () => {
+    beforeEach("create a tournament for 4", async function() {
+      await contract.createTournament(new BN("4"), entryFee, timeout, CLASSIC, { from: owner });
+    });
+
+    it("pairs entrants in joining order once the bracket is full", async function() {
+      await fill([alice, bob, carol]);
+      const { logs } = await contract.join(tournamentId, { from: dave, value: entryFee });
+
+      (await contract.getEntrants(tournamentId)).should.be.deep.equal([alice, bob, carol, dave]);
+      await expectEvent.inLogs(logs, "LogMatchReady", {
+        tournamentId,
+        matchIndex: new BN("0"),
+        firstPlayer: alice,
+        secondPlayer: bob
+      });
+      await expectEvent.inLogs(logs, "LogMatchReady", {
+        tournamentId,
+        matchIndex: new BN("1"),
+        firstPlayer: carol,
+        secondPlayer: dave
+      });
+    });
+
+    it("rejects a wrong entry fee", async function() {
+      await expectRevert(contract.join(tournamentId, { from: alice, value: "1" }), "Invalid stake");
+    });
+
+    it("rejects joining twice", async function() {
+      await fill([alice]);
+      await expectRevert(contract.join(tournamentId, { from: alice, value: entryFee }), "Already joined");
+    });
+
+    it("rejects joining a full tournament", async function() {
+      await fill([alice, bob, carol, dave]);
+      await expectRevert(contract.join(tournamentId, { from: mallory, value: entryFee }), "Tournament is full");
+    });
+
+    it("refunds entrants when the bracket is not filled in time", async function() {
+      await fill([alice, bob]);
+      await expectRevert(contract.cancelTournament(tournamentId, { from: mallory }), "Deadline has not passed");
+
+      await expire();
+      await contract.cancelTournament(tournamentId, { from: mallory });
+
+      (await contract.balances(alice)).should.be.bignumber.equal(entryFee);
+      (await contract.balances(bob)).should.be.bignumber.equal(entryFee);
+      await expectRevert(contract.join(tournamentId, { from: carol, value: entryFee }), "Tournament does not exist");
+    });
+  });
+
+  describe("matches", () => {
+    beforeEach("create and fill a tournament for 4", async function() {
+      await contract.createTournament(new BN("4"), entryFee, timeout, CLASSIC, { from: owner });
+      await fill([alice, bob, carol, dave]);
+    });
+
+    it("advances winners and credits the prize to the champion", async function() {
+      let { logs } = await play(0, alice, ROCK, bob, SCISSORS);
+      await expectEvent.inLogs(logs, "LogMatchWon", {
+        tournamentId,
+        matchIndex: zero_uint256,
+        winner: alice,
+        forfeit: false
+      });
+      (await contract.matches(tournamentId, 2)).firstPlayer.should.be.equal(alice);
+
+      ({ logs } = await play(1, carol, PAPER, dave, SCISSORS));
+      await expectEvent.inLogs(logs, "LogMatchReady", {
+        matchIndex: new BN("2"),
+        firstPlayer: alice,
+        secondPlayer: dave
+      });
+
+      ({ logs } = await play(2, alice, PAPER, dave, ROCK));
+      await expectEvent.inLogs(logs, "LogTournamentWon", {
+        tournamentId,
+        champion: alice,
+        prize: entryFee.mul(new BN("4"))
+      });
+
+      (await contract.balances(alice)).should.be.bignumber.equal(entryFee.mul(new BN("4")));
+      (await contract.tournaments(tournamentId)).champion.should.be.equal(alice);
+    });
+
+    it("replays ties", async function() {
+      const { logs } = await play(0, alice, ROCK, bob, ROCK);
+      await expectEvent.inLogs(logs, "LogMatchTied", { tournamentId, matchIndex: zero_uint256 });
+
+      const match = await contract.matches(tournamentId, 0);
+      match.winner.should.be.equal(zero_address);
+      match.hashedHand.should.be.equal("0x0000000000000000000000000000000000000000000000000000000000000000");
+
+      await play(0, alice, PAPER, bob, ROCK, new BN("5678"));
+      (await contract.matches(tournamentId, 0)).winner.should.be.equal(alice);
+    });
+
+    it("advances the second player when the first player does not commit", async function() {
+      await expectRevert(contract.forfeit(tournamentId, 0, { from: mallory }), "Deadline has not passed");
+      await expire();
+
+      const { logs } = await contract.forfeit(tournamentId, 0, { from: mallory });
+      await expectEvent.inLogs(logs, "LogMatchWon", { matchIndex: zero_uint256, winner: bob, forfeit: true });
+      (await contract.matches(tournamentId, 2)).firstPlayer.should.be.equal(bob);
+    });
+
+    it("advances the first player when the second player does not show a hand", async function() {
+      await contract.commitHand(tournamentId, 1, await contract.hashHand(ROCK, secret, { from: carol }), {
+        from: carol
+      });
+      await expire();
+
+      await contract.forfeit(tournamentId, 1, { from: carol });
+      (await contract.matches(tournamentId, 2)).secondPlayer.should.be.equal(carol);
+    });
+
+    it("advances the second player when the first player does not resolve", async function() {
+      await contract.commitHand(tournamentId, 1, await contract.hashHand(ROCK, secret, { from: carol }), {
+        from: carol
+      });
+      await contract.showHand(tournamentId, 1, PAPER, { from: dave });
+      await expire();
+
+      await expectRevert(contract.resolveMatch(tournamentId, 1, ROCK, secret, { from: carol }), "Deadline passed");
+      await contract.forfeit(tournamentId, 1, { from: dave });
+      (await contract.matches(tournamentId, 2)).secondPlayer.should.be.equal(dave);
+    });
+
+    it("rejects moves from players outside the match", async function() {
+      const hashedHand = await contract.hashHand(ROCK, secret, { from: carol });
+      await expectRevert(contract.commitHand(tournamentId, 0, hashedHand, { from: carol }), "Invalid player address");
+      await expectRevert(contract.showHand(tournamentId, 0, ROCK, { from: dave }), "Invalid player address");
+    });
+
+    it("rejects showing a hand before the commit", async function() {
+      await expectRevert(contract.showHand(tournamentId, 0, ROCK, { from: bob }), "Player one has not made a move yet");
+    });
+
+    it("rejects hands the classic rules do not have", async function() {
+      await contract.commitHand(tournamentId, 0, await contract.hashHand(ROCK, secret, { from: alice }), {
+        from: alice
+      });
+      await expectRevert(contract.showHand(tournamentId, 0, LIZARD, { from: bob }), "Invalid hand");
+    });
+
+    it("rejects a wrong secret", async function() {
+      await contract.commitHand(tournamentId, 0, await contract.hashHand(ROCK, secret, { from: alice }), {
+        from: alice
+      });
+      await contract.showHand(tournamentId, 0, PAPER, { from: bob });
+      await expectRevert(contract.resolveMatch(tournamentId, 0, ROCK, "1", { from: alice }), "Invalid hand or secret");
+    });
+
+    it("rejects playing a decided match or one that has not started", async function() {
+      await play(0, alice, ROCK, bob, SCISSORS);
+      await expectRevert(contract.forfeit(tournamentId, 0, { from: bob }), "Match is over");
+      await expectRevert(contract.forfeit(tournamentId, 2, { from: alice }), "Game does not exist");
+    });
+
+    it("decides matches with the tournament's rule set", async function() {
+      await contract.createTournament(new BN("4"), entryFee, timeout, RPSLS, { from: owner });
+      const rpslsId = new BN("2");
+      for (const player of [alice, bob, carol, dave]) await contract.join(rpslsId, { from: player, value: entryFee });
+
+      await contract.commitHand(rpslsId, 0, await contract.hashHand(LIZARD, secret, { from: alice }), { from: alice });
+      await contract.showHand(rpslsId, 0, SPOCK, { from: bob });
+      const { logs } = await contract.resolveMatch(rpslsId, 0, LIZARD, secret, { from: alice });
+
+      await expectEvent.inLogs(logs, "LogMatchWon", { tournamentId: rpslsId, winner: alice, forfeit: false });
+      const bracket = await loadBracket(web3, contract.address, rpslsId, { abi: RockPaperScissorsTournament.abi });
+      bracket.ruleSet.should.be.equal(Number(RPSLS));
+    });
+
+    it("can be reconstructed from events", async function() {
+      await play(0, alice, ROCK, bob, ROCK);
+      await play(0, alice, ROCK, bob, SCISSORS, new BN("5678"));
+      await expire();
+      await contract.forfeit(tournamentId, 1, { from: mallory });
+      await play(2, alice, SCISSORS, dave, PAPER);
+
+      const bracket = await loadBracket(web3, contract.address, tournamentId, { abi: RockPaperScissorsTournament.abi });
+
+      bracket.status.should.be.equal(TournamentStatus.FINISHED);
+      bracket.size.should.be.equal(4);
+      bracket.entrants.should.be.deep.equal([alice, bob, carol, dave]);
+      bracket.matches.map(match => match.round).should.be.deep.equal([0, 0, 1]);
+      bracket.matches.map(match => match.winner).should.be.deep.equal([alice, dave, alice]);
+      bracket.matches.map(match => match.forfeit).should.be.deep.equal([false, true, false]);
+      bracket.matches[0].ties.should.be.equal(1);
+      bracket.matches[2].firstPlayer.should.be.equal(alice);
+      bracket.matches[2].secondPlayer.should.be.equal(dave);
+      bracket.champion.should.be.equal(alice);
+      bracket.prize.should.be.equal(entryFee.mul(new BN("4")).toString());
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei, fromWei } = require("web3-utils");
+
+const { RockPaperScissorsClient, Indexer, memoryStore, playerStatement, statementToCsv } = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+const fee = new BN(toWei("1", "mwei"));
+
+const neg = amount => amount.neg().toString(10);
+
+contract("Statements", ([alice, bob, carol, dave, ...accounts]) => {
+  const clients = {};
+  let events;
+  let won;
+  let punished;
+  let cancelled;
+  let withdrawal;
+
+  const summary = player =>
+    playerStatement(events, player).map(({ kind, gameId, counterparty, amount }) => [
+      kind,
+      gameId,
+      counterparty,
+      amount
+    ]);
+
+  const play = async (first, second, firstHand, secondHand) => {
+    const game = await clients[first].createMatch({ hand: firstHand, stake });
+    await clients[second].acceptMatch(game.gameId);
+    await clients[second].showHand(game.gameId, secondHand);
+    return game;
+  };
+
+  // alice wins against bob and has carol relay the resolution for a fee, bob then punishes alice, alice
+  // cancels a game nobody joined and withdraws part of her balance to dave
+  before("play games and index them", async function() {
+    const contract = await RockPaperScissors.new(false, { from: alice });
+    const fromBlock = await web3.eth.getBlockNumber();
+    for (const [name, from] of Object.entries({ alice, bob, carol })) {
+      clients[name] = new RockPaperScissorsClient(web3, contract.address, { abi: RockPaperScissors.abi, from });
+    }
+
+    won = await play("alice", "bob", "rock", "scissors");
+    await clients.carol.relay(await clients.alice.signResolveMatch(won.hand, won.secret, { fee }));
+    punished = await play("alice", "bob", "rock", "paper");
+    cancelled = await clients.alice.createMatch({ hand: "paper", stake });
+
+    await time.increase(time.duration.hours(1).addn(1));
+    await clients.bob.punish(punished.gameId);
+    await clients.alice.cancelGame(cancelled.hand, cancelled.secret);
+    withdrawal = await clients.alice.withdraw({ amount: stake, to: dave });
+
+    const indexer = new Indexer(web3, contract.address, {
+      abi: RockPaperScissors.abi,
+      store: memoryStore(),
+      fromBlock
+    });
+    await indexer.sync();
+    events = indexer.getEvents();
+  });
+
+  it("joins every step of the player's games with what they were credited", async function() {
+    summary(alice).should.be.deep.equal([
+      ["created", won.gameId, bob, neg(stake)],
+      ["resolved", won.gameId, bob, stake.muln(2).toString(10)],
+      ["fee-paid", "", carol, neg(fee)],
+      ["created", punished.gameId, bob, neg(stake)],
+      ["created", cancelled.gameId, "", neg(stake)],
+      ["punished", punished.gameId, bob, "0"],
+      ["cancelled", cancelled.gameId, "", stake.toString(10)],
+      ["withdrawal", "", dave, neg(stake)]
+    ]);
+    summary(bob).should.be.deep.equal([
+      ["accepted", won.gameId, alice, neg(stake)],
+      ["hand-shown", won.gameId, alice, "0"],
+      ["resolved", won.gameId, alice, "0"],
+      ["accepted", punished.gameId, alice, neg(stake)],
+      ["hand-shown", punished.gameId, alice, "0"],
+      ["punished", punished.gameId, alice, stake.muln(2).toString(10)]
+    ]);
+    summary(carol).should.be.deep.equal([["fee-earned", "", alice, fee.toString(10)]]);
+    summary(dave).should.be.deep.equal([]);
+  });
+
+  it("dates entries and gives amounts in ether too", async function() {
+    const entries = playerStatement(events, alice.toLowerCase());
+    const last = entries[entries.length - 1];
+    const block = await web3.eth.getBlock(withdrawal.blockNumber);
+
+    last.should.include({
+      timestamp: Number(block.timestamp),
+      date: new Date(block.timestamp * 1000).toISOString(),
+      blockNumber: block.number,
+      transactionHash: withdrawal.transactionHash,
+      ether: `-${fromWei(stake, "ether")}`
+    });
+  });
+
+  it("formats a statement as CSV", async function() {
+    const lines = statementToCsv(playerStatement(events, carol)).split("\n");
+
+    lines.should.have.lengthOf(3);
+    lines[0].should.be.equal(
+      "timestamp,date,blockNumber,transactionHash,player,kind,gameId,counterparty,token,amount,ether"
+    );
+    lines[1]
+      .split(",")
+      .slice(4)
+      .should.be.deep.equal([
+        carol,
+        "fee-earned",
+        "",
+        alice,
+        "0x0000000000000000000000000000000000000000",
+        fee.toString(10),
+        fromWei(fee, "ether")
+      ]);
+    lines[2].should.be.equal("");
+  });
+});
@@ -0,0 +1,182 @@
+const http = require("http");
+
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const { RockPaperScissorsClient, Indexer, StatsServer, memoryStore } = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+
+const get = (server, path) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    http
+      .get({ host: "127.0.0.1", port, path }, res => {
+        let data = "";
+        res.on("data", chunk => (data += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      })
+      .on("error", reject);
+  });
+
+contract("StatsServer", ([alice, bob, carol, ...accounts]) => {
+  const clients = {};
+  let contract;
+  let indexer;
+  let stats;
+  let server;
+  let now;
+  let afterTimeout;
+
+  const play = async (first, second, firstHand, secondHand, gameStake = stake) => {
+    const game = await clients[first].createMatch({ hand: firstHand, stake: gameStake });
+    await clients[second].acceptMatch(game.gameId);
+    await clients[second].showHand(game.gameId, secondHand);
+    return game;
+  };
+
+  // A scripted ladder: alice beats bob, alice and bob tie, bob beats carol for a double stake and, once the
+  // first timeout passed, carol punishes alice. A game bob cancels unjoined counts for no one.
+  before("play games and index them", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    const fromBlock = await web3.eth.getBlockNumber();
+    for (const [name, from] of Object.entries({ alice, bob, carol })) {
+      clients[name] = new RockPaperScissorsClient(web3, contract.address, { abi: RockPaperScissors.abi, from });
+    }
+
+    const won = await play("alice", "bob", "rock", "scissors");
+    await clients.alice.resolveMatch(won.hand, won.secret);
+    const tied = await play("alice", "bob", "rock", "rock");
+    await clients.alice.resolveMatch(tied.hand, tied.secret);
+    const doubled = await play("bob", "carol", "paper", "rock", stake.muln(2));
+    await clients.bob.resolveMatch(doubled.hand, doubled.secret);
+    const punished = await play("alice", "carol", "rock", "paper");
+    const unjoined = await clients.bob.createMatch({ hand: "rock", stake });
+
+    await time.increase(time.duration.hours(1).addn(1));
+    afterTimeout = (await time.latest()).toNumber();
+    await clients.carol.punish(punished.gameId);
+    await clients.bob.cancelGame(unjoined.hand, unjoined.secret);
+
+    indexer = new Indexer(web3, contract.address, { abi: RockPaperScissors.abi, store: memoryStore(), fromBlock });
+    await indexer.sync();
+    now = (await time.latest()).toNumber();
+    stats = new StatsServer(indexer, { now: () => now });
+    server = await stats.listen();
+  });
+
+  after("stop the server", async function() {
+    await stats.close();
+  });
+
+  it("ranks players by net winnings", async function() {
+    const { status, body } = await get(server, "/leaderboard");
+
+    status.should.be.equal(200);
+    body.total.should.be.equal(3);
+    body.players.should.be.deep.equal([
+      {
+        rank: 1,
+        address: bob,
+        played: 3,
+        wins: 1,
+        losses: 1,
+        ties: 1,
+        punished: 0,
+        net: stake.toString(),
+        averageStake: stake
+          .muln(4)
+          .divn(3)
+          .toString()
+      },
+      {
+        rank: 2,
+        address: alice,
+        played: 3,
+        wins: 1,
+        losses: 1,
+        ties: 1,
+        punished: 1,
+        net: "0",
+        averageStake: stake.toString()
+      },
+      {
+        rank: 3,
+        address: carol,
+        played: 2,
+        wins: 1,
+        losses: 1,
+        ties: 0,
+        punished: 0,
+        net: stake.neg().toString(),
+        averageStake: stake
+          .muln(3)
+          .divn(2)
+          .toString()
+      }
+    ]);
+  });
+
+  it("sorts and paginates", async function() {
+    const { body } = await get(server, "/leaderboard?sort=averageStake&offset=1&limit=1");
+
+    body.should.include({ total: 3, offset: 1, limit: 1 });
+    body.players.map(player => [player.rank, player.address]).should.be.deep.equal([[2, bob]]);
+    (await get(server, "/leaderboard?offset=3")).body.players.should.be.deep.equal([]);
+  });
+
+  it("only counts games that ended within the time window", async function() {
+    const { body } = await get(server, `/leaderboard?since=${afterTimeout}`);
+
+    body.since.should.be.equal(afterTimeout);
+    body.players
+      .map(({ address, net, punished }) => ({ address, net, punished }))
+      .should.be.deep.equal([
+        { address: carol, net: stake.toString(), punished: 0 },
+        { address: alice, net: stake.neg().toString(), punished: 1 }
+      ]);
+    (await get(server, `/leaderboard?until=${afterTimeout}`)).body.total.should.be.equal(3);
+    (await get(server, "/leaderboard?window=24h")).body.should.include({ since: now - 86400, total: 3 });
+    (await get(server, "/leaderboard?window=1h")).body.total.should.be.equal(2);
+  });
+
+  it("serves the statistics of a single player", async function() {
+    const { status, body } = await get(server, `/players/${carol.toLowerCase()}?window=all`);
+
+    status.should.be.equal(200);
+    body.should.include({ address: carol, played: 2, wins: 1, losses: 1, net: stake.neg().toString() });
+    (await get(server, `/players/${accounts[0]}`)).body.should.include({
+      address: accounts[0],
+      played: 0,
+      net: "0",
+      averageStake: "0"
+    });
+  });
+
+  it("refuses bad queries", async function() {
+    for (const path of [
+      "/leaderboard?sort=luck",
+      "/leaderboard?limit=0",
+      "/leaderboard?limit=101",
+      "/leaderboard?offset=-1",
+      "/leaderboard?window=1w",
+      "/leaderboard?token=0x1234",
+      "/players/nobody"
+    ]) {
+      const { status, body } = await get(server, path);
+      status.should.be.equal(400, path);
+      body.error.should.be.equal("TypeError");
+    }
+    (await get(server, "/games")).status.should.be.equal(404);
+  });
+
+  it("refuses malformed paths and keeps serving", async function() {
+    const { status, body } = await get(server, "//");
+
+    status.should.be.equal(400);
+    body.should.have.all.keys("error", "reason");
+    (await get(server, "/")).status.should.be.equal(200);
+  });
+});
@@ -0,0 +1,122 @@
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+
+const { BN } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const {
+  RockPaperScissorsClient,
+  SecretVault,
+  VaultError,
+  memoryStorage,
+  generateSeed,
+  deriveSecret,
+  Hand,
+  RuleSet
+} = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+const passphrase = "correct horse battery staple";
+
+contract("SecretVault", ([alice, bob, ...accounts]) => {
+  let contract;
+  let storage;
+  let vault;
+  let client;
+
+  beforeEach("deploy the contract and open a vault", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    storage = memoryStorage();
+    vault = SecretVault.open(storage, passphrase, { seed: generateSeed() });
+    client = new RockPaperScissorsClient(web3, contract.address, { from: alice, abi: RockPaperScissors.abi, vault });
+  });
+
+  describe("encryption", () => {
+    it("does not store secrets in clear", async function() {
+      vault.record("0x01", { hand: Hand.ROCK, secret: "123456789", contract: contract.address, player: alice });
+
+      storage.load().should.not.include("123456789");
+      storage.load().should.not.include(vault.seed.slice(2));
+    });
+
+    it("reopens with the right passphrase", async function() {
+      vault.record("0x01", { hand: Hand.PAPER, secret: "1234", contract: contract.address, player: alice });
+
+      const reopened = SecretVault.open(storage, passphrase);
+      reopened.get("0x01").hand.should.be.equal(Hand.PAPER);
+      reopened.get("0x01").secret.should.be.equal("1234");
+      reopened.seed.should.be.equal(vault.seed);
+    });
+
+    it("rejects a wrong passphrase", async function() {
+      (() => SecretVault.open(storage, "wrong")).should.throw(VaultError, "Wrong passphrase");
+    });
+  });
+
+  describe("export() and import()", () => {
+    it("merges games and keeps the highest counters", async function() {
+      vault.nextSecret(contract.address, alice);
+      vault.nextSecret(contract.address, alice);
+      vault.record("0x01", { hand: Hand.ROCK, secret: "1", contract: contract.address, player: alice });
+
+      const other = SecretVault.open(memoryStorage(), "other passphrase");
+      other.import(vault.export("transport"), "transport");
+
+      other.get("0x01").secret.should.be.equal("1");
+      other.seed.should.be.equal(vault.seed);
+      other.nextSecret(contract.address, alice).index.should.be.equal(2);
+    });
+
+    it("refuses to merge vaults with different seeds", async function() {
+      const other = SecretVault.open(memoryStorage(), passphrase, { seed: generateSeed() });
+      (() => other.import(vault.export())).should.throw(VaultError, "different seeds");
+    });
+  });
+
+  describe("createMatch()", () => {
+    it("records the game before it is created", async function() {
+      const { gameId, secret } = await client.createMatch({ hand: "scissors", stake });
+
+      vault.get(gameId).hand.should.be.equal(Hand.SCISSORS);
+      vault.get(gameId).secret.should.be.equal(secret);
+      secret.should.be.equal(deriveSecret(vault.seed, contract.address, alice, 0));
+    });
+  });
+
+  describe("recover()", () => {
+    it("rebuilds a lost vault from the seed and the contract events", async function() {
+      const first = await client.createMatch({ hand: "rock", stake });
+      const second = await client.createMatch({ hand: "paper", stake });
+
+      const bobClient = new RockPaperScissorsClient(web3, contract.address, { from: bob, abi: RockPaperScissors.abi });
+      await bobClient.createMatch({ hand: "rock", stake });
+
+      const restored = SecretVault.open(memoryStorage(), "new passphrase", { seed: vault.seed });
+      const recovered = await restored.recover(client, alice, { gapLimit: 5 });
+
+      recovered.length.should.be.equal(2);
+      restored.get(first.gameId).secret.should.be.equal(first.secret);
+      restored.get(first.gameId).hand.should.be.equal(Hand.ROCK);
+      restored.get(second.gameId).hand.should.be.equal(Hand.PAPER);
+      restored.nextSecret(contract.address, alice).index.should.be.equal(2);
+
+      // The recovered secrets are good enough to settle the game
+      await bobClient.acceptMatch(first.gameId);
+      await bobClient.showHand(first.gameId, "scissors");
+      const record = restored.get(first.gameId);
+      await client.resolveMatch(record.hand, record.secret);
+
+      (await client.balanceOf()).should.be.bignumber.equal(stake.mul(new BN("2")));
+    });
+
+    it("recovers games played with any rule set's hands", async function() {
+      const game = await client.createMatch({ hand: "spock", stake, ruleSet: RuleSet.RPSLS });
+
+      const restored = SecretVault.open(memoryStorage(), "new passphrase", { seed: vault.seed });
+      const recovered = await restored.recover(client, alice, { gapLimit: 5 });
+
+      recovered.length.should.be.equal(1);
+      restored.get(game.gameId).hand.should.be.equal(Hand.SPOCK);
+      restored.get(game.gameId).secret.should.be.equal(game.secret);
+    });
+  });
+});
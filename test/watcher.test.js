@@ -0,0 +1,180 @@
+const http = require("http");
+
+const RockPaperScissors = artifacts.require("./RockPaperScissors.sol");
+
+const { BN, time } = require("openzeppelin-test-helpers");
+const { toWei } = require("web3-utils");
+
+const {
+  RockPaperScissorsClient,
+  DeadlineWatcher,
+  Phase,
+  Indexer,
+  SecretVault,
+  memoryStorage,
+  memoryStore,
+  generateSeed
+} = require("../lib");
+
+const stake = new BN(toWei("1", "shannon"));
+
+contract("DeadlineWatcher", ([alice, bob, carol, ...accounts]) => {
+  let contract;
+  let fromBlock;
+  let aliceClient;
+  let bobClient;
+
+  const watch = (client, options = {}) => {
+    const indexer = new Indexer(web3, contract.address, {
+      abi: RockPaperScissors.abi,
+      store: memoryStore(),
+      fromBlock
+    });
+    const watcher = new DeadlineWatcher(client, { indexer, ...options });
+    const notifications = [];
+    watcher.on("notification", notification => notifications.push(notification));
+    return { watcher, notifications };
+  };
+
+  beforeEach("deploy the contract", async function() {
+    contract = await RockPaperScissors.new(false, { from: alice });
+    fromBlock = await web3.eth.getBlockNumber();
+    const vault = SecretVault.open(memoryStorage(), "passphrase", { seed: generateSeed() });
+    const options = { abi: RockPaperScissors.abi };
+    aliceClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: alice, vault });
+    bobClient = new RockPaperScissorsClient(web3, contract.address, { ...options, from: bob });
+  });
+
+  it("resolves as soon as the opponent shows a hand", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+    const { watcher, notifications } = watch(aliceClient);
+    await watcher.check();
+    notifications.should.be.deep.equal([]);
+
+    await bobClient.acceptMatch(gameId);
+    await bobClient.showHand(gameId, "scissors");
+    await watcher.check();
+    await watcher.check();
+
+    (await aliceClient.getPhase(gameId)).should.be.equal(Phase.CLOSED);
+    notifications.map(({ kind, action }) => [kind, action]).should.be.deep.equal([["sent", "resolveMatch"]]);
+    notifications[0].transactionHash.should.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("cancels games nobody joined or showed a hand to once their deadline passed", async function() {
+    const unjoined = await aliceClient.createMatch({ hand: "rock", stake });
+    const unshown = await aliceClient.createMatch({ hand: "rock", stake });
+    await bobClient.acceptMatch(unshown.gameId);
+    const { watcher, notifications } = watch(aliceClient);
+    await watcher.check();
+    notifications.should.be.deep.equal([]);
+
+    await time.increase(time.duration.hours(1).addn(1));
+    await watcher.check();
+
+    (await aliceClient.getPhase(unjoined.gameId)).should.be.equal(Phase.CLOSED);
+    (await aliceClient.getPhase(unshown.gameId)).should.be.equal(Phase.CLOSED);
+    notifications
+      .map(({ kind, action }) => [kind, action])
+      .should.be.deep.equal([["sent", "cancelGame"], ["sent", "cancelGame"]]);
+  });
+
+  it("punishes a creator who did not resolve in time", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+    await bobClient.acceptMatch(gameId);
+    await bobClient.showHand(gameId, "paper");
+    const { watcher, notifications } = watch(bobClient);
+    await watcher.check();
+    (await aliceClient.getPhase(gameId)).should.be.equal(Phase.HAND_SHOWN);
+
+    await time.increase(time.duration.hours(1).addn(1));
+    await watcher.check();
+
+    (await aliceClient.getPhase(gameId)).should.be.equal(Phase.CLOSED);
+    notifications.map(({ kind, action }) => [kind, action]).should.be.deep.equal([["sent", "punish"]]);
+  });
+
+  it("warns once before the deadline of moves it cannot make, also to a webhook", async function() {
+    const received = [];
+    const server = http.createServer((request, response) => {
+      let data = "";
+      request.on("data", chunk => (data += chunk));
+      request.on("end", () => {
+        received.push(JSON.parse(data));
+        response.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+      await bobClient.acceptMatch(gameId);
+      const webhook = `http://127.0.0.1:${server.address().port}/hooks`;
+      const { watcher, notifications } = watch(bobClient, { warnBefore: 600, webhook });
+      await watcher.check();
+      notifications.should.be.deep.equal([]);
+
+      await time.increase(time.duration.minutes(55));
+      await watcher.check();
+      await watcher.check();
+
+      await watcher.flush();
+      notifications.should.have.lengthOf(1);
+      notifications[0].should.include({ kind: "deadline", gameId, action: "showHand" });
+      received.should.be.deep.equal(notifications);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it("sends transactions while a webhook does not answer, then gives up on it", async function() {
+    const requests = [];
+    const server = http.createServer(request => requests.push(request));
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+      await bobClient.acceptMatch(gameId);
+      await bobClient.showHand(gameId, "scissors");
+      const webhook = `http://127.0.0.1:${server.address().port}/hooks`;
+      const { watcher, notifications } = watch(aliceClient, { webhook, webhookTimeout: 200 });
+      const errors = [];
+      watcher.on("error", error => errors.push(error.message));
+
+      await watcher.check();
+      (await aliceClient.getPhase(gameId)).should.be.equal(Phase.CLOSED);
+      notifications.map(({ kind, action }) => [kind, action]).should.be.deep.equal([["sent", "resolveMatch"]]);
+
+      await watcher.flush();
+      requests.should.have.lengthOf(1);
+      errors.should.be.deep.equal(["Webhook did not answer within 200 ms"]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it("only notifies in a dry run", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+    const { watcher, notifications } = watch(aliceClient, { dryRun: true });
+    await time.increase(time.duration.hours(1).addn(1));
+    await watcher.check();
+    await watcher.check();
+
+    (await aliceClient.getPhase(gameId)).should.be.equal(Phase.EXPIRED_AWAITING_CANCEL);
+    notifications.map(({ kind, action }) => [kind, action]).should.be.deep.equal([["dry-run", "cancelGame"]]);
+  });
+
+  it("retries failed transactions, then gives up", async function() {
+    const { gameId } = await aliceClient.createMatch({ hand: "rock", stake });
+    const { watcher, notifications } = watch(aliceClient, { retries: 1 });
+    aliceClient.cancelGame = () => Promise.reject(new Error("Nonce too low"));
+    await time.increase(time.duration.hours(1).addn(1));
+
+    for (let i = 0; i < 3; i++) await watcher.check();
+
+    (await aliceClient.getPhase(gameId)).should.be.equal(Phase.EXPIRED_AWAITING_CANCEL);
+    notifications
+      .map(({ kind, error }) => [kind, error])
+      .should.be.deep.equal([["failed", "Nonce too low"], ["abandoned", "Nonce too low"]]);
+  });
+});
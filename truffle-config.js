@@ -31,6 +31,19 @@ const secrets = fs.readJsonSync(".secrets.json");
 const endpoints = secrets.endpoints;
 const mnemonic = secrets.mnemonic.trim();
 
+// In-process chain of `npm run benchmark:gas`, created once as truffle asks for the provider more than once.
+// The gas baseline only holds on this hardfork, with the accounts of truffle's own test chain.
+let benchmarkProvider;
+const benchmarkChain = () =>
+  benchmarkProvider ||
+  (benchmarkProvider = require("ganache-cli").provider({
+    hardfork: "petersburg",
+    mnemonic: "candy maple cake sugar pudding cream honey rich smooth crumble sweet treat",
+    network_id: 4447,
+    gasLimit: 6721975,
+    noVMErrorsOnRPCResponse: true
+  }));
+
 module.exports = {
   /**
    * Networks define how you connect to your ethereum client and let you set the
@@ -83,6 +96,20 @@ module.exports = {
     // production: true    // Treats this network as if it was a public net. (default: false)
     // }
 
+    // Ganache on this machine, the default network of bin/rps.js. Not named development so that truffle test
+    // keeps spinning up its own chain.
+    local: {
+      host: "127.0.0.1",
+      port: 7545,
+      network_id: "*",
+      websockets: true
+    },
+
+    benchmark: {
+      provider: benchmarkChain,
+      network_id: 4447
+    },
+
     ropsten: {
       provider: () => new HDWalletProvider(mnemonic, endpoints.infura.ropsten),
       confirmations: 2,
@@ -101,9 +128,13 @@ module.exports = {
   compilers: {
     solc: {
       version: "0.5.7", // Fetch exact version from solc-bin (default: truffle's version)
-      optimizer: {
-        enabled: true,
-        runs: 200
+      settings: {
+        // RockPaperScissors only fits under the EIP-170 size limit with the optimizer on, see test/contractsize.test.js
+        optimizer: {
+          enabled: true,
+          runs: 200
+        },
+        evmVersion: "petersburg"
       }
     }
   }